@@ -16,7 +16,8 @@ function DraggableField({
   onUpdate,
   onSelect,
   onDelete,
-  onSignatureClick
+  onSignatureClick,
+  onValueClick
 }) {
   const [isDragging, setIsDragging] = useState(false);
   const [isResizing, setIsResizing] = useState(false);
@@ -100,18 +101,29 @@ function DraggableField({
   const screenWidth = field.width * scale;
   const screenHeight = field.height * scale;
 
+  const previewImage = field.signatureImage || field.image;
+  const markPreview = {
+    radio: field.value ? '◉' : '○',
+    checkbox: field.value ? '☑' : '☐'
+  }[field.type];
+  const previewText = markPreview && field.value !== undefined
+    ? markPreview
+    : field.value;
+
   const fieldIcon = {
     'signature': '✍️',
     'text': '📝',
     'image': '🖼️',
     'date': '📅',
-    'radio': '⭕'
+    'radio': '⭕',
+    'checkbox': '☑️'
   }[field.type] || '□';
 
   return (
     <div
       ref={fieldRef}
-      className={`draggable-field ${field.selected ? 'selected' : ''}`}
+      className={`draggable-field ${field.selected ? 'selected' : ''} ${field.formField ? 'form-field' : ''}`}
+      title={field.formField ? `Form field: ${field.formField}` : undefined}
       style={{
         left: `${screenX}px`,
         top: `${screenY}px`,
@@ -121,8 +133,21 @@ function DraggableField({
       onMouseDown={handleMouseDown}
     >
       <div className="field-content">
-        <span className="field-icon">{fieldIcon}</span>
-        <span className="field-type">{field.type}</span>
+        {previewImage ? (
+          <img
+            className="field-signature-preview"
+            src={previewImage}
+            alt="Field value"
+            draggable={false}
+          />
+        ) : previewText ? (
+          <span className="field-value-text">{previewText}</span>
+        ) : (
+          <>
+            <span className="field-icon">{fieldIcon}</span>
+            <span className="field-type">{field.type}</span>
+          </>
+        )}
       </div>
 
       {field.selected && (
@@ -142,7 +167,17 @@ function DraggableField({
               onClick={onSignatureClick}
               title="Add signature"
             >
-              Sign
+              {field.signatureImage ? 'Re-sign' : 'Sign'}
+            </button>
+          )}
+
+          {field.type !== 'signature' && (
+            <button
+              className="sign-button"
+              onClick={onValueClick}
+              title={`Set ${field.type} value`}
+            >
+              Edit
             </button>
           )}
         </>
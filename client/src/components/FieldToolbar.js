@@ -1,13 +1,30 @@
 /**
  * FIELD TOOLBAR COMPONENT
  * 
- * Toolbar for adding new fields and uploading PDFs
+ * Toolbar for adding new fields, uploading PDFs and naming the signer
+ *
+ * When signing an envelope through a signing link, fields come from the
+ * envelope: the field buttons and upload are hidden and its status is shown
+ * instead. The email is the invited recipient's and is locked, and the
+ * recipient may decline or delegate instead of signing.
  */
 
 import React, { useRef } from 'react';
 import '../styles/FieldToolbar.css';
 
-function FieldToolbar({ onFieldAdd, onFileUpload }) {
+function FieldToolbar({
+  onFieldAdd,
+  onFileUpload,
+  onSignDocument,
+  signedFieldCount = 0,
+  isSigning = false,
+  signer = { name: '', email: '' },
+  onSignerChange,
+  envelope = null,
+  signerLocked = false,
+  onDecline = null,
+  onDelegate = null
+}) {
   const fileInputRef = useRef(null);
 
   const fieldTypes = [
@@ -27,34 +44,82 @@ function FieldToolbar({ onFieldAdd, onFileUpload }) {
     fileInputRef.current?.click();
   };
 
+  const handleSignerInput = (key) => (e) => {
+    onSignerChange?.({ ...signer, [key]: e.target.value });
+  };
+
+  const recipientIcons = { completed: '✅', declined: '🚫', delegated: '↪️' };
+
   return (
     <div className="field-toolbar">
       <div className="toolbar-section">
-        <h3>Fields</h3>
-        <div className="field-buttons">
-          {fieldTypes.map(({ type, label, icon }) => (
-            <div
-              key={type}
-              draggable
-              className="field-button"
-              onDragStart={handleFieldDragStart(type)}
-              title={`Drag to add ${label}`}
-            >
-              <span className="icon">{icon}</span>
-              <span className="label">{label}</span>
-            </div>
-          ))}
+        <h3>Signer</h3>
+        <div className="signer-inputs">
+          <input
+            type="text"
+            placeholder="Full name"
+            value={signer.name}
+            onChange={handleSignerInput('name')}
+          />
+          <input
+            type="email"
+            placeholder="Email"
+            value={signer.email}
+            readOnly={signerLocked}
+            title={signerLocked ? 'Set by your signing link' : undefined}
+            onChange={handleSignerInput('email')}
+          />
         </div>
       </div>
 
+      {envelope && (
+        <div className="toolbar-section envelope-status">
+          <h3>Envelope</h3>
+          <p className="envelope-title">{envelope.title || envelope.envelopeId}</p>
+          <p>Status: <strong>{envelope.status}</strong> ({envelope.routing})</p>
+          {envelope.currentRecipients.length > 0 && (
+            <p>Waiting for: {envelope.currentRecipients.join(', ')}</p>
+          )}
+          <ul>
+            {envelope.recipients.map(recipient => (
+              <li key={recipient.id}>
+                {recipient.role === 'cc' ? '📨' : recipientIcons[recipient.status] || '⏳'} {recipient.name}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {!envelope && (
+        <div className="toolbar-section">
+          <h3>Fields</h3>
+          <div className="field-buttons">
+            {fieldTypes.map(({ type, label, icon }) => (
+              <div
+                key={type}
+                draggable
+                className="field-button"
+                onDragStart={handleFieldDragStart(type)}
+                title={`Drag to add ${label}`}
+              >
+                <span className="icon">{icon}</span>
+                <span className="label">{label}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       <div className="toolbar-section">
         <h3>Document</h3>
-        <button
-          className="upload-button"
-          onClick={handleUploadClick}
-        >
-          📄 Upload PDF
-        </button>
+        {!envelope && (
+          <button
+            className="upload-button"
+            onClick={handleUploadClick}
+          >
+            📄 Upload PDF
+          </button>
+        )}
         <input
           ref={fileInputRef}
           type="file"
@@ -62,6 +127,24 @@ function FieldToolbar({ onFieldAdd, onFileUpload }) {
           onChange={onFileUpload}
           style={{ display: 'none' }}
         />
+        <button
+          className="upload-button sign-document-button"
+          onClick={onSignDocument}
+          disabled={signedFieldCount === 0 || isSigning || !signer.email}
+          title="Burn all filled fields into the PDF"
+        >
+          {isSigning ? 'Signing...' : `✅ Sign Document (${signedFieldCount})`}
+        </button>
+        {onDecline && (
+          <button className="upload-button" onClick={onDecline} disabled={isSigning}>
+            🚫 Decline to Sign
+          </button>
+        )}
+        {onDelegate && (
+          <button className="upload-button" onClick={onDelegate} disabled={isSigning}>
+            ↪️ Delegate to Someone Else
+          </button>
+        )}
       </div>
 
       <div className="toolbar-info">
@@ -71,6 +154,8 @@ function FieldToolbar({ onFieldAdd, onFileUpload }) {
           <li>Click and drag fields to move</li>
           <li>Drag the corner to resize</li>
           <li>Click "Sign" to add signature</li>
+          <li>Click "Edit" to fill text, date, radio and image fields</li>
+          <li>Click "Sign Document" to download the signed PDF</li>
         </ul>
       </div>
     </div>
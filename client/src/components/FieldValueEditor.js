@@ -0,0 +1,244 @@
+/**
+ * FIELD VALUE EDITOR COMPONENT
+ * 
+ * Modal for entering the value of text, date, radio, checkbox and image fields
+ * Produces { value, style } or { image, imageType } for the backend renderers
+ */
+
+import React, { useState } from 'react';
+import '../styles/FieldValueEditor.css';
+
+// Names must match pdf-lib StandardFonts
+const STANDARD_FONTS = [
+  'Helvetica',
+  'Helvetica-Bold',
+  'Times-Roman',
+  'Times-Bold',
+  'Courier',
+  'Courier-Bold'
+];
+
+const DATE_FORMATS = [
+  'YYYY-MM-DD',
+  'DD/MM/YYYY',
+  'MM/DD/YYYY',
+  'D MMM YYYY',
+  'MMMM D, YYYY'
+];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const readAsDataURL = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = reject;
+  reader.readAsDataURL(file);
+});
+
+function FieldValueEditor({ field, onSave, onCancel }) {
+  const [value, setValue] = useState(() => {
+    if (field.value !== undefined) return field.value;
+    if (field.type === 'date') return today();
+    if (field.type === 'radio' || field.type === 'checkbox') return true;
+    return '';
+  });
+  const [style, setStyle] = useState({
+    font: 'Helvetica',
+    color: '#000000',
+    dateFormat: DATE_FORMATS[0],
+    ...field.style
+  });
+  const [image, setImage] = useState(field.image || null);
+  const [imageType, setImageType] = useState(field.imageType || 'png');
+
+  const updateStyle = (changes) => setStyle(s => ({ ...s, ...changes }));
+
+  const handleFontUpload = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    const dataURL = await readAsDataURL(file);
+    updateStyle({
+      font: file.name.replace(/\.ttf$/i, ''),
+      fontData: dataURL.split(',')[1]
+    });
+  };
+
+  const handleImageUpload = async (event) => {
+    const file = event.target.files?.[0];
+    if (!file) return;
+
+    setImage(await readAsDataURL(file));
+    setImageType(file.type === 'image/jpeg' ? 'jpeg' : 'png');
+  };
+
+  const handleFontSelect = (event) => {
+    // Choosing a standard font drops any uploaded TTF
+    updateStyle({ font: event.target.value, fontData: undefined });
+  };
+
+  const handleSave = () => {
+    if (field.type === 'image') {
+      if (!image) {
+        alert('Please choose an image.');
+        return;
+      }
+      onSave({ image, imageType });
+      return;
+    }
+
+    if (field.type === 'text' && !String(value).trim()) {
+      alert('Please enter some text.');
+      return;
+    }
+
+    onSave({ value, style });
+  };
+
+  const renderFontControls = () => (
+    <>
+      <label className="field-value-row">
+        <span>Font</span>
+        <select
+          value={style.fontData ? '' : style.font}
+          onChange={handleFontSelect}
+        >
+          {style.fontData && <option value="">{style.font} (TTF)</option>}
+          {STANDARD_FONTS.map(font => (
+            <option key={font} value={font}>{font}</option>
+          ))}
+        </select>
+      </label>
+      <label className="field-value-row">
+        <span>Custom TTF</span>
+        <input type="file" accept=".ttf" onChange={handleFontUpload} />
+      </label>
+      <label className="field-value-row">
+        <span>Max size (pt)</span>
+        <input
+          type="number"
+          min="4"
+          placeholder="Auto"
+          value={style.fontSize || ''}
+          onChange={(e) => updateStyle({ fontSize: e.target.value ? Number(e.target.value) : undefined })}
+        />
+      </label>
+      <label className="field-value-row">
+        <span>Color</span>
+        <input
+          type="color"
+          value={style.color}
+          onChange={(e) => updateStyle({ color: e.target.value })}
+        />
+      </label>
+    </>
+  );
+
+  return (
+    <div className="field-value-modal">
+      <div className="field-value-container">
+        <h2>Edit {field.type} field</h2>
+
+        {field.formField && (
+          <p className="field-value-note">
+            Fills the existing form field <strong>{field.formField}</strong>
+          </p>
+        )}
+
+        {field.type === 'text' && (
+          <>
+            <label className="field-value-row">
+              <span>Text</span>
+              {field.options ? (
+                <select value={value} onChange={(e) => setValue(e.target.value)}>
+                  <option value="">Choose...</option>
+                  {field.options.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="text"
+                  value={value}
+                  autoFocus
+                  onChange={(e) => setValue(e.target.value)}
+                />
+              )}
+            </label>
+            {/* Form fields keep their own appearance settings */}
+            {!field.formField && renderFontControls()}
+          </>
+        )}
+
+        {field.type === 'date' && (
+          <>
+            <label className="field-value-row">
+              <span>Date</span>
+              <input
+                type="date"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+              />
+            </label>
+            <label className="field-value-row">
+              <span>Format</span>
+              <select
+                value={style.dateFormat}
+                onChange={(e) => updateStyle({ dateFormat: e.target.value })}
+              >
+                {DATE_FORMATS.map(format => (
+                  <option key={format} value={format}>{format}</option>
+                ))}
+              </select>
+            </label>
+            {!field.formField && renderFontControls()}
+          </>
+        )}
+
+        {(field.type === 'radio' || field.type === 'checkbox') && (
+          <>
+            <label className="field-value-row">
+              <span>{field.type === 'checkbox' ? 'Checked' : 'Selected'}</span>
+              <input
+                type="checkbox"
+                checked={value !== false}
+                onChange={(e) => setValue(e.target.checked)}
+              />
+            </label>
+            {!field.formField && (
+              <label className="field-value-row">
+                <span>Color</span>
+                <input
+                  type="color"
+                  value={style.color}
+                  onChange={(e) => updateStyle({ color: e.target.value })}
+                />
+              </label>
+            )}
+          </>
+        )}
+
+        {field.type === 'image' && (
+          <>
+            <label className="field-value-row">
+              <span>Image</span>
+              <input type="file" accept="image/png,image/jpeg" onChange={handleImageUpload} />
+            </label>
+            {image && <img className="field-value-preview" src={image} alt="Selected" />}
+          </>
+        )}
+
+        <div className="field-value-controls">
+          <button className="btn btn-cancel" onClick={onCancel}>
+            Cancel
+          </button>
+          <button className="btn btn-primary" onClick={handleSave}>
+            Apply
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default FieldValueEditor;
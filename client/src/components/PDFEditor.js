@@ -2,14 +2,143 @@
  * PDF EDITOR COMPONENT
  * 
  * Handles PDF rendering, field placement, and signature capture
+ *
+ * Opened with ?token=<token> from an invitation mail, it signs as the
+ * invited recipient of an envelope: the stored document and only their own
+ * fields are loaded, fields cannot be added, and the recipient may instead
+ * decline or delegate to someone else. The link is the only way to sign as
+ * a recipient.
  */
 
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import PDFRenderer from './PDFRenderer';
 import FieldToolbar from './FieldToolbar';
 import SignatureCanvas from './SignatureCanvas';
+import FieldValueEditor from './FieldValueEditor';
 import '../styles/PDFEditor.css';
 
+/**
+ * Whether a field has everything the backend needs to burn it
+ */
+const isFieldFilled = (field) => {
+  switch (field.type) {
+    case 'signature':
+      return !!field.signatureImage;
+    case 'image':
+      return !!field.image;
+    case 'radio':
+    case 'checkbox':
+      return field.value !== undefined;
+    default:
+      return !!field.value;
+  }
+};
+
+/**
+ * Field content in the shape /api/sign-pdf expects for its type
+ */
+const fieldContent = (field) => {
+  const formTarget = field.formField
+    ? { formField: field.formField, formOption: field.formOption }
+    : {};
+
+  switch (field.type) {
+    case 'signature':
+      // Drawn signatures are sent as strokes; the PNG only serves the preview
+      return {
+        ...formTarget,
+        signature: field.signatureVector
+          ? { vector: field.signatureVector }
+          : { image: field.signatureImage, imageType: 'png' }
+      };
+    case 'image':
+      return { ...formTarget, signature: { image: field.image, imageType: field.imageType || 'png' } };
+    default:
+      return { ...formTarget, value: field.value, style: field.style || {} };
+  }
+};
+
+// AcroForm field types and the editor field type used to fill them
+const FORM_FIELD_TYPES = {
+  text: 'text',
+  dropdown: 'text',
+  optionList: 'text',
+  checkbox: 'checkbox',
+  radio: 'radio',
+  signature: 'signature'
+};
+
+/**
+ * Turn detected AcroForm widgets into pre-placed editor fields
+ * 
+ * Only page 1 is rendered, so widgets on other pages are skipped.
+ * Read-only fields and signature fields that are already signed are left alone.
+ */
+const formFieldsToEditorFields = (formFields) => formFields
+  .filter(f => f.pageIndex === 0 && FORM_FIELD_TYPES[f.type] && !f.readOnly)
+  .filter(f => !(f.type === 'signature' && f.value))
+  .map((f, index) => {
+    const type = FORM_FIELD_TYPES[f.type];
+    const field = {
+      id: `form-${index}-${f.name}`,
+      type,
+      x: f.pageRect.x,
+      y: f.pageRect.y,
+      width: f.pageRect.width,
+      height: f.pageRect.height,
+      pageIndex: f.pageIndex,
+      formField: f.name,
+      formOption: f.option,
+      options: f.type === 'dropdown' || f.type === 'optionList' ? f.options : undefined,
+      selected: false
+    };
+
+    // Carry over values the document already holds
+    if (type === 'radio') {
+      if (f.value) field.value = f.value === f.option;
+    } else if (type === 'checkbox') {
+      field.value = f.value;
+    } else if (type === 'text' && f.value) {
+      field.value = Array.isArray(f.value) ? f.value[0] : f.value;
+    }
+
+    return field;
+  });
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+
+/**
+ * Editor fields for the envelope fields assigned to a signer
+ * 
+ * Envelope fields keep the coordinates they were placed with; they are
+ * scaled from that container to page points.
+ */
+const envelopeFieldsToEditorFields = (envelope, email, pageSize) => {
+  const recipient = envelope.recipients.find(r => r.email === email.trim().toLowerCase());
+  if (!recipient) return [];
+
+  return envelope.fields
+    .filter(f => f.recipientId === recipient.id && (f.coordinates.pageIndex || 0) === 0)
+    .map(f => {
+      const { frontend, container } = f.coordinates;
+      const scaleX = pageSize.width / container.width;
+      const scaleY = pageSize.height / container.height;
+      return {
+        id: `envelope-${f.id}`,
+        fieldId: f.id,
+        type: f.fieldType,
+        x: frontend.x * scaleX,
+        y: frontend.y * scaleY,
+        width: frontend.width * scaleX,
+        height: frontend.height * scaleY,
+        pageIndex: 0,
+        formField: f.formField || undefined,
+        formOption: f.formOption || undefined,
+        selected: false
+      };
+    });
+};
+
 function PDFEditor() {
   const [pdf, setPDF] = useState(null);
   const [selectedField, setSelectedField] = useState(null);
@@ -17,7 +146,11 @@ function PDFEditor() {
   const [containerSize, setContainerSize] = useState({ width: 0, height: 0 });
   const [pdfPageSize, setPDFPageSize] = useState(null);
   const [showSignaturePad, setShowSignaturePad] = useState(false);
+  const [showValueEditor, setShowValueEditor] = useState(false);
   const [signing, setSigning] = useState(false);
+  const [signer, setSigner] = useState({ name: '', email: '' });
+  const [envelope, setEnvelope] = useState(null);
+  const [signingToken, setSigningToken] = useState(null);
   const containerRef = useRef(null);
   const signatureCanvasRef = useRef(null);
   const pdfsLoadedRef = useRef(false);
@@ -33,7 +166,12 @@ function PDFEditor() {
       }
     };
 
-    loadSamplePDF();
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('token')) {
+      loadSigningLink(params.get('token'));
+    } else {
+      loadSamplePDF();
+    }
     handleResizeEvent();
     window.addEventListener('resize', handleResizeEvent);
     return () => window.removeEventListener('resize', handleResizeEvent);
@@ -62,6 +200,37 @@ function PDFEditor() {
     }
   };
 
+  const loadSigningLink = async (token) => {
+    try {
+      const base = `${API_URL}/api/signing/${encodeURIComponent(token)}`;
+      const response = await fetch(base);
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+
+      const documentResponse = await fetch(`${base}/document`);
+      if (!documentResponse.ok) {
+        throw new Error(`Document download failed: HTTP ${documentResponse.status}`);
+      }
+      setPDF(await documentResponse.arrayBuffer());
+      setSigner({ name: result.recipient.name || '', email: result.recipient.email });
+      setSigningToken(token);
+      setEnvelope(result);
+    } catch (error) {
+      console.error('Error opening signing link:', error);
+      alert(`Failed to open signing link: ${error.message}`);
+    }
+  };
+
+  // Show the signer's envelope fields once the page size is known
+  useEffect(() => {
+    if (envelope && pdfPageSize) {
+      setFields(envelopeFieldsToEditorFields(envelope, signer.email, pdfPageSize));
+      setSelectedField(null);
+    }
+  }, [envelope, pdfPageSize, signer.email]);
+
   const createSamplePDF = async () => {
     // For development, create a simple test PDF
     console.log('Using mock PDF for testing');
@@ -73,6 +242,9 @@ function PDFEditor() {
   }, []);
 
   const handleFieldDropped = useCallback((field) => {
+    // Envelope fields are fixed by the envelope
+    if (envelope) return;
+
     const newField = {
       id: `field-${Date.now()}`,
       ...field,
@@ -84,7 +256,7 @@ function PDFEditor() {
     
     setFields(updatedFields);
     setSelectedField(newField.id);
-  }, [fields]);
+  }, [fields, envelope]);
 
   const handleFieldUpdated = useCallback((updatedField) => {
     setFields(f => f.map(field => 
@@ -110,11 +282,37 @@ function PDFEditor() {
     setShowSignaturePad(true);
   }, []);
 
-  const handleSignatureCapture = async (signatureImage) => {
-    if (!selectedField || !signatureImage || !pdf || !pdfPageSize || !containerSize.width) {
+  const handleValueClick = useCallback((fieldId) => {
+    setSelectedField(fieldId);
+    setShowValueEditor(true);
+  }, []);
+
+  const handleValueSave = (content) => {
+    setFields(f => f.map(field =>
+      field.id === selectedField ? { ...field, ...content } : field
+    ));
+    setShowValueEditor(false);
+  };
+
+  const handleSignatureCapture = (signatureImage, signatureVector) => {
+    if (!selectedField || !signatureImage) {
+      alert('Missing required data. Please try again.');
+      return;
+    }
+
+    // Keep the signature on the field; all fields are burned in one request
+    setFields(f => f.map(field =>
+      field.id === selectedField ? { ...field, signatureImage, signatureVector } : field
+    ));
+    setShowSignaturePad(false);
+  };
+
+  const handleSignDocument = async () => {
+    const signedFields = fields.filter(isFieldFilled);
+
+    if (signedFields.length === 0 || !pdf || !pdfPageSize || !containerSize.width) {
       console.error('Missing required data:', {
-        hasSelectedField: !!selectedField,
-        hasSignatureImage: !!signatureImage,
+        signedFields: signedFields.length,
         hasPdf: !!pdf,
         hasPdfPageSize: !!pdfPageSize,
         hasContainerSize: !!containerSize.width
@@ -123,26 +321,40 @@ function PDFEditor() {
       return;
     }
 
-    setSigning(true);
-    try {
-      // Find the selected field
-      const field = fields.find(f => f.id === selectedField);
-      if (!field) {
-        alert('Field not found');
+    // Validate coordinates
+    for (const field of signedFields) {
+      if (field.x < 0 || field.y < 0 || field.width <= 0 || field.height <= 0) {
+        alert('Invalid field coordinates. Please reposition the field.');
         return;
       }
 
-      // PDF is already in base64 format
-      const pdfBase64 = pdf;
+      if (field.x + field.width > pdfPageSize.width || field.y + field.height > pdfPageSize.height) {
+        alert('Field extends beyond PDF boundaries. Please reposition it.');
+        return;
+      }
+    }
 
-      console.log('Signing PDF with:', {
-        fieldId: field.id,
-        fieldCoordinates: {
-          x: field.x,
-          y: field.y,
-          width: field.width,
-          height: field.height
+    setSigning(true);
+    try {
+      const placements = signedFields.map(field => ({
+        ...(field.fieldId ? { fieldId: field.fieldId } : {}),
+        fieldType: field.type,
+        ...fieldContent(field),
+        coordinates: {
+          frontend: {
+            x: field.x,
+            y: field.y,
+            width: field.width,
+            height: field.height
+          },
+          container: containerSize,
+          pageIndex: field.pageIndex || 0
         },
+        pageSize: pdfPageSize
+      }));
+
+      console.log('Signing PDF with:', {
+        placements: placements.length,
         containerSize: {
           width: containerSize.width,
           height: containerSize.height
@@ -153,72 +365,72 @@ function PDFEditor() {
         }
       });
 
-      // Validate coordinates
-      if (field.x < 0 || field.y < 0 || field.width <= 0 || field.height <= 0) {
-        alert('Invalid field coordinates. Please reposition the field.');
-        setSigning(false);
-        return;
-      }
+      const apiUrl = `${API_URL}/api/sign-pdf`;
+      console.log('API URL:', apiUrl);
 
-      if (field.x + field.width > pdfPageSize.width || field.y + field.height > pdfPageSize.height) {
-        alert('Field extends beyond PDF boundaries. Please reposition it.');
-        setSigning(false);
-        return;
+      const form = new FormData();
+      if (signingToken) {
+        // The link names the envelope and who signs; the server signs its stored document
+        form.append('signingToken', signingToken);
+      } else {
+        // Send the PDF as a binary part and get the signed PDF back as raw bytes
+        // (uploads are kept as base64, the sample PDF as an ArrayBuffer)
+        const pdfBytes = typeof pdf === 'string'
+          ? Uint8Array.from(atob(pdf), char => char.charCodeAt(0))
+          : new Uint8Array(pdf);
+        form.append('pdf', new Blob([pdfBytes], { type: 'application/pdf' }), 'document.pdf');
+        form.append('pdfId', `pdf-${Date.now()}`);
       }
-
-      const apiUrl = `${process.env.REACT_APP_API_URL || 'http://localhost:5000'}/api/sign-pdf`;
-      console.log('API URL:', apiUrl);
+      form.append('placements', JSON.stringify(placements));
+      form.append('metadata', JSON.stringify({
+        email: signer.email.trim(),
+        name: signer.name.trim() || signer.email.trim(),
+        reason: 'Signature',
+        timestamp: new Date().toISOString()
+      }));
+      form.append('responseFormat', 'pdf');
 
       // Call backend to sign PDF
       const response = await fetch(apiUrl, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          pdfId: `pdf-${Date.now()}`,
-          pdfBuffer: pdfBase64,
-          signature: {
-            image: signatureImage,
-            imageType: 'png'
-          },
-          coordinates: {
-            frontend: {
-              x: field.x,
-              y: field.y,
-              width: field.width,
-              height: field.height
-            },
-            container: containerSize,
-            pageIndex: 0
-          },
-          pageSize: pdfPageSize,
-          metadata: {
-            email: 'user@example.com',
-            name: 'User Name',
-            reason: 'Signature',
-            timestamp: new Date().toISOString()
-          }
-        })
+        body: form
       });
 
       console.log('Response status:', response.status);
-      const result = await response.json();
-      console.log('Response data:', result);
 
       if (!response.ok) {
+        const result = await response.json();
         throw new Error(result.error || `HTTP ${response.status}`);
       }
 
-      console.log('PDF signed successfully:', result);
+      console.log('PDF signed successfully:', {
+        originalHash: response.headers.get('X-Original-Hash'),
+        signedHash: response.headers.get('X-Signed-Hash'),
+        envelopeStatus: response.headers.get('X-Envelope-Status')
+      });
       
       // Download signed PDF
+      const url = URL.createObjectURL(await response.blob());
       const link = document.createElement('a');
-      link.href = `data:application/pdf;base64,${result.signedPdf}`;
+      link.href = url;
       link.download = `signed-${Date.now()}.pdf`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      if (signingToken) {
+        // The link is spent; show the pass as done
+        setSigningToken(null);
+        setEnvelope({
+          ...envelope,
+          status: response.headers.get('X-Envelope-Status') || envelope.status,
+          recipients: envelope.recipients.map(r => ({ ...r, status: 'completed' })),
+          fields: [],
+          currentRecipients: []
+        });
+      }
 
-      setShowSignaturePad(false);
       alert('PDF signed successfully!');
     } catch (error) {
       console.error('Error signing PDF:', error);
@@ -228,6 +440,72 @@ function PDFEditor() {
     }
   };
 
+  // Decline or delegate through the signing link; either spends it
+  const sendSigningLinkAction = async (action, body) => {
+    try {
+      const response = await fetch(`${API_URL}/api/signing/${encodeURIComponent(signingToken)}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+
+      setSigningToken(null);
+      setEnvelope({ ...result, fields: [], currentRecipients: [] });
+      return result;
+    } catch (error) {
+      console.error(`Error (${action}):`, error);
+      alert(`Failed to ${action}: ${error.message}`);
+      return null;
+    }
+  };
+
+  const handleDecline = async () => {
+    const reason = window.prompt('Why do you decline to sign this document?');
+    if (!reason || !reason.trim()) return;
+    if (await sendSigningLinkAction('decline', { reason })) {
+      alert('You declined to sign this document.');
+    }
+  };
+
+  const handleDelegate = async () => {
+    const email = window.prompt('Email of the person who should sign instead of you:');
+    if (!email || !email.trim()) return;
+    const reason = window.prompt('Reason (optional):');
+    const result = await sendSigningLinkAction('delegate', {
+      delegate: { email: email.trim() },
+      ...(reason && reason.trim() ? { reason } : {})
+    });
+    if (result) {
+      alert(`Signing was handed to ${result.delegate.email}.`);
+    }
+  };
+
+  const loadFormFields = async (pdfBase64) => {
+    try {
+      const apiUrl = `${API_URL}/api/form-fields`;
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ pdfBuffer: pdfBase64 })
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        throw new Error(result.error || `HTTP ${response.status}`);
+      }
+
+      console.log('Detected form fields:', result.fields);
+      setFields(formFieldsToEditorFields(result.fields));
+    } catch (error) {
+      // Form detection is a convenience; the editor still works without it
+      console.error('Error detecting form fields:', error);
+    }
+  };
+
   const handleFileUpload = (event) => {
     const file = event.target.files?.[0];
     if (!file) return;
@@ -239,6 +517,7 @@ function PDFEditor() {
       setPDF(base64String);
       setFields([]); // Clear fields on new PDF
       setSelectedField(null);
+      loadFormFields(base64String);
     };
     reader.readAsDataURL(file);
   };
@@ -248,6 +527,15 @@ function PDFEditor() {
       <FieldToolbar
         onFieldAdd={handleFieldDropped}
         onFileUpload={handleFileUpload}
+        onSignDocument={handleSignDocument}
+        signedFieldCount={fields.filter(isFieldFilled).length}
+        isSigning={signing}
+        signer={signer}
+        onSignerChange={setSigner}
+        envelope={envelope}
+        signerLocked={!!envelope?.recipient}
+        onDecline={signingToken ? handleDecline : null}
+        onDelegate={signingToken ? handleDelegate : null}
       />
 
       <div className="editor-container">
@@ -262,6 +550,7 @@ function PDFEditor() {
               onFieldDelete={handleDeleteField}
               onPDFLoaded={handlePDFLoaded}
               onSignatureClick={handleSignatureClick}
+              onValueClick={handleValueClick}
               containerSize={containerSize}
             />
           ) : (
@@ -280,6 +569,14 @@ function PDFEditor() {
           isSigning={signing}
         />
       )}
+
+      {showValueEditor && selectedField && (
+        <FieldValueEditor
+          field={fields.find(f => f.id === selectedField)}
+          onSave={handleValueSave}
+          onCancel={() => setShowValueEditor(false)}
+        />
+      )}
     </div>
   );
 }
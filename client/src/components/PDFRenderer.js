@@ -22,6 +22,7 @@ function PDFRenderer({
   onFieldDelete,
   onPDFLoaded,
   onSignatureClick,
+  onValueClick,
   containerSize
 }) {
   const [pageSize, setPageSize] = useState(null);
@@ -201,6 +202,7 @@ function PDFRenderer({
             onSelect={() => onFieldSelected(field.id)}
             onDelete={() => onFieldDelete(field.id)}
             onSignatureClick={() => onSignatureClick(field.id)}
+            onValueClick={() => onValueClick(field.id)}
           />
         ))}
       </div>
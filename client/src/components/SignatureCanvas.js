@@ -2,15 +2,20 @@
  * SIGNATURE CANVAS COMPONENT
  * 
  * HTML5 Canvas for capturing digital signatures
- * Returns base64 PNG for transmission to backend
+ * Records each stroke as a point array so the backend can draw vector paths;
+ * a base64 PNG is still returned for the on-screen preview
  */
 
 import React, { useRef, useEffect, forwardRef } from 'react';
 import '../styles/SignatureCanvas.css';
 
+const STROKE_WIDTH = 2;
+const STROKE_COLOR = '#000000';
+
 const SignatureCanvas = forwardRef(({ onCapture, onCancel, isSigning }, ref) => {
   const canvasRef = useRef(null);
   const isDrawingRef = useRef(false);
+  const strokesRef = useRef([]);
 
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -30,35 +35,41 @@ const SignatureCanvas = forwardRef(({ onCapture, onCancel, isSigning }, ref) =>
     context.strokeRect(0, 0, canvas.width, canvas.height);
   }, []);
 
-  const startDrawing = (e) => {
-    isDrawingRef.current = true;
+  // Pointer position in canvas pixels (the canvas is scaled by CSS)
+  const getCanvasPoint = (e) => {
     const canvas = canvasRef.current;
     const rect = canvas.getBoundingClientRect();
-    const context = canvas.getContext('2d');
+    return [
+      Math.round(((e.clientX - rect.left) * canvas.width / rect.width) * 10) / 10,
+      Math.round(((e.clientY - rect.top) * canvas.height / rect.height) * 10) / 10
+    ];
+  };
+
+  const startDrawing = (e) => {
+    isDrawingRef.current = true;
+    const context = canvasRef.current.getContext('2d');
+    const [x, y] = getCanvasPoint(e);
+
+    strokesRef.current.push([[x, y]]);
 
     context.beginPath();
-    context.moveTo(
-      e.clientX - rect.left,
-      e.clientY - rect.top
-    );
+    context.moveTo(x, y);
   };
 
   const draw = (e) => {
     if (!isDrawingRef.current) return;
 
-    const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    const context = canvas.getContext('2d');
+    const context = canvasRef.current.getContext('2d');
+    const [x, y] = getCanvasPoint(e);
+
+    strokesRef.current[strokesRef.current.length - 1].push([x, y]);
 
-    context.lineWidth = 2;
+    context.lineWidth = STROKE_WIDTH;
     context.lineCap = 'round';
     context.lineJoin = 'round';
-    context.strokeStyle = '#000';
+    context.strokeStyle = STROKE_COLOR;
 
-    context.lineTo(
-      e.clientX - rect.left,
-      e.clientY - rect.top
-    );
+    context.lineTo(x, y);
     context.stroke();
   };
 
@@ -67,6 +78,7 @@ const SignatureCanvas = forwardRef(({ onCapture, onCancel, isSigning }, ref) =>
   };
 
   const handleClear = () => {
+    strokesRef.current = [];
     const canvas = canvasRef.current;
     const context = canvas.getContext('2d');
     context.fillStyle = 'white';
@@ -78,8 +90,18 @@ const SignatureCanvas = forwardRef(({ onCapture, onCancel, isSigning }, ref) =>
 
   const handleCapture = async () => {
     const canvas = canvasRef.current;
+    if (strokesRef.current.length === 0) {
+      alert('Please draw your signature first.');
+      return;
+    }
+
     const signatureImage = canvas.toDataURL('image/png');
-    onCapture(signatureImage);
+    const signatureVector = {
+      strokes: strokesRef.current,
+      strokeWidth: STROKE_WIDTH,
+      color: STROKE_COLOR
+    };
+    onCapture(signatureImage, signatureVector);
   };
 
   return (
@@ -116,12 +138,12 @@ const SignatureCanvas = forwardRef(({ onCapture, onCancel, isSigning }, ref) =>
             onClick={handleCapture}
             disabled={isSigning}
           >
-            {isSigning ? 'Signing...' : 'Sign Document'}
+            {isSigning ? 'Signing...' : 'Apply Signature'}
           </button>
         </div>
 
         <p className="signature-help">
-          Draw your signature above. Click "Sign Document" when done.
+          Draw your signature above. Click "Apply Signature" when done.
         </p>
       </div>
     </div>
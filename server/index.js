@@ -11,17 +11,47 @@ const { MongoClient } = require('mongodb');
 require('dotenv').config();
 
 const signatureRoutes = require('./routes/signatureRoutes');
+const documentRoutes = require('./routes/documentRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const envelopeRoutes = require('./routes/envelopeRoutes');
+const signingRoutes = require('./routes/signingRoutes');
 const AuditSchema = require('./models/auditSchema');
+const DocumentStore = require('./models/documentStore');
+const EnvelopeStore = require('./models/envelopeStore');
+const SigningTokenStore = require('./models/signingTokenStore');
+const { getSigningCredentials } = require('./utils/cryptoSigner');
+const { getTimestampAuthorityConfig } = require('./utils/timestampAuthority');
+const { createMailTransport, getMailTransportConfig } = require('./utils/mailTransport');
 
 const app = express();
+
+// Signing invitations (outbox directory unless SMTP is configured)
+app.locals.mailTransport = createMailTransport(getMailTransportConfig());
+
 const PORT = process.env.PORT || 5000;
 const MONGODB_URI = process.env.MONGODB_URI;
 const MONGODB_DB_NAME = process.env.MONGODB_DB_NAME || 'signature_engine';
+const AUDIT_CHECKPOINT_INTERVAL_MS =
+  (Number(process.env.AUDIT_CHECKPOINT_INTERVAL_MINUTES) || 60) * 60 * 1000;
 
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  // Raw PDF responses carry their hashes in headers
+  exposedHeaders: [
+    'Content-Disposition',
+    'X-Document-Id',
+    'X-Original-Hash',
+    'X-Signed-Hash',
+    'X-Signature-Count',
+    'X-Document-Version',
+    'X-Document-Branch',
+    'X-Content-Hash',
+    'X-Export-Id',
+    'X-Envelope-Id',
+    'X-Envelope-Status'
+  ]
 }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
@@ -36,6 +66,10 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/documents', documentRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/envelopes', envelopeRoutes);
+app.use('/api/signing', signingRoutes);
 app.use('/api', signatureRoutes);
 
 // Error handling middleware
@@ -47,6 +81,25 @@ app.use((err, req, res, next) => {
   });
 });
 
+/**
+ * Sign a checkpoint of the audit chain head, when signing is configured
+ */
+async function recordAuditCheckpoint(auditSchema) {
+  try {
+    const credentials = await getSigningCredentials();
+    if (!credentials) return;
+
+    const result = await auditSchema.recordCheckpoint(credentials, {
+      timestampAuthority: getTimestampAuthorityConfig()
+    });
+    if (result?.created) {
+      console.log(`✓ Audit checkpoint signed at entry ${result.checkpoint.sequence}`);
+    }
+  } catch (error) {
+    console.error('Failed to sign audit checkpoint:', error.message);
+  }
+}
+
 /**
  * Connect to MongoDB and start server
  */
@@ -73,11 +126,26 @@ async function startServer() {
     await auditSchema.initialize();
     console.log('✓ Audit schema initialized');
 
+    // Initialize document storage
+    await new DocumentStore(db).initialize();
+    console.log('✓ Document store initialized');
+
+    // Initialize envelopes
+    await new EnvelopeStore(db).initialize();
+    console.log('✓ Envelope store initialized');
+
+    // Initialize signing links
+    await new SigningTokenStore(db).initialize();
+    console.log(`✓ Signing links initialized (mail via ${app.locals.mailTransport.type})`);
+
     // Test database connection
     const adminDb = mongoClient.db('admin');
     await adminDb.command({ ping: 1 });
     console.log('✓ Database ping successful');
 
+    // Periodic signed checkpoints of the audit chain head
+    setInterval(() => recordAuditCheckpoint(auditSchema), AUDIT_CHECKPOINT_INTERVAL_MS).unref();
+
     // Start server
     app.listen(PORT, () => {
       console.log(`\n✓ Server running on http://localhost:${PORT}`);
@@ -4,7 +4,21 @@
  * Stores document integrity hashes and metadata for non-repudiation
  */
 
-const { MongoClient, Db, Collection } = require('mongodb');
+const { MongoClient, Db, Collection, ObjectId } = require('mongodb');
+const { findRevisionByHash } = require('../utils/incrementalUpdate');
+const {
+  stripUndefined,
+  linkEntry,
+  verifyChain,
+  createCheckpoint,
+  verifyCheckpointSignature
+} = require('../utils/auditChain');
+const { buildSearchQuery, pageOrder, encodeCursor } = require('../utils/auditQuery');
+
+const DUPLICATE_KEY = 11000;
+
+// Attempts at appending when concurrent writes take the next sequence first
+const MAX_APPEND_ATTEMPTS = 5;
 
 /**
  * Audit Log Document Structure
@@ -17,11 +31,14 @@ const { MongoClient, Db, Collection } = require('mongodb');
  *   createdAt: Date
  *   updatedAt: Date
  *   pageIndex: number
- *   signatureCount: number
+ *   fieldType: 'signature' | 'text' | 'image' | 'date' | 'radio' | 'checkbox'
+ *   placementIndex: number (position within a multi-placement request)
+ *   signatureCount: number (placements burned in the same request)
  *   signer: {
  *     email: string
  *     name: string
- *     timestamp: Date
+ *     timestamp: Date (TSA genTime when a trusted timestamp exists)
+ *     ipAddress: string (request IP as seen by the server)
  *   }
  *   coordinates: {
  *     normalized: { x, y, width, height } (0-1 scale)
@@ -31,15 +48,94 @@ const { MongoClient, Db, Collection } = require('mongodb');
  *   imageMetadata: {
  *     originalDimensions: { width, height }
  *     fitDimensions: { width, height }
- *     mimeType: string
+ *     mimeType: string ('vector' for signatures drawn from strokes)
+ *     cleanup: null | {
+ *       originalWidth, originalHeight (pixels, before trimming)
+ *       crop: { x, y, width, height } (pixels kept)
+ *       removeBackground, trim, threshold, inkColor
+ *     }
+ *     flattened: null | { maskedPixels, blendedPixels } (PDF/A transparency flattening)
+ *   }
+ *   appearance: null | {
+ *     layout: 'below' | 'right' | 'box'
+ *     lines: string[] (caption as drawn)
+ *     fontSize: number, overflow: boolean
+ *     imageBox, captionBox: { x, y, width, height } (points within the signature box)
+ *   }
+ *   fieldContent: null | {
+ *     text, font, fontSize, color, dateFormat (text and date fields)
+ *     selected, radius, color (radio fields)
+ *     name, type, value (filled AcroForm fields)
+ *   }
+ *   revision: null | {
+ *     incremental: boolean (changes appended as an incremental update)
+ *     originalLength: number (bytes; the original is a prefix when incremental)
+ *     signedLength: number
+ *   }
+ *   certificateOfCompletion: null | {
+ *     pageIndices: number[] (appended evidence pages)
+ *     signatureCount: number (signatures listed)
+ *     contentHash: string (SHA-256 of the signed document without the certificate)
+ *   }
+ *   cryptographicSignature: null | {
+ *     subFilter: string (e.g. 'adbe.pkcs7.detached')
+ *     byteRange: [number, number, number, number]
+ *     signingTime: string (ISO date)
+ *     certificate: { subject, commonName, issuer, serialNumber, validFrom, validTo, fingerprint }
+ *     signatureTimestamp: RFC 3161 token over the PKCS#7 signature value (see below)
+ *   }
+ *   trustedTimestamp: null | {
+ *     tsaUrl: string
+ *     genTime: Date
+ *     serialNumber: string (hex)
+ *     policy: string (OID)
+ *     hashAlgorithm: 'sha256'
+ *     hashedMessage: string (hex, equals signedHash)
+ *     token: string (base64 DER TimeStampToken)
+ *   }
+ *   encryption: null | {
+ *     input: null | { algorithm, revision, keyLength, permissions, authenticatedAs: 'user' | 'owner' }
+ *     output: { algorithm: 'aes-256' | 'aes-128' | 'rc4-*', revision, keyLength,
+ *       permissions: { print, modify, copy, annotate, fillForms,
+ *         extractForAccessibility, assemble, printHighQuality },
+ *       keptFromInput: boolean (re-encrypted with the original's key) }
+ *     (passwords and keys are never stored)
+ *   }
+ *   conformance: null | {
+ *     requested: 'pdfa-2b' | null
+ *     claimed: string | null (PDF/A level the output's XMP declares, e.g. 'pdfa-2b')
+ *     fixes: [{ code, message }] (changes made to the input, e.g. ENCRYPTION_REMOVED)
+ *     fontSubstitutions: [{ font, substitute }] (standard fonts embedded as look-alikes)
+ *   }
+ *   verificationQr: null | {
+ *     url: string (public verification URL the code encodes)
+ *     position: 'right' | 'left' | 'above' | 'below', size: number (points)
+ *     moduleCount: number, rect: { x, y, width, height } (PDF points)
+ *   }
+ *   storedVersion: null | {              (signing by reference, see documentStore)
+ *     fileId: ObjectId (GridFS file of the signed result)
+ *     version: number
+ *     branch: string
+ *     parentVersion: number (version that was signed)
+ *   }
+ *   envelope: null | {                    (signed as an envelope recipient, see envelopeStore)
+ *     envelopeId: string, recipientId: string
+ *     role: 'signer', fieldId: string (envelope field this placement filled)
+ *   }
+ *   evidence: null | {
+ *     fileName: string (embedded JSON attachment, 'signing-evidence.json')
+ *     size: number, sha256: string (hex, of the attachment)
+ *     passCount: number (signing passes recorded in the document)
+ *     signers: [string] ("Name <email>" of every signer so far)
  *   }
  *   integrityStatus: 'valid' | 'tampered' | 'pending'
  *   verifications: [
  *     {
  *       verifiedAt: Date
  *       verifiedBy: string
- *       status: 'valid' | 'invalid'
+ *       status: 'valid' | 'outdated' | 'invalid'
  *       hash: string
+ *       revision: 'original' | 'intermediate' | 'final' | null
  *     }
  *   ]
  *   metadata: {
@@ -48,13 +144,138 @@ const { MongoClient, Db, Collection } = require('mongodb');
  *     contactInfo: string
  *     customFields: { any }
  *   }
+ *   event: null | {                       (entry for an envelope event, not a signature;
+ *     type: 'signing_token.issued' | 'signing_token.opened' | 'signing_token.used' |
+ *       'envelope.declined' | 'envelope.delegated' | 'envelope.voided'
+ *     envelopeId: string, recipientId: string | null (null when the sender voids)
+ *     tokenId: string | null (signing link the action came with)
+ *     details: { expiresAt, delivery, userAgent, version, reason,
+ *       delegateRecipientId, delegateEmail, ... }
+ *   }                                     (such entries have no hashes, coordinates or
+ *                                          field data; signer is the recipient, or the
+ *                                          sender for envelope.voided)
+ *   chain: {                              (see auditChain)
+ *     sequence: number (position in the global chain, from 1)
+ *     documentSequence: number (position among the document's entries, from 1)
+ *     previousHash: string | null (entryHash of the previous entry overall)
+ *     previousDocumentHash: string | null (entryHash of the document's previous entry)
+ *     entryHash: string (SHA-256 of the content, without verification bookkeeping, and the links)
+ *   }
+ * }
+ *
+ * Checkpoint Structure (audit_checkpoints)
+ *
+ * {
+ *   _id: ObjectId
+ *   sequence: number, headHash: string, auditId: ObjectId (chain head when signed)
+ *   createdAt: Date
+ *   payload: string (the signed JSON)
+ *   signature: string (base64 DER PKCS#7, detached, server certificate)
+ *   certificate: string (PEM), certificateInfo: Object
+ *   timestamp: Object | null (RFC 3161 record when a TSA is configured)
  * }
+ *
+ * Export Manifest Structure (audit_exports)
+ *
+ * {
+ *   _id: string (export ID, 'exp-<uuid>')
+ *   format: 'csv' | 'jsonl' | 'pdf'
+ *   filters: { documentId, signer, from, to }
+ *   fileName: string
+ *   status: 'streaming' | 'complete' | 'failed'
+ *   createdAt: Date, completedAt: Date | null
+ *   chainHead: { sequence, entryHash } | null (newest chained entry when the export started)
+ *   entryCount: number, size: number (bytes), sha256: string (hex, of the exported file)
+ * }
+ */
+
+/**
+ * Email reduced to its first letter and domain (j***@example.com)
  */
+function maskEmail(email) {
+  const at = email ? email.indexOf('@') : -1;
+  if (at < 1) return null;
+  return `${email[0]}***${email.slice(at)}`;
+}
+
+/**
+ * Signing passes of a document, oldest first
+ *
+ * The entries of one sign-pdf request share their hashes; passes link up
+ * where one's originalHash is another's signedHash.
+ *
+ * @param {Array} entries - Audit entries of one document
+ * @returns {Array} [{ originalHash, signedHash, signedAt, entries }]
+ */
+function groupSigningPasses(entries) {
+  const passes = new Map();
+  for (const entry of [...entries].sort((a, b) => a.createdAt - b.createdAt)) {
+    const pass = passes.get(entry.signedHash);
+    if (pass) {
+      pass.entries.push(entry);
+    } else {
+      passes.set(entry.signedHash, {
+        originalHash: entry.originalHash,
+        signedHash: entry.signedHash,
+        signedAt: entry.createdAt,
+        entries: [entry]
+      });
+    }
+  }
+  return [...passes.values()];
+}
+
+/**
+ * Where a hash sits in a document's signing history
+ *
+ * @param {Array} passes - groupSigningPasses result
+ * @param {string} hash - SHA-256 of the submitted PDF
+ * @returns {Object|null} { revision: 'original' | 'intermediate' | 'final',
+ *   path (passes from the original up to the match), laterPasses }, or null
+ */
+function locateRevision(passes, hash) {
+  const bySignedHash = new Map(passes.map(pass => [pass.signedHash, pass]));
+  const matched = bySignedHash.get(hash);
+  if (!matched && !passes.some(pass => pass.originalHash === hash)) return null;
+
+  // Walk back to the original; the visited set guards against corrupt loops
+  const path = [];
+  const visited = new Set();
+  for (let pass = matched; pass && !visited.has(pass.signedHash); pass = bySignedHash.get(pass.originalHash)) {
+    visited.add(pass.signedHash);
+    path.unshift(pass);
+  }
+
+  // Passes signed from this revision or any later one (across branches)
+  const later = new Set();
+  const pending = [hash];
+  while (pending.length > 0) {
+    const from = pending.pop();
+    for (const pass of passes) {
+      if (pass.originalHash === from && !later.has(pass.signedHash) && pass.signedHash !== hash) {
+        later.add(pass.signedHash);
+        pending.push(pass.signedHash);
+      }
+    }
+  }
+
+  let revision = 'original';
+  if (matched) revision = later.size === 0 ? 'final' : 'intermediate';
+  return { revision, path, laterPasses: later.size };
+}
+
+const REVISION_STATUS = {
+  final: { status: 'valid', message: 'Document matches the latest signed version' },
+  intermediate: { status: 'outdated', message: 'Document is an earlier signed version; later signatures exist' },
+  original: { status: 'outdated', message: 'Document is the original, before any signature' }
+};
 
 class AuditSchema {
   constructor(db) {
     this.db = db;
     this.collection = db.collection('audit_logs');
+    this.checkpoints = db.collection('audit_checkpoints');
+    this.exports = db.collection('audit_exports');
   }
 
   /**
@@ -67,6 +288,35 @@ class AuditSchema {
     await this.collection.createIndex({ originalHash: 1 });
     await this.collection.createIndex({ signedHash: 1 });
     await this.collection.createIndex({ 'signer.email': 1 });
+
+    // Search filters and keyset pagination (sort field, then _id)
+    await this.collection.createIndex({ createdAt: -1, _id: -1 });
+    // signerName prefixes are anchored and case-sensitive, so they use it
+    await this.collection.createIndex({ 'signer.name': 1 });
+    await this.collection.createIndex({ integrityStatus: 1, createdAt: -1 });
+    await this.collection.createIndex({ pageIndex: 1, createdAt: -1 });
+    await this.collection.createIndex({ 'metadata.reason': 1, createdAt: -1 });
+
+    // Events and signatures of an envelope
+    await this.collection.createIndex(
+      { 'event.envelopeId': 1, createdAt: 1 },
+      { partialFilterExpression: { 'event.envelopeId': { $type: 'string' } } }
+    );
+    await this.collection.createIndex(
+      { 'envelope.envelopeId': 1, createdAt: 1 },
+      { partialFilterExpression: { 'envelope.envelopeId': { $type: 'string' } } }
+    );
+
+    // One entry per chain position; concurrent appends retry instead of forking
+    await this.collection.createIndex(
+      { 'chain.sequence': 1 },
+      { unique: true, partialFilterExpression: { 'chain.sequence': { $exists: true } } }
+    );
+    await this.collection.createIndex(
+      { documentId: 1, 'chain.documentSequence': 1 },
+      { unique: true, partialFilterExpression: { 'chain.documentSequence': { $exists: true } } }
+    );
+    await this.checkpoints.createIndex({ sequence: -1 });
   }
 
   /**
@@ -76,18 +326,24 @@ class AuditSchema {
    * @returns {Promise<Object>} Created document
    */
   async create(data) {
+    const trustedTime = data.trustedTimestamp ? new Date(data.trustedTimestamp.genTime) : null;
+
     const auditEntry = {
+      _id: new ObjectId(),
       documentId: data.documentId || null,
       originalHash: data.originalHash,
       signedHash: data.signedHash,
       createdAt: new Date(),
       updatedAt: new Date(),
       pageIndex: data.pageIndex || 0,
+      fieldType: data.fieldType || 'signature',
+      placementIndex: data.placementIndex || 0,
       signatureCount: data.signatureCount || 1,
       signer: {
         email: data.email || 'unknown',
         name: data.signerName || 'unknown',
-        timestamp: new Date()
+        timestamp: trustedTime || new Date(),
+        ipAddress: data.ipAddress || null
       },
       coordinates: {
         normalized: data.normalizedCoords || null,
@@ -97,30 +353,184 @@ class AuditSchema {
       imageMetadata: {
         originalDimensions: data.imageDimensions || null,
         fitDimensions: data.fitDimensions || null,
-        mimeType: data.imageType || 'image/png'
+        mimeType: data.imageType === undefined ? 'image/png' : data.imageType,
+        cleanup: data.imageCleanup || null,
+        flattened: data.imageFlattened || null
       },
+      appearance: data.appearance || null,
+      verificationQr: data.verificationQr || null,
+      fieldContent: data.fieldContent || null,
+      revision: data.revision || null,
+      certificateOfCompletion: data.certificateOfCompletion || null,
+      cryptographicSignature: data.cryptographicSignature || null,
+      trustedTimestamp: data.trustedTimestamp || null,
+      encryption: data.encryption || null,
+      conformance: data.conformance || null,
+      evidence: data.evidence || null,
+      storedVersion: data.storedVersion || null,
+      envelope: data.envelope || null,
       integrityStatus: 'valid',
       verifications: [],
       metadata: data.metadata || {}
     };
 
-    const result = await this.collection.insertOne(auditEntry);
-    return { _id: result.insertedId, ...auditEntry };
+    return this.appendToChain(stripUndefined(auditEntry));
+  }
+
+  /**
+   * Record an envelope event (see signingTokenStore, envelopeStore) in the chained log
+   * 
+   * Event entries sit beside the document's signatures; getAuditTrail and
+   * getSignerAuditTrail leave them out.
+   * 
+   * @param {Object} data - { documentId, type, envelopeId, recipientId, tokenId,
+   *   email, signerName, ipAddress, details }
+   * @returns {Promise<Object>} Created entry
+   */
+  async recordEvent(data) {
+    const now = new Date();
+    const auditEntry = {
+      _id: new ObjectId(),
+      documentId: data.documentId || null,
+      createdAt: now,
+      updatedAt: now,
+      event: {
+        type: data.type,
+        envelopeId: data.envelopeId || null,
+        recipientId: data.recipientId || null,
+        tokenId: data.tokenId || null,
+        details: data.details || {}
+      },
+      signer: {
+        email: data.email || 'unknown',
+        name: data.signerName || 'unknown',
+        timestamp: now,
+        ipAddress: data.ipAddress || null
+      },
+      metadata: {}
+    };
+
+    return this.appendToChain(stripUndefined(auditEntry));
+  }
+
+  /**
+   * Events recorded for an envelope, oldest first
+   * 
+   * @param {string} envelopeId - Envelope ID
+   * @returns {Promise<Array>} Event entries
+   */
+  async getEnvelopeEvents(envelopeId) {
+    return this.collection
+      .find({ 'event.envelopeId': envelopeId })
+      .sort({ createdAt: 1, _id: 1 })
+      .toArray();
+  }
+
+  /**
+   * Chain of custody of an envelope: its events and its signature entries,
+   * in the order they entered the chain
+   * 
+   * @param {string} envelopeId - Envelope ID
+   * @returns {Promise<Array>} Entries, oldest first
+   */
+  async getChainOfCustody(envelopeId) {
+    return this.collection
+      .find({ $or: [{ 'event.envelopeId': envelopeId }, { 'envelope.envelopeId': envelopeId }] })
+      .sort({ 'chain.sequence': 1, createdAt: 1, _id: 1 })
+      .toArray();
+  }
+
+  /**
+   * Insert an entry linked to the current heads of the global and document chains
+   * 
+   * @param {Object} auditEntry - Entry with _id
+   * @returns {Promise<Object>} Inserted entry, with its chain block
+   */
+  async appendToChain(auditEntry) {
+    for (let attempt = 1; ; attempt++) {
+      const [previous, previousInDocument] = await Promise.all([
+        this.collection.findOne(
+          { 'chain.sequence': { $exists: true } },
+          { sort: { 'chain.sequence': -1 }, projection: { chain: 1 } }
+        ),
+        this.collection.findOne(
+          { documentId: auditEntry.documentId, 'chain.documentSequence': { $exists: true } },
+          { sort: { 'chain.documentSequence': -1 }, projection: { chain: 1 } }
+        )
+      ]);
+
+      const entry = {
+        ...auditEntry,
+        chain: linkEntry(auditEntry, previous?.chain || null, previousInDocument?.chain || null)
+      };
+
+      try {
+        await this.collection.insertOne(entry);
+        return entry;
+      } catch (error) {
+        // Another entry took the position; link to it instead
+        if (error.code !== DUPLICATE_KEY || attempt === MAX_APPEND_ATTEMPTS) throw error;
+      }
+    }
   }
 
   /**
-   * Verify document integrity
+   * Match each audit entry's hashes against the revisions of a document
+   * 
+   * An originalHash that equals a byte-prefix revision proves the signed file
+   * was produced by appending to that exact original.
+   * 
+   * @param {Array} entries - Audit entries, newest first
+   * @param {Array} revisions - Revisions from incrementalUpdate.listRevisions
+   * @returns {Object} { status: 'valid' | 'mismatch', entries: [...] }
+   */
+  checkRevisions(entries, revisions) {
+    const results = entries.map(entry => {
+      const originalRevision = findRevisionByHash(revisions, entry.originalHash);
+      return {
+        auditId: entry._id,
+        placementIndex: entry.placementIndex,
+        originalHash: entry.originalHash,
+        signedHash: entry.signedHash,
+        originalRevision,
+        signedRevision: findRevisionByHash(revisions, entry.signedHash),
+        isPrefix: !!originalRevision
+      };
+    });
+
+    return {
+      status: results.every(result => result.isPrefix) ? 'valid' : 'mismatch',
+      revisionCount: revisions.length,
+      entries: results
+    };
+  }
+
+  /**
+   * Verify document integrity against the document's full signing history
+   * 
+   * The submitted hash is looked up among every pass, not only the newest:
+   * the untouched original or a copy from before the last signature is an
+   * outdated copy, not a forgery.
    * 
    * @param {string} documentId - Document to verify
    * @param {string} currentHash - Current PDF hash
-   * @returns {Promise<Object>} Verification result
+   * @param {Array} revisions - Revisions of the document (optional, see
+   *   checkRevisions; only the passes up to the match are checked)
+   * @returns {Promise<Object>} {
+   *   status: 'valid' | 'outdated' | 'tampered' | 'not_found', message,
+   *   match: null | {
+   *     revision: 'original' | 'intermediate' | 'final',
+   *     passNumber: number (signing passes applied, 0 for the original),
+   *     signatureCount: number (signatures applied),
+   *     signedAt: Date | null, laterPasses: number
+   *   },
+   *   signers: [{ name, email, signedAt, pageIndex, passNumber }] (up to the match),
+   *   originalHash, signedHash (of the matched pass, else the newest),
+   *   currentHash, originalCreated, revisions, verifiedAt
+   * }
    */
-  async verifyIntegrity(documentId, currentHash) {
-    const auditEntries = await this.collection
-      .find({ documentId })
-      .sort({ createdAt: -1 })
-      .limit(1)
-      .toArray();
+  async verifyIntegrity(documentId, currentHash, revisions = null) {
+    const auditEntries = await this.getAuditTrail(documentId);
 
     if (auditEntries.length === 0) {
       return {
@@ -130,7 +540,25 @@ class AuditSchema {
     }
 
     const latestEntry = auditEntries[0];
-    const isValid = latestEntry.signedHash === currentHash;
+    const passes = groupSigningPasses(auditEntries);
+    const located = locateRevision(passes, currentHash);
+    const { status, message } = located
+      ? REVISION_STATUS[located.revision]
+      : { status: 'tampered', message: 'Document matches no signed version; it has been tampered with' };
+
+    const signers = (located?.path || []).flatMap((pass, index) => pass.entries
+      .filter(entry => (entry.fieldType || 'signature') === 'signature')
+      .map(entry => ({
+        name: entry.signer.name,
+        email: entry.signer.email,
+        signedAt: entry.signer.timestamp,
+        pageIndex: entry.pageIndex,
+        passNumber: index + 1
+      })));
+    const matchedPass = located?.path[located.path.length - 1];
+    // The matched pass, the first pass over a matched original, else the newest entry
+    const referencePass = matchedPass || passes.find(pass => pass.originalHash === currentHash);
+    const reference = referencePass ? referencePass.entries[0] : latestEntry;
 
     // Record verification
     await this.collection.updateOne(
@@ -140,24 +568,39 @@ class AuditSchema {
           verifications: {
             verifiedAt: new Date(),
             verifiedBy: 'system',
-            status: isValid ? 'valid' : 'invalid',
-            hash: currentHash
+            status: status === 'tampered' ? 'invalid' : status,
+            hash: currentHash,
+            revision: located ? located.revision : null
           }
         },
         $set: {
-          integrityStatus: isValid ? 'valid' : 'tampered',
+          integrityStatus: status === 'tampered' ? 'tampered' : 'valid',
           updatedAt: new Date()
         }
       }
     );
 
     return {
-      status: isValid ? 'valid' : 'tampered',
-      message: isValid ? 'Document signature is valid' : 'Document has been tampered with',
-      originalHash: latestEntry.originalHash,
-      signedHash: latestEntry.signedHash,
+      status,
+      message,
+      match: located
+        ? {
+          revision: located.revision,
+          passNumber: located.path.length,
+          signatureCount: signers.length,
+          signedAt: matchedPass ? matchedPass.signedAt : null,
+          laterPasses: located.laterPasses
+        }
+        : null,
+      signers,
+      originalHash: reference.originalHash,
+      signedHash: reference.signedHash,
       currentHash,
-      originalCreated: latestEntry.createdAt,
+      originalCreated: reference.createdAt,
+      // Passes after the match (or on other branches) cannot be in this copy
+      revisions: revisions
+        ? this.checkRevisions(located ? located.path.flatMap(pass => pass.entries).reverse() : auditEntries, revisions)
+        : null,
       verifiedAt: new Date()
     };
   }
@@ -166,39 +609,293 @@ class AuditSchema {
    * Get audit trail for document
    * 
    * @param {string} documentId - Document to retrieve
-   * @returns {Promise<Array>} Audit entries
+   * @returns {Promise<Array>} Signature entries, newest first (without events)
    */
   async getAuditTrail(documentId) {
     return this.collection
-      .find({ documentId })
+      .find({ documentId, event: null })
       .sort({ createdAt: -1 })
       .toArray();
   }
 
+  /**
+   * Signature entries of the passes that produced a revision, oldest first
+   * 
+   * Only the chain ending at the hash counts; passes of other branches and
+   * unrelated uploads under the same ID are left out.
+   * 
+   * @param {string} documentId - Document ID
+   * @param {string} hash - SHA-256 of the revision
+   * @returns {Promise<Array>} Audit entries ([] for a revision nobody signed)
+   */
+  async getSigningHistory(documentId, hash) {
+    const located = locateRevision(groupSigningPasses(await this.getAuditTrail(documentId)), hash);
+    return located ? located.path.flatMap(pass => pass.entries) : [];
+  }
+
+  /**
+   * Public verification of a signing pass, as linked from its QR code
+   * 
+   * Needs no document upload: the pass is found by a prefix of the hash of
+   * the document it signed. Signer emails are masked, since anyone holding
+   * a printed copy can call this.
+   * 
+   * @param {string} documentId - Document ID
+   * @param {string} hashPrefix - Lowercase hex prefix of the pass's originalHash
+   * @returns {Promise<Object>} {
+   *   status: 'found' | 'not_found',
+   *   documentId, integrityStatus ('valid' | 'tampered' | 'pending', from the
+   *     latest verify-pdf check), lastVerifiedAt,
+   *   pass: { originalHash, signedHash, signedAt, signatureCount },
+   *   signers: [{ name, email (masked), signedAt, pageIndex, inThisPass }]
+   *     (every signature of the document, oldest first),
+   *   laterPasses: number (signing passes after this one)
+   * }
+   */
+  async getPublicVerification(documentId, hashPrefix) {
+    const entries = await this.getAuditTrail(documentId);
+    const matched = entries.filter(entry => (entry.originalHash || '').startsWith(hashPrefix));
+
+    if (matched.length === 0) {
+      return {
+        status: 'not_found',
+        message: 'No signing pass matches this verification code'
+      };
+    }
+
+    // Entries are newest first; a pass shares one signed hash
+    const pass = matched[matched.length - 1];
+    const latest = entries[0];
+    const lastVerification = latest.verifications?.[latest.verifications.length - 1];
+
+    const signers = entries
+      .filter(entry => (entry.fieldType || 'signature') === 'signature')
+      .reverse()
+      .map(entry => ({
+        name: entry.signer.name,
+        email: maskEmail(entry.signer.email),
+        signedAt: entry.signer.timestamp,
+        pageIndex: entry.pageIndex,
+        inThisPass: entry.signedHash === pass.signedHash
+      }));
+
+    return {
+      status: 'found',
+      documentId,
+      integrityStatus: latest.integrityStatus,
+      lastVerifiedAt: lastVerification ? lastVerification.verifiedAt : null,
+      pass: {
+        originalHash: pass.originalHash,
+        signedHash: pass.signedHash,
+        signedAt: pass.signer.timestamp,
+        signatureCount: pass.signatureCount
+      },
+      signers,
+      laterPasses: new Set(
+        entries.filter(entry => entry.createdAt > pass.createdAt && entry.signedHash !== pass.signedHash)
+          .map(entry => entry.signedHash)
+      ).size
+    };
+  }
+
+  /**
+   * Recompute the audit chain and report its first broken link
+   * 
+   * Without a documentId the global chain is checked against every signed
+   * checkpoint as well.
+   * 
+   * @param {string|null} documentId - Document whose chain to check, or null for all entries
+   * @param {Object|null} credentials - Server credentials; checkpoints signed by another certificate are flagged
+   * @returns {Promise<Object>} { scope, documentId, valid, checkedEntries,
+   *   unchainedEntries (written before chaining), head, brokenLink,
+   *   checkpoints: { count, latest, invalidSignatures, untrustedCertificates } | null }
+   */
+  async verifyChainIntegrity(documentId = null, credentials = null) {
+    const scope = documentId ? 'document' : 'global';
+    const sequenceField = documentId ? 'chain.documentSequence' : 'chain.sequence';
+    const filter = documentId ? { documentId } : {};
+
+    const checkpoints = documentId
+      ? []
+      : await this.checkpoints.find({}).sort({ sequence: 1 }).toArray();
+    const invalidSignatures = [];
+    const untrustedCertificates = [];
+    for (const checkpoint of checkpoints) {
+      if (!verifyCheckpointSignature(checkpoint)) invalidSignatures.push(checkpoint.sequence);
+      else if (credentials && checkpoint.certificateInfo?.fingerprint !== credentials.certificateInfo.fingerprint) {
+        untrustedCertificates.push(checkpoint.sequence);
+      }
+    }
+
+    const entries = this.collection
+      .find({ ...filter, [sequenceField]: { $exists: true } })
+      .sort({ [sequenceField]: 1 });
+    const result = await verifyChain(entries, { scope, checkpoints });
+    const unchainedEntries = await this.collection.countDocuments({ ...filter, chain: { $exists: false } });
+
+    const latest = checkpoints[checkpoints.length - 1];
+    return {
+      scope,
+      documentId,
+      ...result,
+      valid: result.valid && invalidSignatures.length === 0,
+      unchainedEntries,
+      checkpoints: documentId
+        ? null
+        : {
+          count: checkpoints.length,
+          latest: latest ? { sequence: latest.sequence, headHash: latest.headHash, createdAt: latest.createdAt } : null,
+          invalidSignatures,
+          untrustedCertificates
+        }
+    };
+  }
+
+  /**
+   * Sign a checkpoint of the global chain head
+   * 
+   * Nothing is written when the head has not moved since the last checkpoint.
+   * 
+   * @param {Object} credentials - Server signing credentials
+   * @param {Object} options - { timestampAuthority }
+   * @returns {Promise<Object|null>} { checkpoint, created }, or null for an empty chain
+   */
+  async recordCheckpoint(credentials, options = {}) {
+    const head = await this.collection.findOne(
+      { 'chain.sequence': { $exists: true } },
+      { sort: { 'chain.sequence': -1 }, projection: { chain: 1 } }
+    );
+    if (!head) return null;
+
+    const latest = await this.checkpoints.findOne({}, { sort: { sequence: -1 } });
+    if (latest && latest.sequence === head.chain.sequence) {
+      return { checkpoint: latest, created: false };
+    }
+
+    const checkpoint = await createCheckpoint(
+      { sequence: head.chain.sequence, entryHash: head.chain.entryHash, auditId: head._id },
+      credentials,
+      options
+    );
+    const result = await this.checkpoints.insertOne(checkpoint);
+    return { checkpoint: { _id: result.insertedId, ...checkpoint }, created: true };
+  }
+
+  /**
+   * Signed checkpoints, oldest first (for export)
+   * 
+   * @returns {Promise<Array>} Checkpoint records
+   */
+  async listCheckpoints() {
+    return this.checkpoints.find({}).sort({ sequence: 1 }).toArray();
+  }
+
   /**
    * Get signer's audit trail
    * 
    * @param {string} email - Signer email
-   * @returns {Promise<Array>} Documents signed by this person
+   * @returns {Promise<Array>} Documents signed by this person (without events)
    */
   async getSignerAuditTrail(email) {
     return this.collection
-      .find({ 'signer.email': email })
+      .find(buildSearchQuery({ signer: email, excludeEvents: true }))
       .sort({ createdAt: -1 })
       .toArray();
   }
 
   /**
-   * Search audit logs
+   * Entries matching export filters, oldest first, as a cursor
    * 
-   * @param {Object} query - MongoDB query object
-   * @returns {Promise<Array>} Matching audit entries
+   * @param {Object} filters - { documentId, signer, from, to } (Dates; to is exclusive)
+   * @returns {FindCursor} Audit entries, read as the export streams
    */
-  async search(query) {
+  findForExport(filters) {
     return this.collection
-      .find(query)
-      .sort({ createdAt: -1 })
+      .find(buildSearchQuery(filters))
+      .sort({ createdAt: 1, _id: 1 });
+  }
+
+  /**
+   * Number of entries matching export filters
+   * 
+   * @param {Object} filters - { documentId, signer, from, to }
+   * @returns {Promise<number>} Entry count
+   */
+  async countForExport(filters) {
+    return this.collection.countDocuments(buildSearchQuery(filters));
+  }
+
+  /**
+   * Record an export as it starts
+   * 
+   * @param {Object} manifest - { _id, format, filters, fileName }
+   * @returns {Promise<Object>} Stored manifest
+   */
+  async startExport(manifest) {
+    const head = await this.collection.findOne(
+      { 'chain.sequence': { $exists: true } },
+      { sort: { 'chain.sequence': -1 }, projection: { chain: 1 } }
+    );
+    const record = {
+      ...manifest,
+      status: 'streaming',
+      createdAt: new Date(),
+      completedAt: null,
+      chainHead: head ? { sequence: head.chain.sequence, entryHash: head.chain.entryHash } : null,
+      entryCount: 0,
+      size: 0,
+      sha256: null
+    };
+    await this.exports.insertOne(record);
+    return record;
+  }
+
+  /**
+   * Record how an export ended
+   * 
+   * @param {string} exportId - Export ID
+   * @param {Object} result - { status, entryCount, size, sha256 }
+   */
+  async finishExport(exportId, result) {
+    await this.exports.updateOne(
+      { _id: exportId },
+      { $set: { ...result, completedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Manifest of an export
+   * 
+   * @param {string} exportId - Export ID
+   * @returns {Promise<Object|null>} Manifest
+   */
+  async getExportManifest(exportId) {
+    return this.exports.findOne({ _id: exportId });
+  }
+
+  /**
+   * Search audit logs, one page at a time
+   * 
+   * @param {Object} search - parseSearchParams result: { filters, sort, limit, after }
+   * @returns {Promise<Object>} { entries, hasMore, nextCursor }
+   */
+  async search({ filters, sort, limit, after }) {
+    const query = buildSearchQuery(filters);
+    const order = pageOrder(sort, after);
+    const entries = await this.collection
+      .find(order.condition ? { $and: [query, order.condition] } : query)
+      .sort(order.sort)
+      .limit(limit + 1)
       .toArray();
+
+    const hasMore = entries.length > limit;
+    if (hasMore) entries.pop();
+
+    return {
+      entries,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(entries[entries.length - 1], sort) : null
+    };
   }
 }
 
@@ -0,0 +1,393 @@
+/**
+ * GRIDFS DOCUMENT STORE
+ *
+ * Keeps uploaded PDFs and every signed result in MongoDB GridFS, so signing
+ * can work on a stored document instead of a browser upload
+ *
+ * Versions form a tree: each signing pass stores the next version number with
+ * its parent version and branch. Signing continues the head of a branch
+ * ('main' unless named); signing an earlier version starts a new branch.
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { GridFSBucket } = require('mongodb');
+const { summarizeBranches } = require('../utils/versionChain');
+
+const BUCKET_NAME = 'documents';
+
+const DOCUMENT_ERRORS = {
+  notFound: 'DOCUMENT_NOT_FOUND',
+  exists: 'DOCUMENT_EXISTS',
+  versionConflict: 'DOCUMENT_VERSION_CONFLICT',
+  invalidId: 'DOCUMENT_ID_INVALID',
+  invalidBranch: 'DOCUMENT_BRANCH_INVALID',
+  notBranchHead: 'DOCUMENT_NOT_BRANCH_HEAD'
+};
+
+const DOCUMENT_ID_PATTERN = /^[\w.-]{1,128}$/;
+const BRANCH_PATTERN = /^[\w.-]{1,64}$/;
+const MAIN_BRANCH = 'main';
+const DUPLICATE_KEY = 11000;
+
+// Internal: the version number was stored by a pass on another branch
+const VERSION_TAKEN = 'VERSION_TAKEN';
+
+// Attempts at the next version number when another branch takes it first
+const MAX_VERSION_ATTEMPTS = 3;
+
+/**
+ * Stored File Structure (documents.files, one per version)
+ *
+ * {
+ *   _id: ObjectId (GridFS file ID)
+ *   filename: string (upload's file name)
+ *   length: number (bytes)
+ *   uploadDate: Date
+ *   metadata: {
+ *     documentId: string (shared by every version, = audit documentId)
+ *     version: number (1 = upload, then one per signing pass, across branches)
+ *     kind: 'original' | 'signed'
+ *     branch: string ('main', or the name given when signing an earlier version)
+ *     parentVersion: number | null (version this one was signed from)
+ *     contentType: 'application/pdf'
+ *     sha256: string (hex, of the stored bytes)
+ *     previousFileId: ObjectId | null (version this one was signed from)
+ *     originalHash: string | null (hash of that version, from the signing pass)
+ *     uploadedBy: string | null (uploader or signer email)
+ *     auditIds: [ObjectId] (audit_logs entries of the signing pass)
+ *   }
+ * }
+ */
+
+/**
+ * Error with a code the routes map to a status
+ */
+function documentError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Public description of a stored version
+ *
+ * @param {Object} file - documents.files entry
+ * @returns {Object} { fileId, version, kind, branch, parentVersion, fileName, size,
+ *   sha256, createdAt, previousFileId, originalHash, uploadedBy, auditIds }
+ */
+function describeVersion(file) {
+  const { metadata } = file;
+  return {
+    fileId: file._id,
+    version: metadata.version,
+    kind: metadata.kind,
+    branch: metadata.branch,
+    parentVersion: metadata.parentVersion,
+    fileName: file.filename,
+    size: file.length,
+    sha256: metadata.sha256,
+    createdAt: file.uploadDate,
+    previousFileId: metadata.previousFileId || null,
+    originalHash: metadata.originalHash || null,
+    uploadedBy: metadata.uploadedBy || null,
+    auditIds: metadata.auditIds || []
+  };
+}
+
+class DocumentStore {
+  constructor(db) {
+    this.db = db;
+    this.bucket = new GridFSBucket(db, { bucketName: BUCKET_NAME });
+    this.files = db.collection(`${BUCKET_NAME}.files`);
+    this.chunks = db.collection(`${BUCKET_NAME}.chunks`);
+  }
+
+  /**
+   * Initialize collection with indexes
+   *
+   * Version numbers are unique per document, and a version has at most one
+   * child per branch: two concurrent signings of a branch head become a
+   * conflict instead of two heads.
+   */
+  async initialize() {
+    await this.files.createIndex(
+      { 'metadata.documentId': 1, 'metadata.version': 1 },
+      { unique: true }
+    );
+    await this.files.createIndex(
+      { 'metadata.documentId': 1, 'metadata.branch': 1, 'metadata.parentVersion': 1 },
+      { unique: true }
+    );
+  }
+
+  /**
+   * Store an upload as version 1 of a new document
+   *
+   * @param {Buffer} pdfBuffer - PDF bytes
+   * @param {Object} options - { documentId (optional, generated when omitted), fileName, uploadedBy }
+   * @returns {Promise<Object>} { documentId, ...describeVersion }
+   */
+  async createDocument(pdfBuffer, options = {}) {
+    const documentId = options.documentId || `doc-${crypto.randomUUID()}`;
+    if (!DOCUMENT_ID_PATTERN.test(documentId)) {
+      throw documentError(DOCUMENT_ERRORS.invalidId, 'documentId may only contain letters, digits, _ . - (max 128)');
+    }
+    if (await this.getLatestVersion(documentId)) {
+      throw documentError(DOCUMENT_ERRORS.exists, `Document already exists: ${documentId}`);
+    }
+
+    const file = await this.writeVersion(pdfBuffer, {
+      documentId,
+      version: 1,
+      kind: 'original',
+      branch: MAIN_BRANCH,
+      parentVersion: null,
+      fileName: options.fileName,
+      uploadedBy: options.uploadedBy
+    });
+    return { documentId, ...describeVersion(file) };
+  }
+
+  /**
+   * Pick the stored version a signing pass starts from
+   *
+   * - Neither option: the head of 'main'
+   * - branch: the head of that branch
+   * - version: that version, which must be the head of its branch
+   * - version and branch: that version as the start of a new branch, or as
+   *   the head of an existing one
+   *
+   * @param {string} documentId - Document ID
+   * @param {Object} options - { version, branch }
+   * @returns {Promise<Object>} { source (documents.files entry), branch }
+   * @throws {Error} DOCUMENT_NOT_FOUND, DOCUMENT_BRANCH_INVALID or
+   *   DOCUMENT_NOT_BRANCH_HEAD
+   */
+  async resolveSigningSource(documentId, options = {}) {
+    const { version, branch } = options;
+    if (branch !== undefined && !BRANCH_PATTERN.test(branch)) {
+      throw documentError(DOCUMENT_ERRORS.invalidBranch, 'branch may only contain letters, digits, _ . - (max 64)');
+    }
+
+    if (version === undefined) {
+      const head = await this.getBranchHead(documentId, branch || MAIN_BRANCH);
+      if (!head) {
+        throw documentError(
+          DOCUMENT_ERRORS.notFound,
+          branch ? `Branch not found: ${documentId} ${branch}` : `Document not found: ${documentId}`
+        );
+      }
+      return { source: head, branch: head.metadata.branch };
+    }
+
+    const source = await this.getVersion(documentId, version);
+    if (!source) {
+      throw documentError(DOCUMENT_ERRORS.notFound, `Version not found: ${documentId} v${version}`);
+    }
+
+    const targetBranch = branch || source.metadata.branch;
+    const head = await this.getBranchHead(documentId, targetBranch);
+    if (head && !head._id.equals(source._id)) {
+      throw documentError(
+        DOCUMENT_ERRORS.notBranchHead,
+        `Version ${version} is not the head of branch ${targetBranch} (v${head.metadata.version}); name a new branch to sign it`
+      );
+    }
+    return { source, branch: targetBranch };
+  }
+
+  /**
+   * Store a signing pass's result as a child of the version it signed
+   *
+   * @param {Object} previous - documents.files entry that was signed
+   * @param {Buffer} pdfBuffer - Signed PDF bytes
+   * @param {Object} options - { originalHash, uploadedBy, branch (default: previous's) }
+   * @returns {Promise<Object>} describeVersion of the new version
+   * @throws {Error} DOCUMENT_VERSION_CONFLICT when another pass signed that
+   *   version on the same branch first
+   */
+  async addSignedVersion(previous, pdfBuffer, options = {}) {
+    const { documentId } = previous.metadata;
+
+    for (let attempt = 1; ; attempt++) {
+      const latest = await this.getLatestVersion(documentId);
+      try {
+        const file = await this.writeVersion(pdfBuffer, {
+          documentId,
+          version: latest.metadata.version + 1,
+          kind: 'signed',
+          branch: options.branch || previous.metadata.branch,
+          parentVersion: previous.metadata.version,
+          fileName: previous.filename,
+          previousFileId: previous._id,
+          originalHash: options.originalHash || null,
+          uploadedBy: options.uploadedBy
+        });
+        return describeVersion(file);
+      } catch (error) {
+        // A pass on another branch took the number; the branch is still free
+        if (error.code !== VERSION_TAKEN || attempt === MAX_VERSION_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  /**
+   * Upload bytes to GridFS with version metadata
+   *
+   * @returns {Promise<Object>} The documents.files entry
+   */
+  async writeVersion(pdfBuffer, details) {
+    const metadata = {
+      documentId: details.documentId,
+      version: details.version,
+      kind: details.kind,
+      branch: details.branch,
+      parentVersion: details.parentVersion,
+      contentType: 'application/pdf',
+      sha256: crypto.createHash('sha256').update(pdfBuffer).digest('hex'),
+      previousFileId: details.previousFileId || null,
+      originalHash: details.originalHash || null,
+      uploadedBy: details.uploadedBy || null,
+      auditIds: []
+    };
+    const upload = this.bucket.openUploadStream(details.fileName || `${details.documentId}.pdf`, { metadata });
+
+    try {
+      await pipeline(Readable.from([pdfBuffer]), upload);
+    } catch (error) {
+      // The files entry failed after the chunks were written
+      await this.chunks.deleteMany({ files_id: upload.id });
+      if (error.code === DUPLICATE_KEY && !error.keyPattern?.['metadata.branch']) {
+        throw documentError(VERSION_TAKEN, `Version ${details.version} of ${details.documentId} is taken`);
+      }
+      if (error.code === DUPLICATE_KEY) {
+        throw documentError(
+          DOCUMENT_ERRORS.versionConflict,
+          `Version ${details.parentVersion} of ${details.documentId} was signed on ${details.branch} by another request`
+        );
+      }
+      throw error;
+    }
+
+    return this.files.findOne({ _id: upload.id });
+  }
+
+  /**
+   * Record the audit entries of the signing pass that produced a version
+   *
+   * @param {ObjectId} fileId - Version's GridFS file ID
+   * @param {Array} auditIds - audit_logs _ids
+   */
+  async linkAuditEntries(fileId, auditIds) {
+    await this.files.updateOne(
+      { _id: fileId },
+      { $push: { 'metadata.auditIds': { $each: auditIds } } }
+    );
+  }
+
+  /**
+   * Newest version of a document
+   *
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} documents.files entry
+   */
+  async getLatestVersion(documentId) {
+    return this.files.findOne(
+      { 'metadata.documentId': documentId },
+      { sort: { 'metadata.version': -1 } }
+    );
+  }
+
+  /**
+   * Newest version on a branch
+   *
+   * @param {string} documentId - Document ID
+   * @param {string} branch - Branch name
+   * @returns {Promise<Object|null>} documents.files entry
+   */
+  async getBranchHead(documentId, branch) {
+    return this.files.findOne(
+      { 'metadata.documentId': documentId, 'metadata.branch': branch },
+      { sort: { 'metadata.version': -1 } }
+    );
+  }
+
+  /**
+   * One stored version
+   *
+   * @param {string} documentId - Document ID
+   * @param {number} version - Version number
+   * @returns {Promise<Object|null>} documents.files entry
+   */
+  async getVersion(documentId, version) {
+    return this.files.findOne({ 'metadata.documentId': documentId, 'metadata.version': version });
+  }
+
+  /**
+   * Every stored version, oldest first
+   *
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Array>} describeVersion entries
+   */
+  async listVersions(documentId) {
+    const files = await this.files
+      .find({ 'metadata.documentId': documentId })
+      .sort({ 'metadata.version': 1 })
+      .toArray();
+    return files.map(describeVersion);
+  }
+
+  /**
+   * Document with every stored version, oldest first
+   *
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} { documentId, fileName, createdAt, latestVersion,
+   *   branches, versions }
+   */
+  async getDocument(documentId) {
+    const versions = await this.listVersions(documentId);
+    if (versions.length === 0) return null;
+
+    return {
+      documentId,
+      fileName: versions[0].fileName,
+      createdAt: versions[0].createdAt,
+      latestVersion: versions[versions.length - 1].version,
+      branches: summarizeBranches(versions),
+      versions
+    };
+  }
+
+  /**
+   * Read a stored version into memory (for signing)
+   *
+   * @param {Object} file - documents.files entry
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async readVersion(file) {
+    const chunks = [];
+    for await (const chunk of this.bucket.openDownloadStream(file._id)) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Stream a stored version (for downloads)
+   *
+   * @param {Object} file - documents.files entry
+   * @returns {GridFSBucketReadStream} Readable stream of the PDF bytes
+   */
+  openDownloadStream(file) {
+    return this.bucket.openDownloadStream(file._id);
+  }
+}
+
+module.exports = DocumentStore;
+module.exports.DOCUMENT_ERRORS = DOCUMENT_ERRORS;
+module.exports.describeVersion = describeVersion;
+module.exports.MAIN_BRANCH = MAIN_BRANCH;
+module.exports.DOCUMENT_ID_PATTERN = DOCUMENT_ID_PATTERN;
+module.exports.BRANCH_PATTERN = BRANCH_PATTERN;
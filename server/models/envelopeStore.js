@@ -0,0 +1,425 @@
+/**
+ * ENVELOPE STORE
+ *
+ * Multi-signer envelopes over stored documents (see envelopeRouting for the
+ * rules). Each signing pass is recorded on its recipient with one atomic
+ * update, so parallel signers never overwrite each other; the document's
+ * version chain already refuses two passes over the same branch head.
+ *
+ * Declining, delegating and voiding are recorded in the audit log as events
+ * of the envelope, so its entries there are the whole chain of custody.
+ */
+
+const crypto = require('crypto');
+const DocumentStore = require('./documentStore');
+const AuditSchema = require('./auditSchema');
+const SigningTokenStore = require('./signingTokenStore');
+const {
+  normalizeEnvelope,
+  allSigned,
+  createSeal,
+  delegateRecipient,
+  envelopeError,
+  ENVELOPE_STATUS,
+  ACTIVE_STATUSES,
+  ENVELOPE_EVENTS,
+  ENVELOPE_ERRORS
+} = require('../utils/envelopeRouting');
+
+/**
+ * Envelope Structure (envelopes)
+ *
+ * {
+ *   _id: string ('env-<uuid>')
+ *   documentId: string (document stored with POST /api/documents)
+ *   branch: string (branch the signers sign, default 'main')
+ *   title: string | null
+ *   routing: 'sequential' | 'parallel'
+ *   status: 'draft' | 'sent' | 'in-progress' | 'completed' | 'declined' | 'voided'
+ *   recipients: [{
+ *     id: string ('r1', 'r2', ... in routing order)
+ *     email: string (lowercase), name: string
+ *     role: 'signer' | 'cc'
+ *     routingOrder: number (from 1)
+ *     status: 'pending' | 'completed' | 'declined' | 'delegated' | null (cc)
+ *     completedAt: Date | null
+ *     signingPass: null | { version, signedHash, auditIds } (stored version it produced)
+ *     declinedAt: Date, declineReason: string | null  (declined)
+ *     delegatedTo: string, delegatedAt: Date, delegationReason: string | null
+ *       (delegated: recipient ID of the delegate, who now holds their fields)
+ *     delegatedFrom: string (delegate: recipient ID they stand in for)
+ *   }]
+ *   fields: [{
+ *     id: string, recipientId: string
+ *     fieldType: 'signature' | 'image' | 'text' | 'date' | 'radio' | 'checkbox'
+ *     required: boolean, label: string | null
+ *     coordinates: { frontend, container, pageIndex }, pageSize: { width, height } | null
+ *     formField: string | null, formOption: string | null
+ *   }]
+ *   lock: string | undefined ('<documentId>/<branch>' once sent; unique, so
+ *     one envelope at a time holds a branch; kept once the envelope ends, so a
+ *     voided or declined document is not signed further)
+ *   createdBy: string | null
+ *   createdAt, updatedAt: Date
+ *   sentAt, completedAt: Date | null
+ *   declinedAt: Date (declined), voidedAt: Date, voidReason: string,
+ *     voidedBy: string | null (voided)
+ *   seal: null | {                        (set when the last signer finishes)
+ *     sealedAt: Date, version: number, sha256: string (final document)
+ *     payload: string (canonical JSON of the envelope outcome), payloadHash: string
+ *     signature: string | null (base64 DER PKCS#7, detached, server certificate)
+ *     certificate: string | null (PEM), certificateInfo, timestamp
+ *   }
+ * }
+ */
+
+const DUPLICATE_KEY = 11000;
+
+function branchLock(documentId, branch) {
+  return `${documentId}/${branch}`;
+}
+
+class EnvelopeStore {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection('envelopes');
+  }
+
+  /**
+   * Initialize collection with indexes
+   */
+  async initialize() {
+    await this.collection.createIndex(
+      { lock: 1 },
+      { unique: true, partialFilterExpression: { lock: { $type: 'string' } } }
+    );
+    await this.collection.createIndex({ documentId: 1, branch: 1 });
+    await this.collection.createIndex({ 'recipients.email': 1, status: 1 });
+  }
+
+  /**
+   * Store a new envelope as a draft
+   *
+   * @param {Object} input - Envelope definition (see normalizeEnvelope)
+   * @param {Object} options - { createdBy }
+   * @returns {Promise<Object>} Stored envelope
+   * @throws {Error} ENVELOPE_INVALID, or DOCUMENT_NOT_FOUND / DOCUMENT_BRANCH_INVALID
+   *   for the document
+   */
+  async createEnvelope(input, options = {}) {
+    const definition = normalizeEnvelope(input);
+    const { branch } = await new DocumentStore(this.db)
+      .resolveSigningSource(definition.documentId, { branch: definition.branch });
+
+    const now = new Date();
+    const envelope = {
+      _id: `env-${crypto.randomUUID()}`,
+      ...definition,
+      branch,
+      status: ENVELOPE_STATUS.draft,
+      createdBy: options.createdBy || null,
+      createdAt: now,
+      updatedAt: now,
+      sentAt: null,
+      completedAt: null,
+      seal: null
+    };
+    await this.collection.insertOne(envelope);
+    return envelope;
+  }
+
+  /**
+   * One envelope
+   *
+   * @param {string} envelopeId - Envelope ID
+   * @returns {Promise<Object>} Stored envelope
+   * @throws {Error} ENVELOPE_NOT_FOUND
+   */
+  async getEnvelope(envelopeId) {
+    const envelope = await this.collection.findOne({ _id: String(envelopeId) });
+    if (!envelope) {
+      throw envelopeError(ENVELOPE_ERRORS.notFound, `Envelope not found: ${envelopeId}`);
+    }
+    return envelope;
+  }
+
+  /**
+   * Envelope that holds a document branch, if any
+   *
+   * Once sent, only the envelope's signers sign that branch.
+   *
+   * @param {string} documentId - Document ID
+   * @param {string} branch - Branch name
+   * @returns {Promise<Object|null>} Stored envelope
+   */
+  async findLockingEnvelope(documentId, branch) {
+    return this.collection.findOne({ lock: branchLock(documentId, branch) });
+  }
+
+  /**
+   * Send a draft: signing opens for the first signers
+   *
+   * @param {string} envelopeId - Envelope ID
+   * @returns {Promise<Object>} Updated envelope
+   * @throws {Error} ENVELOPE_NOT_FOUND, ENVELOPE_NOT_ACTIVE (already sent),
+   *   ENVELOPE_DOCUMENT_LOCKED (another envelope holds the branch)
+   */
+  async sendEnvelope(envelopeId) {
+    const envelope = await this.getEnvelope(envelopeId);
+    if (envelope.status !== ENVELOPE_STATUS.draft) {
+      throw envelopeError(ENVELOPE_ERRORS.notActive, `Envelope ${envelopeId} was already sent`);
+    }
+
+    const now = new Date();
+    let updated;
+    try {
+      updated = await this.collection.findOneAndUpdate(
+        { _id: envelope._id, status: ENVELOPE_STATUS.draft },
+        {
+          $set: {
+            status: ENVELOPE_STATUS.sent,
+            lock: branchLock(envelope.documentId, envelope.branch),
+            sentAt: now,
+            updatedAt: now
+          }
+        },
+        { returnDocument: 'after' }
+      );
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+      const holder = await this.findLockingEnvelope(envelope.documentId, envelope.branch);
+      throw envelopeError(
+        ENVELOPE_ERRORS.documentLocked,
+        `Branch ${envelope.branch} of ${envelope.documentId} belongs to envelope ${holder?._id || 'another envelope'}`
+      );
+    }
+    if (!updated) {
+      throw envelopeError(ENVELOPE_ERRORS.conflict, `Envelope ${envelopeId} changed while it was being sent`);
+    }
+    return updated;
+  }
+
+  /**
+   * Record a recipient's signing pass; the envelope moves to in-progress,
+   * or to completed when it was the last signer
+   *
+   * @param {string} envelopeId - Envelope ID
+   * @param {string} recipientId - Recipient who signed
+   * @param {Object} signingPass - { version, signedHash, auditIds }
+   * @returns {Promise<Object>} Updated envelope (status completed when every signer is done)
+   * @throws {Error} ENVELOPE_CONFLICT when the recipient was recorded by another request
+   */
+  async recordSigning(envelopeId, recipientId, signingPass) {
+    const now = new Date();
+    const updated = await this.collection.findOneAndUpdate(
+      {
+        _id: envelopeId,
+        status: { $in: [ENVELOPE_STATUS.sent, ENVELOPE_STATUS.inProgress] },
+        recipients: { $elemMatch: { id: recipientId, status: 'pending' } }
+      },
+      {
+        $set: {
+          'recipients.$.status': 'completed',
+          'recipients.$.completedAt': now,
+          'recipients.$.signingPass': signingPass,
+          status: ENVELOPE_STATUS.inProgress,
+          updatedAt: now
+        }
+      },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      throw envelopeError(ENVELOPE_ERRORS.conflict, `Signing of envelope ${envelopeId} was already recorded`);
+    }
+
+    if (!allSigned(updated.recipients)) return updated;
+
+    const completed = await this.collection.findOneAndUpdate(
+      { _id: envelopeId, status: ENVELOPE_STATUS.inProgress },
+      { $set: { status: ENVELOPE_STATUS.completed, completedAt: now, updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+    return completed || updated;
+  }
+
+  /**
+   * A pending signer refuses to sign; the envelope ends as declined and every
+   * outstanding signing link is revoked
+   *
+   * @param {string} envelopeId - Envelope ID
+   * @param {Object} recipient - Pending signer (see findPendingSigner)
+   * @param {Object} options - { reason, ipAddress, tokenId (link the request came with) }
+   * @returns {Promise<Object>} Updated envelope
+   * @throws {Error} ENVELOPE_CONFLICT when the envelope or recipient changed meanwhile
+   */
+  async declineRecipient(envelopeId, recipient, options = {}) {
+    const now = new Date();
+    const reason = options.reason || null;
+    const updated = await this.collection.findOneAndUpdate(
+      {
+        _id: envelopeId,
+        status: { $in: ACTIVE_STATUSES },
+        recipients: { $elemMatch: { id: recipient.id, status: 'pending' } }
+      },
+      {
+        $set: {
+          'recipients.$.status': 'declined',
+          'recipients.$.declinedAt': now,
+          'recipients.$.declineReason': reason,
+          status: ENVELOPE_STATUS.declined,
+          declinedAt: now,
+          updatedAt: now
+        }
+      },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      throw envelopeError(ENVELOPE_ERRORS.conflict, `Envelope ${envelopeId} changed before ${recipient.email} could decline`);
+    }
+
+    // Links already sent out stop working with the envelope
+    await new SigningTokenStore(this.db).revokeTokens(updated._id);
+
+    await this.recordEvent(updated, ENVELOPE_EVENTS.declined, recipient, {
+      ...options,
+      details: { reason }
+    });
+    return updated;
+  }
+
+  /**
+   * A pending signer hands their place and fields to another email
+   *
+   * @param {string} envelopeId - Envelope ID
+   * @param {Object} recipient - Pending signer (see findPendingSigner)
+   * @param {Object} delegate - { email, name }
+   * @param {Object} options - { reason, ipAddress, tokenId }
+   * @returns {Promise<Object>} { envelope (updated), delegate (new recipient) }
+   * @throws {Error} ENVELOPE_INVALID for the delegate, ENVELOPE_CONFLICT when
+   *   the envelope changed meanwhile
+   */
+  async delegateRecipient(envelopeId, recipient, delegate, options = {}) {
+    const envelope = await this.getEnvelope(envelopeId);
+    const now = new Date();
+    const reason = options.reason || null;
+    const change = delegateRecipient(envelope, recipient, delegate, { reason, now });
+
+    // The new recipient and field lists replace the ones read above, so any
+    // change in between (a signature, another delegation) fails the update
+    const updated = await this.collection.findOneAndUpdate(
+      {
+        _id: envelope._id,
+        status: { $in: ACTIVE_STATUSES },
+        updatedAt: envelope.updatedAt,
+        recipients: { $elemMatch: { id: recipient.id, status: 'pending' } }
+      },
+      { $set: { recipients: change.recipients, fields: change.fields, updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      throw envelopeError(ENVELOPE_ERRORS.conflict, `Envelope ${envelopeId} changed before ${recipient.email} could delegate`);
+    }
+
+    // The delegator's links stop working; the delegate gets their own
+    await new SigningTokenStore(this.db).revokeTokens(envelope._id, recipient.id);
+    await this.recordEvent(updated, ENVELOPE_EVENTS.delegated, recipient, {
+      ...options,
+      details: {
+        reason,
+        delegateRecipientId: change.delegate.id,
+        delegateEmail: change.delegate.email,
+        delegateName: change.delegate.name,
+        fieldIds: change.fields.filter(f => f.recipientId === change.delegate.id).map(f => f.id)
+      }
+    });
+    return { envelope: updated, delegate: change.delegate };
+  }
+
+  /**
+   * The sender cancels an envelope that is not completed; no one signs it
+   * further, and every outstanding signing link is revoked
+   *
+   * @param {string} envelopeId - Envelope ID
+   * @param {Object} options - { reason, voidedBy (email), ipAddress }
+   * @returns {Promise<Object>} Updated envelope
+   * @throws {Error} ENVELOPE_NOT_FOUND, ENVELOPE_NOT_ACTIVE (completed,
+   *   declined), ENVELOPE_VOIDED (already voided)
+   */
+  async voidEnvelope(envelopeId, options = {}) {
+    const envelope = await this.getEnvelope(envelopeId);
+    if (envelope.status === ENVELOPE_STATUS.voided) {
+      throw envelopeError(ENVELOPE_ERRORS.voided, `Envelope ${envelopeId} was already voided`);
+    }
+    if (![ENVELOPE_STATUS.draft, ...ACTIVE_STATUSES].includes(envelope.status)) {
+      throw envelopeError(ENVELOPE_ERRORS.notActive, `Envelope ${envelopeId} is ${envelope.status} and cannot be voided`);
+    }
+
+    const now = new Date();
+    const voidedBy = options.voidedBy || envelope.createdBy || null;
+    const updated = await this.collection.findOneAndUpdate(
+      { _id: envelope._id, status: envelope.status },
+      {
+        $set: {
+          status: ENVELOPE_STATUS.voided,
+          voidedAt: now,
+          voidReason: options.reason,
+          voidedBy,
+          updatedAt: now
+        }
+      },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      throw envelopeError(ENVELOPE_ERRORS.conflict, `Envelope ${envelopeId} changed while it was being voided`);
+    }
+
+    await new SigningTokenStore(this.db).revokeTokens(updated._id);
+
+    await this.recordEvent(updated, ENVELOPE_EVENTS.voided, { email: voidedBy }, {
+      ...options,
+      details: { reason: options.reason, previousStatus: envelope.status }
+    });
+    return updated;
+  }
+
+  /**
+   * Record a recipient or sender action in the audit log
+   *
+   * @param {Object} envelope - Updated envelope
+   * @param {string} type - ENVELOPE_EVENTS value
+   * @param {Object} actor - Recipient ({ id, email, name }) or { email } of the sender
+   * @param {Object} options - { ipAddress, tokenId, details }
+   */
+  async recordEvent(envelope, type, actor, options = {}) {
+    await new AuditSchema(this.db).recordEvent({
+      documentId: envelope.documentId,
+      type,
+      envelopeId: envelope._id,
+      recipientId: actor.id || null,
+      tokenId: options.tokenId || null,
+      email: actor.email,
+      signerName: actor.name || actor.email,
+      ipAddress: options.ipAddress,
+      details: options.details
+    });
+  }
+
+  /**
+   * Seal a completed envelope
+   *
+   * @param {Object} envelope - Completed envelope
+   * @param {Object|null} credentials - Server signing credentials (unsigned seal without)
+   * @param {Object} options - { timestampAuthority }
+   * @returns {Promise<Object>} Envelope with its seal
+   */
+  async sealEnvelope(envelope, credentials, options = {}) {
+    const seal = await createSeal(envelope, credentials, options);
+    await this.collection.updateOne(
+      { _id: envelope._id, seal: null },
+      { $set: { seal, updatedAt: new Date() } }
+    );
+    return { ...envelope, seal };
+  }
+}
+
+module.exports = EnvelopeStore;
@@ -0,0 +1,288 @@
+/**
+ * SIGNING TOKEN STORE
+ *
+ * Invitation links for envelope signers (see signingTokens for the rules).
+ * Issuing mails the link through a mail transport; issuing, opening and
+ * using a token are each recorded as an event in the audit log. A token is
+ * claimed with one atomic update, so two requests never sign with it.
+ */
+
+const crypto = require('crypto');
+const AuditSchema = require('./auditSchema');
+const { currentRecipients } = require('../utils/envelopeRouting');
+const {
+  generateSigningToken,
+  hashSigningToken,
+  isWellFormedToken,
+  checkTokenUsable,
+  signingLink,
+  buildInvitation,
+  getSigningTokenTtl,
+  signingTokenError,
+  SIGNING_TOKEN_ERRORS,
+  SIGNING_EVENTS
+} = require('../utils/signingTokens');
+
+/**
+ * Signing Token Structure (signing_tokens)
+ *
+ * {
+ *   _id: string ('tok-<uuid>', recorded in audit events; not a credential)
+ *   tokenHash: string (SHA-256 hex of the link token; unique)
+ *   envelopeId: string, recipientId: string
+ *   email: string (recipient the token signs as)
+ *   documentId: string
+ *   createdAt, expiresAt: Date
+ *   openedAt: Date | null (first opened), lastOpenedAt: Date | null, openCount: number
+ *   usedAt: Date | null (claimed by a signing pass)
+ *   revokedAt: Date | null (replaced by a newer invitation, the recipient delegated,
+ *     or the envelope was declined or voided)
+ *   delivery: null | {
+ *     transport: 'smtp' | 'outbox', messageId: string | null
+ *     sentAt: Date | null, error: string | null
+ *   }
+ * }
+ */
+
+class SigningTokenStore {
+  constructor(db) {
+    this.db = db;
+    this.collection = db.collection('signing_tokens');
+  }
+
+  /**
+   * Initialize collection with indexes
+   */
+  async initialize() {
+    await this.collection.createIndex({ tokenHash: 1 }, { unique: true });
+    await this.collection.createIndex({ envelopeId: 1, recipientId: 1, createdAt: -1 });
+  }
+
+  /**
+   * Issue a token for a recipient; earlier unused tokens of the recipient are revoked
+   *
+   * @param {Object} envelope - Stored envelope
+   * @param {Object} recipient - Envelope recipient
+   * @param {Object} options - { ttl (ms, default SIGNING_TOKEN_TTL_HOURS) }
+   * @returns {Promise<Object>} { token (plain, for the link only), record }
+   */
+  async issueToken(envelope, recipient, options = {}) {
+    const now = new Date();
+    await this.revokeTokens(envelope._id, recipient.id);
+
+    const { token, tokenHash } = generateSigningToken();
+    const record = {
+      _id: `tok-${crypto.randomUUID()}`,
+      tokenHash,
+      envelopeId: envelope._id,
+      recipientId: recipient.id,
+      email: recipient.email,
+      documentId: envelope.documentId,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + (options.ttl || getSigningTokenTtl())),
+      openedAt: null,
+      lastOpenedAt: null,
+      openCount: 0,
+      usedAt: null,
+      revokedAt: null,
+      delivery: null
+    };
+    await this.collection.insertOne(record);
+    return { token, record };
+  }
+
+  /**
+   * Withdraw unused tokens of a recipient, or of every recipient of an envelope
+   *
+   * @param {string} envelopeId - Envelope ID
+   * @param {string} recipientId - Recipient ID (all recipients when omitted)
+   */
+  async revokeTokens(envelopeId, recipientId = null) {
+    await this.collection.updateMany(
+      { envelopeId, ...(recipientId ? { recipientId } : {}), usedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Stored token for a link token, if it can still be used
+   *
+   * @param {string} token - Token from a signing link
+   * @returns {Promise<Object>} Stored token
+   * @throws {Error} SIGNING_TOKEN_INVALID, _EXPIRED, _USED or _REVOKED
+   */
+  async resolveToken(token) {
+    const record = isWellFormedToken(token)
+      ? await this.collection.findOne({ tokenHash: hashSigningToken(token) })
+      : null;
+    return checkTokenUsable(record);
+  }
+
+  /**
+   * Unused, unexpired token of a recipient, if any
+   *
+   * @param {string} envelopeId - Envelope ID
+   * @param {string} recipientId - Recipient ID
+   * @returns {Promise<Object|null>} Stored token
+   */
+  async findActiveToken(envelopeId, recipientId) {
+    return this.collection.findOne({
+      envelopeId,
+      recipientId,
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  /**
+   * Spend a token for a signing pass
+   *
+   * @param {string} token - Token from a signing link
+   * @returns {Promise<Object>} Stored token, with usedAt set
+   * @throws {Error} SIGNING_TOKEN_* codes when it cannot be used (or another
+   *   request spent it first)
+   */
+  async claimToken(token) {
+    const record = await this.resolveToken(token);
+    const now = new Date();
+    const claimed = await this.collection.findOneAndUpdate(
+      { _id: record._id, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } },
+      { returnDocument: 'after' }
+    );
+    if (!claimed) {
+      checkTokenUsable(await this.collection.findOne({ _id: record._id }), now);
+      throw signingTokenError(SIGNING_TOKEN_ERRORS.used, 'Signing link was already used');
+    }
+    return claimed;
+  }
+
+  /**
+   * Give back a claimed token when its signing pass failed
+   *
+   * @param {Object} record - Claimed token
+   */
+  async releaseToken(record) {
+    await this.collection.updateOne(
+      { _id: record._id, usedAt: record.usedAt },
+      { $set: { usedAt: null } }
+    );
+  }
+
+  /**
+   * Count an opening of the signing view and record it in the audit log
+   *
+   * @param {Object} record - Stored token
+   * @param {Object} recipient - Envelope recipient
+   * @param {Object} request - { ipAddress, userAgent }
+   */
+  async recordOpened(record, recipient, request = {}) {
+    const now = new Date();
+    await this.collection.updateOne(
+      { _id: record._id },
+      {
+        $set: { openedAt: record.openedAt || now, lastOpenedAt: now },
+        $inc: { openCount: 1 }
+      }
+    );
+    await new AuditSchema(this.db).recordEvent({
+      ...this.eventFields(record, recipient, SIGNING_EVENTS.opened),
+      ipAddress: request.ipAddress,
+      details: { openCount: (record.openCount || 0) + 1, userAgent: request.userAgent || null }
+    });
+  }
+
+  /**
+   * Record in the audit log that a token signed a pass
+   *
+   * @param {Object} record - Claimed token
+   * @param {Object} recipient - Envelope recipient
+   * @param {Object} request - { ipAddress, version, signedHash, auditIds }
+   */
+  async recordUsed(record, recipient, request = {}) {
+    await new AuditSchema(this.db).recordEvent({
+      ...this.eventFields(record, recipient, SIGNING_EVENTS.used),
+      ipAddress: request.ipAddress,
+      details: {
+        version: request.version ?? null,
+        signedHash: request.signedHash || null,
+        auditIds: request.auditIds || []
+      }
+    });
+  }
+
+  /**
+   * Invite the envelope's current signers: issue a token each, mail the link
+   * and record the issue in the audit log
+   *
+   * Signers who already hold an active token are skipped unless reissue is
+   * set, so a parallel envelope invites everyone once and a sequential one
+   * invites each signer as their turn comes.
+   *
+   * @param {Object} envelope - Stored envelope (sent or in progress)
+   * @param {Object} options - { transport (mail transport), baseUrl (signing
+   *   links), recipientIds (limit to these), reissue, ipAddress, ttl }
+   * @returns {Promise<Array>} [{ recipientId, email, tokenId, expiresAt,
+   *   delivery: { transport, messageId, sentAt, error } }]
+   */
+  async inviteRecipients(envelope, options = {}) {
+    const { transport, baseUrl, recipientIds, reissue, ipAddress, ttl } = options;
+    const auditSchema = new AuditSchema(this.db);
+    const invitations = [];
+
+    for (const recipient of currentRecipients(envelope)) {
+      if (recipientIds && !recipientIds.includes(recipient.id)) continue;
+      if (!reissue && await this.findActiveToken(envelope._id, recipient.id)) continue;
+
+      const { token, record } = await this.issueToken(envelope, recipient, { ttl });
+      const message = buildInvitation(envelope, recipient, {
+        link: signingLink(baseUrl, token),
+        expiresAt: record.expiresAt,
+        fieldCount: envelope.fields.filter(f => f.recipientId === recipient.id).length
+      });
+
+      // A failed delivery leaves the token usable; it can be reissued
+      let delivery;
+      try {
+        const sent = await transport.send(message);
+        delivery = { transport: sent.transport, messageId: sent.messageId, sentAt: new Date(), error: null };
+      } catch (error) {
+        delivery = { transport: transport.type || null, messageId: null, sentAt: null, error: error.message };
+      }
+      await this.collection.updateOne({ _id: record._id }, { $set: { delivery } });
+
+      await auditSchema.recordEvent({
+        ...this.eventFields(record, recipient, SIGNING_EVENTS.issued),
+        ipAddress,
+        details: { expiresAt: record.expiresAt, reissue: !!reissue, delivery }
+      });
+
+      invitations.push({
+        recipientId: recipient.id,
+        email: recipient.email,
+        tokenId: record._id,
+        expiresAt: record.expiresAt,
+        delivery
+      });
+    }
+    return invitations;
+  }
+
+  /**
+   * Audit event fields shared by every token event
+   */
+  eventFields(record, recipient, type) {
+    return {
+      documentId: record.documentId,
+      type,
+      envelopeId: record.envelopeId,
+      recipientId: record.recipientId,
+      tokenId: record._id,
+      email: record.email,
+      signerName: recipient?.name || record.email
+    };
+  }
+}
+
+module.exports = SigningTokenStore;
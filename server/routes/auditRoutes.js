@@ -0,0 +1,348 @@
+/**
+ * AUDIT SEARCH, EXPORT AND CHAIN API ROUTES
+ *
+ * GET /api/audit - Search audit entries (filters, sorting, cursor pagination)
+ * GET /api/audit/export - Stream audit entries as CSV, JSON Lines or a PDF report
+ * GET /api/audit/exports/:exportId - SHA-256 manifest of an export
+ * GET /api/audit/chain/verify - Recompute the hash-chained audit log
+ * GET /api/audit/checkpoints - Export signed checkpoints of the chain head
+ * POST /api/audit/checkpoints - Sign a checkpoint now
+ *
+ * Mounted before signatureRoutes, whose GET /api/audit/:documentId would
+ * otherwise match these paths.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const router = express.Router();
+const AuditSchema = require('../models/auditSchema');
+const { DOCUMENT_ID_PATTERN } = require('../models/documentStore');
+const {
+  createExportStream,
+  createDigestStream,
+  EXPORT_FORMATS,
+  MAX_PDF_REPORT_ENTRIES
+} = require('../utils/auditExport');
+const { parseDateParam, parseSearchParams, SEARCH_ERROR } = require('../utils/auditQuery');
+const { getSigningCredentials } = require('../utils/cryptoSigner');
+const { getTimestampAuthorityConfig } = require('../utils/timestampAuthority');
+
+/**
+ * Pass entries through while counting them
+ */
+async function* countEntries(entries, counter) {
+  for await (const entry of entries) {
+    counter.count++;
+    yield entry;
+  }
+}
+
+/**
+ * GET /api/audit
+ *
+ * Search audit entries, one page at a time
+ *
+ * Query (all optional, each given once):
+ *   signer: email, signerName: name prefix (case-sensitive),
+ *   documentId, reason (metadata.reason),
+ *   from, to: ISO 8601 (createdAt range, to exclusive),
+ *   integrityStatus: 'valid' | 'tampered' | 'pending', pageIndex: 0-based,
+ *   sort: createdAt | documentId | signer | pageIndex, '-' prefix for
+ *     descending (default -createdAt),
+ *   limit: 1-200 (default 50), cursor: nextCursor of the previous page
+ *
+ * Response: { entries, count, hasMore, nextCursor, sort }
+ */
+router.get('/', async (req, res) => {
+  try {
+    let search;
+    try {
+      search = parseSearchParams(req.query);
+    } catch (error) {
+      if (error.code === SEARCH_ERROR) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const auditSchema = new AuditSchema(db);
+    const { entries, hasMore, nextCursor } = await auditSchema.search(search);
+
+    return res.json({
+      entries,
+      count: entries.length,
+      hasMore,
+      nextCursor,
+      sort: search.sort
+    });
+
+  } catch (error) {
+    console.error('Error searching audit logs:', error);
+    return res.status(500).json({
+      error: 'Failed to search audit logs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/audit/export
+ *
+ * Stream the audit entries matching the filters, oldest first
+ *
+ * Query:
+ *   format: 'csv' | 'jsonl' | 'pdf' (default 'csv')
+ *   documentId: string, signer: string (email),
+ *   from, to: ISO 8601 (createdAt range, to exclusive)
+ *   (at least one filter is required; each given once, as a plain value)
+ *
+ * Response: the file, with X-Export-Id and the HTTP trailer X-Content-SHA256;
+ * GET /api/audit/exports/:exportId returns the manifest once the stream ends.
+ * PDF reports are limited to MAX_PDF_REPORT_ENTRIES entries (413 above).
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    const { documentId, signer } = req.query;
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+
+    // Objects and arrays (e.g. signer[$ne]=) must never reach the query
+    if ((documentId !== undefined && typeof documentId !== 'string') ||
+      (signer !== undefined && typeof signer !== 'string')) {
+      return res.status(400).json({ error: 'documentId and signer must each be given once, as a plain value' });
+    }
+    if (documentId && !DOCUMENT_ID_PATTERN.test(documentId)) {
+      return res.status(400).json({ error: 'documentId may only contain letters, digits, _ . - (max 128)' });
+    }
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+      });
+    }
+    if (from === null || to === null) {
+      return res.status(400).json({ error: 'from and to must be ISO 8601 dates' });
+    }
+    if (from && to && from >= to) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+    if (!documentId && !signer && !from && !to) {
+      return res.status(400).json({
+        error: 'At least one filter is required: documentId, signer, from or to'
+      });
+    }
+
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const auditSchema = new AuditSchema(db);
+    const filters = { documentId: documentId || null, signer: signer || null, from: from || null, to: to || null };
+
+    if (format === 'pdf') {
+      const count = await auditSchema.countForExport(filters);
+      if (count > MAX_PDF_REPORT_ENTRIES) {
+        return res.status(413).json({
+          error: `PDF reports are limited to ${MAX_PDF_REPORT_ENTRIES} entries (${count} match); ` +
+            'narrow the filters or export CSV or JSON Lines'
+        });
+      }
+    }
+
+    const exportId = `exp-${crypto.randomUUID()}`;
+    const fileName = `audit-export-${exportId}.${EXPORT_FORMATS[format].extension}`;
+    await auditSchema.startExport({ _id: exportId, format, filters, fileName });
+
+    res.set({
+      'Content-Type': EXPORT_FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'X-Export-Id': exportId,
+      Trailer: 'X-Content-SHA256'
+    });
+
+    const counter = { count: 0 };
+    let digest = null;
+    const entries = countEntries(auditSchema.findForExport(filters), counter);
+
+    try {
+      await pipeline(
+        createExportStream(entries, format, { exportId, filters, generatedAt: new Date() }),
+        createDigestStream((result) => {
+          digest = result;
+          res.addTrailers({ 'X-Content-SHA256': result.sha256 });
+        }),
+        res
+      );
+    } catch (streamError) {
+      await auditSchema.finishExport(exportId, { status: 'failed', entryCount: counter.count });
+      console.error('Audit export interrupted:', streamError.message);
+      return;
+    }
+
+    await auditSchema.finishExport(exportId, { status: 'complete', entryCount: counter.count, ...digest });
+
+  } catch (error) {
+    console.error('Error exporting audit trail:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    return res.status(500).json({
+      error: 'Failed to export audit trail',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/audit/exports/:exportId
+ *
+ * Manifest of an export: format, filters, entry count, size and the SHA-256
+ * of the file as streamed
+ */
+router.get('/exports/:exportId', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const auditSchema = new AuditSchema(db);
+    const manifest = await auditSchema.getExportManifest(req.params.exportId);
+
+    if (!manifest) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    return res.json(manifest);
+
+  } catch (error) {
+    console.error('Error retrieving export manifest:', error);
+    return res.status(500).json({
+      error: 'Failed to retrieve export manifest',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/audit/chain/verify
+ *
+ * Recompute the audit chain and report the first broken link (edited,
+ * deleted or reordered entry, or a chain that differs from a signed checkpoint)
+ *
+ * Query: documentId (optional; check only that document's chain)
+ */
+router.get('/chain/verify', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    // An object here (documentId[$ne]=) would become a query operator
+    const { documentId } = req.query;
+    if (documentId !== undefined &&
+      (typeof documentId !== 'string' || !DOCUMENT_ID_PATTERN.test(documentId))) {
+      return res.status(400).json({ error: 'documentId may only contain letters, digits, _ . - (max 128)' });
+    }
+
+    const auditSchema = new AuditSchema(db);
+    const result = await auditSchema.verifyChainIntegrity(
+      documentId || null,
+      await getSigningCredentials()
+    );
+
+    return res.json(result);
+
+  } catch (error) {
+    console.error('Error verifying audit chain:', error);
+    return res.status(500).json({
+      error: 'Failed to verify audit chain',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/audit/checkpoints
+ *
+ * Every signed checkpoint, oldest first, for safekeeping outside the
+ * database. Each payload verifies with
+ * `openssl smime -verify -binary -inform DER -in signature.der -content payload.json -certfile cert.pem -noverify`.
+ */
+router.get('/checkpoints', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const auditSchema = new AuditSchema(db);
+    const checkpoints = await auditSchema.listCheckpoints();
+
+    res.set('Content-Disposition', 'attachment; filename="audit-checkpoints.json"');
+    return res.json({
+      exportedAt: new Date(),
+      count: checkpoints.length,
+      checkpoints
+    });
+
+  } catch (error) {
+    console.error('Error exporting checkpoints:', error);
+    return res.status(500).json({
+      error: 'Failed to export checkpoints',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/audit/checkpoints
+ *
+ * Sign a checkpoint of the current chain head now (the server also does so
+ * every AUDIT_CHECKPOINT_INTERVAL_MINUTES). 201 when one was created, 200 when
+ * the head has not moved since the last one.
+ */
+router.post('/checkpoints', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const credentials = await getSigningCredentials();
+    if (!credentials) {
+      return res.status(400).json({
+        error: 'Cryptographic signing is not configured on this server'
+      });
+    }
+
+    const auditSchema = new AuditSchema(db);
+    const result = await auditSchema.recordCheckpoint(credentials, {
+      timestampAuthority: getTimestampAuthorityConfig()
+    });
+
+    if (!result) {
+      return res.status(404).json({ error: 'The audit chain is empty' });
+    }
+
+    return res.status(result.created ? 201 : 200).json(result);
+
+  } catch (error) {
+    console.error('Error creating checkpoint:', error);
+    return res.status(500).json({
+      error: 'Failed to create checkpoint',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
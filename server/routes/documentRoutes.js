@@ -0,0 +1,316 @@
+/**
+ * DOCUMENT STORAGE API ROUTES
+ *
+ * POST /api/documents - Store an uploaded PDF
+ * GET /api/documents/:documentId - Document details and stored versions
+ * GET /api/documents/:documentId/download - Download a branch head (default main)
+ * GET /api/documents/:documentId/versions - Validated chain of versions up to a head
+ * GET /api/documents/:documentId/versions/:version/download - Download any version
+ */
+
+const express = require('express');
+const router = express.Router();
+const DocumentStore = require('../models/documentStore');
+const { DOCUMENT_ERRORS, MAIN_BRANCH, BRANCH_PATTERN } = require('../models/documentStore');
+const AuditSchema = require('../models/auditSchema');
+const { buildVersionChain, validateVersionChain } = require('../utils/versionChain');
+const { acceptMultipart } = require('../utils/multipartUpload');
+
+// Error codes and the statuses they map to
+const ERROR_STATUS = {
+  [DOCUMENT_ERRORS.notFound]: 404,
+  [DOCUMENT_ERRORS.exists]: 409,
+  [DOCUMENT_ERRORS.versionConflict]: 409,
+  [DOCUMENT_ERRORS.invalidId]: 400
+};
+
+/**
+ * Whether bytes look like a PDF (header within the first KB, as readers allow)
+ */
+function isPdf(buffer) {
+  return buffer.subarray(0, 1024).includes('%PDF-');
+}
+
+/**
+ * Version number from a path or query parameter, or null if not a positive integer
+ */
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version > 0 ? version : null;
+}
+
+/**
+ * 400 response for a branch query parameter that is not a branch name, or null
+ * if it is one (query parameters may also arrive as arrays or objects)
+ */
+function rejectBranch(res, branch) {
+  if (typeof branch === 'string' && BRANCH_PATTERN.test(branch)) return null;
+  return res.status(400).json({
+    error: 'branch may only contain letters, digits, _ . - (max 64)',
+    code: DOCUMENT_ERRORS.invalidBranch
+  });
+}
+
+/**
+ * Stream a stored version as application/pdf
+ */
+function sendVersion(res, documentStore, file) {
+  const fileName = file.filename.replace(/[^\w.-]+/g, '_');
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Length': file.length,
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'X-Document-Version': String(file.metadata.version),
+    'X-Document-Branch': file.metadata.branch,
+    'X-Content-Hash': file.metadata.sha256
+  });
+
+  const stream = documentStore.openDownloadStream(file);
+  stream.on('error', (error) => {
+    console.error('Error streaming document:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+}
+
+/**
+ * Response for a document store error, or null for unexpected errors
+ */
+function documentErrorResponse(res, error) {
+  const status = ERROR_STATUS[error.code];
+  if (!status) return null;
+  return res.status(status).json({
+    error: error.message,
+    code: error.code
+  });
+}
+
+/**
+ * POST /api/documents
+ *
+ * Store a PDF in GridFS as version 1 of a new document
+ *
+ * Request Body (JSON, or multipart/form-data with the PDF as file part `pdf`):
+ * {
+ *   pdfBuffer: string (base64 PDF)
+ *   documentId: string (optional; letters, digits, _ . -; generated when omitted)
+ *   fileName: string (optional; the file part's name in multipart requests)
+ *   uploadedBy: string (optional, uploader email)
+ * }
+ */
+router.post('/', acceptMultipart, async (req, res) => {
+  try {
+    const { pdfBuffer, documentId, fileName, uploadedBy } = req.body;
+
+    if (!pdfBuffer) {
+      return res.status(400).json({
+        error: 'Missing required field: pdfBuffer (or file part pdf)'
+      });
+    }
+
+    const pdfBuf = typeof pdfBuffer === 'string' ? Buffer.from(pdfBuffer, 'base64') : pdfBuffer;
+    if (!isPdf(pdfBuf)) {
+      return res.status(400).json({ error: 'Upload is not a PDF' });
+    }
+
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const documentStore = new DocumentStore(db);
+    const stored = await documentStore.createDocument(pdfBuf, { documentId, fileName, uploadedBy });
+
+    return res.status(201).json(stored);
+
+  } catch (error) {
+    if (documentErrorResponse(res, error)) return;
+    console.error('Error storing document:', error);
+    return res.status(500).json({
+      error: 'Failed to store document',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:documentId
+ *
+ * Document details with every stored version, oldest first
+ */
+router.get('/:documentId', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const documentStore = new DocumentStore(db);
+    const document = await documentStore.getDocument(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found',
+        code: DOCUMENT_ERRORS.notFound
+      });
+    }
+
+    return res.json(document);
+
+  } catch (error) {
+    console.error('Error retrieving document:', error);
+    return res.status(500).json({
+      error: 'Failed to retrieve document',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:documentId/download
+ *
+ * Stream the head of a branch as application/pdf
+ *
+ * Query: branch (default 'main')
+ */
+router.get('/:documentId/download', async (req, res) => {
+  try {
+    const { branch = MAIN_BRANCH } = req.query;
+    if (rejectBranch(res, branch)) return;
+
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const documentStore = new DocumentStore(db);
+    const file = await documentStore.getBranchHead(req.params.documentId, branch);
+
+    if (!file) {
+      return res.status(404).json({
+        error: 'Document not found',
+        code: DOCUMENT_ERRORS.notFound
+      });
+    }
+
+    return sendVersion(res, documentStore, file);
+
+  } catch (error) {
+    console.error('Error downloading document:', error);
+    return res.status(500).json({
+      error: 'Failed to download document',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:documentId/versions
+ *
+ * Chain of versions from the upload to a head, oldest first, with every
+ * link checked against its hashes and audit entries
+ *
+ * Query: branch (head of that branch, default 'main') or version (that version)
+ *
+ * Response:
+ * {
+ *   documentId, head, branch,
+ *   chain: [describeVersion entries],
+ *   validation: { valid, errors: [{ version, code, message }] },
+ *   branches: [{ name, head, baseVersion, versionCount }]
+ * }
+ */
+router.get('/:documentId/versions', async (req, res) => {
+  try {
+    const { branch = MAIN_BRANCH, version: versionParam } = req.query;
+    if (rejectBranch(res, branch)) return;
+    const version = versionParam === undefined ? null : parseVersion(versionParam);
+    if (versionParam !== undefined && !version) {
+      return res.status(400).json({ error: 'version must be a positive integer' });
+    }
+
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const { documentId } = req.params;
+    const documentStore = new DocumentStore(db);
+    const document = await documentStore.getDocument(documentId);
+    if (!document) {
+      return res.status(404).json({
+        error: 'Document not found',
+        code: DOCUMENT_ERRORS.notFound
+      });
+    }
+
+    const headBranch = document.branches.find(({ name }) => name === branch);
+    const head = version || headBranch?.head;
+    const built = head ? buildVersionChain(document.versions, head) : null;
+    if (!built) {
+      return res.status(404).json({
+        error: version ? `Version not found: ${version}` : `Branch not found: ${branch}`,
+        code: DOCUMENT_ERRORS.notFound
+      });
+    }
+
+    const auditSchema = new AuditSchema(db);
+    const auditEntries = await auditSchema.getAuditTrail(documentId);
+
+    return res.json({
+      documentId,
+      head,
+      branch: built.chain[built.chain.length - 1].branch,
+      chain: built.chain,
+      validation: validateVersionChain(built, auditEntries),
+      branches: document.branches
+    });
+
+  } catch (error) {
+    console.error('Error retrieving versions:', error);
+    return res.status(500).json({
+      error: 'Failed to retrieve versions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/documents/:documentId/versions/:version/download
+ *
+ * Stream one stored version as application/pdf
+ */
+router.get('/:documentId/versions/:version/download', async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({ error: 'version must be a positive integer' });
+    }
+
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const documentStore = new DocumentStore(db);
+    const file = await documentStore.getVersion(req.params.documentId, version);
+
+    if (!file) {
+      return res.status(404).json({
+        error: 'Version not found',
+        code: DOCUMENT_ERRORS.notFound
+      });
+    }
+
+    return sendVersion(res, documentStore, file);
+
+  } catch (error) {
+    console.error('Error downloading version:', error);
+    return res.status(500).json({
+      error: 'Failed to download version',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
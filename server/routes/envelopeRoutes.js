@@ -0,0 +1,392 @@
+/**
+ * ENVELOPE API ROUTES
+ *
+ * POST /api/envelopes - Create a draft envelope over a stored document
+ * GET /api/envelopes/:envelopeId - Envelope, its recipients and who may sign now
+ * POST /api/envelopes/:envelopeId/send - Open a draft for signing and invite the first signers
+ * POST /api/envelopes/:envelopeId/recipients/:recipientId/invite - Send a new signing link
+ * GET /api/envelopes/:envelopeId/events - Signing-link events from the audit log
+ * POST /api/envelopes/:envelopeId/void - The sender cancels an envelope that is not completed
+ * GET /api/envelopes/:envelopeId/custody - Every event and signature of the envelope, in chain order
+ *
+ * Invited signers sign through POST /api/sign-pdf with the signingToken of
+ * their link (see signingRoutes); envelopeId with metadata.email also works.
+ * Signers decline and delegate through their link only; the link is their
+ * credential.
+ * Invitations go out through app.locals.mailTransport; without one, no
+ * links are issued.
+ */
+
+const express = require('express');
+const router = express.Router();
+const EnvelopeStore = require('../models/envelopeStore');
+const SigningTokenStore = require('../models/signingTokenStore');
+const AuditSchema = require('../models/auditSchema');
+const { DOCUMENT_ERRORS } = require('../models/documentStore');
+const {
+  describeEnvelope,
+  currentRecipients,
+  normalizeReason,
+  envelopeError,
+  ENVELOPE_ERRORS,
+  ENVELOPE_ERROR_STATUS
+} = require('../utils/envelopeRouting');
+const { getSigningUrlBase } = require('../utils/signingTokens');
+
+/**
+ * Error response for envelope and document error codes, or null
+ */
+function envelopeErrorResponse(res, error) {
+  const status = ENVELOPE_ERROR_STATUS[error.code] ||
+    (error.code === DOCUMENT_ERRORS.notFound ? 404 : null) ||
+    (error.code === DOCUMENT_ERRORS.invalidBranch ? 400 : null);
+  if (!status) return null;
+  return res.status(status).json({
+    error: error.message,
+    code: error.code,
+    ...(error.waitingFor ? { waitingFor: error.waitingFor } : {})
+  });
+}
+
+/**
+ * Invite the envelope's current signers when a mail transport is configured
+ *
+ * @returns {Promise<Array>} SigningTokenStore.inviteRecipients result
+ */
+async function inviteCurrentSigners(req, envelope, options = {}) {
+  const transport = req.app.locals.mailTransport;
+  if (!transport) return [];
+  return new SigningTokenStore(req.app.locals.db).inviteRecipients(envelope, {
+    ...options,
+    transport,
+    baseUrl: getSigningUrlBase(),
+    ipAddress: req.ip
+  });
+}
+
+/**
+ * POST /api/envelopes
+ *
+ * Create a draft envelope
+ *
+ * Request Body:
+ * {
+ *   documentId: string (stored with POST /api/documents)
+ *   branch: string (default 'main')
+ *   title: string
+ *   routing: 'sequential' (default, signers in list order) | 'parallel'
+ *   recipients: [{ email, name, role: 'signer' (default) | 'cc' }]
+ *   fields: [{
+ *     id: string (default 'f1', 'f2', ...)
+ *     recipient: string (email of a signer)
+ *     fieldType: 'signature' | 'text' | 'image' | 'date' | 'radio' | 'checkbox'
+ *     required: boolean (default true)
+ *     label: string
+ *     coordinates: { frontend, container, pageIndex }, pageSize (as in sign-pdf placements)
+ *     formField, formOption: string (existing AcroForm field)
+ *   }]
+ *   createdBy: string (email)
+ * }
+ *
+ * Response: 201 with the envelope (status 'draft')
+ */
+router.post('/', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const envelopeStore = new EnvelopeStore(db);
+    const envelope = await envelopeStore.createEnvelope(req.body, { createdBy: req.body.createdBy });
+
+    return res.status(201).json(describeEnvelope(envelope));
+
+  } catch (error) {
+    const handled = envelopeErrorResponse(res, error);
+    if (handled) return handled;
+    console.error('Error creating envelope:', error);
+    return res.status(500).json({
+      error: 'Failed to create envelope',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/envelopes/:envelopeId
+ *
+ * Envelope with its recipients, fields, seal and currentRecipients (emails of
+ * the signers who may sign now)
+ */
+router.get('/:envelopeId', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const envelopeStore = new EnvelopeStore(db);
+    const envelope = await envelopeStore.getEnvelope(req.params.envelopeId);
+
+    return res.json(describeEnvelope(envelope));
+
+  } catch (error) {
+    const handled = envelopeErrorResponse(res, error);
+    if (handled) return handled;
+    console.error('Error retrieving envelope:', error);
+    return res.status(500).json({
+      error: 'Failed to retrieve envelope',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/envelopes/:envelopeId/send
+ *
+ * Move a draft to 'sent': the first signer (sequential) or every signer
+ * (parallel) may sign, and the document branch is reserved for the envelope.
+ * Those signers are mailed a signing link; later signers of a sequential
+ * envelope are invited as their turn comes.
+ *
+ * Response: the envelope, plus invitations: [{ recipientId, email, tokenId,
+ *   expiresAt, delivery: { transport, messageId, sentAt, error } }]
+ */
+router.post('/:envelopeId/send', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const envelopeStore = new EnvelopeStore(db);
+    const envelope = await envelopeStore.sendEnvelope(req.params.envelopeId);
+    const invitations = await inviteCurrentSigners(req, envelope);
+
+    return res.json({ ...describeEnvelope(envelope), invitations });
+
+  } catch (error) {
+    const handled = envelopeErrorResponse(res, error);
+    if (handled) return handled;
+    console.error('Error sending envelope:', error);
+    return res.status(500).json({
+      error: 'Failed to send envelope',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/envelopes/:envelopeId/recipients/:recipientId/invite
+ *
+ * Issue and mail a new signing link to a signer whose turn it is (e.g. after
+ * the first expired or was lost); the recipient's earlier links stop working
+ *
+ * Response: { invitation } (as in send)
+ */
+router.post('/:envelopeId/recipients/:recipientId/invite', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+    if (!req.app.locals.mailTransport) {
+      return res.status(503).json({ error: 'No mail transport is configured' });
+    }
+
+    const { envelopeId, recipientId } = req.params;
+    const envelope = await new EnvelopeStore(db).getEnvelope(envelopeId);
+    const recipient = envelope.recipients.find(r => r.id === recipientId);
+    if (!recipient) {
+      throw envelopeError(ENVELOPE_ERRORS.notFound, `Recipient not found: ${recipientId}`);
+    }
+    if (!currentRecipients(envelope).some(r => r.id === recipientId)) {
+      throw envelopeError(
+        ENVELOPE_ERRORS.notYourTurn,
+        `Recipient ${recipientId} cannot sign envelope ${envelopeId} now`,
+        { waitingFor: currentRecipients(envelope).map(r => r.email) }
+      );
+    }
+
+    const [invitation] = await inviteCurrentSigners(req, envelope, {
+      recipientIds: [recipientId],
+      reissue: true
+    });
+
+    return res.json({ invitation });
+
+  } catch (error) {
+    const handled = envelopeErrorResponse(res, error);
+    if (handled) return handled;
+    console.error('Error inviting recipient:', error);
+    return res.status(500).json({
+      error: 'Failed to invite recipient',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/envelopes/:envelopeId/events
+ *
+ * Signing-link events of the envelope from the audit log, oldest first
+ *
+ * Response: { envelopeId, events: [{ auditId, type, recipientId, tokenId,
+ *   email, ipAddress, createdAt, details, sequence }] }
+ */
+router.get('/:envelopeId/events', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const envelope = await new EnvelopeStore(db).getEnvelope(req.params.envelopeId);
+    const entries = await new AuditSchema(db).getEnvelopeEvents(envelope._id);
+
+    return res.json({
+      envelopeId: envelope._id,
+      events: entries.map(entry => ({
+        auditId: entry._id,
+        type: entry.event.type,
+        recipientId: entry.event.recipientId,
+        tokenId: entry.event.tokenId,
+        email: entry.signer.email,
+        ipAddress: entry.signer.ipAddress,
+        createdAt: entry.createdAt,
+        details: entry.event.details,
+        sequence: entry.chain?.sequence ?? null
+      }))
+    });
+
+  } catch (error) {
+    const handled = envelopeErrorResponse(res, error);
+    if (handled) return handled;
+    console.error('Error retrieving envelope events:', error);
+    return res.status(500).json({
+      error: 'Failed to retrieve envelope events',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/envelopes/:envelopeId/void
+ *
+ * Cancel a draft, sent or in-progress envelope. Signing links, sign-pdf with
+ * envelopeId and direct signing of the branch it holds are refused from then
+ * on (409 ENVELOPE_VOIDED); the signed versions so far stay stored.
+ *
+ * Request Body:
+ * {
+ *   reason: string (required, at most 1000 characters)
+ *   voidedBy: string (sender email, default the envelope's createdBy)
+ * }
+ *
+ * Response: the envelope
+ */
+router.post('/:envelopeId/void', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const reason = normalizeReason(req.body.reason, { required: true });
+    if (req.body.voidedBy !== undefined && typeof req.body.voidedBy !== 'string') {
+      return res.status(400).json({ error: 'voidedBy must be a string' });
+    }
+
+    const envelope = await new EnvelopeStore(db).voidEnvelope(req.params.envelopeId, {
+      reason,
+      voidedBy: req.body.voidedBy,
+      ipAddress: req.ip
+    });
+
+    return res.json(describeEnvelope(envelope));
+
+  } catch (error) {
+    const handled = envelopeErrorResponse(res, error);
+    if (handled) return handled;
+    console.error('Error voiding envelope:', error);
+    return res.status(500).json({
+      error: 'Failed to void envelope',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/envelopes/:envelopeId/custody
+ *
+ * Chain of custody: link, decline, delegation and void events and every
+ * signature entry of the envelope, in the order they entered the audit chain
+ *
+ * Response:
+ * {
+ *   envelopeId, documentId, branch, status,
+ *   createdAt, sentAt, completedAt, declinedAt, voidedAt,
+ *   custody: [{
+ *     auditId, sequence, entryHash, createdAt,
+ *     action: event type (e.g. 'envelope.delegated') | 'signature'
+ *     recipientId, tokenId, email, name, ipAddress,
+ *     details: event details | { fieldId, fieldType, pageIndex, signedHash, version }
+ *   }]
+ * }
+ */
+router.get('/:envelopeId/custody', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const envelope = await new EnvelopeStore(db).getEnvelope(req.params.envelopeId);
+    const entries = await new AuditSchema(db).getChainOfCustody(envelope._id);
+
+    return res.json({
+      envelopeId: envelope._id,
+      documentId: envelope.documentId,
+      branch: envelope.branch,
+      status: envelope.status,
+      createdAt: envelope.createdAt,
+      sentAt: envelope.sentAt,
+      completedAt: envelope.completedAt,
+      declinedAt: envelope.declinedAt || null,
+      voidedAt: envelope.voidedAt || null,
+      custody: entries.map(entry => ({
+        auditId: entry._id,
+        sequence: entry.chain?.sequence ?? null,
+        entryHash: entry.chain?.entryHash ?? null,
+        createdAt: entry.createdAt,
+        action: entry.event ? entry.event.type : 'signature',
+        recipientId: entry.event ? entry.event.recipientId : entry.envelope.recipientId,
+        tokenId: (entry.event ? entry.event.tokenId : entry.envelope.tokenId) || null,
+        email: entry.signer.email,
+        name: entry.signer.name,
+        ipAddress: entry.signer.ipAddress,
+        details: entry.event
+          ? entry.event.details
+          : {
+            fieldId: entry.envelope.fieldId,
+            fieldType: entry.fieldType,
+            pageIndex: entry.pageIndex,
+            signedHash: entry.signedHash,
+            version: entry.storedVersion?.version ?? null
+          }
+      }))
+    });
+
+  } catch (error) {
+    const handled = envelopeErrorResponse(res, error);
+    if (handled) return handled;
+    console.error('Error retrieving envelope custody:', error);
+    return res.status(500).json({
+      error: 'Failed to retrieve envelope custody',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,143 +1,723 @@
 /**
  * SIGNATURE INJECTION API ROUTES
  * 
- * POST /api/sign-pdf - Burn signature into PDF
+ * POST /api/sign-pdf - Burn one or more signatures into PDF
  * POST /api/verify-pdf - Verify document integrity
- * GET /api/audit/:documentId - Retrieve audit trail
+ * GET /api/verify/:documentId/:hashPrefix - Public check of a signing pass (QR code target)
+ * POST /api/form-fields - List existing AcroForm fields
+ * POST /api/extract-evidence - Read the signing evidence embedded in a PDF
+ * GET /api/audit/:documentId - Retrieve audit trail (paged)
+ * GET /api/audit/signer/:email - Retrieve a signer's entries (paged)
+ * 
+ * sign-pdf and verify-pdf also take multipart/form-data (see multipartUpload).
  */
 
 const express = require('express');
 const router = express.Router();
-const { signPDF, computeSHA256 } = require('../utils/pdfSigner');
+const { signPDFMultiple, getPageGeometries, computeSHA256 } = require('../utils/pdfSigner');
+const { getSigningCredentials } = require('../utils/cryptoSigner');
+const { getTimestampAuthorityConfig } = require('../utils/timestampAuthority');
+const { listFormFields } = require('../utils/formFields');
+const { listRevisions } = require('../utils/incrementalUpdate');
+const { resolveCleanupOptions } = require('../utils/imageCleanup');
+const { resolveAppearance } = require('../utils/signatureAppearance');
+const { UNENCODABLE_TEXT_ERROR } = require('../utils/fieldRenderers');
+const { readEncryption, resolveEncryptionOptions, isPasswordError } = require('../utils/pdfEncryption');
+const { resolveConformance, NONCONFORMING_ERROR } = require('../utils/pdfaConformance');
+const { extractEvidence, INVALID_EVIDENCE_ERROR } = require('../utils/embeddedEvidence');
+const {
+  resolveVerificationQr,
+  getPublicBaseUrl,
+  MIN_HASH_PREFIX_LENGTH
+} = require('../utils/verificationQr');
+const { acceptMultipart } = require('../utils/multipartUpload');
+const { parsePageParams, SEARCH_ERROR } = require('../utils/auditQuery');
 const { transformFrontendToPDF, getPDFPageSize } = require('../utils/coordinateTransform');
 const AuditSchema = require('../models/auditSchema');
+const DocumentStore = require('../models/documentStore');
+const { DOCUMENT_ERRORS, DOCUMENT_ID_PATTERN } = require('../models/documentStore');
+const EnvelopeStore = require('../models/envelopeStore');
+const SigningTokenStore = require('../models/signingTokenStore');
+const {
+  authorizeSigning,
+  describeEnvelope,
+  envelopeError,
+  ENVELOPE_STATUS,
+  ENVELOPE_ERRORS,
+  ENVELOPE_ERROR_STATUS
+} = require('../utils/envelopeRouting');
+const {
+  getSigningUrlBase,
+  signingTokenError,
+  SIGNING_TOKEN_ERRORS,
+  SIGNING_TOKEN_ERROR_STATUS
+} = require('../utils/signingTokens');
 const fs = require('fs').promises;
 const path = require('path');
 
+/**
+ * Default page size when the client does not send one (A4)
+ */
+const DEFAULT_PAGE_SIZE = { width: 595.275591, height: 841.889764 };
+
+// Field types that embed a picture from placement.signature
+const IMAGE_FIELD_TYPES = ['signature', 'image'];
+const FIELD_TYPES = [...IMAGE_FIELD_TYPES, 'text', 'date', 'radio', 'checkbox'];
+
+const RESPONSE_FORMATS = ['json', 'pdf'];
+
+/**
+ * Decode a PDF sent as base64 string (or already binary)
+ * 
+ * @param {string|Buffer} pdfBuffer - Request pdfBuffer field
+ * @returns {Buffer} PDF bytes
+ */
+function decodePDFBuffer(pdfBuffer) {
+  return typeof pdfBuffer === 'string' ? Buffer.from(pdfBuffer, 'base64') : pdfBuffer;
+}
+
+/**
+ * Whether the client asked for the signed PDF as raw bytes
+ * 
+ * responseFormat in the body wins over the Accept header.
+ */
+function wantsRawPdf(req) {
+  if (req.body.responseFormat) return req.body.responseFormat === 'pdf';
+  return req.accepts(['application/json', 'application/pdf']) === 'application/pdf';
+}
+
+/**
+ * Send a signed PDF as application/pdf, with the hashes in headers
+ * 
+ * The audit trail is not included; GET /api/audit/:documentId returns it.
+ */
+function sendRawPdf(res, documentId, signResult, signatureCount, storedVersion, envelope) {
+  const fileName = `${String(documentId).replace(/[^\w.-]+/g, '_')}-signed.pdf`;
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Length': signResult.signedPDFBuffer.length,
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'X-Document-Id': encodeURIComponent(documentId),
+    'X-Original-Hash': signResult.originalHash,
+    'X-Signed-Hash': signResult.signedHash,
+    'X-Signature-Count': String(signatureCount),
+    ...(storedVersion
+      ? { 'X-Document-Version': String(storedVersion.version), 'X-Document-Branch': storedVersion.branch }
+      : {}),
+    ...(envelope ? { 'X-Envelope-Id': envelope._id, 'X-Envelope-Status': envelope.status } : {})
+  });
+  return res.end(signResult.signedPDFBuffer);
+}
+
+/**
+ * 401 response for a PDF that the given password does not open
+ */
+function passwordErrorResponse(res, error) {
+  return res.status(401).json({
+    error: error.message,
+    code: error.code
+  });
+}
+
+/**
+ * Turn one request placement into signature data for the PDF engine
+ * 
+ * @param {Object} placement - { fieldType, signature, value, style, appearance, coordinates, pageSize }
+ * @param {Object} metadata - Request-level signer metadata
+ * @param {Array} pageGeometries - Rotation and visible box of each page
+ * @param {Object} defaults - { documentId, appearance (request-level template for signatures) }
+ * @returns {Object} { signatureData, pdfCoordinates }
+ */
+function buildSignatureData(placement, metadata, pageGeometries = [], defaults = {}) {
+  const { signature, coordinates, pageSize } = placement;
+  const fieldType = placement.fieldType || 'signature';
+
+  // Get page size (default A4)
+  const finalPageSize = pageSize || DEFAULT_PAGE_SIZE;
+
+  // The document's own geometry wins over the client's page size, so rotated
+  // pages and offset CropBoxes map correctly
+  const geometry = pageGeometries[coordinates.pageIndex || 0] || null;
+
+  // Transform frontend coordinates to PDF points
+  const pdfCoordinates = transformFrontendToPDF(
+    coordinates.frontend,
+    coordinates.container,
+    finalPageSize,
+    geometry
+  );
+
+  console.log('PDF Coordinates (transformed):', {
+    x: pdfCoordinates.x,
+    y: pdfCoordinates.y,
+    width: pdfCoordinates.width,
+    height: pdfCoordinates.height,
+    rotation: pdfCoordinates.rotation
+  });
+
+  // Prepare signature data for PDF engine
+  const signatureData = {
+    image: signature?.image,
+    imageType: signature?.imageType || 'png',
+    vector: signature?.vector || null,
+    cleanup: signature?.cleanup || null,
+    appearance: placement.appearance ?? (fieldType === 'signature' ? defaults.appearance : null) ?? null,
+    documentId: defaults.documentId || null,
+    fieldType,
+    value: placement.value,
+    style: placement.style || {},
+    formField: placement.formField || null,
+    formOption: placement.formOption || null,
+    x: pdfCoordinates.x,
+    y: pdfCoordinates.y,
+    width: pdfCoordinates.width,
+    height: pdfCoordinates.height,
+    pageIndex: coordinates.pageIndex || 0,
+    metadata: {
+      ...metadata,
+      coordinateTransform: {
+        frontend: coordinates.frontend,
+        normalized: pdfCoordinates.normalized,
+        rotation: pdfCoordinates.rotation,
+        pdf: {
+          x: pdfCoordinates.x,
+          y: pdfCoordinates.y,
+          width: pdfCoordinates.width,
+          height: pdfCoordinates.height
+        }
+      }
+    }
+  };
+
+  return { signatureData, pdfCoordinates };
+}
+
+/**
+ * Find the first placement that cannot be rendered
+ * 
+ * @param {Array} placements - Request placements
+ * @returns {Object|null} { index, reason } of the invalid placement, or null
+ */
+function findInvalidPlacement(placements) {
+  for (const [index, placement] of placements.entries()) {
+    const fieldType = placement?.fieldType || 'signature';
+
+    if (!placement?.coordinates?.frontend || !placement?.coordinates?.container) {
+      return { index, reason: 'missing coordinates (frontend, container)' };
+    }
+    if (!FIELD_TYPES.includes(fieldType)) {
+      return { index, reason: `unsupported fieldType '${fieldType}'` };
+    }
+    if (IMAGE_FIELD_TYPES.includes(fieldType) && !placement.signature?.image && !placement.signature?.vector) {
+      return { index, reason: 'missing signature.image or signature.vector' };
+    }
+    if (placement.appearance) {
+      try {
+        resolveAppearance(placement.appearance);
+      } catch (error) {
+        return { index, reason: error.message };
+      }
+    }
+    if (placement.signature?.cleanup) {
+      try {
+        resolveCleanupOptions(placement.signature.cleanup);
+      } catch (error) {
+        return { index, reason: error.message };
+      }
+    }
+    if (fieldType === 'text' && !placement.formField && !String(placement.value ?? '').trim()) {
+      return { index, reason: 'missing text value' };
+    }
+    if (fieldType === 'checkbox' && !placement.formField) {
+      return { index, reason: 'checkbox placements must target a formField' };
+    }
+  }
+  return null;
+}
+
 /**
  * POST /api/sign-pdf
  * 
- * Burns signature into PDF at specified coordinates
+ * Burns one or more signatures into PDF at specified coordinates
  * 
- * Request Body:
+ * Request Body (JSON, or multipart/form-data with the PDF as file part `pdf`,
+ * image parts referenced as signature: { file: '<part name>' }, and object,
+ * array and boolean fields as JSON text parts):
  * {
  *   pdfId: string (unique identifier)
- *   pdfBuffer: Buffer (binary PDF data)
- *   signature: {
- *     image: string (base64 encoded signature image)
- *     imageType: 'png' | 'jpeg'
- *   }
- *   coordinates: {
- *     frontend: { x, y, width, height } (CSS pixels)
- *     container: { width, height } (viewport size)
- *     pageIndex: number (0-indexed page)
+ *   pdfBuffer: string (base64 PDF; the `pdf` part in multipart requests)
+ *   documentId: string (instead of pdfBuffer: sign the head of a branch of a
+ *     document stored with POST /api/documents; the result is stored as its
+ *     next version, linked to this request's audit entries)
+ *   version: number (with documentId: sign this version; it must be the head
+ *     of its branch unless branch names a new one)
+ *   branch: string (with documentId: branch to sign, default 'main'; a new
+ *     name with version starts a branch from that version)
+ *   signingToken: string (instead of pdfBuffer/documentId: sign as a
+ *     recipient of an envelope through their invitation link. The token names
+ *     the envelope and the recipient, whose email replaces metadata.email, and
+ *     is spent by a successful pass. The envelope names the document and
+ *     branch, and each placement names its fieldId and supplies only the
+ *     content, since the envelope fixes position and field type. A voided or
+ *     declined envelope accepts no further signatures)
+ *   envelopeId: string (optional with signingToken, which must belong to it;
+ *     without a token it is refused with 401 SIGNING_TOKEN_REQUIRED)
+ *   placements: [
+ *     {
+ *       fieldId: string (envelope field, with signingToken)
+ *       fieldType: 'signature' | 'text' | 'image' | 'date' | 'radio' | 'checkbox'
+ *       formField: string (existing AcroForm field to fill, optional)
+ *       formOption: string (radio option of that field, optional)
+ *       signature: {                      (signature and image fields)
+ *         image: string (base64 encoded signature image)
+ *         imageType: 'png' | 'jpeg'
+ *         cleanup: true | {               (PNG only, optional)
+ *           removeBackground: boolean (near-white pixels become transparent)
+ *           trim: boolean (crop to the ink plus padding)
+ *           padding: number (pixels, default 4)
+ *           threshold: number (0-255 luminance treated as background, default 235)
+ *           inkColor: 'blue' | 'black' | hex string
+ *         }
+ *         vector: {                       (drawn signatures, instead of image)
+ *           strokes: [[[x, y], ...], ...] (canvas pixels, y down)
+ *           strokeWidth: number (canvas pixels)
+ *           color: string (hex)
+ *         }
+ *       }
+ *       value: string | boolean           (text, date (ISO) and radio fields)
+ *       style: {
+ *         font: string (standard font name, or name of fontData)
+ *         fontData: string (base64 TTF, optional)
+ *         fontSize: number (maximum; text shrinks to fit)
+ *         color: string (hex, e.g. '#000000')
+ *         align: 'left' | 'center' | 'right'
+ *         dateFormat: string (e.g. 'YYYY-MM-DD', 'MMMM D, YYYY')
+ *       }
+ *       appearance: true | 'below' | 'right' | 'box' | {   (signature and image fields)
+ *         layout, fields, captionRatio, dateFormat, font, fontData,
+ *         fontSize, color, borderColor, borderWidth, align
+ *       }
+ *       coordinates: {
+ *         frontend: { x, y, width, height } (CSS pixels)
+ *         container: { width, height } (viewport size)
+ *         pageIndex: number (0-indexed page)
+ *       }
+ *       pageSize: { width, height } (in points)
+ *     }
+ *   ]
+ *   metadata: { email, name, reason, location, contactInfo, timestamp, ... }
+ *   cryptographic: boolean (add a PKCS#7 /Sig using the server certificate)
+ *   incremental: boolean (default true; false rewrites the whole file)
+ *   certificateOfCompletion: boolean (append an evidence page listing the
+ *     signatures of the passes that produced this input, plus this request's,
+ *     with thumbnails)
+ *   appearance: caption template for every signature placement without its own
+ *   password: string (user or owner password of an encrypted PDF; the result
+ *     stays encrypted with the same key and permissions)
+ *   encrypt: {                            (encrypt the output; forces a full rewrite)
+ *     userPassword: string (needed to open; '' opens without prompting)
+ *     ownerPassword: string (lifts the restrictions; random when omitted)
+ *     permissions: 'all' | 'no-modify' | 'print-only' | 'none' |
+ *       { preset, print, printHighQuality, modify, copy, annotate, fillForms,
+ *         extractForAccessibility, assemble }
+ *     algorithm: 'aes-256' (default) | 'aes-128'
  *   }
- *   pageSize: { width, height } (in points)
- *   metadata: { email, name, reason, timestamp, ... }
+ *   conformance: 'pdfa-2b' (archival output; not with encrypt. Inputs that
+ *     cannot be made compliant are refused with 422 and the issues found)
+ *   embedEvidence: boolean (embed this request's audit entries, with those of
+ *     earlier signings, as a JSON attachment plus XMP properties; not with
+ *     conformance)
+ *   verificationQr: boolean | { position: 'right' | 'left' | 'above' | 'below',
+ *     size: number (points, 48-144) } (QR code beside every signature linking
+ *     to GET /api/verify/:documentId/:hashPrefix; needs PUBLIC_BASE_URL)
+ *   responseFormat: 'json' (default) | 'pdf' (the signed PDF as raw
+ *     application/pdf, hashes in X-* headers; also chosen by Accept: application/pdf)
  * }
+ * 
+ * A single placement may still be sent as top-level signature,
+ * coordinates and pageSize fields.
  */
-router.post('/sign-pdf', async (req, res) => {
+router.post('/sign-pdf', acceptMultipart, async (req, res) => {
+  // Token claimed for this pass, given back if signing fails
+  let claimedToken = null;
   try {
     const {
-      pdfId,
+      pdfId: requestPdfId,
+      documentId: requestedDocumentId,
+      version: storedVersionNumber,
+      branch: requestedBranch,
+      envelopeId: requestedEnvelopeId,
+      signingToken,
       pdfBuffer,
       signature,
       coordinates,
       pageSize,
-      metadata
+      metadata: requestMetadata,
+      cryptographic,
+      incremental,
+      certificateOfCompletion,
+      appearance,
+      password,
+      encrypt,
+      conformance,
+      embedEvidence,
+      verificationQr,
+      responseFormat
     } = req.body;
 
+    // The IDs go into store and audit queries, so they must be plain, well-formed values
+    if (requestedDocumentId !== undefined &&
+      (typeof requestedDocumentId !== 'string' || !DOCUMENT_ID_PATTERN.test(requestedDocumentId))) {
+      return res.status(400).json({ error: 'documentId may only contain letters, digits, _ . - (max 128)' });
+    }
+    if (requestPdfId !== undefined &&
+      (typeof requestPdfId !== 'string' || !DOCUMENT_ID_PATTERN.test(requestPdfId))) {
+      return res.status(400).json({ error: 'pdfId may only contain letters, digits, _ . - (max 128)' });
+    }
+
+    let placements = Array.isArray(req.body.placements)
+      ? req.body.placements
+      : [{ fieldType: 'signature', signature, coordinates, pageSize }];
+
+    // Envelope signing: the envelope names the document, branch and fields,
+    // and only its current recipients may sign, through their signing link
+    const db = req.app.locals.db;
+    let metadata = requestMetadata;
+    let invitation = null;
+    let envelope = null;
+    let envelopeRecipient = null;
+    if (requestedEnvelopeId || signingToken) {
+      if (pdfBuffer || storedVersionNumber !== undefined || requestedBranch) {
+        return res.status(400).json({
+          error: 'Envelope signing uses the envelope\'s document; omit pdfBuffer, version and branch'
+        });
+      }
+      if (!db) {
+        return res.status(500).json({ error: 'Database not available' });
+      }
+
+      // The link is the credential and signs as its recipient; a claimed
+      // metadata.email proves nothing
+      if (!signingToken) {
+        throw signingTokenError(
+          SIGNING_TOKEN_ERRORS.required,
+          'Envelope recipients sign through their signing link; send its signingToken'
+        );
+      }
+      invitation = await new SigningTokenStore(db).resolveToken(signingToken);
+      if (requestedEnvelopeId && requestedEnvelopeId !== invitation.envelopeId) {
+        return res.status(400).json({ error: 'envelopeId does not match the signing link' });
+      }
+      metadata = { ...requestMetadata, email: invitation.email };
+
+      envelope = await new EnvelopeStore(db).getEnvelope(invitation.envelopeId);
+      if (requestedDocumentId && requestedDocumentId !== envelope.documentId) {
+        return res.status(400).json({ error: 'documentId does not match the envelope\'s document' });
+      }
+      ({ recipient: envelopeRecipient, placements } = authorizeSigning(envelope, metadata?.email, placements));
+      if (!metadata.name) {
+        metadata.name = envelopeRecipient.name;
+      }
+    }
+
+    const storedDocumentId = envelope ? envelope.documentId : requestedDocumentId;
+    const branch = envelope ? envelope.branch : requestedBranch;
+
+    // Signing by reference: a branch head or chosen stored version is the input
+    const byReference = !pdfBuffer && !!storedDocumentId;
+    const pdfId = requestPdfId || storedDocumentId;
+
     console.log('\n=== SIGN PDF REQUEST ===');
     console.log('PDF ID:', pdfId);
     console.log('Has PDF Buffer:', !!pdfBuffer);
-    console.log('Has Signature:', !!signature?.image);
-    console.log('Frontend Coordinates:', coordinates.frontend);
-    console.log('Container Size:', coordinates.container);
-    console.log('Page Size:', pageSize);
+    console.log('Placements:', placements.length);
+    console.log('Cryptographic:', !!cryptographic);
 
     // Validate required fields
-    if (!pdfId || !pdfBuffer || !signature || !coordinates) {
+    if (!pdfId || !(pdfBuffer || storedDocumentId) || placements.length === 0) {
       console.error('Missing required fields');
       return res.status(400).json({
-        error: 'Missing required fields: pdfId, pdfBuffer, signature, coordinates'
+        error: 'Missing required fields: pdfId, pdfBuffer (or documentId), placements (or signature, coordinates)'
       });
     }
 
-    // Decode PDF buffer
-    let pdfBuf;
-    if (typeof pdfBuffer === 'string') {
-      console.log('Decoding base64 PDF buffer...');
-      pdfBuf = Buffer.from(pdfBuffer, 'base64');
-    } else {
-      pdfBuf = pdfBuffer;
+    if (byReference && requestPdfId && requestPdfId !== storedDocumentId) {
+      return res.status(400).json({ error: 'pdfId and documentId must match when signing a stored document' });
+    }
+
+    const sourceVersionNumber = storedVersionNumber === undefined ? undefined : Number(storedVersionNumber);
+    if (sourceVersionNumber !== undefined && !(Number.isInteger(sourceVersionNumber) && sourceVersionNumber > 0)) {
+      return res.status(400).json({ error: 'version must be a positive integer' });
+    }
+
+    if (appearance) {
+      try {
+        resolveAppearance(appearance);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid appearance: ${error.message}` });
+      }
+    }
+
+    if (encrypt) {
+      try {
+        resolveEncryptionOptions(encrypt);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid encrypt: ${error.message}` });
+      }
+    }
+
+    if (conformance) {
+      try {
+        resolveConformance(conformance);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid conformance: ${error.message}` });
+      }
+      if (encrypt) {
+        return res.status(400).json({ error: 'PDF/A output cannot be encrypted' });
+      }
+      if (embedEvidence) {
+        return res.status(400).json({ error: 'PDF/A-2 output cannot carry an evidence attachment' });
+      }
+    }
+
+    if (responseFormat && !RESPONSE_FORMATS.includes(responseFormat)) {
+      return res.status(400).json({ error: `Invalid responseFormat: ${responseFormat}` });
+    }
+
+    if (verificationQr) {
+      try {
+        resolveVerificationQr(verificationQr);
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid verificationQr: ${error.message}` });
+      }
+      if (!getPublicBaseUrl()) {
+        return res.status(400).json({
+          error: 'Verification QR codes are not configured on this server (PUBLIC_BASE_URL is not set)'
+        });
+      }
+    }
+
+    const invalid = findInvalidPlacement(placements);
+    if (invalid) {
+      console.error('Invalid placement:', invalid);
+      return res.status(400).json({
+        error: `Placement ${invalid.index} is invalid: ${invalid.reason}`
+      });
+    }
+
+    if (byReference && !db) {
+      return res.status(500).json({ error: 'Database not available' });
     }
+
+    // Decode PDF buffer, or read the stored version being signed
+    const documentStore = byReference ? new DocumentStore(db) : null;
+    const { source: sourceVersion, branch: targetBranch } = byReference
+      ? await documentStore.resolveSigningSource(storedDocumentId, { version: sourceVersionNumber, branch })
+      : {};
+
+    // A sent envelope reserves its branch for its own signers, and a voided
+    // one keeps it from being signed further
+    if (byReference && !envelope) {
+      const holder = await new EnvelopeStore(db).findLockingEnvelope(storedDocumentId, targetBranch);
+      if (holder?.status === ENVELOPE_STATUS.voided) {
+        throw envelopeError(
+          ENVELOPE_ERRORS.voided,
+          `Branch ${targetBranch} of ${storedDocumentId} was voided with envelope ${holder._id}; start a new branch to sign it again`
+        );
+      }
+      if (holder) {
+        throw envelopeError(
+          ENVELOPE_ERRORS.documentLocked,
+          `Branch ${targetBranch} of ${storedDocumentId} belongs to envelope ${holder._id}; sign through its signing links`
+        );
+      }
+    }
+    const pdfBuf = byReference ? await documentStore.readVersion(sourceVersion) : decodePDFBuffer(pdfBuffer);
     console.log('PDF Buffer size:', pdfBuf.length, 'bytes');
 
-    // Get page size (default A4)
-    const finalPageSize = pageSize || { width: 595.275591, height: 841.889764 };
+    // Load server certificate for PKCS#7 mode
+    let credentials = null;
+    if (cryptographic) {
+      credentials = await getSigningCredentials();
+      if (!credentials) {
+        return res.status(400).json({
+          error: 'Cryptographic signing is not configured on this server'
+        });
+      }
+    }
+
+    // Spend the invitation link; a failed pass gives it back
+    if (invitation) {
+      claimedToken = await new SigningTokenStore(db).claimToken(signingToken);
+    }
+
+    const auditSchema = db ? new AuditSchema(db) : null;
+
+    // Signatures of the passes this input came out of, oldest first, for the certificate
+    const previousEntries = certificateOfCompletion && auditSchema
+      ? await auditSchema.getSigningHistory(pdfId, computeSHA256(pdfBuf))
+      : [];
 
-    // Transform frontend coordinates to PDF points
-    const pdfCoordinates = transformFrontendToPDF(
-      coordinates.frontend,
-      coordinates.container,
-      finalPageSize
+    const pageGeometries = await getPageGeometries(pdfBuf, password);
+    const prepared = placements.map(placement => buildSignatureData(placement, metadata, pageGeometries, {
+      documentId: pdfId,
+      appearance
+    }));
+
+    // Sign PDF (single load/save pass for all placements)
+    const signResult = await signPDFMultiple(
+      pdfBuf,
+      prepared.map(({ signatureData }) => signatureData),
+      {
+        credentials,
+        incremental: incremental !== false,
+        certificateOfCompletion: certificateOfCompletion
+          ? { documentId: pdfId, ipAddress: req.ip, previousEntries }
+          : null,
+        timestampAuthority: getTimestampAuthorityConfig(),
+        password,
+        encrypt,
+        conformance,
+        embedEvidence: embedEvidence ? { documentId: pdfId } : null,
+        verificationQr: verificationQr
+          ? {
+            ...(typeof verificationQr === 'object' ? verificationQr : {}),
+            baseUrl: getPublicBaseUrl(),
+            documentId: pdfId
+          }
+          : null,
+        signer: {
+          name: metadata?.name,
+          reason: metadata?.reason,
+          location: metadata?.location,
+          contactInfo: metadata?.contactInfo || metadata?.email
+        }
+      }
     );
 
-    console.log('PDF Coordinates (transformed):', {
-      x: pdfCoordinates.x,
-      y: pdfCoordinates.y,
-      width: pdfCoordinates.width,
-      height: pdfCoordinates.height
-    });
+    // The signed result becomes the stored document's next version
+    const storedVersion = sourceVersion
+      ? await documentStore.addSignedVersion(sourceVersion, signResult.signedPDFBuffer, {
+        originalHash: signResult.originalHash,
+        uploadedBy: metadata?.email,
+        branch: targetBranch
+      })
+      : null;
 
-    // Prepare signature data for PDF engine
-    const signatureData = {
-      image: signature.image,
-      imageType: signature.imageType || 'png',
-      x: pdfCoordinates.x,
-      y: pdfCoordinates.y,
-      width: pdfCoordinates.width,
-      height: pdfCoordinates.height,
-      pageIndex: coordinates.pageIndex || 0,
-      metadata: {
-        ...metadata,
-        coordinateTransform: {
-          frontend: coordinates.frontend,
-          normalized: pdfCoordinates.normalized,
-          pdf: {
+    // Store one audit log entry per placement
+    const auditIds = [];
+    if (auditSchema) {
+      for (const [index, { signatureData, pdfCoordinates }] of prepared.entries()) {
+        const {
+          imageInfo,
+          textInfo,
+          markInfo,
+          formField,
+          appearance: stamp,
+          verificationQr: qrCode
+        } = signResult.auditTrail[index];
+        const entry = await auditSchema.create({
+          documentId: pdfId,
+          originalHash: signResult.originalHash,
+          signedHash: signResult.signedHash,
+          pageIndex: signatureData.pageIndex,
+          fieldType: signatureData.fieldType,
+          placementIndex: index,
+          signatureCount: prepared.length,
+          email: metadata?.email || 'unknown',
+          signerName: metadata?.name || 'unknown',
+          ipAddress: req.ip,
+          normalizedCoords: pdfCoordinates.normalized,
+          pdfCoords: {
             x: pdfCoordinates.x,
             y: pdfCoordinates.y,
             width: pdfCoordinates.width,
             height: pdfCoordinates.height
-          }
-        }
+          },
+          containerSize: placements[index].coordinates.container,
+          imageDimensions: imageInfo
+            ? { width: imageInfo.originalWidth, height: imageInfo.originalHeight }
+            : null,
+          fitDimensions: imageInfo
+            ? { width: imageInfo.fitWidth, height: imageInfo.fitHeight }
+            : null,
+          imageCleanup: imageInfo?.cleanup || null,
+          imageFlattened: imageInfo?.flattened || null,
+          appearance: stamp || null,
+          verificationQr: qrCode || null,
+          imageType: imageInfo
+            ? (imageInfo.vector ? 'vector' : `image/${signatureData.imageType}`)
+            : null,
+          fieldContent: textInfo || markInfo || formField || null,
+          revision: signResult.revision,
+          certificateOfCompletion: signResult.certificateOfCompletion,
+          cryptographicSignature: signResult.cryptographicSignature,
+          trustedTimestamp: signResult.trustedTimestamp,
+          encryption: signResult.encryption,
+          conformance: signResult.conformance,
+          evidence: signResult.evidence,
+          storedVersion: storedVersion
+            ? {
+              fileId: storedVersion.fileId,
+              version: storedVersion.version,
+              branch: storedVersion.branch,
+              parentVersion: storedVersion.parentVersion
+            }
+            : null,
+          envelope: envelope
+            ? {
+              envelopeId: envelope._id,
+              recipientId: envelopeRecipient.id,
+              role: envelopeRecipient.role,
+              fieldId: placements[index].fieldId,
+              tokenId: invitation._id
+            }
+            : null,
+          metadata: metadata || {}
+        });
+        auditIds.push(entry._id);
       }
-    };
-
-    // Sign PDF
-    const signResult = await signPDF(pdfBuf, signatureData);
+    }
+    if (storedVersion) {
+      await documentStore.linkAuditEntries(storedVersion.fileId, auditIds);
+    }
 
-    // Store audit log
-    const db = req.app.locals.db;
-    if (db) {
-      const auditSchema = new AuditSchema(db);
-      await auditSchema.create({
-        documentId: pdfId,
-        originalHash: signResult.originalHash,
+    // Record the recipient's pass; the last signer's pass seals the envelope
+    let envelopeState = null;
+    if (envelope) {
+      const envelopeStore = new EnvelopeStore(db);
+      envelopeState = await envelopeStore.recordSigning(envelope._id, envelopeRecipient.id, {
+        version: storedVersion.version,
         signedHash: signResult.signedHash,
-        pageIndex: signatureData.pageIndex,
-        email: metadata?.email || 'unknown',
-        signerName: metadata?.name || 'unknown',
-        normalizedCoords: pdfCoordinates.normalized,
-        pdfCoords: {
-          x: pdfCoordinates.x,
-          y: pdfCoordinates.y,
-          width: pdfCoordinates.width,
-          height: pdfCoordinates.height
-        },
-        containerSize: coordinates.container,
-        metadata: metadata || {}
+        auditIds
       });
+      if (claimedToken) {
+        const tokenStore = new SigningTokenStore(db);
+        const usedToken = claimedToken;
+        claimedToken = null;
+        await tokenStore.recordUsed(usedToken, envelopeRecipient, {
+          ipAddress: req.ip,
+          version: storedVersion.version,
+          signedHash: signResult.signedHash,
+          auditIds
+        });
+      }
+      if (envelopeState.status === ENVELOPE_STATUS.completed) {
+        envelopeState = await envelopeStore.sealEnvelope(envelopeState, await getSigningCredentials(), {
+          timestampAuthority: getTimestampAuthorityConfig()
+        });
+      } else if (req.app.locals.mailTransport) {
+        // A sequential envelope's next signer gets their link now
+        await new SigningTokenStore(db).inviteRecipients(envelopeState, {
+          transport: req.app.locals.mailTransport,
+          baseUrl: getSigningUrlBase(),
+          ipAddress: req.ip
+        });
+      }
+    }
+
+    if (wantsRawPdf(req)) {
+      return sendRawPdf(res, pdfId, signResult, prepared.length, storedVersion, envelopeState);
     }
 
     // Convert signed PDF to base64 for transport
@@ -151,11 +731,74 @@ router.post('/sign-pdf', async (req, res) => {
         original: signResult.originalHash,
         signed: signResult.signedHash
       },
-      auditLog: signResult.auditLog,
+      signatureCount: prepared.length,
+      revision: signResult.revision,
+      certificateOfCompletion: signResult.certificateOfCompletion,
+      certificate: signResult.cryptographicSignature?.certificate || null,
+      trustedTimestamp: signResult.trustedTimestamp,
+      encryption: signResult.encryption,
+      conformance: signResult.conformance,
+      evidence: signResult.evidence,
+      storedVersion,
+      envelope: envelopeState ? describeEnvelope(envelopeState) : null,
+      auditTrail: signResult.auditTrail,
       message: 'PDF signed successfully'
     });
 
   } catch (error) {
+    if (claimedToken) {
+      await new SigningTokenStore(req.app.locals.db).releaseToken(claimedToken)
+        .catch(releaseError => console.error('Failed to release signing token:', releaseError));
+    }
+    if (isPasswordError(error)) {
+      return passwordErrorResponse(res, error);
+    }
+    if (SIGNING_TOKEN_ERROR_STATUS[error.code]) {
+      return res.status(SIGNING_TOKEN_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    if (error.code === UNENCODABLE_TEXT_ERROR) {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code,
+        characters: error.characters
+      });
+    }
+    if (error.code === NONCONFORMING_ERROR) {
+      return res.status(422).json({
+        error: error.message,
+        code: error.code,
+        issues: error.issues
+      });
+    }
+    if (error.code === DOCUMENT_ERRORS.notFound) {
+      return res.status(404).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    if (error.code === DOCUMENT_ERRORS.invalidBranch) {
+      return res.status(400).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    if (error.code === DOCUMENT_ERRORS.versionConflict || error.code === DOCUMENT_ERRORS.notBranchHead) {
+      return res.status(409).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    if (ENVELOPE_ERROR_STATUS[error.code]) {
+      return res.status(ENVELOPE_ERROR_STATUS[error.code]).json({
+        error: error.message,
+        code: error.code,
+        ...(error.waitingFor ? { waitingFor: error.waitingFor } : {}),
+        ...(error.missingFields ? { missingFields: error.missingFields } : {})
+      });
+    }
     console.error('Error signing PDF:', error);
     return res.status(500).json({
       error: 'Failed to sign PDF',
@@ -167,11 +810,21 @@ router.post('/sign-pdf', async (req, res) => {
 /**
  * POST /api/verify-pdf
  * 
- * Verify document integrity against stored hash
+ * Verify document integrity against every signing pass of the document:
+ * status 'valid' for the latest signed version, 'outdated' for the original
+ * or a copy from after an earlier pass (match says which, signers lists who
+ * had signed by then), 'tampered' for anything else. Also checks that every
+ * audit entry's originalHash is a byte-prefix revision of the submitted document
+ * 
+ * Request Body: { documentId, pdfBuffer, password (optional, for encrypted PDFs) }
+ * (JSON, or multipart/form-data with the PDF as file part `pdf`)
+ * 
+ * Hashes cover the bytes as stored, so encrypted PDFs verify without a
+ * password; with one, the response also says which password opened it.
  */
-router.post('/verify-pdf', async (req, res) => {
+router.post('/verify-pdf', acceptMultipart, async (req, res) => {
   try {
-    const { documentId, pdfBuffer } = req.body;
+    const { documentId, pdfBuffer, password } = req.body;
 
     if (!documentId || !pdfBuffer) {
       return res.status(400).json({
@@ -179,16 +832,18 @@ router.post('/verify-pdf', async (req, res) => {
       });
     }
 
-    // Decode PDF buffer
-    let pdfBuf;
-    if (typeof pdfBuffer === 'string') {
-      pdfBuf = Buffer.from(pdfBuffer, 'base64');
-    } else {
-      pdfBuf = pdfBuffer;
+    // The ID goes into audit queries, so it must be a plain, well-formed value
+    if (typeof documentId !== 'string' || !DOCUMENT_ID_PATTERN.test(documentId)) {
+      return res.status(400).json({ error: 'documentId may only contain letters, digits, _ . - (max 128)' });
     }
 
-    // Compute current hash
+    // Decode PDF buffer
+    const pdfBuf = decodePDFBuffer(pdfBuffer);
+
+    // Compute current hash and the hashes of every earlier revision
     const currentHash = computeSHA256(pdfBuf);
+    const revisions = listRevisions(pdfBuf);
+    const encryption = await readEncryption(pdfBuf, password);
 
     // Verify against audit log
     const db = req.app.locals.db;
@@ -197,11 +852,14 @@ router.post('/verify-pdf', async (req, res) => {
     }
 
     const auditSchema = new AuditSchema(db);
-    const verificationResult = await auditSchema.verifyIntegrity(documentId, currentHash);
+    const verificationResult = await auditSchema.verifyIntegrity(documentId, currentHash, revisions);
 
-    return res.json(verificationResult);
+    return res.json({ ...verificationResult, encryption });
 
   } catch (error) {
+    if (isPasswordError(error)) {
+      return passwordErrorResponse(res, error);
+    }
     console.error('Error verifying PDF:', error);
     return res.status(500).json({
       error: 'Failed to verify PDF',
@@ -210,24 +868,163 @@ router.post('/verify-pdf', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/verify/:documentId/:hashPrefix
+ * 
+ * Public check of a signing pass, as linked from the QR code beside its
+ * signatures: signer list and integrity status from the audit log, without
+ * uploading the PDF. hashPrefix is the start of the hash of the document as
+ * it was before that pass signed it.
+ */
+router.get('/verify/:documentId/:hashPrefix', async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const hashPrefix = req.params.hashPrefix.toLowerCase();
+
+    if (!new RegExp(`^[0-9a-f]{${MIN_HASH_PREFIX_LENGTH},64}$`).test(hashPrefix)) {
+      return res.status(400).json({
+        error: `hashPrefix must be ${MIN_HASH_PREFIX_LENGTH} to 64 hex characters`
+      });
+    }
+
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const auditSchema = new AuditSchema(db);
+    const verification = await auditSchema.getPublicVerification(documentId, hashPrefix);
+
+    if (verification.status === 'not_found') {
+      return res.status(404).json({
+        error: verification.message
+      });
+    }
+
+    return res.json(verification);
+
+  } catch (error) {
+    console.error('Error verifying signing pass:', error);
+    return res.status(500).json({
+      error: 'Failed to verify signing pass',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/form-fields
+ * 
+ * List the AcroForm fields already present in a PDF, one entry per widget,
+ * so the editor can show them as pre-placed fields
+ * 
+ * Request Body: { pdfBuffer: string (base64) }
+ */
+router.post('/form-fields', async (req, res) => {
+  try {
+    const { pdfBuffer } = req.body;
+
+    if (!pdfBuffer) {
+      return res.status(400).json({
+        error: 'Missing required field: pdfBuffer'
+      });
+    }
+
+    const fields = await listFormFields(decodePDFBuffer(pdfBuffer));
+
+    return res.json({
+      fields,
+      count: fields.length,
+      emptySignatureFields: fields
+        .filter(field => field.type === 'signature' && !field.value)
+        .map(field => field.name)
+    });
+
+  } catch (error) {
+    console.error('Error listing form fields:', error);
+    return res.status(500).json({
+      error: 'Failed to list form fields',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/extract-evidence
+ * 
+ * Read the signing evidence embedded in any PDF: the JSON attachment with
+ * the audit entries of every signing pass, and the XMP summary
+ * (document ID, signers, original hash), checked against each other
+ * 
+ * Request Body: { pdfBuffer: string (base64), password: string (optional) }
+ */
+router.post('/extract-evidence', async (req, res) => {
+  try {
+    const { pdfBuffer, password } = req.body;
+
+    if (!pdfBuffer) {
+      return res.status(400).json({
+        error: 'Missing required field: pdfBuffer'
+      });
+    }
+
+    const result = await extractEvidence(decodePDFBuffer(pdfBuffer), password);
+
+    return res.json(result);
+
+  } catch (error) {
+    if (isPasswordError(error)) {
+      return passwordErrorResponse(res, error);
+    }
+    if (error.code === INVALID_EVIDENCE_ERROR) {
+      return res.status(422).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Error extracting evidence:', error);
+    return res.status(500).json({
+      error: 'Failed to extract evidence',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/audit/:documentId
  * 
- * Retrieve complete audit trail for document
+ * Retrieve the audit trail of a document, newest first, one page at a time
+ * 
+ * Query: limit: 1-200 (default 50), cursor: nextCursor of the previous page
+ * 
+ * Response: { documentId, auditTrail, count, hasMore, nextCursor }
  */
 router.get('/audit/:documentId', async (req, res) => {
   try {
     const { documentId } = req.params;
 
+    let search;
+    try {
+      search = parsePageParams(req.query);
+    } catch (error) {
+      if (error.code === SEARCH_ERROR) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
     const db = req.app.locals.db;
     if (!db) {
       return res.status(500).json({ error: 'Database not available' });
     }
 
     const auditSchema = new AuditSchema(db);
-    const auditTrail = await auditSchema.getAuditTrail(documentId);
+    const { entries, hasMore, nextCursor } = await auditSchema.search({
+      ...search,
+      filters: { documentId, excludeEvents: true }
+    });
 
-    if (auditTrail.length === 0) {
+    if (entries.length === 0 && !search.after) {
       return res.status(404).json({
         error: 'No audit trail found for this document'
       });
@@ -235,8 +1032,10 @@ router.get('/audit/:documentId', async (req, res) => {
 
     return res.json({
       documentId,
-      auditTrail,
-      totalSignatures: auditTrail.length
+      auditTrail: entries,
+      count: entries.length,
+      hasMore,
+      nextCursor
     });
 
   } catch (error) {
@@ -251,24 +1050,43 @@ router.get('/audit/:documentId', async (req, res) => {
 /**
  * GET /api/audit/signer/:email
  * 
- * Retrieve all documents signed by specific person
+ * Retrieve the entries a person signed, newest first, one page at a time
+ * 
+ * Query: limit: 1-200 (default 50), cursor: nextCursor of the previous page
+ * 
+ * Response: { signer, documents, count, hasMore, nextCursor }
  */
 router.get('/audit/signer/:email', async (req, res) => {
   try {
     const { email } = req.params;
 
+    let search;
+    try {
+      search = parsePageParams(req.query);
+    } catch (error) {
+      if (error.code === SEARCH_ERROR) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
     const db = req.app.locals.db;
     if (!db) {
       return res.status(500).json({ error: 'Database not available' });
     }
 
     const auditSchema = new AuditSchema(db);
-    const signerAudit = await auditSchema.getSignerAuditTrail(email);
+    const { entries, hasMore, nextCursor } = await auditSchema.search({
+      ...search,
+      filters: { signer: email, excludeEvents: true }
+    });
 
     return res.json({
       signer: email,
-      documents: signerAudit,
-      count: signerAudit.length
+      documents: entries,
+      count: entries.length,
+      hasMore,
+      nextCursor
     });
 
   } catch (error) {
@@ -0,0 +1,268 @@
+/**
+ * SIGNING LINK API ROUTES
+ *
+ * GET /api/signing/:token - Signing view of an invited recipient: their fields only
+ * GET /api/signing/:token/document - The document they sign (head of the envelope's branch)
+ * POST /api/signing/:token/decline - Refuse to sign, with a reason
+ * POST /api/signing/:token/delegate - Hand the recipient's fields to another email
+ *
+ * The token from the invitation link is the credential. Recipients sign
+ * through POST /api/sign-pdf with signingToken; declining and delegating
+ * spend the token like a signing pass.
+ */
+
+const express = require('express');
+const router = express.Router();
+const EnvelopeStore = require('../models/envelopeStore');
+const DocumentStore = require('../models/documentStore');
+const SigningTokenStore = require('../models/signingTokenStore');
+const { DOCUMENT_ERRORS } = require('../models/documentStore');
+const {
+  assertActive,
+  findPendingSigner,
+  normalizeReason,
+  ENVELOPE_ERROR_STATUS
+} = require('../utils/envelopeRouting');
+const {
+  describeSigningSession,
+  getSigningUrlBase,
+  SIGNING_TOKEN_ERROR_STATUS
+} = require('../utils/signingTokens');
+
+/**
+ * Error response for token, envelope and document error codes, or null
+ */
+function signingErrorResponse(res, error) {
+  const status = SIGNING_TOKEN_ERROR_STATUS[error.code] ||
+    ENVELOPE_ERROR_STATUS[error.code] ||
+    (error.code === DOCUMENT_ERRORS.notFound ? 404 : null);
+  if (!status) return null;
+  return res.status(status).json({
+    error: error.message,
+    code: error.code
+  });
+}
+
+/**
+ * GET /api/signing/:token
+ *
+ * Open a signing link; each opening is recorded in the audit log
+ *
+ * Response:
+ * {
+ *   envelopeId, title, status, routing, documentId, branch,
+ *   recipient: { id, email, name, role, status },
+ *   recipients: [recipient] (only the token holder),
+ *   fields: [envelope fields assigned to the recipient],
+ *   expiresAt, currentRecipients: [email] while it is the recipient's turn
+ * }
+ *
+ * 404 for an unknown link, 410 for an expired, used or replaced one, 409
+ * once the envelope no longer accepts signatures (ENVELOPE_VOIDED when the
+ * sender voided it).
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const tokenStore = new SigningTokenStore(db);
+    const record = await tokenStore.resolveToken(req.params.token);
+    const envelope = await new EnvelopeStore(db).getEnvelope(record.envelopeId);
+    assertActive(envelope);
+
+    const session = describeSigningSession(envelope, record);
+    await tokenStore.recordOpened(record, session.recipient, {
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    return res.json(session);
+
+  } catch (error) {
+    const handled = signingErrorResponse(res, error);
+    if (handled) return handled;
+    console.error('Error opening signing link:', error);
+    return res.status(500).json({
+      error: 'Failed to open signing link',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/signing/:token/document
+ *
+ * Stream the head of the envelope's branch as application/pdf, with the
+ * same X-Document-* headers as document downloads; refused like GET once the
+ * envelope no longer accepts signatures
+ */
+router.get('/:token/document', async (req, res) => {
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const record = await new SigningTokenStore(db).resolveToken(req.params.token);
+    const envelope = await new EnvelopeStore(db).getEnvelope(record.envelopeId);
+    assertActive(envelope);
+    const documentStore = new DocumentStore(db);
+    const file = await documentStore.getBranchHead(envelope.documentId, envelope.branch);
+    if (!file) {
+      return res.status(404).json({
+        error: 'Document not found',
+        code: DOCUMENT_ERRORS.notFound
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Length': file.length,
+      'Content-Disposition': `inline; filename="${file.filename.replace(/[^\w.-]+/g, '_')}"`,
+      'Cache-Control': 'no-store',
+      'X-Document-Version': String(file.metadata.version),
+      'X-Document-Branch': file.metadata.branch,
+      'X-Content-Hash': file.metadata.sha256
+    });
+
+    const stream = documentStore.openDownloadStream(file);
+    stream.on('error', (error) => {
+      console.error('Error streaming document:', error);
+      res.destroy(error);
+    });
+    return stream.pipe(res);
+
+  } catch (error) {
+    const handled = signingErrorResponse(res, error);
+    if (handled) return handled;
+    console.error('Error downloading signing document:', error);
+    return res.status(500).json({
+      error: 'Failed to download document',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/signing/:token/decline
+ *
+ * Refuse to sign; the envelope ends as 'declined'
+ *
+ * Request Body: { reason: string (required, at most 1000 characters) }
+ *
+ * Response: the signing view (as in GET), with the envelope's new status
+ */
+router.post('/:token/decline', async (req, res) => {
+  let claimedToken = null;
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const reason = normalizeReason(req.body.reason, { required: true });
+    const tokenStore = new SigningTokenStore(db);
+    const record = await tokenStore.resolveToken(req.params.token);
+    const envelopeStore = new EnvelopeStore(db);
+    const envelope = await envelopeStore.getEnvelope(record.envelopeId);
+    const recipient = findPendingSigner(envelope, record.email);
+
+    claimedToken = await tokenStore.claimToken(req.params.token);
+    const updated = await envelopeStore.declineRecipient(envelope._id, recipient, {
+      reason,
+      ipAddress: req.ip,
+      tokenId: record._id
+    });
+    claimedToken = null;
+
+    return res.json(describeSigningSession(updated, record));
+
+  } catch (error) {
+    if (claimedToken) {
+      await new SigningTokenStore(req.app.locals.db).releaseToken(claimedToken)
+        .catch(releaseError => console.error('Failed to release signing token:', releaseError));
+    }
+    const handled = signingErrorResponse(res, error);
+    if (handled) return handled;
+    console.error('Error declining envelope:', error);
+    return res.status(500).json({
+      error: 'Failed to decline envelope',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/signing/:token/delegate
+ *
+ * Hand the recipient's place and fields to another email; the delegate is
+ * mailed their own link when it is their turn, and this one stops working
+ *
+ * Request Body:
+ * {
+ *   delegate: { email, name }
+ *   reason: string (optional)
+ * }
+ *
+ * Response: the signing view (as in GET), plus delegate: { id, email, name }
+ *   and invitations: [{ recipientId, email, tokenId, expiresAt, delivery }]
+ */
+router.post('/:token/delegate', async (req, res) => {
+  let claimedToken = null;
+  try {
+    const db = req.app.locals.db;
+    if (!db) {
+      return res.status(500).json({ error: 'Database not available' });
+    }
+
+    const reason = normalizeReason(req.body.reason);
+    const tokenStore = new SigningTokenStore(db);
+    const record = await tokenStore.resolveToken(req.params.token);
+    const envelopeStore = new EnvelopeStore(db);
+    const envelope = await envelopeStore.getEnvelope(record.envelopeId);
+    const recipient = findPendingSigner(envelope, record.email);
+
+    claimedToken = await tokenStore.claimToken(req.params.token);
+    const { envelope: updated, delegate } = await envelopeStore.delegateRecipient(
+      envelope._id,
+      recipient,
+      req.body.delegate,
+      { reason, ipAddress: req.ip, tokenId: record._id }
+    );
+    claimedToken = null;
+
+    const transport = req.app.locals.mailTransport;
+    const invitations = transport
+      ? await tokenStore.inviteRecipients(updated, {
+        transport,
+        baseUrl: getSigningUrlBase(),
+        recipientIds: [delegate.id],
+        ipAddress: req.ip
+      })
+      : [];
+
+    return res.json({
+      ...describeSigningSession(updated, record),
+      delegate: { id: delegate.id, email: delegate.email, name: delegate.name },
+      invitations
+    });
+
+  } catch (error) {
+    if (claimedToken) {
+      await new SigningTokenStore(req.app.locals.db).releaseToken(claimedToken)
+        .catch(releaseError => console.error('Failed to release signing token:', releaseError));
+    }
+    const handled = signingErrorResponse(res, error);
+    if (handled) return handled;
+    console.error('Error delegating envelope:', error);
+    return res.status(500).json({
+      error: 'Failed to delegate envelope',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
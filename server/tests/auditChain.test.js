@@ -0,0 +1,283 @@
+/**
+ * AUDIT CHAIN TESTS
+ *
+ * Links audit entries into hash chains, finds edited, deleted and reordered
+ * entries, and signs and checks checkpoints of the chain head
+ */
+
+const express = require('express');
+const forge = require('node-forge');
+const { ObjectId, BSON } = require('mongodb');
+const AuditSchema = require('../models/auditSchema');
+const auditRoutes = require('../routes/auditRoutes');
+const { parsePEM, describeCertificate } = require('../utils/cryptoSigner');
+const {
+  stripUndefined,
+  canonicalJson,
+  linkEntry,
+  verifyChain,
+  createCheckpoint,
+  verifyCheckpointSignature,
+  CHAIN_ERRORS
+} = require('../utils/auditChain');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assertTrue(value, message) {
+  if (!value) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  }
+}
+
+/**
+ * Create a self-signed certificate as server credentials
+ */
+function createTestCredentials() {
+  const keys = forge.pki.rsa.generateKeyPair(2048);
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const attrs = [{ name: 'commonName', value: 'Audit Checkpoints' }];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+
+  const credentials = parsePEM(
+    forge.pki.certificateToPem(cert),
+    forge.pki.privateKeyToPem(keys.privateKey)
+  );
+  return { ...credentials, certificateInfo: describeCertificate(credentials.certificate) };
+}
+
+function auditEntry(documentId, email) {
+  return {
+    _id: new ObjectId(),
+    documentId,
+    originalHash: 'a'.repeat(64),
+    signedHash: 'b'.repeat(64),
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    signer: { email, name: 'Signer', timestamp: new Date(), ipAddress: null },
+    coordinates: { normalized: { x: 0.1, y: 0.2, width: 0.3, height: 0.05 }, pdf: null },
+    integrityStatus: 'valid',
+    verifications: [],
+    metadata: { reason: undefined }
+  };
+}
+
+// Entries linked the way AuditSchema.create links them, oldest first
+function buildChain(documentIds) {
+  const entries = [];
+  for (const [index, documentId] of documentIds.entries()) {
+    const entry = stripUndefined(auditEntry(documentId, `signer${index}@example.com`));
+    const previous = entries[entries.length - 1];
+    const previousInDocument = [...entries].reverse().find(e => e.documentId === documentId);
+    entry.chain = linkEntry(entry, previous?.chain || null, previousInDocument?.chain || null);
+    entries.push(entry);
+  }
+  return entries;
+}
+
+// Stores and reads entries back the way MongoDB does
+function roundTrip(entries) {
+  return entries.map(entry => BSON.deserialize(BSON.serialize(entry)));
+}
+
+const credentials = createTestCredentials();
+
+// ============================================================================
+// CHAINS
+// ============================================================================
+
+test('Canonical JSON ignores key order and normalizes stored types', () => {
+  const id = new ObjectId();
+  const date = new Date(0);
+  assertEqual(
+    canonicalJson({ b: 1, a: { d: date, c: id } }),
+    canonicalJson({ a: { c: id, d: date }, b: 1 }),
+    'Key order'
+  );
+  assertEqual(canonicalJson({ a: undefined }), '{}', 'Undefined members left out');
+  assertEqual(canonicalJson(stripUndefined({ a: [undefined], b: { c: undefined } })), '{"a":[null],"b":{}}', 'Stripped');
+  assertEqual(canonicalJson([id]), `["${id.toHexString()}"]`, 'ObjectId as hex');
+});
+
+test('A chain survives storage and verifies globally and per document', async () => {
+  const entries = roundTrip(buildChain(['doc-a', 'doc-b', 'doc-a', 'doc-a']));
+
+  const global = await verifyChain(entries, { scope: 'global' });
+  assertEqual(global.valid, true, 'Global chain');
+  assertEqual(global.checkedEntries, 4, 'Every entry');
+  assertEqual(global.head.sequence, 4, 'Head');
+
+  const docA = entries.filter(entry => entry.documentId === 'doc-a');
+  const document = await verifyChain(docA, { scope: 'document' });
+  assertEqual(document.valid, true, 'Document chain');
+  assertEqual(document.head.sequence, 3, 'Third entry of doc-a');
+  assertEqual(docA[1].chain.previousDocumentHash, docA[0].chain.entryHash, 'Skips other documents');
+});
+
+test('Finds edited entries, but not verification bookkeeping', async () => {
+  const entries = roundTrip(buildChain(['doc-a', 'doc-a', 'doc-a']));
+  entries[1].verifications.push({ verifiedAt: new Date(), status: 'valid' });
+  entries[1].integrityStatus = 'tampered';
+  assertEqual((await verifyChain(entries)).valid, true, 'Bookkeeping is not hashed');
+
+  entries[1].signer.email = 'mallory@example.com';
+  const result = await verifyChain(entries);
+  assertEqual(result.valid, false, 'Edited');
+  assertEqual(result.brokenLink.code, CHAIN_ERRORS.entryModified, 'Code');
+  assertEqual(result.brokenLink.sequence, 2, 'First broken link');
+  assertEqual(result.checkedEntries, 1, 'Entries before it check out');
+});
+
+test('Finds deleted and relinked entries', async () => {
+  const entries = buildChain(['doc-a', 'doc-a', 'doc-a', 'doc-a']);
+
+  const deleted = await verifyChain([entries[0], entries[2], entries[3]]);
+  assertEqual(deleted.brokenLink.code, CHAIN_ERRORS.entryMissing, 'Deleted entry');
+  assertEqual(deleted.brokenLink.sequence, 3, 'Where the gap is');
+
+  // Renumbered after a deletion, but still linked to the deleted entry
+  const renumbered = roundTrip([entries[0], entries[2]]);
+  renumbered[1].chain.sequence = 2;
+  const relinked = await verifyChain(renumbered);
+  assertEqual(relinked.brokenLink.code, CHAIN_ERRORS.linkBroken, 'Broken link');
+});
+
+// ============================================================================
+// CHECKPOINTS
+// ============================================================================
+
+test('Checkpoints are signed statements of the head', async () => {
+  const entries = buildChain(['doc-a', 'doc-b']);
+  const head = { sequence: 2, entryHash: entries[1].chain.entryHash, auditId: entries[1]._id };
+  const checkpoint = await createCheckpoint(head, credentials);
+
+  assertEqual(checkpoint.headHash, head.entryHash, 'Head hash');
+  assertEqual(JSON.parse(checkpoint.payload).sequence, 2, 'Signed payload');
+  assertTrue(verifyCheckpointSignature(checkpoint), 'Signature verifies');
+  assertTrue(
+    !verifyCheckpointSignature({ ...checkpoint, payload: checkpoint.payload.replace('"sequence":2', '"sequence":1') }),
+    'Edited payload fails'
+  );
+});
+
+test('A chain rewritten or truncated after a checkpoint fails', async () => {
+  const entries = buildChain(['doc-a', 'doc-a', 'doc-a']);
+  const checkpoint = await createCheckpoint(
+    { sequence: 2, entryHash: entries[1].chain.entryHash, auditId: entries[1]._id },
+    credentials
+  );
+  assertEqual((await verifyChain(entries, { checkpoints: [checkpoint] })).valid, true, 'Matches checkpoint');
+
+  // Entry 2 edited and its hash recomputed: internally consistent
+  const { chain, ...content } = entries[1];
+  const forged = { ...content, signer: { ...content.signer, email: 'mallory@example.com' } };
+  forged.chain = linkEntry(forged, entries[0].chain, entries[0].chain);
+  assertEqual((await verifyChain([entries[0], forged])).valid, true, 'Consistent without checkpoints');
+
+  const result = await verifyChain([entries[0], forged], { checkpoints: [checkpoint] });
+  assertEqual(result.brokenLink.code, CHAIN_ERRORS.checkpointMismatch, 'Rewrite caught');
+
+  const truncated = await verifyChain([entries[0]], { checkpoints: [checkpoint] });
+  assertEqual(truncated.brokenLink.code, CHAIN_ERRORS.checkpointMismatch, 'Truncation caught');
+});
+
+// ============================================================================
+// APPENDING
+// ============================================================================
+
+test('Appending retries when a concurrent write takes the position', async () => {
+  const stored = [];
+  let collisions = 1;
+  const collection = {
+    findOne: async (filter, options) => {
+      const field = Object.keys(options.sort)[0].split('.')[1];
+      const candidates = stored.filter(entry => !filter.documentId || entry.documentId === filter.documentId);
+      return candidates.sort((a, b) => b.chain[field] - a.chain[field])[0] || null;
+    },
+    insertOne: async (entry) => {
+      if (collisions > 0) {
+        collisions--;
+        // Another request appended first
+        stored.push(buildChain(['doc-b'])[0]);
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+      stored.push(entry);
+    }
+  };
+  const auditSchema = new AuditSchema({ collection: () => collection });
+
+  const entry = await auditSchema.create({ documentId: 'doc-a', originalHash: 'a', signedHash: 'b' });
+  assertEqual(entry.chain.sequence, 2, 'Linked after the concurrent entry');
+  assertEqual(entry.chain.previousHash, stored[0].chain.entryHash, 'Global link');
+  assertEqual(entry.chain.documentSequence, 1, 'First entry of its document');
+  assertEqual((await verifyChain(roundTrip(stored))).valid, true, 'Chain intact');
+});
+
+// ============================================================================
+// ROUTE
+// ============================================================================
+
+test('Verification refuses document IDs that are not plain values', async () => {
+  const app = express();
+  // Any query reaching the store fails the request with a 500
+  app.locals.db = { collection: () => { throw new Error('Store queried'); } };
+  app.use('/api/audit', auditRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const api = `http://127.0.0.1:${server.address().port}/api`;
+    for (const query of ['documentId[$ne]=x', 'documentId=a&documentId=b', `documentId=${encodeURIComponent('doc a/..')}`]) {
+      const response = await fetch(`${api}/audit/chain/verify?${query}`);
+      assertEqual(response.status, 400, query);
+    }
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n⛓️  Audit Chain Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,243 @@
+/**
+ * AUDIT EXPORT TESTS
+ *
+ * Formats audit entries as CSV, JSON Lines and PDF reports, and streams
+ * exports with a SHA-256 manifest
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { PDFDocument } = require('pdf-lib');
+const auditRoutes = require('../routes/auditRoutes');
+const {
+  csvField,
+  csvLines,
+  jsonLines,
+  buildPdfReport
+} = require('../utils/auditExport');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assertTrue(value, message) {
+  if (!value) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  }
+}
+
+function entry(index, overrides = {}) {
+  return {
+    _id: new ObjectId(),
+    documentId: index % 2 ? 'doc-b' : 'doc-a',
+    originalHash: 'a'.repeat(64),
+    signedHash: 'b'.repeat(64),
+    createdAt: new Date(Date.UTC(2024, 0, 1 + index)),
+    fieldType: 'signature',
+    pageIndex: 0,
+    placementIndex: 0,
+    signatureCount: 1,
+    signer: { name: `Signer ${index}`, email: `signer${index}@example.com`, timestamp: new Date(Date.UTC(2024, 0, 1 + index)) },
+    integrityStatus: 'valid',
+    chain: { sequence: index + 1, entryHash: 'c'.repeat(64) },
+    ...overrides
+  };
+}
+
+async function collect(lines) {
+  let text = '';
+  for await (const line of lines) text += line;
+  return text;
+}
+
+// Audit and export collections kept in memory
+function exportDb(entries) {
+  const manifests = new Map();
+  const matches = (query) => entries.filter(e =>
+    (!query.documentId || e.documentId === query.documentId) &&
+    (!query['signer.email'] || e.signer.email === query['signer.email']) &&
+    (!query.createdAt?.$gte || e.createdAt >= query.createdAt.$gte) &&
+    (!query.createdAt?.$lt || e.createdAt < query.createdAt.$lt));
+
+  const collections = {
+    audit_logs: {
+      find: (query) => ({ sort: () => matches(query) }),
+      countDocuments: async (query) => matches(query).length,
+      findOne: async () => entries[entries.length - 1]
+    },
+    audit_exports: {
+      insertOne: async (record) => manifests.set(record._id, { ...record }),
+      updateOne: async ({ _id }, { $set }) => Object.assign(manifests.get(_id), $set),
+      findOne: async ({ _id }) => manifests.get(_id) || null
+    }
+  };
+  return { collection: (name) => collections[name] || {} };
+}
+
+// Runs requests against the audit routes on an ephemeral port
+async function withServer(db, fn) {
+  const app = express();
+  app.locals.db = db;
+  app.use('/api/audit', auditRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}/api/audit`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+// GET with the body and HTTP trailers (fetch does not expose trailers)
+function getWithTrailers(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ res, body: Buffer.concat(chunks), trailers: res.trailers }));
+    }).on('error', reject);
+  });
+}
+
+// ============================================================================
+// FORMATS
+// ============================================================================
+
+test('CSV fields are quoted and cannot run as formulas', () => {
+  assertEqual(csvField('plain'), 'plain', 'Plain');
+  assertEqual(csvField('Doe, Jane'), '"Doe, Jane"', 'Comma');
+  assertEqual(csvField('say "hi"'), '"say ""hi"""', 'Quotes');
+  assertEqual(csvField('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"', 'Formula neutralized');
+  assertEqual(csvField(null), '', 'Empty');
+  assertEqual(csvField(new Date(0)), '1970-01-01T00:00:00.000Z', 'Date');
+});
+
+test('CSV has a header and one row per entry; JSONL one line per entry', async () => {
+  const entries = [entry(0), entry(1, { signer: { name: 'Doe, Jane', email: 'jane@example.com' } })];
+
+  const csv = (await collect(csvLines(entries))).split('\r\n');
+  assertTrue(csv[0].startsWith('auditId,documentId,createdAt,signerName'), 'Header');
+  assertEqual(csv.length, 4, 'Header, two rows, trailing newline');
+  assertTrue(csv[2].includes('"Doe, Jane",jane@example.com'), 'Quoted signer');
+
+  const jsonl = (await collect(jsonLines(entries))).trim().split('\n');
+  assertEqual(jsonl.length, 2, 'Lines');
+  assertEqual(JSON.parse(jsonl[1]).signer.email, 'jane@example.com', 'Entry as JSON');
+});
+
+test('PDF report lists every entry across pages', async () => {
+  const entries = Array.from({ length: 80 }, (_, index) => entry(index));
+  const report = await buildPdfReport(entries, {
+    exportId: 'exp-test',
+    filters: { documentId: 'doc-a' },
+    generatedAt: new Date(0)
+  });
+
+  const pdfDoc = await PDFDocument.load(report);
+  assertTrue(pdfDoc.getPageCount() >= 3, `Several pages (${pdfDoc.getPageCount()})`);
+  assertEqual(pdfDoc.getTitle(), 'Audit Trail Export', 'Title');
+  assertEqual(pdfDoc.getPage(0).getWidth() > pdfDoc.getPage(0).getHeight(), true, 'Landscape');
+});
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+test('Streams an export whose manifest and trailer hash the file', async () => {
+  const entries = Array.from({ length: 5 }, (_, index) => entry(index));
+
+  await withServer(exportDb(entries), async (api) => {
+    const { res, body, trailers } = await getWithTrailers(`${api}/export?format=jsonl&documentId=doc-a`);
+    const sha256 = crypto.createHash('sha256').update(body).digest('hex');
+
+    assertEqual(res.statusCode, 200, 'Exported');
+    assertTrue(res.headers['content-type'].startsWith('application/x-ndjson'), 'JSONL');
+    assertEqual(body.toString().trim().split('\n').length, 3, 'Only doc-a');
+    assertEqual(trailers['x-content-sha256'], sha256, 'Trailer');
+
+    const manifest = await (await fetch(`${api}/exports/${res.headers['x-export-id']}`)).json();
+    assertEqual(manifest.status, 'complete', 'Complete');
+    assertEqual(manifest.sha256, sha256, 'Manifest hash');
+    assertEqual(manifest.size, body.length, 'Size');
+    assertEqual(manifest.entryCount, 3, 'Entry count');
+    assertEqual(manifest.chainHead.sequence, 5, 'Chain head at export time');
+  });
+});
+
+test('Filters by signer and date range; PDF exports are PDFs', async () => {
+  const entries = Array.from({ length: 5 }, (_, index) => entry(index));
+
+  await withServer(exportDb(entries), async (api) => {
+    const bySigner = await fetch(`${api}/export?signer=signer3@example.com`);
+    assertEqual((await bySigner.text()).trim().split('\r\n').length, 2, 'Header and one row');
+
+    const range = await fetch(`${api}/export?format=jsonl&from=2024-01-02&to=2024-01-04`);
+    assertEqual((await range.text()).trim().split('\n').length, 2, 'Two days, end exclusive');
+
+    const pdf = await fetch(`${api}/export?format=pdf&from=2024-01-01`);
+    assertEqual(pdf.headers.get('content-type'), 'application/pdf', 'PDF');
+    assertEqual((await PDFDocument.load(await pdf.arrayBuffer())).getPageCount(), 1, 'One page');
+  });
+});
+
+test('Rejects unknown formats, bad dates and unfiltered exports', async () => {
+  await withServer(exportDb([]), async (api) => {
+    assertEqual((await fetch(`${api}/export?format=xml&documentId=doc-a`)).status, 400, 'Format');
+    assertEqual((await fetch(`${api}/export?from=yesterday`)).status, 400, 'Date');
+    assertEqual((await fetch(`${api}/export?from=2024-02-01&to=2024-01-01`)).status, 400, 'Range');
+    assertEqual((await fetch(`${api}/export`)).status, 400, 'No filter');
+    assertEqual((await fetch(`${api}/exports/exp-missing`)).status, 404, 'Unknown export');
+  });
+});
+
+test('Rejects filters that are not plain values', async () => {
+  const db = exportDb([entry(0), entry(1)]);
+  await withServer(db, async (api) => {
+    assertEqual((await fetch(`${api}/export?format=jsonl&signer[$ne]=nobody`)).status, 400, 'Operator signer');
+    assertEqual((await fetch(`${api}/export?format=jsonl&documentId[$gt]=`)).status, 400, 'Operator documentId');
+    assertEqual((await fetch(`${api}/export?documentId=a&documentId=b`)).status, 400, 'Repeated documentId');
+    assertEqual((await fetch(`${api}/export?documentId=${encodeURIComponent('doc a/..')}`)).status, 400, 'Malformed documentId');
+  });
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🧾 Audit Export Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
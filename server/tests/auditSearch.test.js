@@ -0,0 +1,382 @@
+/**
+ * AUDIT SEARCH TESTS
+ *
+ * Validates search parameters, keeps client operators out of queries, and
+ * pages through results with cursors, including the per-document and
+ * per-signer audit trails
+ */
+
+const express = require('express');
+const { ObjectId, BSON } = require('mongodb');
+const AuditSchema = require('../models/auditSchema');
+const auditRoutes = require('../routes/auditRoutes');
+const signatureRoutes = require('../routes/signatureRoutes');
+const {
+  parseSearchParams,
+  parsePageParams,
+  buildSearchQuery,
+  SEARCH_ERROR
+} = require('../utils/auditQuery');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assertTrue(value, message) {
+  if (!value) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertRejects(params, message) {
+  try {
+    parseSearchParams(params);
+  } catch (error) {
+    assertEqual(error.code, SEARCH_ERROR, message);
+    return;
+  }
+  throw new Error(`${message}: accepted`);
+}
+
+// ============================================================================
+// IN-MEMORY COLLECTION
+// ============================================================================
+
+// Enough of MongoDB's query and sort semantics for the queries search builds
+
+function read(entry, path) {
+  return path.split('.').reduce((member, key) => member?.[key], entry) ?? null;
+}
+
+function compare(a, b) {
+  if (a === null || b === null) return (a === null ? 0 : 1) - (b === null ? 0 : 1);
+  if (a instanceof ObjectId) return a.toHexString().localeCompare(b.toHexString());
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function matches(entry, query) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$and') return condition.every(part => matches(entry, part));
+    if (key === '$or') return condition.some(part => matches(entry, part));
+
+    const value = read(entry, key);
+    const isOperator = condition && typeof condition === 'object' &&
+      !(condition instanceof Date) && !(condition instanceof ObjectId);
+    if (!isOperator) return compare(value, condition ?? null) === 0 && (value === null) === (condition == null);
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      switch (operator) {
+        case '$gt': return value !== null && compare(value, operand) > 0;
+        case '$gte': return value !== null && compare(value, operand) >= 0;
+        case '$lt': return value !== null && compare(value, operand) < 0;
+        case '$ne': return (value === null) !== (operand === null) || compare(value, operand) !== 0;
+        case '$regex': return value !== null && new RegExp(operand, condition.$options).test(value);
+        case '$options': return true;
+        default: throw new Error(`Unsupported operator ${operator}`);
+      }
+    });
+  });
+}
+
+function memoryDb(entries) {
+  const collection = {
+    queries: [],
+    find(query) {
+      collection.queries.push(query);
+      let results = entries.filter(entry => matches(entry, query));
+      const cursor = {
+        sort(order) {
+          results = [...results].sort((a, b) => {
+            for (const [field, direction] of Object.entries(order)) {
+              const difference = compare(read(a, field), read(b, field));
+              if (difference !== 0) return difference * direction;
+            }
+            return 0;
+          });
+          return cursor;
+        },
+        limit(count) {
+          results = results.slice(0, count);
+          return cursor;
+        },
+        toArray: async () => results
+      };
+      return cursor;
+    }
+  };
+  return { collection: () => collection, auditLogs: collection };
+}
+
+function auditEntries(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    _id: new ObjectId(),
+    documentId: `doc-${index % 3}`,
+    // Pairs of entries share a timestamp, so _id has to break ties
+    createdAt: new Date(Date.UTC(2024, 0, 1 + Math.floor(index / 2))),
+    pageIndex: index % 4 === 3 ? undefined : index % 2,
+    signer: { name: index % 2 ? 'Jane Doe' : 'John Roe', email: `signer${index % 5}@example.com` },
+    integrityStatus: index === 7 ? 'tampered' : 'valid',
+    metadata: { reason: index % 3 ? 'Approval' : 'Review' }
+  }));
+}
+
+// Reads every page of a search, following nextCursor
+async function readAllPages(auditSchema, params) {
+  const ids = [];
+  let cursor = null;
+  let pages = 0;
+  do {
+    const page = await auditSchema.search(parseSearchParams(cursor ? { ...params, cursor } : params));
+    ids.push(...page.entries.map(entry => entry._id.toHexString()));
+    cursor = page.nextCursor;
+    pages++;
+  } while (cursor && pages < 100);
+  return { ids, pages };
+}
+
+// ============================================================================
+// PARAMETERS
+// ============================================================================
+
+test('Parses filters, sort and limit', () => {
+  const { filters, sort, limit, after } = parseSearchParams({
+    signer: 'jane@example.com',
+    from: '2024-01-01',
+    integrityStatus: 'tampered',
+    pageIndex: '2',
+    sort: 'documentId',
+    limit: '10'
+  });
+  assertEqual(filters.signer, 'jane@example.com', 'Signer');
+  assertTrue(filters.from instanceof Date, 'Date');
+  assertEqual(filters.pageIndex, 2, 'Page index as number');
+  assertEqual(sort, 'documentId', 'Sort');
+  assertEqual(limit, 10, 'Limit');
+  assertEqual(after, null, 'First page');
+
+  const defaults = parseSearchParams({});
+  assertEqual(defaults.sort, '-createdAt', 'Newest first');
+  assertEqual(defaults.limit, 50, 'Default limit');
+});
+
+test('Rejects operators, unknown parameters and bad values', () => {
+  // As Express parses ?signer[$ne]=x and ?documentId=a&documentId=b
+  assertRejects({ signer: { $ne: 'x' } }, 'Operator object');
+  assertRejects({ documentId: ['a', 'b'] }, 'Repeated parameter');
+  assertRejects({ $where: 'true' }, 'Operator as parameter');
+  assertRejects({ 'signer.email': 'x' }, 'Unknown parameter');
+  assertRejects({ integrityStatus: 'deleted' }, 'Status');
+  assertRejects({ pageIndex: '-1' }, 'Page index');
+  assertRejects({ limit: '500' }, 'Limit above maximum');
+  assertRejects({ limit: '0' }, 'Zero limit');
+  assertRejects({ sort: 'signedHash' }, 'Sort field');
+  assertRejects({ from: 'soon' }, 'Date');
+  assertRejects({ cursor: 'not-a-cursor' }, 'Cursor');
+});
+
+// A cursor as a client could forge it
+const craftedCursor = (sort, value) => Buffer.from(
+  BSON.EJSON.stringify({ sort, value, id: new ObjectId() })
+).toString('base64url');
+
+test('Cursors carry only a value of the sort field\'s type', () => {
+  assertRejects({ cursor: craftedCursor('-createdAt', { $ne: null }) }, 'Operator as value');
+  assertRejects({ cursor: craftedCursor('-createdAt', '2024-01-01') }, 'String for a date');
+  assertRejects({ sort: 'documentId', cursor: craftedCursor('documentId', { $gt: '' }) }, 'Operator for a string');
+  assertRejects({ sort: 'pageIndex', cursor: craftedCursor('pageIndex', '1') }, 'String for a number');
+  assertRejects({ sort: 'signer', cursor: craftedCursor('signer', ['a@example.com']) }, 'Array');
+
+  const date = new Date('2024-01-01T00:00:00Z');
+  assertEqual(parseSearchParams({ cursor: craftedCursor('-createdAt', date) }).after.value.getTime(), date.getTime(), 'Date');
+  assertEqual(parseSearchParams({ sort: 'pageIndex', cursor: craftedCursor('pageIndex', 2) }).after.value, 2, 'Number');
+  assertEqual(parseSearchParams({ sort: 'documentId', cursor: craftedCursor('documentId', null) }).after.value, null, 'Missing value');
+});
+
+test('Names are matched literally, as a prefix', () => {
+  const query = buildSearchQuery({ signerName: 'J.* (' });
+  assertEqual(query['signer.name'].$options, undefined, 'Case-sensitive, so the index applies');
+  const pattern = new RegExp(query['signer.name'].$regex);
+  assertTrue(pattern.test('J.* (Jr.)'), 'Literal');
+  assertTrue(!pattern.test('j.* (Jr.)'), 'Case-sensitive');
+  assertTrue(!pattern.test('Jane'), 'No wildcard');
+  assertTrue(!pattern.test('Mr J.* ('), 'Prefix only');
+});
+
+// ============================================================================
+// PAGINATION
+// ============================================================================
+
+test('Pages cover every match once, in order, for each sort', async () => {
+  const entries = auditEntries(23);
+  const auditSchema = new AuditSchema(memoryDb(entries));
+
+  for (const sort of ['-createdAt', 'createdAt', 'documentId', '-signer', 'pageIndex', '-pageIndex']) {
+    const { ids, pages } = await readAllPages(auditSchema, { sort, limit: '4' });
+    const expected = (await auditSchema.search(parseSearchParams({ sort, limit: '200' })))
+      .entries.map(entry => entry._id.toHexString());
+
+    assertEqual(pages, 6, `${sort}: pages`);
+    assertEqual(new Set(ids).size, 23, `${sort}: no duplicates`);
+    assertEqual(ids.join(), expected.join(), `${sort}: order`);
+  }
+});
+
+test('Filters combine with pagination', async () => {
+  const entries = auditEntries(23);
+  const auditSchema = new AuditSchema(memoryDb(entries));
+
+  const { ids } = await readAllPages(auditSchema, { signerName: 'Jane', reason: 'Approval', limit: '2' });
+  const expected = entries.filter(e => e.signer.name === 'Jane Doe' && e.metadata.reason === 'Approval');
+  assertEqual(ids.length, expected.length, 'Matching entries');
+
+  const tampered = await auditSchema.search(parseSearchParams({ integrityStatus: 'tampered' }));
+  assertEqual(tampered.entries.length, 1, 'Status');
+  assertEqual(tampered.hasMore, false, 'Last page');
+  assertEqual(tampered.nextCursor, null, 'No cursor');
+
+  const cursor = (await auditSchema.search(parseSearchParams({ limit: '1' }))).nextCursor;
+  assertRejects({ cursor, sort: 'documentId' }, 'Cursor from another sort');
+});
+
+test('Route answers with a page and rejects injected operators', async () => {
+  const db = memoryDb(auditEntries(5));
+  const app = express();
+  app.locals.db = db;
+  app.use('/api/audit', auditRoutes);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  try {
+    const api = `http://127.0.0.1:${server.address().port}/api/audit`;
+
+    const page = await (await fetch(`${api}?limit=2&documentId=doc-0`)).json();
+    assertEqual(page.count, 2, 'Page size');
+    assertEqual(page.hasMore, false, 'Two entries of doc-0');
+    assertEqual(page.sort, '-createdAt', 'Sort');
+
+    const queries = db.auditLogs.queries.length;
+    const injected = await fetch(`${api}?signer[$ne]=nobody`);
+    assertEqual(injected.status, 400, 'Operator rejected');
+    assertEqual(db.auditLogs.queries.length, queries, 'Never queried');
+
+    const forged = await fetch(`${api}?cursor=${craftedCursor('-createdAt', { $ne: null })}`);
+    assertEqual(forged.status, 400, 'Operator in a cursor rejected');
+    assertEqual(db.auditLogs.queries.length, queries, 'Still never queried');
+
+    assertEqual((await fetch(`${api}?limit=abc`)).status, 400, 'Bad limit');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('Document and signer trails accept only limit and cursor', () => {
+  assertEqual(parsePageParams({ limit: '5' }).limit, 5, 'Limit');
+  assertEqual(parsePageParams({}).sort, '-createdAt', 'Newest first');
+
+  for (const params of [{ documentId: 'doc-1' }, { sort: 'createdAt' }, { limit: ['1', '2'] }]) {
+    let code = null;
+    try {
+      parsePageParams(params);
+    } catch (error) {
+      code = error.code;
+    }
+    assertEqual(code, SEARCH_ERROR, JSON.stringify(params));
+  }
+});
+
+test('Document and signer trails page through signatures, without events', async () => {
+  const entries = auditEntries(23);
+  entries.push({
+    _id: new ObjectId(),
+    documentId: 'doc-0',
+    event: { type: 'ENVELOPE_SENT' },
+    createdAt: new Date(Date.UTC(2024, 1, 1)),
+    signer: { name: 'John Roe', email: 'signer0@example.com' }
+  });
+  const db = memoryDb(entries);
+  const app = express();
+  app.locals.db = db;
+  app.use('/api/audit', auditRoutes);
+  app.use('/api', signatureRoutes);
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  // Every page of a route, following nextCursor
+  const readRoute = async (url, member) => {
+    const ids = [];
+    let cursor = null;
+    do {
+      const page = await (await fetch(`${url}?limit=3${cursor ? `&cursor=${cursor}` : ''}`)).json();
+      assertTrue(page.count <= 3, 'Page size');
+      ids.push(...page[member].map(entry => entry._id));
+      cursor = page.nextCursor;
+    } while (cursor);
+    return ids;
+  };
+  const newestFirst = (selected) => selected
+    .filter(entry => !entry.event)
+    .sort((a, b) => b.createdAt - a.createdAt || b._id.toHexString().localeCompare(a._id.toHexString()))
+    .map(entry => entry._id.toHexString());
+
+  try {
+    const api = `http://127.0.0.1:${server.address().port}/api/audit`;
+
+    const documentIds = await readRoute(`${api}/doc-0`, 'auditTrail');
+    assertEqual(documentIds.join(), newestFirst(entries.filter(e => e.documentId === 'doc-0')).join(), 'Document trail');
+
+    const signerIds = await readRoute(`${api}/signer/signer0@example.com`, 'documents');
+    assertEqual(signerIds.join(), newestFirst(entries.filter(e => e.signer.email === 'signer0@example.com')).join(), 'Signer trail');
+
+    assertEqual((await fetch(`${api}/doc-9`)).status, 404, 'Unknown document');
+
+    const queries = db.auditLogs.queries.length;
+    for (const query of ['documentId=doc-1', 'limit=500', `cursor=${craftedCursor('-createdAt', { $ne: null })}`]) {
+      assertEqual((await fetch(`${api}/doc-0?${query}`)).status, 400, `Document trail ${query}`);
+      assertEqual((await fetch(`${api}/signer/signer0@example.com?${query}`)).status, 400, `Signer trail ${query}`);
+    }
+    assertEqual(db.auditLogs.queries.length, queries, 'Never queried');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🔎 Audit Search Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
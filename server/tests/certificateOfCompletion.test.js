@@ -0,0 +1,246 @@
+/**
+ * CERTIFICATE OF COMPLETION TESTS
+ *
+ * Signs generated PDFs with the certificate enabled and checks the appended
+ * page, its size on rotated documents, the revision its hash points at and
+ * which earlier signatures sign-pdf lists on it
+ */
+
+const express = require('express');
+const { PDFDocument } = require('pdf-lib');
+const signatureRoutes = require('../routes/signatureRoutes');
+const { signPDFMultiple, computeSHA256 } = require('../utils/pdfSigner');
+const { listRevisions, findRevisionByHash } = require('../utils/incrementalUpdate');
+const { formatTimestamp } = require('../utils/fieldRenderers');
+const {
+  PNG_1x1,
+  createTestPDF,
+  signaturePlacement,
+  assertTrue,
+  assertEqual
+} = require('./pdfFixtures');
+
+// Page size of the generated documents, matching the editor container below
+const PAGE = [600, 800];
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function signedAt(x) {
+  return signaturePlacement({ x, metadata: { name: 'Jane Doe', email: 'jane@example.com' } });
+}
+
+const certificateOptions = {
+  documentId: 'doc-123',
+  ipAddress: '203.0.113.7',
+  previousEntries: []
+};
+
+function auditEntry(name, originalHash, signedHash, createdAt) {
+  return {
+    documentId: 'doc-123',
+    event: null,
+    fieldType: 'signature',
+    originalHash,
+    signedHash,
+    createdAt: new Date(createdAt),
+    pageIndex: 0,
+    signer: { name, email: `${name.split(' ')[0].toLowerCase()}@example.com`, timestamp: new Date(createdAt) },
+    coordinates: { pdf: { x: 50, y: 400, width: 100, height: 50 } }
+  };
+}
+
+/**
+ * POST /api/sign-pdf against an audit collection holding the given entries
+ */
+async function postSignPdf(entries, body) {
+  const queries = [];
+  const app = express();
+  app.locals.db = {
+    collection: () => ({
+      find: (query) => {
+        queries.push(query);
+        const found = entries.filter(entry => entry.documentId === query.documentId);
+        return { sort: () => ({ toArray: async () => found.sort((a, b) => b.createdAt - a.createdAt) }) };
+      },
+      findOne: async () => null,
+      insertOne: async () => ({ insertedId: 'entry' })
+    })
+  };
+  app.use(express.json());
+  app.use('/api', signatureRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/sign-pdf`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        signature: { image: PNG_1x1, imageType: 'png' },
+        coordinates: {
+          frontend: { x: 50, y: 50, width: 100, height: 50 },
+          container: { width: 600, height: 800 },
+          pageIndex: 0
+        },
+        metadata: { name: 'John Roe', email: 'john@example.com' },
+        certificateOfCompletion: true,
+        ...body
+      })
+    });
+    return { status: response.status, body: await response.json(), queries };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+// ============================================================================
+// CERTIFICATE PAGE
+// ============================================================================
+
+test('Appends one certificate page after the signed pages', async () => {
+  const original = await createTestPDF({ size: PAGE });
+  const result = await signPDFMultiple(original, [signedAt(50), signedAt(300)], {
+    certificateOfCompletion: certificateOptions
+  });
+
+  const reloaded = await PDFDocument.load(result.signedPDFBuffer);
+  assertEqual(reloaded.getPageCount(), 2, 'Page count');
+  assertEqual(result.certificateOfCompletion.pageIndices[0], 1, 'Certificate page index');
+  assertEqual(result.certificateOfCompletion.signatureCount, 2, 'Signature count');
+  assertEqual(result.auditTrail[0].certificateOfCompletion.signatureCount, 2, 'Recorded in the audit trail');
+});
+
+test('Certificate page matches the displayed size of a rotated document', async () => {
+  const original = await createTestPDF({ size: PAGE, rotation: 90 });
+  const { signedPDFBuffer } = await signPDFMultiple(original, [signedAt(50)], {
+    certificateOfCompletion: certificateOptions
+  });
+
+  const page = (await PDFDocument.load(signedPDFBuffer)).getPage(1);
+  assertEqual(page.getWidth(), 800, 'Certificate width');
+  assertEqual(page.getHeight(), 600, 'Certificate height');
+  assertEqual(page.getRotation().angle, 0, 'Certificate is not rotated');
+});
+
+test('Lists earlier signatures and skips other field types', async () => {
+  const original = await createTestPDF({ size: PAGE });
+  const previousEntries = [
+    {
+      fieldType: 'signature',
+      signer: { name: 'Earlier Signer', email: 'earlier@example.com', timestamp: new Date(0) },
+      pageIndex: 0,
+      coordinates: { pdf: { x: 50, y: 400, width: 100, height: 50 } }
+    },
+    { fieldType: 'text', signer: { name: 'Earlier Signer' } }
+  ];
+
+  const result = await signPDFMultiple(original, [signedAt(50)], {
+    certificateOfCompletion: { ...certificateOptions, previousEntries }
+  });
+  assertEqual(result.certificateOfCompletion.signatureCount, 2, 'Earlier and current signatures');
+});
+
+test('Continues on extra pages when signatures do not fit', async () => {
+  const original = await createTestPDF({ size: PAGE });
+  const placements = Array.from({ length: 15 }, (_, i) => signedAt(20 + i * 30));
+
+  const result = await signPDFMultiple(original, placements, {
+    certificateOfCompletion: certificateOptions
+  });
+  assertTrue(result.certificateOfCompletion.pageIndices.length > 1, 'Continuation page added');
+});
+
+// ============================================================================
+// HASHES
+// ============================================================================
+
+test('Signed hash matches the revision before the certificate', async () => {
+  const original = await createTestPDF({ size: PAGE });
+  const result = await signPDFMultiple(original, [signedAt(50)], {
+    certificateOfCompletion: certificateOptions
+  });
+
+  const revisions = listRevisions(result.signedPDFBuffer);
+  const contentRevision = findRevisionByHash(revisions, result.certificateOfCompletion.contentHash);
+  assertEqual(contentRevision.revision, 2, 'Content revision');
+  assertEqual(contentRevision.isFinal, false, 'Certificate follows the content');
+  assertEqual(findRevisionByHash(revisions, computeSHA256(original)).revision, 1, 'Original revision');
+});
+
+test('Formats timestamps in UTC', () => {
+  assertEqual(formatTimestamp(new Date(Date.UTC(2024, 2, 5, 9, 7, 3))), '2024-03-05 09:07:03 UTC', 'Timestamp');
+  assertEqual(formatTimestamp('not a date'), 'unknown', 'Invalid timestamp');
+});
+
+// ============================================================================
+// ROUTE
+// ============================================================================
+
+test('Lists only the passes that produced the uploaded revision', async () => {
+  const original = await createTestPDF({ size: PAGE });
+  const first = await signPDFMultiple(original, [signedAt(50)]);
+  const entries = [
+    auditEntry('Jane Doe', computeSHA256(original), first.signedHash, 1000),
+    // Another upload that reused the ID
+    auditEntry('Mallory Moe', 'a'.repeat(64), 'b'.repeat(64), 2000)
+  ];
+
+  const { status, body } = await postSignPdf(entries, {
+    pdfId: 'doc-123',
+    pdfBuffer: first.signedPDFBuffer.toString('base64')
+  });
+  assertEqual(status, 200, 'Signed');
+  assertEqual(body.certificateOfCompletion.signatureCount, 2, 'Jane and this signer, not Mallory');
+
+  const fresh = await postSignPdf(entries, {
+    pdfId: 'doc-123',
+    pdfBuffer: (await createTestPDF({ size: PAGE })).toString('base64')
+  });
+  assertEqual(fresh.body.certificateOfCompletion.signatureCount, 1, 'Nothing listed for an unsigned upload');
+});
+
+test('Refuses a pdfId that is not a well-formed string', async () => {
+  const { status, queries } = await postSignPdf([auditEntry('Jane Doe', 'a'.repeat(64), 'b'.repeat(64), 1000)], {
+    pdfId: { $regex: '' },
+    pdfBuffer: (await createTestPDF({ size: PAGE })).toString('base64')
+  });
+  assertEqual(status, 400, 'Client error');
+  assertEqual(queries.length, 0, 'Audit trail not queried');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n📜 Certificate of Completion Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
@@ -10,6 +10,10 @@ const {
   transformFrontendToPDF,
   transformPDFToFrontend,
   isValidNormalizedCoordinate,
+  createPageGeometry,
+  normalizeRotation,
+  toDisplayFrame,
+  framePoint,
   A4_WIDTH_POINTS,
   A4_HEIGHT_POINTS
 } = require('../utils/coordinateTransform');
@@ -232,6 +236,110 @@ test('High-precision math - no rounding loss', () => {
   assertEqual(restored.height, frontend.height, 1);
 });
 
+// ============================================================================
+// ROTATED PAGES AND BOX ORIGINS
+// ============================================================================
+
+// Scanned-page style CropBox that does not start at (0,0)
+const OFFSET_BOX = { x: 50, y: 100, width: 500, height: 700 };
+
+test('Rotation values normalize to quarter turns', () => {
+  assertEqual(normalizeRotation(-90), 270);
+  assertEqual(normalizeRotation(450), 90);
+  assertEqual(normalizeRotation(undefined), 0);
+
+  // Invalid values are ignored, as viewers do
+  assertEqual(normalizeRotation(45), 0);
+});
+
+test('Offset CropBox - top-left corner maps to box corner', () => {
+  const geometry = createPageGeometry(OFFSET_BOX, 0);
+  const container = { width: 500, height: 700 };
+
+  const result = transformFrontendToPDF({ x: 0, y: 0, width: 100, height: 50 }, container, A4_PAGE, geometry);
+
+  assertEqual(result, { x: 50, y: 750, width: 100, height: 50 });
+});
+
+test('Rotate 90 - display size swaps and axes turn', () => {
+  const geometry = createPageGeometry(OFFSET_BOX, 90);
+  assertEqual(geometry.displaySize, { width: 700, height: 500 });
+
+  // Display top-left is the box's bottom-left corner; display x runs up the page
+  const result = transformFrontendToPDF(
+    { x: 100, y: 50, width: 200, height: 100 },
+    { width: 700, height: 500 },
+    A4_PAGE,
+    geometry
+  );
+
+  assertEqual(result, { x: 100, y: 200, width: 100, height: 200 });
+  assertEqual(result.rotation, 90);
+});
+
+test('Rotate 180 - display top-left is the box bottom-right', () => {
+  const geometry = createPageGeometry(OFFSET_BOX, 180);
+
+  const result = transformFrontendToPDF(
+    { x: 0, y: 0, width: 100, height: 50 },
+    { width: 500, height: 700 },
+    A4_PAGE,
+    geometry
+  );
+
+  assertEqual(result, { x: 450, y: 100, width: 100, height: 50 });
+});
+
+test('Rotate 270 - display top-left is the box top-right', () => {
+  const geometry = createPageGeometry(OFFSET_BOX, 270);
+
+  const result = transformFrontendToPDF(
+    { x: 0, y: 0, width: 100, height: 50 },
+    { width: 700, height: 500 },
+    A4_PAGE,
+    geometry
+  );
+
+  assertEqual(result, { x: 500, y: 700, width: 50, height: 100 });
+});
+
+test('Round trip on every rotation with offset box', () => {
+  const frontend = { x: 123.4, y: 56.7, width: 150, height: 60 };
+
+  [0, 90, 180, 270].forEach(rotation => {
+    const geometry = createPageGeometry(OFFSET_BOX, rotation);
+    const container = {
+      width: geometry.displaySize.width * 1.5,
+      height: geometry.displaySize.height * 1.5
+    };
+    const pdfCoords = transformFrontendToPDF(frontend, container, A4_PAGE, geometry);
+    const restored = transformPDFToFrontend(pdfCoords, container, A4_PAGE, geometry);
+
+    assertEqual(restored, frontend, 0.001);
+  });
+});
+
+test('Display frame - local origin is the displayed bottom-left corner', () => {
+  const rect = { x: 100, y: 200, width: 50, height: 120 };
+
+  [0, 90, 180, 270].forEach(rotation => {
+    const geometry = createPageGeometry(OFFSET_BOX, rotation);
+    const frame = toDisplayFrame(rect, rotation);
+
+    // Displayed bottom-left and top-right corners of the rect
+    const display = transformPDFToFrontend(rect, geometry.displaySize, A4_PAGE, geometry);
+    const bottomLeft = transformPDFToFrontend(
+      { ...framePoint(frame, 0, 0), width: 0, height: 0 }, geometry.displaySize, A4_PAGE, geometry
+    );
+    const topRight = transformPDFToFrontend(
+      { ...framePoint(frame, frame.width, frame.height), width: 0, height: 0 }, geometry.displaySize, A4_PAGE, geometry
+    );
+
+    assertEqual(bottomLeft, { x: display.x, y: display.y + display.height });
+    assertEqual(topRight, { x: display.x + display.width, y: display.y });
+  });
+});
+
 // ============================================================================
 // RUN TESTS
 // ============================================================================
@@ -0,0 +1,205 @@
+/**
+ * CRYPTOGRAPHIC SIGNATURE TESTS
+ * 
+ * Signs a generated PDF with a throwaway certificate and checks the
+ * /Sig dictionary, ByteRange and PKCS#7 contents
+ */
+
+const forge = require('node-forge');
+const crypto = require('crypto');
+const { PDFDocument, PDFName } = require('pdf-lib');
+const { signPDFMultiple } = require('../utils/pdfSigner');
+const { parsePEM, describeCertificate } = require('../utils/cryptoSigner');
+const {
+  PNG_1x1,
+  createTestPDF,
+  signaturePlacement,
+  assertTrue
+} = require('./pdfFixtures');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * Create a self-signed certificate as PEM strings
+ */
+function createTestCredentials(commonName = 'Test Signer') {
+  const keys = forge.pki.rsa.generateKeyPair(2048);
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const attrs = [
+    { name: 'commonName', value: commonName },
+    { name: 'organizationName', value: 'Signature Engine Tests' }
+  ];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+
+  const credentials = parsePEM(
+    forge.pki.certificateToPem(cert),
+    forge.pki.privateKeyToPem(keys.privateKey)
+  );
+  return { ...credentials, certificateInfo: describeCertificate(credentials.certificate) };
+}
+
+/**
+ * Pull the DER signature out of /Contents using the reported ByteRange
+ */
+function extractSignature(pdfBuffer, byteRange) {
+  const hex = pdfBuffer.subarray(byteRange[1] + 1, byteRange[2] - 1).toString('latin1');
+  const der = Buffer.from(hex, 'hex').toString('binary');
+  // Trailing zero padding is ignored
+  return forge.asn1.fromDer(der, { parseAllBytes: false });
+}
+
+const credentials = createTestCredentials();
+
+// ============================================================================
+// TEST SUITE
+// ============================================================================
+
+test('ByteRange covers the whole file except /Contents', async () => {
+  const pdf = await createTestPDF();
+  const result = await signPDFMultiple(
+    pdf,
+    [signaturePlacement({ x: 50, y: 50, height: 40 })],
+    { credentials }
+  );
+
+  const [start, length1, offset2, length2] = result.cryptographicSignature.byteRange;
+  assertTrue(start === 0, 'ByteRange starts at 0');
+  assertTrue(offset2 + length2 === result.signedPDFBuffer.length, 'ByteRange reaches EOF');
+  assertTrue(result.signedPDFBuffer[length1] === '<'.charCodeAt(0), 'Gap starts at <');
+  assertTrue(result.signedPDFBuffer[offset2 - 1] === '>'.charCodeAt(0), 'Gap ends at >');
+});
+
+test('messageDigest matches SHA-256 of signed bytes', async () => {
+  const pdf = await createTestPDF();
+  const result = await signPDFMultiple(
+    pdf,
+    [signaturePlacement({ x: 50, y: 50, height: 40 })],
+    { credentials }
+  );
+
+  const buffer = result.signedPDFBuffer;
+  const [, length1, offset2, length2] = result.cryptographicSignature.byteRange;
+  const expected = crypto.createHash('sha256')
+    .update(buffer.subarray(0, length1))
+    .update(buffer.subarray(offset2, offset2 + length2))
+    .digest('hex');
+
+  const message = forge.pkcs7.messageFromAsn1(extractSignature(buffer, result.cryptographicSignature.byteRange));
+  const attrs = message.rawCapture.authenticatedAttributes;
+  const digestAttr = attrs.find(attr =>
+    forge.asn1.derToOid(attr.value[0].value) === forge.pki.oids.messageDigest
+  );
+  const actual = forge.util.bytesToHex(digestAttr.value[1].value[0].value);
+
+  assertTrue(actual === expected, `Digest mismatch: ${actual} !== ${expected}`);
+  assertTrue(message.certificates.length === 1, 'Certificate embedded');
+});
+
+test('Signature widget carries the image as appearance stream', async () => {
+  const pdf = await createTestPDF({ pages: 2 });
+  const result = await signPDFMultiple(
+    pdf,
+    [signaturePlacement({ x: 50, y: 50, height: 40, pageIndex: 1 })],
+    { credentials }
+  );
+
+  const signed = await PDFDocument.load(result.signedPDFBuffer);
+  const [field] = signed.getForm().getFields();
+  assertTrue(field && field.constructor.name === 'PDFSignature', 'Signature field exists');
+
+  const [widget] = field.acroField.getWidgets();
+  const appearance = widget.getNormalAppearance();
+  assertTrue(appearance, 'Widget has /AP /N');
+
+  const annots = signed.getPage(1).node.Annots();
+  assertTrue(annots && annots.size() === 1, 'Widget attached to target page');
+  assertTrue(signed.getPage(0).node.Annots() === undefined, 'No widget on other pages');
+
+  const sig = field.acroField.dict.lookup(PDFName.of('V'));
+  assertTrue(sig.lookup(PDFName.of('SubFilter')).asString() === '/adbe.pkcs7.detached', 'SubFilter set');
+});
+
+test('Non-signature fields are still drawn into page content', async () => {
+  const pdf = await createTestPDF();
+  const result = await signPDFMultiple(
+    pdf,
+    [
+      signaturePlacement({ x: 50, y: 50, height: 40 }),
+      { image: PNG_1x1, imageType: 'png', fieldType: 'image', x: 200, y: 50, width: 40, height: 40 }
+    ],
+    { credentials }
+  );
+
+  const signed = await PDFDocument.load(result.signedPDFBuffer);
+  const [field] = signed.getForm().getFields();
+  assertTrue(field.acroField.getWidgets().length === 1, 'Only signature placement is a widget');
+  assertTrue(result.auditTrail.length === 2, 'Audit entry per placement');
+});
+
+test('Certificate subject is reported for the audit log', async () => {
+  const pdf = await createTestPDF();
+  const result = await signPDFMultiple(
+    pdf,
+    [signaturePlacement({ x: 50, y: 50, height: 40 })],
+    { credentials }
+  );
+
+  const subject = result.auditTrail[0].cryptographicSignature.certificate.subject;
+  assertTrue(subject.includes('CN=Test Signer'), `Unexpected subject: ${subject}`);
+});
+
+test('Invisible signature when no signature placement is given', async () => {
+  const pdf = await createTestPDF();
+  const result = await signPDFMultiple(
+    pdf,
+    [{ image: PNG_1x1, imageType: 'png', fieldType: 'image', x: 50, y: 50, width: 40, height: 40 }],
+    { credentials }
+  );
+
+  const signed = await PDFDocument.load(result.signedPDFBuffer);
+  const [widget] = signed.getForm().getFields()[0].acroField.getWidgets();
+  const rect = widget.getRectangle();
+  assertTrue(rect.width === 0 && rect.height === 0, 'Zero-size widget');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🔏 Cryptographic Signature Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
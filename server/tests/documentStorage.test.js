@@ -0,0 +1,203 @@
+/**
+ * DOCUMENT STORAGE TESTS
+ *
+ * Checks upload validation, signing-by-reference requests and the version
+ * descriptions returned for stored files (the GridFS round trip itself needs
+ * a MongoDB server)
+ */
+
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const documentRoutes = require('../routes/documentRoutes');
+const signatureRoutes = require('../routes/signatureRoutes');
+const { describeVersion } = require('../models/documentStore');
+const { createTestPDF, requestPlacement, assertEqual } = require('./pdfFixtures');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// Runs requests against the API without a database
+async function withServer(fn) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/documents', documentRoutes);
+  app.use('/api', signatureRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}/api`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function postJson(url, body) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+// ============================================================================
+// UPLOADS
+// ============================================================================
+
+test('Refuses uploads that are missing or not PDFs', async () => {
+  await withServer(async (api) => {
+    assertEqual((await postJson(`${api}/documents`, {})).status, 400, 'Missing PDF');
+
+    const notPdf = await postJson(`${api}/documents`, { pdfBuffer: Buffer.from('hello').toString('base64') });
+    assertEqual(notPdf.status, 400, 'Not a PDF');
+
+    const form = new FormData();
+    form.append('pdf', new Blob([await createTestPDF()]), 'contract.pdf');
+    const stored = await fetch(`${api}/documents`, { method: 'POST', body: form });
+    assertEqual((await stored.json()).error, 'Database not available', 'Valid PDF reaches the store');
+  });
+});
+
+// ============================================================================
+// SIGNING BY REFERENCE
+// ============================================================================
+
+test('Signing by reference needs matching IDs and the store', async () => {
+  await withServer(async (api) => {
+    const mismatch = await postJson(`${api}/sign-pdf`, {
+      pdfId: 'doc-a',
+      documentId: 'doc-b',
+      placements: [requestPlacement()]
+    });
+    assertEqual(mismatch.status, 400, 'Different IDs');
+
+    const noStore = await postJson(`${api}/sign-pdf`, {
+      documentId: 'doc-a',
+      placements: [requestPlacement()]
+    });
+    assertEqual(noStore.status, 500, 'Store unavailable');
+    assertEqual((await noStore.json()).error, 'Database not available', 'Reason');
+
+    const badVersion = await postJson(`${api}/sign-pdf`, {
+      documentId: 'doc-a',
+      version: 'two',
+      placements: [requestPlacement()]
+    });
+    assertEqual(badVersion.status, 400, 'Version not a number');
+
+    const neither = await postJson(`${api}/sign-pdf`, { pdfId: 'doc-a', placements: [requestPlacement()] });
+    assertEqual(neither.status, 400, 'No PDF and no stored document');
+
+    for (const documentId of [{ $gt: '' }, ['doc-a'], 'doc a/..']) {
+      const malformed = await postJson(`${api}/sign-pdf`, { documentId, placements: [requestPlacement()] });
+      assertEqual(malformed.status, 400, `Malformed documentId ${JSON.stringify(documentId)}`);
+    }
+  });
+});
+
+test('Uploads with pdfBuffer keep working without storage', async () => {
+  await withServer(async (api) => {
+    const response = await postJson(`${api}/sign-pdf`, {
+      pdfId: 'doc-a',
+      pdfBuffer: (await createTestPDF()).toString('base64'),
+      placements: [requestPlacement()]
+    });
+    const result = await response.json();
+    assertEqual(response.status, 200, 'Signed');
+    assertEqual(result.storedVersion, null, 'Nothing stored');
+  });
+});
+
+// ============================================================================
+// VERSIONS
+// ============================================================================
+
+test('Version routes check the version number before the store', async () => {
+  await withServer(async (api) => {
+    assertEqual((await fetch(`${api}/documents/doc-a/versions?version=0`)).status, 400, 'Zero');
+    assertEqual((await fetch(`${api}/documents/doc-a/versions/abc/download`)).status, 400, 'Not a number');
+    assertEqual((await fetch(`${api}/documents/doc-a/versions/2/download`)).status, 500, 'Store unavailable');
+  });
+});
+
+test('Download and version routes check the branch before the store', async () => {
+  await withServer(async (api) => {
+    for (const query of ['branch[$ne]=main', 'branch=a&branch=b', 'branch=../main', 'branch=']) {
+      for (const route of ['download', 'versions']) {
+        const response = await fetch(`${api}/documents/doc-a/${route}?${query}`);
+        assertEqual(response.status, 400, `${route} with ${query}`);
+        assertEqual((await response.json()).code, 'DOCUMENT_BRANCH_INVALID', `${route} code`);
+      }
+    }
+    assertEqual((await fetch(`${api}/documents/doc-a/download?branch=review-1`)).status, 500, 'Branch name reaches the store');
+    assertEqual((await fetch(`${api}/documents/doc-a/versions`)).status, 500, 'Default branch reaches the store');
+  });
+});
+
+test('Describes stored versions from their GridFS entries', () => {
+  const previousFileId = new ObjectId();
+  const auditId = new ObjectId();
+  const version = describeVersion({
+    _id: new ObjectId(),
+    filename: 'contract.pdf',
+    length: 1234,
+    uploadDate: new Date(0),
+    metadata: {
+      documentId: 'doc-a',
+      version: 2,
+      kind: 'signed',
+      branch: 'redo',
+      parentVersion: 1,
+      sha256: 'ab'.repeat(32),
+      previousFileId,
+      originalHash: 'cd'.repeat(32),
+      uploadedBy: 'jane@example.com',
+      auditIds: [auditId]
+    }
+  });
+
+  assertEqual(version.version, 2, 'Version');
+  assertEqual(version.kind, 'signed', 'Kind');
+  assertEqual(version.branch, 'redo', 'Branch');
+  assertEqual(version.parentVersion, 1, 'Signed from version');
+  assertEqual(version.fileName, 'contract.pdf', 'File name');
+  assertEqual(version.size, 1234, 'Size');
+  assertEqual(version.previousFileId, previousFileId, 'Signed from');
+  assertEqual(version.auditIds[0], auditId, 'Audit entries');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🗃️  Document Storage Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,166 @@
+/**
+ * EMBEDDED EVIDENCE TESTS
+ *
+ * Embeds the audit log as a JSON attachment plus XMP properties, extends it
+ * when a document is signed again and extracts it from uploaded PDFs
+ */
+
+const { PDFDocument } = require('pdf-lib');
+const { signPDFMultiple } = require('../utils/pdfSigner');
+const {
+  extractEvidence,
+  listEmbeddedFiles,
+  EVIDENCE_FILE_NAME,
+  INVALID_EVIDENCE_ERROR
+} = require('../utils/embeddedEvidence');
+const {
+  createTestPDF,
+  signaturePlacement,
+  assertTrue,
+  assertEqual,
+  assertRejects,
+  assertRejectsCode
+} = require('./pdfFixtures');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+const JANE = { name: 'Jane Doe', email: 'jane@example.com' };
+
+function signWithEvidence(pdfBuffer, placements = [signaturePlacement({ metadata: JANE })], options = {}) {
+  return signPDFMultiple(pdfBuffer, placements, { embedEvidence: { documentId: 'doc-123' }, ...options });
+}
+
+async function countEvidenceAttachments(pdfBuffer) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  return listEmbeddedFiles(pdfDoc).filter(({ name }) => name === EVIDENCE_FILE_NAME).length;
+}
+
+// ============================================================================
+// EMBEDDING
+// ============================================================================
+
+test('Embeds the audit entries as a JSON attachment and XMP properties', async () => {
+  const result = await signWithEvidence(await createTestPDF());
+  const extracted = await extractEvidence(result.signedPDFBuffer);
+
+  assertEqual(extracted.found, true, 'Evidence found');
+  assertEqual(extracted.consistent, true, 'XMP matches the attachment');
+  assertEqual(extracted.evidence.documentId, 'doc-123', 'Document ID');
+  assertEqual(extracted.evidence.originalHash, result.originalHash, 'Original hash');
+  assertEqual(extracted.evidence.passes[0].auditTrail[0].metadata.email, 'jane@example.com', 'Audit entry');
+  assertEqual(extracted.xmp.signers[0], 'Jane Doe <jane@example.com>', 'XMP signer');
+  assertEqual(extracted.attachment.sha256, result.evidence.sha256, 'Attachment hash recorded');
+  assertEqual(result.auditTrail[0].evidence.passCount, 1, 'Audit entry records the evidence');
+});
+
+test('Re-signing adds a pass and keeps a single attachment', async () => {
+  const first = await signWithEvidence(await createTestPDF());
+  const second = await signWithEvidence(first.signedPDFBuffer, [
+    signaturePlacement({ x: 300, metadata: { name: 'John Roe', email: 'john@example.com' } })
+  ]);
+
+  const { evidence, xmp, consistent } = await extractEvidence(second.signedPDFBuffer);
+  assertEqual(second.revision.incremental, true, 'Incremental update');
+  assertEqual(evidence.passes.length, 2, 'Two passes');
+  assertEqual(evidence.originalHash, first.originalHash, 'Hash before the first signing');
+  assertEqual(evidence.passes[1].originalHash, second.originalHash, 'Pass hash');
+  assertEqual(xmp.signers.length, 2, 'Both signers in XMP');
+  assertEqual(xmp.passCount, 2, 'XMP pass count');
+  assertEqual(consistent, true, 'Consistent');
+  assertEqual(await countEvidenceAttachments(second.signedPDFBuffer), 1, 'One attachment');
+});
+
+test('Escapes signer names in XMP', async () => {
+  const result = await signWithEvidence(await createTestPDF(), [
+    signaturePlacement({ metadata: { name: 'Smith & <Sons>', email: 'a@example.com' } })
+  ]);
+
+  const { xmp, consistent } = await extractEvidence(result.signedPDFBuffer);
+  assertEqual(xmp.signers[0], 'Smith & <Sons> <a@example.com>', 'Signer round trip');
+  assertEqual(consistent, true, 'Consistent');
+});
+
+test('Refuses evidence in PDF/A output', async () => {
+  const error = await assertRejects(
+    signWithEvidence(await createTestPDF(), [signaturePlacement()], { conformance: 'pdfa-2b' }),
+    'PDF/A with evidence'
+  );
+  assertTrue(error.message.includes('PDF/A'), 'Reason given');
+});
+
+// ============================================================================
+// EXTRACTION
+// ============================================================================
+
+test('Reports documents without evidence', async () => {
+  const plain = await extractEvidence(await createTestPDF());
+  assertEqual(plain.found, false, 'Nothing found');
+  assertEqual(plain.evidence, null, 'No attachment');
+  assertEqual(plain.consistent, null, 'Nothing to compare');
+
+  const signed = await signPDFMultiple(await createTestPDF(), [signaturePlacement()]);
+  assertEqual(signed.evidence, null, 'Not embedded by default');
+  assertEqual((await extractEvidence(signed.signedPDFBuffer)).found, false, 'Nothing embedded');
+});
+
+test('Rejects an attachment that is not evidence, and signing replaces it', async () => {
+  const original = await createTestPDF({
+    draw: pdfDoc => pdfDoc.attach(Buffer.from('not json'), EVIDENCE_FILE_NAME, { mimeType: 'application/json' })
+  });
+
+  await assertRejectsCode(extractEvidence(original), INVALID_EVIDENCE_ERROR, 'Invalid attachment');
+
+  const result = await signWithEvidence(original);
+  const { evidence } = await extractEvidence(result.signedPDFBuffer);
+  assertEqual(evidence.passes.length, 1, 'Started afresh');
+  assertEqual(await countEvidenceAttachments(result.signedPDFBuffer), 1, 'Replaced');
+});
+
+test('Extracts evidence from encrypted output with the password', async () => {
+  const result = await signWithEvidence(await createTestPDF(), [signaturePlacement()], {
+    encrypt: { userPassword: 'open' }
+  });
+
+  assertTrue(!result.signedPDFBuffer.includes('jane@example.com'), 'Attachment is encrypted');
+  await assertRejects(extractEvidence(result.signedPDFBuffer), 'No password');
+
+  const { evidence, consistent } = await extractEvidence(result.signedPDFBuffer, 'open');
+  assertEqual(evidence.passes[0].auditTrail[0].encryption.output.algorithm, 'aes-256', 'Encryption recorded');
+  assertEqual(consistent, true, 'Consistent');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🧾 Embedded Evidence Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,472 @@
+/**
+ * ENVELOPE CUSTODY TESTS
+ *
+ * Lets signers decline or delegate and senders void envelopes, refuses
+ * further signing once an envelope is voided or declined, and records each
+ * action as a distinct audit event in the envelope's chain of custody
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const { ObjectId } = require('mongodb');
+const EnvelopeStore = require('../models/envelopeStore');
+const SigningTokenStore = require('../models/signingTokenStore');
+const AuditSchema = require('../models/auditSchema');
+const { OutboxTransport } = require('../utils/mailTransport');
+const { SIGNING_TOKEN_ERRORS, SIGNING_EVENTS } = require('../utils/signingTokens');
+const {
+  currentRecipients,
+  authorizeSigning,
+  findPendingSigner,
+  normalizeReason,
+  delegateRecipient,
+  allSigned,
+  ENVELOPE_STATUS,
+  ENVELOPE_EVENTS,
+  ENVELOPE_ERRORS
+} = require('../utils/envelopeRouting');
+const {
+  field,
+  envelopeDefinitions,
+  signaturePlacement,
+  decodeTextPart,
+  linkToken,
+  withTempDir,
+  envelopeDb,
+  withServer,
+  post
+} = require('./envelopeFixtures');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assertTrue(value, message) {
+  if (!value) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrowsCode(fn, code, message) {
+  try {
+    fn();
+  } catch (error) {
+    assertEqual(error.code, code, message);
+    return error;
+  }
+  throw new Error(`${message}: did not throw`);
+}
+
+async function assertRejectsCode(promise, code, message) {
+  try {
+    await promise;
+  } catch (error) {
+    assertEqual(error.code, code, message);
+    return error;
+  }
+  throw new Error(`${message}: did not throw`);
+}
+
+// Alice also fills in a date
+const { definition, sentEnvelope } = envelopeDefinitions({
+  fields: [
+    field('alice@example.com', { id: 'alice-sign' }),
+    field('alice@example.com', { id: 'alice-date', fieldType: 'date' }),
+    field('bob@example.com', { id: 'bob-sign' })
+  ]
+});
+
+/**
+ * Signing link of the newest message in an outbox directory
+ */
+async function latestLink(dir, to) {
+  for (const file of (await fs.readdir(dir)).sort().reverse()) {
+    const raw = await fs.readFile(path.join(dir, file), 'utf8');
+    if (!raw.includes(`To: ${to}`)) continue;
+    return linkToken(decodeTextPart(raw));
+  }
+  throw new Error(`No message to ${to}`);
+}
+
+// Stores a sent envelope directly, as EnvelopeStore.sendEnvelope leaves it
+async function storeSentEnvelope(db, overrides = {}) {
+  const now = new Date();
+  const sent = sentEnvelope(overrides);
+  const envelope = {
+    ...sent,
+    _id: `env-${new ObjectId()}`,
+    lock: `${sent.documentId}/main`,
+    createdBy: 'sender@example.com',
+    createdAt: now,
+    updatedAt: now,
+    sentAt: now,
+    completedAt: null,
+    seal: null
+  };
+  await db.collections.envelopes.insertOne(envelope);
+  return envelope;
+}
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+test('Only pending signers of an active envelope may act', () => {
+  const envelope = sentEnvelope();
+  assertEqual(findPendingSigner(envelope, 'BOB@example.com').id, 'r2', 'Any pending signer, turn or not');
+  assertThrowsCode(() => findPendingSigner(envelope, 'mallory@example.com'), ENVELOPE_ERRORS.notRecipient, 'Stranger');
+
+  envelope.recipients[0].status = 'completed';
+  assertThrowsCode(() => findPendingSigner(envelope, 'alice@example.com'), ENVELOPE_ERRORS.recipientDone, 'Signed');
+
+  const voided = { ...sentEnvelope(), status: ENVELOPE_STATUS.voided, voidReason: 'Wrong terms' };
+  const error = assertThrowsCode(() => findPendingSigner(voided, 'alice@example.com'), ENVELOPE_ERRORS.voided, 'Voided');
+  assertTrue(error.message.includes('Wrong terms'), 'Reason in the message');
+  assertThrowsCode(
+    () => authorizeSigning(voided, 'alice@example.com', [signaturePlacement('alice-sign')]),
+    ENVELOPE_ERRORS.voided,
+    'No signing on a voided envelope'
+  );
+  assertThrowsCode(
+    () => authorizeSigning({ ...sentEnvelope(), status: ENVELOPE_STATUS.declined }, 'alice@example.com', []),
+    ENVELOPE_ERRORS.notActive,
+    'No signing on a declined envelope'
+  );
+  assertEqual(currentRecipients(voided).length, 0, 'Nobody\'s turn');
+
+  assertEqual(normalizeReason('  Terms changed '), 'Terms changed', 'Trimmed');
+  assertEqual(normalizeReason(undefined), null, 'Optional');
+  assertThrowsCode(() => normalizeReason('', { required: true }), ENVELOPE_ERRORS.invalid, 'Required');
+  assertThrowsCode(() => normalizeReason('x'.repeat(1001)), ENVELOPE_ERRORS.invalid, 'Too long');
+  assertThrowsCode(() => normalizeReason({ $ne: null }), ENVELOPE_ERRORS.invalid, 'Not a string');
+});
+
+test('A delegate takes over the signer\'s place and fields', () => {
+  const envelope = sentEnvelope();
+  const [alice] = envelope.recipients;
+  const { recipients, fields, delegate } = delegateRecipient(
+    envelope,
+    alice,
+    { email: 'Carol@Example.com', name: 'Carol' },
+    { reason: 'On leave' }
+  );
+
+  assertEqual(delegate.id, 'r3', 'New recipient');
+  assertEqual(delegate.email, 'carol@example.com', 'Normalized email');
+  assertEqual(delegate.delegatedFrom, 'r1', 'Stands in for Alice');
+  assertEqual(recipients.map(r => r.id).join(), 'r1,r3,r2', 'Right after Alice');
+  assertEqual(recipients[0].status, 'delegated', 'Alice delegated');
+  assertEqual(recipients[0].delegationReason, 'On leave', 'Reason');
+  assertEqual(fields.filter(f => f.recipientId === 'r3').map(f => f.id).join(), 'alice-sign,alice-date', 'Fields moved');
+  assertEqual(envelope.fields[0].recipientId, 'r1', 'Input untouched');
+
+  const delegated = { ...envelope, recipients, fields };
+  assertEqual(currentRecipients(delegated)[0].email, 'carol@example.com', 'Carol\'s turn');
+  assertTrue(!allSigned(delegated.recipients), 'Not complete yet');
+  assertTrue(allSigned(recipients.map(r => (r.status === 'pending' ? { ...r, status: 'completed' } : r))), 'Delegator not awaited');
+
+  assertThrowsCode(() => delegateRecipient(envelope, alice, { email: 'bob@example.com' }), ENVELOPE_ERRORS.invalid, 'Existing recipient');
+  assertThrowsCode(() => delegateRecipient(envelope, alice, { email: 'not an email' }), ENVELOPE_ERRORS.invalid, 'Bad email');
+  assertThrowsCode(() => delegateRecipient(envelope, alice, undefined), ENVELOPE_ERRORS.invalid, 'Missing delegate');
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+test('Declining and voiding end the envelope and are audited', async () => {
+  const db = envelopeDb();
+  const envelopeStore = new EnvelopeStore(db);
+  const auditSchema = new AuditSchema(db);
+
+  const tokenStore = new SigningTokenStore(db);
+
+  const first = await storeSentEnvelope(db);
+  const aliceLink = await tokenStore.issueToken(first, first.recipients[0]);
+  const declined = await envelopeStore.declineRecipient(first._id, first.recipients[1], {
+    reason: 'Price is wrong',
+    ipAddress: '127.0.0.1'
+  });
+  assertEqual(declined.status, ENVELOPE_STATUS.declined, 'Declined');
+  assertEqual(declined.recipients[1].declineReason, 'Price is wrong', 'Reason on the recipient');
+  assertTrue(declined.declinedAt instanceof Date, 'When');
+  await assertRejectsCode(
+    envelopeStore.declineRecipient(first._id, first.recipients[0], { reason: 'Me too' }),
+    ENVELOPE_ERRORS.conflict,
+    'Only once'
+  );
+  await assertRejectsCode(envelopeStore.voidEnvelope(first._id, { reason: 'x' }), ENVELOPE_ERRORS.notActive, 'Declined cannot be voided');
+  await assertRejectsCode(tokenStore.resolveToken(aliceLink.token), SIGNING_TOKEN_ERRORS.revoked, 'Other signers\' links revoked');
+
+  const [event] = await auditSchema.getChainOfCustody(first._id);
+  assertEqual(event.event.type, ENVELOPE_EVENTS.declined, 'Decline event');
+  assertEqual(event.event.recipientId, 'r2', 'Recipient');
+  assertEqual(event.event.details.reason, 'Price is wrong', 'Reason in the log');
+  assertEqual(event.signer.email, 'bob@example.com', 'By Bob');
+
+  // The declined envelope still holds contract-1's branch
+  const second = await storeSentEnvelope(db, { documentId: 'contract-2' });
+  const bobLink = await tokenStore.issueToken(second, second.recipients[1]);
+  const voided = await envelopeStore.voidEnvelope(second._id, { reason: 'Superseded', ipAddress: '127.0.0.1' });
+  assertEqual(voided.status, ENVELOPE_STATUS.voided, 'Voided');
+  assertEqual(voided.voidedBy, 'sender@example.com', 'Defaults to the creator');
+  assertEqual(voided.lock, 'contract-2/main', 'Branch stays closed');
+  await assertRejectsCode(envelopeStore.voidEnvelope(second._id, { reason: 'Again' }), ENVELOPE_ERRORS.voided, 'Only once');
+  await assertRejectsCode(tokenStore.resolveToken(bobLink.token), SIGNING_TOKEN_ERRORS.revoked, 'Links revoked');
+
+  const [voidEvent] = await auditSchema.getChainOfCustody(second._id);
+  assertEqual(voidEvent.event.type, ENVELOPE_EVENTS.voided, 'Void event');
+  assertEqual(voidEvent.event.recipientId, null, 'No recipient');
+  assertEqual(voidEvent.event.details.previousStatus, ENVELOPE_STATUS.sent, 'Was in flight');
+  assertEqual((await auditSchema.getAuditTrail('contract-1')).length, 0, 'Not signatures');
+});
+
+test('Delegation fails when the envelope changed meanwhile', async () => {
+  const db = envelopeDb();
+  const envelopeStore = new EnvelopeStore(db);
+  const envelope = await storeSentEnvelope(db);
+  const [alice] = envelope.recipients;
+
+  // Another request records Alice's pass between the read and the update
+  const original = db.collections.envelopes.findOneAndUpdate;
+  db.collections.envelopes.findOneAndUpdate = async (filter, update) => {
+    db.collections.envelopes.documents[0].updatedAt = new Date(Date.now() + 1000);
+    return original(filter, update);
+  };
+  await assertRejectsCode(
+    envelopeStore.delegateRecipient(envelope._id, alice, { email: 'carol@example.com' }),
+    ENVELOPE_ERRORS.conflict,
+    'Stale read'
+  );
+  db.collections.envelopes.findOneAndUpdate = original;
+  assertEqual(db.collections.audit_logs.documents.length, 0, 'Nothing recorded');
+
+  const { envelope: updated, delegate } = await envelopeStore.delegateRecipient(envelope._id, alice, { email: 'carol@example.com' });
+  assertEqual(updated.recipients.length, 3, 'Delegate added');
+  assertEqual(updated.fields.find(f => f.id === 'alice-sign').recipientId, delegate.id, 'Fields moved');
+});
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+test('Links delegate and decline, and custody shows every step', async () => {
+  await withTempDir(async (dir) => {
+    const db = envelopeDb();
+    const transport = new OutboxTransport({ dir, from: 'no-reply@example.com' });
+
+    await withServer(db, transport, async (api) => {
+      const { envelopeId } = await (await post(`${api}/envelopes`, definition())).json();
+      await post(`${api}/envelopes/${envelopeId}/send`, {});
+      const aliceToken = await latestLink(dir, 'alice@example.com');
+
+      // Only the link is a signer's credential; there are no email-based routes
+      assertEqual(
+        (await post(`${api}/envelopes/${envelopeId}/decline`, { email: 'alice@example.com', reason: 'x' })).status,
+        404,
+        'No decline by email'
+      );
+      assertEqual(
+        (await post(`${api}/envelopes/${envelopeId}/delegate`, {
+          email: 'alice@example.com',
+          delegate: { email: 'mallory@example.com' }
+        })).status,
+        404,
+        'No delegation by email'
+      );
+
+      assertEqual(
+        (await post(`${api}/signing/${aliceToken}/delegate`, { delegate: { email: 'bob@example.com' } })).status,
+        400,
+        'Cannot delegate to another signer'
+      );
+      assertEqual((await fetch(`${api}/signing/${aliceToken}`)).status, 200, 'Refused delegation did not spend the link');
+
+      const delegated = await post(`${api}/signing/${aliceToken}/delegate`, {
+        delegate: { email: 'carol@example.com', name: 'Carol' },
+        reason: 'Carol handles contracts'
+      });
+      assertEqual(delegated.status, 200, 'Delegated');
+      const delegation = await delegated.json();
+      assertEqual(delegation.delegate.email, 'carol@example.com', 'Delegate');
+      assertEqual(delegation.recipient.status, 'delegated', 'Alice delegated');
+      assertEqual(delegation.invitations[0].email, 'carol@example.com', 'Carol invited');
+
+      const spent = await fetch(`${api}/signing/${aliceToken}`);
+      assertEqual(spent.status, 410, 'Alice\'s link spent');
+      assertEqual((await spent.json()).code, SIGNING_TOKEN_ERRORS.used, 'Used');
+
+      const carolToken = await latestLink(dir, 'carol@example.com');
+      const session = await (await fetch(`${api}/signing/${carolToken}`)).json();
+      assertEqual(session.fields.map(f => f.id).join(), 'alice-sign,alice-date', 'Carol holds Alice\'s fields');
+
+      // Not even a fresh link lets Alice sign
+      const tokenStore = new SigningTokenStore(db);
+      const [stored] = db.collections.envelopes.documents;
+      const { token: aliceAgain } = await tokenStore.issueToken(stored, stored.recipients[0]);
+      const aliceSigns = await post(`${api}/sign-pdf`, {
+        signingToken: aliceAgain,
+        placements: [signaturePlacement('alice-sign'), signaturePlacement('alice-date')]
+      });
+      assertEqual(aliceSigns.status, 409, 'Delegator cannot sign');
+
+      assertEqual((await post(`${api}/signing/${carolToken}/decline`, {})).status, 400, 'Reason required');
+      const declined = await post(`${api}/signing/${carolToken}/decline`, { reason: 'Terms are not agreed' });
+      assertEqual(declined.status, 200, 'Declined');
+      assertEqual((await declined.json()).status, ENVELOPE_STATUS.declined, 'Envelope declined');
+
+      const bob = stored.recipients.find(recipient => recipient.email === 'bob@example.com');
+      const { token: bobToken } = await tokenStore.issueToken(stored, bob);
+      const bobSigns = await post(`${api}/sign-pdf`, {
+        signingToken: bobToken,
+        placements: [signaturePlacement('bob-sign')]
+      });
+      assertEqual(bobSigns.status, 409, 'No signing after a decline');
+      assertEqual((await bobSigns.json()).code, ENVELOPE_ERRORS.notActive, 'Not active');
+
+      const custody = await (await fetch(`${api}/envelopes/${envelopeId}/custody`)).json();
+      assertEqual(custody.status, ENVELOPE_STATUS.declined, 'Status');
+      assertEqual(
+        custody.custody.map(entry => entry.action).join(),
+        [
+          SIGNING_EVENTS.issued,
+          SIGNING_EVENTS.opened,
+          ENVELOPE_EVENTS.delegated,
+          SIGNING_EVENTS.issued,
+          SIGNING_EVENTS.opened,
+          ENVELOPE_EVENTS.declined
+        ].join(),
+        'Every step, in order'
+      );
+      const delegationEntry = custody.custody[2];
+      assertEqual(delegationEntry.email, 'alice@example.com', 'Delegated by Alice');
+      assertEqual(delegationEntry.details.delegateEmail, 'carol@example.com', 'To Carol');
+      assertEqual(delegationEntry.details.reason, 'Carol handles contracts', 'Reason');
+      assertTrue(delegationEntry.tokenId, 'With her link');
+      assertEqual(custody.custody[5].email, 'carol@example.com', 'Declined by Carol');
+      assertTrue(custody.custody.every((entry, index) => entry.sequence === index + 1 && entry.entryHash), 'Chained');
+    });
+  });
+});
+
+test('Voided envelopes revoke links and refuse envelope and direct signing', async () => {
+  await withTempDir(async (dir) => {
+    const db = envelopeDb();
+    const transport = new OutboxTransport({ dir, from: 'no-reply@example.com' });
+
+    await withServer(db, transport, async (api) => {
+      const { envelopeId } = await (await post(`${api}/envelopes`, {
+        ...definition(),
+        routing: 'parallel',
+        createdBy: 'sender@example.com'
+      })).json();
+      await post(`${api}/envelopes/${envelopeId}/send`, {});
+      const bobToken = await latestLink(dir, 'bob@example.com');
+
+      // A signature entry of the envelope, as sign-pdf records it
+      await new AuditSchema(db).create({
+        documentId: 'contract-1',
+        originalHash: 'a'.repeat(64),
+        signedHash: 'b'.repeat(64),
+        email: 'alice@example.com',
+        signerName: 'Alice',
+        envelope: { envelopeId, recipientId: 'r1', role: 'signer', fieldId: 'alice-sign' },
+        storedVersion: { version: 2, branch: 'main', parentVersion: 1 }
+      });
+
+      assertEqual((await post(`${api}/envelopes/${envelopeId}/void`, {})).status, 400, 'Reason required');
+      const voided = await post(`${api}/envelopes/${envelopeId}/void`, { reason: 'Sent to the wrong party' });
+      assertEqual(voided.status, 200, 'Voided');
+      const envelope = await voided.json();
+      assertEqual(envelope.status, ENVELOPE_STATUS.voided, 'Status');
+      assertEqual(envelope.currentRecipients.length, 0, 'Nobody may sign');
+
+      const opened = await fetch(`${api}/signing/${bobToken}`);
+      assertEqual(opened.status, 410, 'Link refused');
+      assertEqual((await opened.json()).code, SIGNING_TOKEN_ERRORS.revoked, 'Revoked');
+      assertEqual((await fetch(`${api}/signing/${bobToken}/document`)).status, 410, 'No download');
+      const withLink = await post(`${api}/sign-pdf`, {
+        signingToken: bobToken,
+        placements: [signaturePlacement('bob-sign')]
+      });
+      assertEqual(withLink.status, 410, 'No signing with the link');
+
+      // A link that escaped revocation still cannot open the voided envelope
+      const { token: lateToken } = await new SigningTokenStore(db).issueToken(
+        db.collections.envelopes.documents[0],
+        db.collections.envelopes.documents[0].recipients[1]
+      );
+      const lateView = await fetch(`${api}/signing/${lateToken}`);
+      assertEqual(lateView.status, 409, 'View refused');
+      assertEqual((await lateView.json()).code, ENVELOPE_ERRORS.voided, 'Voided');
+      const lateDocument = await fetch(`${api}/signing/${lateToken}/document`);
+      assertEqual(lateDocument.status, 409, 'Download refused');
+      assertEqual((await lateDocument.json()).code, ENVELOPE_ERRORS.voided, 'Voided');
+
+      const signed = await post(`${api}/sign-pdf`, {
+        signingToken: lateToken,
+        placements: [signaturePlacement('bob-sign')]
+      });
+      assertEqual(signed.status, 409, 'Envelope signing refused');
+      assertEqual((await signed.json()).code, ENVELOPE_ERRORS.voided, 'Voided');
+
+      const direct = await post(`${api}/sign-pdf`, {
+        documentId: 'contract-1',
+        placements: [{ ...signaturePlacement(), coordinates: field().coordinates }],
+        metadata: { email: 'bob@example.com' }
+      });
+      assertEqual(direct.status, 409, 'Direct signing refused');
+      assertEqual((await direct.json()).code, ENVELOPE_ERRORS.voided, 'Voided');
+
+      assertEqual((await post(`${api}/signing/${lateToken}/decline`, { reason: 'Late' })).status, 409, 'No decline after void');
+      assertEqual((await post(`${api}/envelopes/${envelopeId}/void`, { reason: 'Again' })).status, 409, 'Void once');
+
+      const { custody } = await (await fetch(`${api}/envelopes/${envelopeId}/custody`)).json();
+      const signature = custody.find(entry => entry.action === 'signature');
+      assertEqual(signature.recipientId, 'r1', 'Signature in custody');
+      assertEqual(signature.details.version, 2, 'Version it produced');
+      const last = custody[custody.length - 1];
+      assertEqual(last.action, ENVELOPE_EVENTS.voided, 'Void last');
+      assertEqual(last.email, 'sender@example.com', 'By the sender');
+      assertEqual(last.details.reason, 'Sent to the wrong party', 'Reason');
+    });
+  });
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🚫 Envelope Custody Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,247 @@
+/**
+ * ENVELOPE TEST FIXTURES
+ *
+ * Envelope definitions, in-memory collections and a test server shared by
+ * the envelope, signing invitation and custody tests
+ */
+
+const express = require('express');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { ObjectId } = require('mongodb');
+const signatureRoutes = require('../routes/signatureRoutes');
+const envelopeRoutes = require('../routes/envelopeRoutes');
+const signingRoutes = require('../routes/signingRoutes');
+const { normalizeEnvelope, ENVELOPE_STATUS } = require('../utils/envelopeRouting');
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+function field(recipient, overrides = {}) {
+  return {
+    recipient,
+    fieldType: 'signature',
+    coordinates: {
+      frontend: { x: 50, y: 600, width: 150, height: 50 },
+      container: { width: 800, height: 1000 },
+      pageIndex: 0
+    },
+    pageSize: { width: 612, height: 792 },
+    ...overrides
+  };
+}
+
+/**
+ * Definition builders for a test file: Alice then Bob, one signature field
+ * each, on stored document contract-1
+ *
+ * @param {Object} defaults - Members every definition of the file replaces
+ * @returns {Object} { definition(overrides), sentEnvelope(overrides) }
+ */
+function envelopeDefinitions(defaults = {}) {
+  const definition = (overrides = {}) => ({
+    documentId: 'contract-1',
+    title: 'Services agreement',
+    recipients: [
+      { email: 'alice@example.com', name: 'Alice' },
+      { email: 'bob@example.com', name: 'Bob' }
+    ],
+    fields: [
+      field('alice@example.com', { id: 'alice-sign' }),
+      field('bob@example.com', { id: 'bob-sign' })
+    ],
+    ...defaults,
+    ...overrides
+  });
+
+  // As sent, before anyone signed
+  const sentEnvelope = (overrides = {}) => ({
+    _id: 'env-test',
+    ...normalizeEnvelope(definition(overrides)),
+    branch: 'main',
+    status: ENVELOPE_STATUS.sent
+  });
+
+  return { definition, sentEnvelope };
+}
+
+const signaturePlacement = (fieldId, coordinates) => ({
+  fieldId,
+  signature: { image: 'iVBORw0KGgo=', imageType: 'png' },
+  ...(coordinates ? { coordinates } : {})
+});
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+/**
+ * Text part of a message written by formatMessage
+ */
+function decodeTextPart(raw) {
+  const match = raw.match(/Content-Type: text\/plain; charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n([A-Za-z0-9+/=\r\n]+)/);
+  return Buffer.from(match[1].replace(/\r\n/g, ''), 'base64').toString('utf8');
+}
+
+const linkToken = (text) => decodeURIComponent(text.match(/\?token=([^\s]+)/)[1]);
+
+async function withTempDir(fn) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'envelope-test-'));
+  try {
+    return await fn(dir);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+// ============================================================================
+// IN-MEMORY COLLECTIONS
+// ============================================================================
+
+// Equality, null for missing members, $gt, $in, $exists, $or and $elemMatch: the filters the stores use
+function matches(document, filter) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(alternative => matches(document, alternative));
+    const value = key.split('.').reduce((member, part) => member?.[part], document);
+    if (condition === null) return value === null || value === undefined;
+    if (condition instanceof Date) return value instanceof Date && value.getTime() === condition.getTime();
+    if (condition && condition.$gt !== undefined) return value > condition.$gt;
+    if (condition && condition.$in) return condition.$in.includes(value);
+    if (condition && condition.$exists !== undefined) return (value !== undefined) === condition.$exists;
+    if (condition && condition.$elemMatch) {
+      return (value || []).some(item => matches(item, condition.$elemMatch));
+    }
+    return value === condition;
+  });
+}
+
+/**
+ * A collection held in memory, with the operations the stores use
+ *
+ * @param {Object} options - { unique: members under a unique index that
+ *   ignores documents without a string value (like the envelope lock) }
+ */
+function memoryCollection(options = {}) {
+  const documents = [];
+  const unique = options.unique || [];
+  const find = (filter) => documents.find(document => matches(document, filter)) || null;
+  const checkUnique = (candidate, document) => {
+    for (const key of unique) {
+      if (typeof candidate[key] === 'string' &&
+        documents.some(other => other !== document && other[key] === candidate[key])) {
+        throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+      }
+    }
+  };
+  const applyUpdate = (document, update, filter) => {
+    checkUnique(update.$set || {}, document);
+    // The positional operator names the element the filter matched, before the update
+    const position = filter.recipients
+      ? document.recipients.findIndex(r => matches(r, filter.recipients.$elemMatch))
+      : -1;
+    for (const [key, value] of Object.entries(update.$set || {})) {
+      if (key.startsWith('recipients.$.')) {
+        document.recipients[position][key.slice('recipients.$.'.length)] = value;
+      } else {
+        document[key] = structuredClone(value);
+      }
+    }
+    for (const [key, value] of Object.entries(update.$inc || {})) {
+      document[key] = (document[key] || 0) + value;
+    }
+  };
+
+  return {
+    documents,
+    createIndex: async () => {},
+    insertOne: async (document) => {
+      checkUnique(document, null);
+      documents.push(structuredClone(document));
+      return { insertedId: document._id };
+    },
+    findOne: async (filter, options = {}) => {
+      const found = documents.filter(document => matches(document, filter));
+      // Newest chain entry for the audit log's appendToChain
+      const picked = options.sort ? found[found.length - 1] : found[0];
+      return picked ? structuredClone(picked) : null;
+    },
+    find: (filter) => ({
+      sort: () => ({ toArray: async () => documents.filter(d => matches(d, filter)).map(d => structuredClone(d)) })
+    }),
+    findOneAndUpdate: async (filter, update) => {
+      const document = find(filter);
+      if (!document) return null;
+      applyUpdate(document, update, filter);
+      return structuredClone(document);
+    },
+    updateOne: async (filter, update) => {
+      const document = find(filter);
+      if (document) applyUpdate(document, update, filter);
+    },
+    updateMany: async (filter, update) => {
+      for (const document of documents.filter(d => matches(d, filter))) applyUpdate(document, update, filter);
+    }
+  };
+}
+
+// Envelopes, signing tokens, the audit log and one stored document (version 1 on main)
+function envelopeDb() {
+  const collections = {
+    envelopes: memoryCollection({ unique: ['lock'] }),
+    signing_tokens: memoryCollection(),
+    audit_logs: memoryCollection(),
+    'documents.files': {
+      findOne: async (filter) => (filter['metadata.documentId'] === 'contract-1' &&
+        (!filter['metadata.branch'] || filter['metadata.branch'] === 'main')
+        ? { _id: new ObjectId(), metadata: { documentId: 'contract-1', version: 1, branch: 'main' } }
+        : null)
+    }
+  };
+  return { collections, collection: (name) => collections[name] || {} };
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+// Runs requests against the envelope, signing-link and signing routes on an ephemeral port
+async function withServer(db, transport, fn) {
+  const app = express();
+  app.locals.db = db;
+  app.locals.mailTransport = transport;
+  app.use(express.json());
+  app.use('/api/envelopes', envelopeRoutes);
+  app.use('/api/signing', signingRoutes);
+  app.use('/api', signatureRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}/api`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const post = (url, body) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+module.exports = {
+  field,
+  envelopeDefinitions,
+  signaturePlacement,
+  decodeTextPart,
+  linkToken,
+  withTempDir,
+  matches,
+  memoryCollection,
+  envelopeDb,
+  withServer,
+  post
+};
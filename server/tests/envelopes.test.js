@@ -0,0 +1,315 @@
+/**
+ * ENVELOPE TESTS
+ *
+ * Validates envelope definitions, routes signers sequentially or in parallel,
+ * limits signing to the current recipient's fields, and seals completed
+ * envelopes
+ */
+
+const forge = require('node-forge');
+const EnvelopeStore = require('../models/envelopeStore');
+const SigningTokenStore = require('../models/signingTokenStore');
+const { parsePEM, describeCertificate } = require('../utils/cryptoSigner');
+const { verifyCheckpointSignature } = require('../utils/auditChain');
+const {
+  normalizeEnvelope,
+  currentRecipients,
+  authorizeSigning,
+  ENVELOPE_STATUS,
+  ENVELOPE_ERRORS
+} = require('../utils/envelopeRouting');
+const { SIGNING_TOKEN_ERRORS } = require('../utils/signingTokens');
+const {
+  field,
+  envelopeDefinitions,
+  signaturePlacement,
+  envelopeDb,
+  withServer,
+  post
+} = require('./envelopeFixtures');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assertTrue(value, message) {
+  if (!value) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrowsCode(fn, code, message) {
+  try {
+    fn();
+  } catch (error) {
+    assertEqual(error.code, code, message);
+    return error;
+  }
+  throw new Error(`${message}: did not throw`);
+}
+
+async function assertRejectsCode(promise, code, message) {
+  try {
+    await promise;
+  } catch (error) {
+    assertEqual(error.code, code, message);
+    return error;
+  }
+  throw new Error(`${message}: did not throw`);
+}
+
+/**
+ * Create a self-signed certificate as server credentials
+ */
+function createTestCredentials() {
+  const keys = forge.pki.rsa.generateKeyPair(2048);
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const attrs = [{ name: 'commonName', value: 'Envelope Seals' }];
+  cert.setSubject(attrs);
+  cert.setIssuer(attrs);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+
+  const credentials = parsePEM(
+    forge.pki.certificateToPem(cert),
+    forge.pki.privateKeyToPem(keys.privateKey)
+  );
+  return { ...credentials, certificateInfo: describeCertificate(credentials.certificate) };
+}
+
+// A cc besides the signers, and an optional date field for Alice
+const { definition, sentEnvelope } = envelopeDefinitions({
+  recipients: [
+    { email: 'Alice@Example.com', name: 'Alice' },
+    { email: 'bob@example.com', name: 'Bob' },
+    { email: 'legal@example.com', role: 'cc' }
+  ],
+  fields: [
+    field('alice@example.com', { id: 'alice-sign' }),
+    field('alice@example.com', { id: 'alice-date', fieldType: 'date', required: false }),
+    field('bob@example.com', { id: 'bob-sign' })
+  ]
+});
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+test('Definitions get IDs, routing order and defaults', () => {
+  const envelope = normalizeEnvelope(definition());
+
+  assertEqual(envelope.routing, 'sequential', 'Sequential by default');
+  assertEqual(envelope.recipients[0].email, 'alice@example.com', 'Emails lowercased');
+  assertEqual(envelope.recipients[1].routingOrder, 2, 'Routing order');
+  assertEqual(envelope.recipients[2].status, null, 'cc never signs');
+  assertEqual(envelope.fields[0].recipientId, 'r1', 'Field assigned by email');
+  assertEqual(envelope.fields[1].required, false, 'Optional field');
+});
+
+test('Rejects unusable definitions', () => {
+  const invalid = ENVELOPE_ERRORS.invalid;
+  assertThrowsCode(() => normalizeEnvelope(definition({ routing: 'random' })), invalid, 'Routing');
+  assertThrowsCode(() => normalizeEnvelope(definition({
+    recipients: [{ email: 'a@example.com' }, { email: 'A@example.com' }]
+  })), invalid, 'Duplicate recipient');
+  assertThrowsCode(() => normalizeEnvelope(definition({
+    fields: [field('alice@example.com'), field('legal@example.com')]
+  })), invalid, 'Field for a cc');
+  assertThrowsCode(() => normalizeEnvelope(definition({
+    fields: [field('alice@example.com')]
+  })), invalid, 'Signer without fields');
+  assertThrowsCode(() => normalizeEnvelope(definition({
+    fields: [field('alice@example.com', { coordinates: { frontend: { x: 1, y: 1 } } }), field('bob@example.com')]
+  })), invalid, 'Geometry');
+});
+
+// ============================================================================
+// ROUTING
+// ============================================================================
+
+test('Sequential envelopes wait for each signer in turn', () => {
+  const envelope = sentEnvelope();
+  assertEqual(currentRecipients(envelope).map(r => r.email).join(), 'alice@example.com', 'Alice first');
+
+  const error = assertThrowsCode(
+    () => authorizeSigning(envelope, 'bob@example.com', [signaturePlacement('bob-sign')]),
+    ENVELOPE_ERRORS.notYourTurn,
+    'Bob waits'
+  );
+  assertEqual(error.waitingFor.join(), 'alice@example.com', 'Says who is next');
+
+  envelope.recipients[0].status = 'completed';
+  assertEqual(currentRecipients(envelope).map(r => r.email).join(), 'bob@example.com', 'Then Bob');
+  assertThrowsCode(
+    () => authorizeSigning(envelope, 'alice@example.com', [signaturePlacement('alice-sign')]),
+    ENVELOPE_ERRORS.recipientDone,
+    'Alice signs once'
+  );
+});
+
+test('Parallel envelopes let every remaining signer sign', () => {
+  const envelope = sentEnvelope({ routing: 'parallel' });
+  assertEqual(currentRecipients(envelope).length, 2, 'Both signers, not the cc');
+  authorizeSigning(envelope, 'bob@example.com', [signaturePlacement('bob-sign')]);
+
+  assertEqual(currentRecipients({ ...envelope, status: ENVELOPE_STATUS.draft }).length, 0, 'Nobody before sending');
+});
+
+test('Signers fill only their own fields, where the envelope puts them', () => {
+  const envelope = sentEnvelope();
+  const moved = { frontend: { x: 0, y: 0, width: 800, height: 1000 }, container: { width: 800, height: 1000 } };
+
+  const { recipient, placements } = authorizeSigning(envelope, 'ALICE@example.com', [
+    signaturePlacement('alice-sign', moved)
+  ]);
+  assertEqual(recipient.id, 'r1', 'Recipient by email');
+  assertEqual(placements[0].coordinates.frontend.x, 50, 'Envelope position wins');
+  assertEqual(placements[0].fieldType, 'signature', 'Envelope field type');
+
+  assertThrowsCode(() => authorizeSigning(envelope, 'alice@example.com', [
+    signaturePlacement('alice-sign'), signaturePlacement('bob-sign')
+  ]), ENVELOPE_ERRORS.fieldNotAssigned, 'Another recipient\'s field');
+  assertThrowsCode(() => authorizeSigning(envelope, 'alice@example.com', [
+    signaturePlacement('alice-date')
+  ]), ENVELOPE_ERRORS.fieldsMissing, 'Required field left out');
+  assertThrowsCode(() => authorizeSigning(envelope, 'alice@example.com', [
+    { signature: { image: 'x' }, coordinates: moved }
+  ]), ENVELOPE_ERRORS.unknownField, 'Free placement');
+  assertThrowsCode(() => authorizeSigning(envelope, 'legal@example.com', [
+    signaturePlacement('alice-sign')
+  ]), ENVELOPE_ERRORS.notRecipient, 'cc cannot sign');
+});
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+test('Envelopes move from draft to a sealed completion', async () => {
+  const db = envelopeDb();
+  const envelopeStore = new EnvelopeStore(db);
+  const credentials = createTestCredentials();
+
+  const draft = await envelopeStore.createEnvelope(definition());
+  assertEqual(draft.status, ENVELOPE_STATUS.draft, 'Draft');
+  assertEqual(draft.branch, 'main', 'Branch of the stored document');
+
+  const sent = await envelopeStore.sendEnvelope(draft._id);
+  assertEqual(sent.status, ENVELOPE_STATUS.sent, 'Sent');
+  assertEqual((await envelopeStore.findLockingEnvelope('contract-1', 'main'))._id, draft._id, 'Holds the branch');
+
+  const other = await envelopeStore.createEnvelope(definition());
+  await assertRejectsCode(envelopeStore.sendEnvelope(other._id), ENVELOPE_ERRORS.documentLocked, 'One envelope per branch');
+
+  const afterAlice = await envelopeStore.recordSigning(draft._id, 'r1', { version: 2, signedHash: 'a'.repeat(64), auditIds: [] });
+  assertEqual(afterAlice.status, ENVELOPE_STATUS.inProgress, 'In progress');
+  await assertRejectsCode(
+    envelopeStore.recordSigning(draft._id, 'r1', { version: 3, signedHash: 'b'.repeat(64), auditIds: [] }),
+    ENVELOPE_ERRORS.conflict,
+    'Recorded once'
+  );
+
+  const afterBob = await envelopeStore.recordSigning(draft._id, 'r2', { version: 3, signedHash: 'c'.repeat(64), auditIds: [] });
+  assertEqual(afterBob.status, ENVELOPE_STATUS.completed, 'Completed after the last signer');
+
+  const sealed = await envelopeStore.sealEnvelope(afterBob, credentials);
+  assertEqual(sealed.seal.version, 3, 'Seals the final version');
+  assertEqual(sealed.seal.sha256, 'c'.repeat(64), 'Final hash');
+  assertEqual(JSON.parse(sealed.seal.payload).recipients.length, 3, 'Every recipient');
+  assertTrue(verifyCheckpointSignature(sealed.seal), 'Seal signature verifies');
+  assertEqual((await envelopeStore.getEnvelope(draft._id)).seal.payloadHash, sealed.seal.payloadHash, 'Stored');
+});
+
+test('sign-pdf refuses signers outside the envelope\'s routing', async () => {
+  const db = envelopeDb();
+
+  await withServer(db, null, async (api) => {
+    const created = await post(`${api}/envelopes`, definition());
+    assertEqual(created.status, 201, 'Created');
+    const { envelopeId } = await created.json();
+
+    // Links as the invitations would carry them
+    const tokenStore = new SigningTokenStore(db);
+    const [stored] = db.collections.envelopes.documents;
+    const { token: aliceToken } = await tokenStore.issueToken(stored, stored.recipients[0]);
+    const { token: bobToken } = await tokenStore.issueToken(stored, stored.recipients[1]);
+
+    const sign = (signingToken, placements, extra = {}) => post(`${api}/sign-pdf`, {
+      signingToken,
+      placements,
+      ...extra
+    });
+
+    assertEqual((await sign(aliceToken, [signaturePlacement('alice-sign')])).status, 409, 'Draft');
+
+    const sent = await (await post(`${api}/envelopes/${envelopeId}/send`, {})).json();
+    assertEqual(sent.currentRecipients.join(), 'alice@example.com', 'Alice first');
+
+    const early = await sign(bobToken, [signaturePlacement('bob-sign')]);
+    assertEqual(early.status, 409, 'Not Bob\'s turn');
+    assertEqual((await early.json()).waitingFor[0], 'alice@example.com', 'Waiting for Alice');
+
+    // An envelope ID and a claimed email are no credential
+    const claimed = await post(`${api}/sign-pdf`, {
+      envelopeId,
+      placements: [signaturePlacement('alice-sign')],
+      metadata: { email: 'alice@example.com' }
+    });
+    assertEqual(claimed.status, 401, 'No link');
+    assertEqual((await claimed.json()).code, SIGNING_TOKEN_ERRORS.required, 'Link required');
+
+    assertEqual((await sign(aliceToken, [signaturePlacement('alice-sign')], { envelopeId: 'env-other' })).status, 400, 'Other envelope');
+    assertEqual((await sign(aliceToken, [signaturePlacement('bob-sign')])).status, 403, 'Bob\'s field');
+    assertEqual((await sign(aliceToken, [signaturePlacement('alice-sign')], { pdfBuffer: 'JVBERi0=' })).status, 400, 'Own PDF');
+    assertEqual((await fetch(`${api}/envelopes/env-missing`)).status, 404, 'Unknown envelope');
+
+    // Outside the envelope, the branch is closed to everyone
+    const bypass = await post(`${api}/sign-pdf`, {
+      documentId: 'contract-1',
+      placements: [{ ...signaturePlacement(), coordinates: field().coordinates }],
+      metadata: { email: 'alice@example.com' }
+    });
+    assertEqual(bypass.status, 409, 'Branch held by the envelope');
+    assertEqual((await bypass.json()).code, ENVELOPE_ERRORS.documentLocked, 'Code');
+  });
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n✉️  Envelope Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
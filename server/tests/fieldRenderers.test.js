@@ -0,0 +1,245 @@
+/**
+ * FIELD RENDERING TESTS
+ *
+ * Checks date formats, colors and font fitting, draws text, date and radio
+ * fields, and refuses text a standard font cannot encode, for text fields and
+ * signature captions alike, with a client error asking for a font
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+const signatureRoutes = require('../routes/signatureRoutes');
+const { signPDFMultiple } = require('../utils/pdfSigner');
+const {
+  formatDate,
+  parseColor,
+  fitFontSize,
+  assertEncodable,
+  MIN_FONT_SIZE,
+  UNENCODABLE_TEXT_ERROR
+} = require('../utils/fieldRenderers');
+const {
+  createTestPDF,
+  signaturePlacement,
+  assertTrue,
+  assertEqual,
+  assertRejectsCode
+} = require('./pdfFixtures');
+
+// A TTF with Latin Extended glyphs, as a client would send it
+const LIBERATION_SANS = fs.readFileSync(path.join(
+  path.dirname(require.resolve('pdfjs-dist/package.json')),
+  'standard_fonts',
+  'LiberationSans-Regular.ttf'
+)).toString('base64');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function fieldPlacement(fieldType, value, style = {}) {
+  return {
+    fieldType,
+    value,
+    style,
+    x: 100, y: 100, width: 200, height: 30,
+    pageIndex: 0
+  };
+}
+
+function stampedPlacement(name, appearance = 'below') {
+  return signaturePlacement({
+    y: 200, width: 200, height: 80,
+    documentId: 'a1b2c3d4e5f6',
+    appearance,
+    metadata: { name, timestamp: '2024-03-05T09:30:00Z' }
+  });
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+test('Formats dates with every token, in UTC', () => {
+  const date = new Date('2024-03-05T23:30:00Z');
+  assertEqual(formatDate(date), '2024-03-05', 'Default format');
+  assertEqual(formatDate(date, 'DD/MM/YY'), '05/03/24', 'Short year');
+  assertEqual(formatDate('2024-03-05', 'MMMM D, YYYY'), 'March 5, 2024', 'Month name');
+  assertEqual(formatDate(date, 'MMM M'), 'Mar 3', 'Short month');
+
+  let rejected = false;
+  try {
+    formatDate('not a date');
+  } catch {
+    rejected = true;
+  }
+  assertTrue(rejected, 'Invalid date rejected');
+});
+
+test('Parses short and long hex colors', () => {
+  const color = parseColor('#ff8000');
+  assertEqual(color.red, 1, 'Red');
+  assertEqual(Math.round(color.green * 255), 128, 'Green');
+  assertEqual(parseColor('#00f').blue, 1, 'Short form');
+
+  let rejected = false;
+  try {
+    parseColor('orange');
+  } catch {
+    rejected = true;
+  }
+  assertTrue(rejected, 'Named colors rejected');
+});
+
+test('Shrinks text to fit its box, down to the minimum size', async () => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+  assertEqual(fitFontSize(font, 'Jane', { width: 200, height: 30 }, 12).fontSize, 12, 'Requested size fits');
+  const long = fitFontSize(font, 'A rather long line of text', { width: 80, height: 30 }, 12);
+  assertTrue(long.fontSize < 12 && !long.overflow, 'Shrunk to the width');
+  const tiny = fitFontSize(font, 'A rather long line of text', { width: 10, height: 30 }, 12);
+  assertEqual(tiny.fontSize, MIN_FONT_SIZE, 'Never below the minimum');
+  assertTrue(tiny.overflow, 'Overflow reported');
+});
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+test('Draws text, date and radio fields in one pass', async () => {
+  const { auditTrail } = await signPDFMultiple(await createTestPDF(), [
+    fieldPlacement('text', 'Jane Doe', { font: StandardFonts.HelveticaBold, fontSize: 14 }),
+    fieldPlacement('date', '2024-03-05', { dateFormat: 'MMMM D, YYYY' }),
+    fieldPlacement('radio', true)
+  ]);
+
+  assertEqual(auditTrail[0].textInfo.text, 'Jane Doe', 'Text');
+  assertEqual(auditTrail[0].textInfo.font, StandardFonts.HelveticaBold, 'Font');
+  assertEqual(auditTrail[1].textInfo.text, 'March 5, 2024', 'Formatted date');
+  assertEqual(auditTrail[2].markInfo.selected, true, 'Radio selected');
+});
+
+// ============================================================================
+// ENCODING
+// ============================================================================
+
+test('Standard fonts cover WinAnsi, including its punctuation', async () => {
+  const pdfDoc = await PDFDocument.create();
+  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+
+  assertEncodable(font, 'Helvetica', 'Café “Zürich” – 10 €');
+  let error = null;
+  try {
+    assertEncodable(font, 'Helvetica', 'Łódź 李雷 Łukasz');
+  } catch (thrown) {
+    error = thrown;
+  }
+  assertEqual(error?.code, UNENCODABLE_TEXT_ERROR, 'Code');
+  assertEqual(error.characters.join(''), 'Łź李雷', 'Each missing character once');
+  assertTrue(error.message.includes('fontData'), 'Asks for a font');
+});
+
+test('Text fields refuse unencodable text unless a font is sent', async () => {
+  const original = await createTestPDF();
+  await assertRejectsCode(
+    signPDFMultiple(original, [fieldPlacement('text', 'Łódź 李雷')]),
+    UNENCODABLE_TEXT_ERROR,
+    'Standard font'
+  );
+
+  const { auditTrail } = await signPDFMultiple(original, [
+    fieldPlacement('text', 'Łódź', { font: 'LiberationSans', fontData: LIBERATION_SANS })
+  ]);
+  assertEqual(auditTrail[0].textInfo.text, 'Łódź', 'Drawn with the TTF');
+});
+
+test('Captions follow the same rule instead of dropping characters', async () => {
+  const original = await createTestPDF();
+  await assertRejectsCode(
+    signPDFMultiple(original, [stampedPlacement('Łukasz Nowak')]),
+    UNENCODABLE_TEXT_ERROR,
+    'Standard font'
+  );
+
+  const { auditTrail } = await signPDFMultiple(original, [
+    stampedPlacement('Łukasz Nowak', { layout: 'below', font: 'LiberationSans', fontData: LIBERATION_SANS })
+  ]);
+  assertEqual(auditTrail[0].appearance.lines[0], 'Signed by Łukasz Nowak', 'Name kept as written');
+});
+
+// ============================================================================
+// ROUTE
+// ============================================================================
+
+test('sign-pdf answers 400 and names the characters', async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', signatureRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/sign-pdf`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        pdfId: 'doc-123',
+        pdfBuffer: (await createTestPDF()).toString('base64'),
+        placements: [{
+          fieldType: 'text',
+          value: 'Łódź 李雷',
+          coordinates: {
+            frontend: { x: 50, y: 50, width: 200, height: 30 },
+            container: { width: 595, height: 842 },
+            pageIndex: 0
+          }
+        }]
+      })
+    });
+    const body = await response.json();
+
+    assertEqual(response.status, 400, 'Client error');
+    assertEqual(body.code, UNENCODABLE_TEXT_ERROR, 'Code');
+    assertEqual(body.characters.join(''), 'Łź李雷', 'Characters');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🔤 Field Rendering Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
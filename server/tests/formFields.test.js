@@ -0,0 +1,142 @@
+/**
+ * ACROFORM FIELD TESTS
+ * 
+ * Builds a PDF with text, checkbox, radio and signature fields and checks
+ * detection, page mapping and filling through signPDFMultiple
+ */
+
+const { PDFDocument } = require('pdf-lib');
+const { listFormFields } = require('../utils/formFields');
+const { signPDFMultiple } = require('../utils/pdfSigner');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  }
+}
+
+async function createFormPDF() {
+  const pdfDoc = await PDFDocument.create();
+  const first = pdfDoc.addPage([595.28, 841.89]);
+  const second = pdfDoc.addPage([595.28, 841.89]);
+  const form = pdfDoc.getForm();
+
+  form.createTextField('applicant.name')
+    .addToPage(first, { x: 50, y: 700, width: 200, height: 20 });
+  form.createCheckBox('agree')
+    .addToPage(first, { x: 50, y: 650, width: 12, height: 12 });
+
+  const plan = form.createRadioGroup('plan');
+  plan.addOptionToPage('Basic', first, { x: 50, y: 600, width: 12, height: 12 });
+  plan.addOptionToPage('Premium', first, { x: 100, y: 600, width: 12, height: 12 });
+
+  const locked = form.createTextField('reference');
+  locked.setText('REF-1');
+  locked.enableReadOnly();
+  locked.addToPage(second, { x: 50, y: 100, width: 100, height: 20 });
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+function formPlacement(fieldType, formField, value, extra = {}) {
+  return { fieldType, formField, value, x: 0, y: 0, width: 10, height: 10, pageIndex: 0, ...extra };
+}
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+test('Lists one entry per widget with type and page', async () => {
+  const fields = await listFormFields(await createFormPDF());
+  const byName = (name) => fields.filter(f => f.name === name);
+
+  assertEqual(fields.length, 5, 'Widget count');
+  assertEqual(byName('applicant.name')[0].type, 'text', 'Text type');
+  assertEqual(byName('agree')[0].type, 'checkbox', 'Checkbox type');
+  assertEqual(byName('plan').length, 2, 'Radio widgets');
+  assertEqual(byName('plan')[1].option, 'Premium', 'Radio widget option');
+  assertEqual(byName('reference')[0].pageIndex, 1, 'Second page widget');
+  assertEqual(byName('reference')[0].readOnly, true, 'Read-only flag');
+});
+
+test('pageRect uses a top-left page origin', async () => {
+  const fields = await listFormFields(await createFormPDF());
+  const name = fields.find(f => f.name === 'applicant.name');
+
+  const round = (value) => Math.round(value * 1000) / 1000;
+  assertEqual(round(name.pageRect.x), round(name.rect.x), 'pageRect x');
+  assertEqual(round(name.pageRect.y), round(841.89 - (name.rect.y + name.rect.height)), 'pageRect y');
+  assertEqual(round(name.pageRect.width), round(name.rect.width), 'pageRect width');
+});
+
+// ============================================================================
+// FILLING
+// ============================================================================
+
+test('Fills text, checkbox and radio values', async () => {
+  const { signedPDFBuffer, auditTrail } = await signPDFMultiple(await createFormPDF(), [
+    formPlacement('text', 'applicant.name', 'Jane Doe'),
+    formPlacement('checkbox', 'agree', true),
+    formPlacement('radio', 'plan', true, { formOption: 'Premium' })
+  ]);
+
+  const fields = await listFormFields(signedPDFBuffer);
+  const value = (name) => fields.find(f => f.name === name).value;
+
+  assertEqual(value('applicant.name'), 'Jane Doe', 'Text value');
+  assertEqual(value('agree'), true, 'Checkbox value');
+  assertEqual(value('plan'), 'Premium', 'Radio value');
+  assertEqual(auditTrail[2].formField.value, 'Premium', 'Audit radio value');
+});
+
+test('Rejects read-only and unknown fields', async () => {
+  const pdf = await createFormPDF();
+
+  for (const name of ['reference', 'missing']) {
+    let rejected = false;
+    try {
+      await signPDFMultiple(pdf, [formPlacement('text', name, 'x')]);
+    } catch (error) {
+      rejected = true;
+    }
+    assertEqual(rejected, true, `Filling ${name} rejected`);
+  }
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n📝 AcroForm Field Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
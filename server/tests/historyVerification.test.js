@@ -0,0 +1,280 @@
+/**
+ * HISTORY VERIFICATION TESTS
+ *
+ * Locates an uploaded PDF's hash in the document's full signing history:
+ * original, after an earlier signing pass, final, or tampered; checks the
+ * revisions of the passes a copy contains, and refuses malformed IDs
+ */
+
+const express = require('express');
+const AuditSchema = require('../models/auditSchema');
+const signatureRoutes = require('../routes/signatureRoutes');
+const { signPDFMultiple } = require('../utils/pdfSigner');
+const { listRevisions } = require('../utils/incrementalUpdate');
+const { createTestPDF, assertEqual } = require('./pdfFixtures');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function hash(letter) {
+  return letter.repeat(64);
+}
+
+function entry(originalHash, signedHash, email, createdAt, fieldType = 'signature') {
+  return {
+    _id: `${signedHash.charAt(0)}-${email}-${fieldType}`,
+    documentId: 'doc-123',
+    originalHash,
+    signedHash,
+    createdAt: new Date(createdAt),
+    fieldType,
+    pageIndex: 0,
+    signer: { email, name: email.split('@')[0], timestamp: new Date(createdAt) },
+    verifications: []
+  };
+}
+
+// Audit collection stand-in recording verification updates
+function auditSchemaWith(entries) {
+  const updates = [];
+  const collection = {
+    find: () => ({
+      sort: () => ({ toArray: async () => [...entries].sort((a, b) => b.createdAt - a.createdAt) })
+    }),
+    updateOne: async (filter, update) => updates.push({ filter, update })
+  };
+  const auditSchema = new AuditSchema({ collection: () => collection });
+  return { auditSchema, updates };
+}
+
+// Three incremental passes over a generated PDF, with their audit entries
+async function signThreeTimes() {
+  const copies = [await createTestPDF()];
+  const entries = [];
+
+  for (const [index, email] of ['jane@example.com', 'john@example.com', 'ann@example.com'].entries()) {
+    const result = await signPDFMultiple(copies[index], [{
+      fieldType: 'text',
+      value: email,
+      x: 100, y: 100 + index * 50, width: 200, height: 30,
+      pageIndex: 0
+    }]);
+    copies.push(result.signedPDFBuffer);
+    entries.push(entry(result.originalHash, result.signedHash, email, (index + 1) * 1000));
+  }
+  return { copies, entries };
+}
+
+// Original a, signed by Jane (a -> b, with a date field), then John (b -> c), then Ann (c -> d)
+function threePasses() {
+  return [
+    entry(hash('a'), hash('b'), 'jane@example.com', 1000),
+    entry(hash('a'), hash('b'), 'jane@example.com', 1000, 'date'),
+    entry(hash('b'), hash('c'), 'john@example.com', 2000),
+    entry(hash('c'), hash('d'), 'ann@example.com', 3000)
+  ];
+}
+
+// ============================================================================
+// REVISIONS
+// ============================================================================
+
+test('The latest signed version is valid and lists every signer', async () => {
+  const { auditSchema, updates } = auditSchemaWith(threePasses());
+  const result = await auditSchema.verifyIntegrity('doc-123', hash('d'));
+
+  assertEqual(result.status, 'valid', 'Status');
+  assertEqual(result.match.revision, 'final', 'Revision');
+  assertEqual(result.match.passNumber, 3, 'After the third pass');
+  assertEqual(result.signers.map(s => s.email).join(','), 'jane@example.com,john@example.com,ann@example.com', 'Signers');
+  assertEqual(result.signedHash, hash('d'), 'Matched pass');
+  assertEqual(updates[0].update.$set.integrityStatus, 'valid', 'Recorded');
+});
+
+test('An earlier signed copy is outdated, with signers up to it', async () => {
+  const { auditSchema, updates } = auditSchemaWith(threePasses());
+  const result = await auditSchema.verifyIntegrity('doc-123', hash('c'));
+
+  assertEqual(result.status, 'outdated', 'Status');
+  assertEqual(result.match.revision, 'intermediate', 'Revision');
+  assertEqual(result.match.passNumber, 2, 'After the second pass');
+  assertEqual(result.match.signatureCount, 2, 'Two signatures; the date field is not one');
+  assertEqual(result.match.laterPasses, 1, 'One pass after it');
+  assertEqual(result.signers[1].passNumber, 2, 'Pass of each signer');
+  assertEqual(result.signers.length, 2, 'Later signers left out');
+  assertEqual(result.originalHash, hash('b'), 'Pass that produced it');
+  assertEqual(updates[0].update.$push.verifications.status, 'outdated', 'Recorded as outdated');
+  assertEqual(updates[0].update.$set.integrityStatus, 'valid', 'Not tampered');
+});
+
+test('The untouched original is outdated with no signers', async () => {
+  const { auditSchema } = auditSchemaWith(threePasses());
+  const result = await auditSchema.verifyIntegrity('doc-123', hash('a'));
+
+  assertEqual(result.status, 'outdated', 'Status');
+  assertEqual(result.match.revision, 'original', 'Revision');
+  assertEqual(result.match.passNumber, 0, 'No passes applied');
+  assertEqual(result.match.laterPasses, 3, 'Every pass came later');
+  assertEqual(result.signers.length, 0, 'No signers');
+  assertEqual(result.originalHash, hash('a'), 'First pass over it');
+});
+
+test('A hash outside the history is tampered', async () => {
+  const { auditSchema, updates } = auditSchemaWith(threePasses());
+  const result = await auditSchema.verifyIntegrity('doc-123', hash('e'));
+
+  assertEqual(result.status, 'tampered', 'Status');
+  assertEqual(result.match, null, 'No match');
+  assertEqual(result.signedHash, hash('d'), 'Newest pass for reference');
+  assertEqual(updates[0].update.$set.integrityStatus, 'tampered', 'Recorded');
+  assertEqual(updates[0].update.$push.verifications.status, 'invalid', 'Verification status');
+});
+
+test('Branch heads are final and only their own ancestors sign them', async () => {
+  // Ann re-signed from b instead of c: a -> b -> c and a -> b -> e
+  const { auditSchema } = auditSchemaWith([
+    ...threePasses().slice(0, 3),
+    entry(hash('b'), hash('e'), 'ann@example.com', 3000)
+  ]);
+
+  const branch = await auditSchema.verifyIntegrity('doc-123', hash('e'));
+  assertEqual(branch.status, 'valid', 'Branch head');
+  assertEqual(branch.signers.map(s => s.email).join(','), 'jane@example.com,ann@example.com', 'Branch signers');
+
+  const main = await auditSchema.verifyIntegrity('doc-123', hash('c'));
+  assertEqual(main.match.revision, 'final', 'Head of the other branch');
+
+  const shared = await auditSchema.verifyIntegrity('doc-123', hash('b'));
+  assertEqual(shared.match.laterPasses, 2, 'Both branches came later');
+});
+
+test('Entries recorded before field types count as signatures', async () => {
+  const legacy = entry(hash('b'), hash('c'), 'john@example.com', 2000);
+  delete legacy.fieldType;
+  const { auditSchema } = auditSchemaWith([...threePasses().slice(0, 2), legacy]);
+
+  const result = await auditSchema.verifyIntegrity('doc-123', hash('c'));
+  assertEqual(result.signers.map(s => s.email).join(','), 'jane@example.com,john@example.com', 'Signers');
+  assertEqual(result.match.signatureCount, 2, 'Signature count');
+});
+
+test('Documents without audit entries are not found', async () => {
+  const { auditSchema } = auditSchemaWith([]);
+  assertEqual((await auditSchema.verifyIntegrity('doc-123', hash('a'))).status, 'not_found', 'Status');
+});
+
+// ============================================================================
+// REVISIONS OF THE UPLOAD
+// ============================================================================
+
+test('An outdated copy checks only the passes it contains', async () => {
+  const { copies, entries } = await signThreeTimes();
+  const { auditSchema } = auditSchemaWith(entries);
+
+  const second = await auditSchema.verifyIntegrity('doc-123', entries[1].signedHash, listRevisions(copies[2]));
+  assertEqual(second.status, 'outdated', 'Status');
+  assertEqual(second.revisions.status, 'valid', 'Both passes appended to their input');
+  assertEqual(second.revisions.entries.map(result => result.signedHash).join(),
+    [entries[1].signedHash, entries[0].signedHash].join(), 'Third pass left out');
+  assertEqual(second.revisions.entries[0].signedRevision.revision, 3, 'Second pass is the last revision');
+
+  const final = await auditSchema.verifyIntegrity('doc-123', entries[2].signedHash, listRevisions(copies[3]));
+  assertEqual(final.revisions.status, 'valid', 'Final copy');
+  assertEqual(final.revisions.entries.length, 3, 'Every pass');
+});
+
+test('A tampered copy is checked against every pass', async () => {
+  const { copies, entries } = await signThreeTimes();
+  const { auditSchema } = auditSchemaWith(entries);
+  const altered = Buffer.concat([copies[3], Buffer.from('\n% altered\n')]);
+
+  const result = await auditSchema.verifyIntegrity('doc-123', hash('e'), listRevisions(altered));
+  assertEqual(result.status, 'tampered', 'Status');
+  assertEqual(result.revisions.entries.length, 3, 'Every pass');
+  assertEqual(result.revisions.status, 'valid', 'Appended to, not rewritten');
+});
+
+// ============================================================================
+// ROUTE
+// ============================================================================
+
+test('verify-pdf refuses a documentId that is not a well-formed string', async () => {
+  const queries = [];
+  const app = express();
+  app.locals.db = {
+    collection: () => ({
+      find: (query) => {
+        queries.push(query);
+        return { sort: () => ({ toArray: async () => [] }) };
+      }
+    })
+  };
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/api', signatureRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const url = `http://127.0.0.1:${server.address().port}/api/verify-pdf`;
+    const json = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ documentId: { $ne: null }, pdfBuffer: 'JVBERi0=' })
+    });
+    assertEqual(json.status, 400, 'Operator object in JSON');
+
+    const form = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: 'documentId[$ne]=x&pdfBuffer=JVBERi0%3D'
+    });
+    assertEqual(form.status, 400, 'Operator object in a form');
+
+    const spaced = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ documentId: 'doc 123', pdfBuffer: 'JVBERi0=' })
+    });
+    assertEqual(spaced.status, 400, 'Malformed ID');
+    assertEqual(queries.length, 0, 'Audit trail not queried');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🕰️  History Verification Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
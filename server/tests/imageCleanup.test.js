@@ -0,0 +1,169 @@
+/**
+ * IMAGE CLEAN-UP TESTS
+ *
+ * Builds PNGs with a white background and a block of ink, then checks
+ * transparency, trimming, recoloring and the effect on the fitted signature
+ */
+
+const UPNG = require('@pdf-lib/upng').default;
+const { cleanSignatureImage, resolveCleanupOptions } = require('../utils/imageCleanup');
+const { signPDFMultiple } = require('../utils/pdfSigner');
+const {
+  createTestPDF,
+  assertTrue,
+  assertEqual,
+  assertThrows
+} = require('./pdfFixtures');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+/**
+ * 100x50 white PNG with a dark grey block at x 30-49, y 10-19
+ */
+function createSignaturePNG({ blank = false } = {}) {
+  const width = 100;
+  const height = 50;
+  const pixels = new Uint8Array(width * height * 4).fill(255);
+
+  if (!blank) {
+    for (let y = 10; y < 20; y++) {
+      for (let x = 30; x < 50; x++) {
+        pixels.set([40, 40, 40, 255], (y * width + x) * 4);
+      }
+    }
+  }
+
+  return Buffer.from(UPNG.encode([pixels.buffer], width, height, 0));
+}
+
+function decode(buffer) {
+  const image = UPNG.decode(buffer);
+  return { width: image.width, height: image.height, pixels: new Uint8Array(UPNG.toRGBA8(image)[0]) };
+}
+
+function pixelAt({ width, pixels }, x, y) {
+  return Array.from(pixels.subarray((y * width + x) * 4, (y * width + x) * 4 + 4));
+}
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+test('true enables background removal and trimming', () => {
+  const options = resolveCleanupOptions(true);
+  assertEqual(options.removeBackground, true, 'removeBackground');
+  assertEqual(options.trim, true, 'trim');
+  assertEqual(options.padding, 4, 'Default padding');
+  assertEqual(options.inkColor, null, 'No recolor');
+});
+
+test('Named ink colors resolve to hex', () => {
+  assertEqual(resolveCleanupOptions({ inkColor: 'blue' }).inkColor, '#1a3d8f', 'Blue');
+  assertEqual(resolveCleanupOptions({ inkColor: '#ff0000' }).inkColor, '#ff0000', 'Hex');
+});
+
+test('Rejects invalid options', () => {
+  assertThrows(() => resolveCleanupOptions({ threshold: 300 }), 'Threshold out of range');
+  assertThrows(() => resolveCleanupOptions({ padding: -1 }), 'Negative padding');
+  assertThrows(() => resolveCleanupOptions({ inkColor: 'purple' }), 'Unknown color');
+});
+
+// ============================================================================
+// PROCESSING
+// ============================================================================
+
+test('Makes the background transparent and trims to the ink', () => {
+  const { buffer, info } = cleanSignatureImage(createSignaturePNG(), true);
+  const image = decode(buffer);
+
+  assertEqual(image.width, 28, 'Width is ink plus padding');
+  assertEqual(image.height, 18, 'Height is ink plus padding');
+  assertEqual(info.crop.x, 26, 'Crop x');
+  assertEqual(info.crop.y, 6, 'Crop y');
+  assertEqual(pixelAt(image, 0, 0)[3], 0, 'Background is transparent');
+  assertEqual(pixelAt(image, 10, 8).join(','), '40,40,40,255', 'Ink kept');
+});
+
+test('Padding is clamped to the image', () => {
+  const { info } = cleanSignatureImage(createSignaturePNG(), { padding: 40 });
+  assertEqual(info.crop.x, 0, 'Crop x');
+  assertEqual(info.crop.width, 90, 'Crop width');
+  assertEqual(info.crop.height, 50, 'Crop height');
+});
+
+test('Recolors ink and can keep the original size', () => {
+  const { buffer } = cleanSignatureImage(createSignaturePNG(), { trim: false, inkColor: 'black' });
+  const image = decode(buffer);
+
+  assertEqual(image.width, 100, 'Untrimmed width');
+  assertEqual(pixelAt(image, 35, 15).join(','), '0,0,0,255', 'Ink recolored');
+  assertEqual(pixelAt(image, 5, 5)[3], 0, 'Background is transparent');
+});
+
+test('Rejects blank and non-PNG images', () => {
+  assertThrows(() => cleanSignatureImage(createSignaturePNG({ blank: true }), true), 'Blank image');
+  assertThrows(() => cleanSignatureImage(Buffer.from([0xff, 0xd8, 0xff, 0xe0]), true), 'JPEG');
+});
+
+// ============================================================================
+// SIGNING
+// ============================================================================
+
+test('Trimmed ink fills the signature box', async () => {
+  const original = await createTestPDF();
+
+  const placement = {
+    image: createSignaturePNG().toString('base64'),
+    imageType: 'png',
+    fieldType: 'signature',
+    x: 100, y: 100, width: 140, height: 90,
+    pageIndex: 0,
+    metadata: {}
+  };
+
+  const plain = await signPDFMultiple(original, [placement]);
+  const cleaned = await signPDFMultiple(original, [{ ...placement, cleanup: { padding: 0 } }]);
+
+  const plainInfo = plain.auditTrail[0].imageInfo;
+  const cleanedInfo = cleaned.auditTrail[0].imageInfo;
+  assertEqual(plainInfo.cleanup, null, 'No clean-up by default');
+  assertEqual(cleanedInfo.originalWidth, 20, 'Embedded image is the ink');
+  assertEqual(cleanedInfo.fitWidth, 140, 'Ink fitted to the box width');
+  assertTrue(cleanedInfo.cleanup.crop.width === 20, 'Crop recorded');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🧹 Image Clean-up Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
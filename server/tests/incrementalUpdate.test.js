@@ -0,0 +1,168 @@
+/**
+ * INCREMENTAL UPDATE TESTS
+ * 
+ * Signs generated PDFs several times and checks that each earlier revision
+ * stays a byte prefix, that the update chains its cross-reference section and
+ * that revision hashes can be matched
+ */
+
+const { PDFDocument } = require('pdf-lib');
+const { signPDFMultiple, computeSHA256 } = require('../utils/pdfSigner');
+const {
+  listRevisions,
+  findRevisionByHash,
+  findLastCrossReference
+} = require('../utils/incrementalUpdate');
+const {
+  createTestPDF,
+  signaturePlacement,
+  assertTrue,
+  assertEqual
+} = require('./pdfFixtures');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function textPlacement(value, pageIndex = 0) {
+  return { fieldType: 'text', value, x: 50, y: 400, width: 150, height: 20, pageIndex, metadata: {} };
+}
+
+// ============================================================================
+// SAVING
+// ============================================================================
+
+for (const useObjectStreams of [false, true]) {
+  const style = useObjectStreams ? 'xref stream' : 'xref table';
+
+  test(`Earlier revisions stay byte prefixes (${style})`, async () => {
+    const original = await createTestPDF({ pages: 2, useObjectStreams });
+    const first = await signPDFMultiple(original, [signaturePlacement({ x: 50 })]);
+    const second = await signPDFMultiple(first.signedPDFBuffer, [textPlacement('Second pass', 1)]);
+
+    const final = second.signedPDFBuffer;
+    assertTrue(final.subarray(0, original.length).equals(original), 'Original is a prefix');
+    assertTrue(final.subarray(0, first.signedPDFBuffer.length).equals(first.signedPDFBuffer), 'First revision is a prefix');
+    assertEqual(second.revision.incremental, true, 'Incremental by default');
+    assertEqual(second.revision.originalLength, first.signedPDFBuffer.length, 'Recorded original length');
+  });
+
+  test(`Update chains to the previous cross-reference section (${style})`, async () => {
+    const original = await createTestPDF({ pages: 2, useObjectStreams });
+    const { signedPDFBuffer } = await signPDFMultiple(original, [textPlacement('Hello')]);
+
+    const before = findLastCrossReference(original);
+    const after = findLastCrossReference(signedPDFBuffer);
+    assertEqual(after.isStream, before.isStream, 'Cross-reference style kept');
+    assertTrue(after.offset >= original.length, 'New section is appended');
+
+    const section = signedPDFBuffer.toString('latin1', after.offset, after.offset + 2000);
+    assertTrue(section.includes(`/Prev ${before.offset}`), 'Prev points at the original section');
+
+    const reloaded = await PDFDocument.load(signedPDFBuffer);
+    assertEqual(reloaded.getPageCount(), 2, 'Page count after reload');
+  });
+}
+
+test('Cryptographic signatures survive a second signing pass', async () => {
+  const forge = require('node-forge');
+  const { parsePEM, describeCertificate } = require('../utils/cryptoSigner');
+
+  const keys = forge.pki.rsa.generateKeyPair(1024);
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  cert.setSubject([{ name: 'commonName', value: 'Incremental Signer' }]);
+  cert.setIssuer([{ name: 'commonName', value: 'Incremental Signer' }]);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+  const parsed = parsePEM(forge.pki.certificateToPem(cert), forge.pki.privateKeyToPem(keys.privateKey));
+  const credentials = { ...parsed, certificateInfo: describeCertificate(parsed.certificate) };
+
+  const original = await createTestPDF({ pages: 2, useObjectStreams: false });
+  const first = await signPDFMultiple(original, [signaturePlacement({ x: 50 })], { credentials });
+  const second = await signPDFMultiple(first.signedPDFBuffer, [signaturePlacement({ x: 250 })], { credentials });
+
+  // The first ByteRange still describes exactly the first revision
+  const [, , start, length] = first.cryptographicSignature.byteRange;
+  assertEqual(start + length, first.signedPDFBuffer.length, 'First ByteRange end');
+  assertTrue(
+    second.signedPDFBuffer.subarray(0, first.signedPDFBuffer.length).equals(first.signedPDFBuffer),
+    'First signed revision untouched'
+  );
+
+  const reloaded = await PDFDocument.load(second.signedPDFBuffer);
+  assertEqual(reloaded.getForm().getFields().length, 2, 'Both signature fields present');
+});
+
+test('incremental: false rewrites the file', async () => {
+  const original = await createTestPDF({ pages: 2, useObjectStreams: false });
+  const { signedPDFBuffer, revision } = await signPDFMultiple(original, [textPlacement('Full')], { incremental: false });
+
+  assertEqual(revision.incremental, false, 'Revision mode');
+  assertTrue(!signedPDFBuffer.subarray(0, original.length).equals(original), 'Original is not a prefix');
+});
+
+// ============================================================================
+// REVISIONS
+// ============================================================================
+
+test('Lists revisions and matches hashes to them', async () => {
+  const original = await createTestPDF({ pages: 2, useObjectStreams: true });
+  const first = await signPDFMultiple(original, [textPlacement('One')]);
+  const second = await signPDFMultiple(first.signedPDFBuffer, [textPlacement('Two')]);
+
+  const revisions = listRevisions(second.signedPDFBuffer);
+  assertEqual(revisions.length, 3, 'Revision count');
+
+  const originalMatch = findRevisionByHash(revisions, computeSHA256(original));
+  assertEqual(originalMatch.revision, 1, 'Original revision');
+  assertEqual(originalMatch.byteLength, original.length, 'Original byte length');
+  assertEqual(findRevisionByHash(revisions, second.originalHash).revision, 2, 'Second pass original');
+  assertEqual(findRevisionByHash(revisions, second.signedHash).isFinal, true, 'Final revision');
+  assertEqual(findRevisionByHash(revisions, computeSHA256(Buffer.from('other'))), null, 'Unknown hash');
+});
+
+test('Matches an original without a trailing end-of-line', async () => {
+  const padded = await createTestPDF({ pages: 2, useObjectStreams: false });
+  const original = padded.subarray(0, padded.lastIndexOf('%%EOF') + 5);
+
+  const { signedPDFBuffer } = await signPDFMultiple(original, [textPlacement('No EOL')]);
+  const match = findRevisionByHash(listRevisions(signedPDFBuffer), computeSHA256(original));
+  assertTrue(match && match.revision === 1, 'Original matched without EOL');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🧾 Incremental Update Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,214 @@
+/**
+ * MULTIPART UPLOAD TESTS
+ *
+ * Parses multipart/form-data bodies into the JSON routes' shape and returns
+ * signed PDFs as raw application/pdf responses
+ */
+
+const express = require('express');
+const { PDFDocument } = require('pdf-lib');
+const signatureRoutes = require('../routes/signatureRoutes');
+const { computeSHA256 } = require('../utils/pdfSigner');
+const { acceptMultipart, parseMultipartBody } = require('../utils/multipartUpload');
+const {
+  PNG_1x1,
+  createTestPDF,
+  assertTrue,
+  assertEqual,
+  assertThrowsCode
+} = require('./pdfFixtures');
+
+const COORDINATES = {
+  frontend: { x: 50, y: 50, width: 120, height: 60 },
+  container: { width: 595, height: 842 },
+  pageIndex: 0
+};
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function filePart(fieldname, buffer) {
+  return { fieldname, buffer };
+}
+
+// Runs requests against an app on an ephemeral port
+async function withServer(app, fn) {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function signingApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', signatureRoutes);
+  return app;
+}
+
+async function signingForm(fields = {}) {
+  const form = new FormData();
+  form.append('pdf', new Blob([await createTestPDF()], { type: 'application/pdf' }), 'contract.pdf');
+  form.append('pdfId', 'doc-123');
+  form.append('signature', new Blob([Buffer.from(PNG_1x1, 'base64')], { type: 'image/png' }), 'signature.png');
+  form.append('coordinates', JSON.stringify(COORDINATES));
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  return form;
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+test('Parses JSON fields and turns file parts into buffers and images', () => {
+  const pdf = Buffer.from('%PDF-1.7');
+  const body = parseMultipartBody(
+    { pdfId: 'doc-123', metadata: '{"name":"Jane Doe"}', cryptographic: 'true', conformance: 'pdfa-2b' },
+    [filePart('pdf', pdf), filePart('signature', Buffer.from(PNG_1x1, 'base64'))]
+  );
+
+  assertEqual(body.pdfBuffer, pdf, 'PDF stays a Buffer');
+  assertEqual(body.metadata.name, 'Jane Doe', 'JSON field');
+  assertEqual(body.cryptographic, true, 'Boolean field');
+  assertEqual(body.conformance, 'pdfa-2b', 'Plain text field');
+  assertEqual(body.signature.image, PNG_1x1, 'Image as base64');
+  assertEqual(body.signature.imageType, 'png', 'Type from the bytes');
+});
+
+test('Resolves placement references to image parts', () => {
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]);
+  const body = parseMultipartBody({
+    placements: JSON.stringify([
+      { fieldType: 'signature', signature: { file: 'sig-a', cleanup: true } },
+      { fieldType: 'text', value: 'Approved' }
+    ])
+  }, [filePart('sig-a', jpeg)]);
+
+  assertEqual(body.placements[0].signature.imageType, 'jpeg', 'JPEG detected');
+  assertEqual(body.placements[0].signature.cleanup, true, 'Other signature options kept');
+  assertEqual(body.placements[0].signature.file, undefined, 'Reference removed');
+  assertEqual(body.placements[1].value, 'Approved', 'Other placements untouched');
+});
+
+test('Rejects malformed JSON, missing parts and non-image parts', () => {
+  assertThrowsCode(() => parseMultipartBody({ metadata: '{name' }), 'INVALID_UPLOAD', 'Malformed JSON');
+  assertThrowsCode(
+    () => parseMultipartBody({ placements: '[{"signature":{"file":"missing"}}]' }),
+    'INVALID_UPLOAD',
+    'Missing part'
+  );
+  assertThrowsCode(
+    () => parseMultipartBody({}, [filePart('signature', Buffer.from('GIF89a'))]),
+    'INVALID_UPLOAD',
+    'Not PNG or JPEG'
+  );
+});
+
+test('Middleware leaves JSON requests alone and reports bad uploads as 400', async () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/echo', acceptMultipart, (req, res) => res.json({
+    pdfId: req.body.pdfId,
+    pdfIsBuffer: Buffer.isBuffer(req.body.pdfBuffer),
+    pdfSize: req.body.pdfBuffer?.length
+  }));
+
+  await withServer(app, async (origin) => {
+    const json = await fetch(`${origin}/echo`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pdfId: 'doc-json', pdfBuffer: 'base64' })
+    });
+    assertEqual((await json.json()).pdfIsBuffer, false, 'JSON body untouched');
+
+    const form = await signingForm();
+    const multipart = await (await fetch(`${origin}/echo`, { method: 'POST', body: form })).json();
+    assertEqual(multipart.pdfIsBuffer, true, 'Multipart PDF as Buffer');
+    assertEqual(multipart.pdfSize, (await createTestPDF()).length, 'Bytes intact');
+
+    form.set('metadata', '{oops');
+    const invalid = await fetch(`${origin}/echo`, { method: 'POST', body: form });
+    assertEqual(invalid.status, 400, 'Malformed field');
+  });
+});
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+test('Signs a multipart upload and returns the raw PDF', async () => {
+  await withServer(signingApp(), async (origin) => {
+    const response = await fetch(`${origin}/api/sign-pdf`, {
+      method: 'POST',
+      body: await signingForm({ responseFormat: 'pdf' })
+    });
+    const bytes = Buffer.from(await response.arrayBuffer());
+
+    assertEqual(response.status, 200, 'Signed');
+    assertEqual(response.headers.get('content-type'), 'application/pdf', 'Raw PDF');
+    assertEqual(response.headers.get('x-signed-hash'), computeSHA256(bytes), 'Signed hash header');
+    assertTrue(response.headers.get('content-disposition').includes('doc-123-signed.pdf'), 'File name');
+    assertEqual((await PDFDocument.load(bytes)).getPageCount(), 1, 'Valid PDF');
+  });
+});
+
+test('Accept: application/pdf selects the raw response; JSON stays the default', async () => {
+  await withServer(signingApp(), async (origin) => {
+    const raw = await fetch(`${origin}/api/sign-pdf`, {
+      method: 'POST',
+      headers: { Accept: 'application/pdf' },
+      body: await signingForm()
+    });
+    assertEqual(raw.headers.get('content-type'), 'application/pdf', 'Raw PDF by Accept');
+
+    const json = await fetch(`${origin}/api/sign-pdf`, { method: 'POST', body: await signingForm() });
+    const result = await json.json();
+    assertEqual(result.success, true, 'JSON response');
+    assertTrue(result.signedPdf.length > 0, 'Base64 PDF');
+
+    const invalid = await fetch(`${origin}/api/sign-pdf`, {
+      method: 'POST',
+      body: await signingForm({ responseFormat: 'zip' })
+    });
+    assertEqual(invalid.status, 400, 'Unknown format');
+  });
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n📦 Multipart Upload Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
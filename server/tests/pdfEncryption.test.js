@@ -0,0 +1,164 @@
+/**
+ * PDF ENCRYPTION TESTS
+ *
+ * Encrypts signed output, opens it again with user and owner passwords and
+ * re-signs encrypted documents as incremental updates
+ */
+
+const { signPDFMultiple } = require('../utils/pdfSigner');
+const { listRevisions, findRevisionByHash } = require('../utils/incrementalUpdate');
+const {
+  loadDocument,
+  readEncryption,
+  resolveEncryptionOptions,
+  resolvePermissions,
+  PASSWORD_ERRORS
+} = require('../utils/pdfEncryption');
+const {
+  createTestPDF,
+  signaturePlacement,
+  assertTrue,
+  assertEqual,
+  assertThrows,
+  assertRejectsCode
+} = require('./pdfFixtures');
+
+const TITLE = 'Confidential Contract';
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+async function signEncrypted(encrypt) {
+  return signPDFMultiple(await createTestPDF({ title: TITLE }), [signaturePlacement()], { encrypt });
+}
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+test('Defaults to AES-256 with every permission', () => {
+  const options = resolveEncryptionOptions({ userPassword: 'open' });
+  assertEqual(options.algorithm, 'aes-256', 'Algorithm');
+  assertTrue(Object.values(options.permissions).every(Boolean), 'All permissions');
+  assertTrue(options.ownerPassword.length > 0, 'Random owner password');
+});
+
+test('Presets can be narrowed or widened flag by flag', () => {
+  const printOnly = resolvePermissions('print-only');
+  assertEqual(printOnly.print, true, 'Print allowed');
+  assertEqual(printOnly.copy, false, 'Copy denied');
+
+  const noModify = resolvePermissions({ preset: 'no-modify', fillForms: true });
+  assertEqual(noModify.modify, false, 'Modify denied');
+  assertEqual(noModify.fillForms, true, 'Override applied');
+});
+
+test('Rejects invalid encryption settings', () => {
+  assertThrows(() => resolveEncryptionOptions({}), 'No password');
+  assertThrows(() => resolveEncryptionOptions({ userPassword: 'a', algorithm: 'rc4' }), 'Unknown algorithm');
+  assertThrows(() => resolveEncryptionOptions({ userPassword: 'a', permissions: 'read-only' }), 'Unknown preset');
+  assertThrows(() => resolveEncryptionOptions({ userPassword: 'a', permissions: { printing: true } }), 'Unknown flag');
+});
+
+// ============================================================================
+// ENCRYPTED OUTPUT
+// ============================================================================
+
+test('Encrypted output hides strings and needs a password', async () => {
+  const result = await signEncrypted({ userPassword: 'open', ownerPassword: 'admin' });
+
+  assertEqual(result.revision.incremental, false, 'Full rewrite');
+  assertEqual(result.encryption.output.algorithm, 'aes-256', 'Algorithm recorded');
+  assertTrue(!result.signedPDFBuffer.includes(TITLE), 'Title is not stored in the clear');
+  assertTrue(!JSON.stringify(result.encryption).includes('open'), 'Password not recorded');
+
+  await assertRejectsCode(loadDocument(result.signedPDFBuffer), PASSWORD_ERRORS.required, 'No password');
+  await assertRejectsCode(
+    loadDocument(result.signedPDFBuffer, { password: 'guess' }),
+    PASSWORD_ERRORS.incorrect,
+    'Wrong password'
+  );
+});
+
+test('Opens with the user or the owner password', async () => {
+  const result = await signEncrypted({ userPassword: 'open', ownerPassword: 'admin' });
+
+  const asUser = await loadDocument(result.signedPDFBuffer, { password: 'open' });
+  assertEqual(asUser.encryption.authenticatedAs, 'user', 'User password');
+  assertEqual(asUser.pdfDoc.getTitle(), TITLE, 'Title decrypted');
+
+  const asOwner = await loadDocument(result.signedPDFBuffer, { password: 'admin' });
+  assertEqual(asOwner.encryption.authenticatedAs, 'owner', 'Owner password');
+});
+
+test('AES-128 output with an empty user password opens without prompting', async () => {
+  const result = await signEncrypted({ ownerPassword: 'admin', algorithm: 'aes-128', permissions: 'print-only' });
+
+  const { pdfDoc, encryption } = await loadDocument(result.signedPDFBuffer);
+  assertEqual(encryption.revision, 4, 'Revision 4');
+  assertEqual(encryption.permissions.modify, false, 'Modify denied');
+  assertEqual(pdfDoc.getTitle(), TITLE, 'Title decrypted');
+});
+
+test('Reads permissions without a password', async () => {
+  const result = await signEncrypted({ userPassword: 'open', permissions: 'no-modify' });
+
+  const encryption = await readEncryption(result.signedPDFBuffer);
+  assertEqual(encryption.authenticatedAs, null, 'Not authenticated');
+  assertEqual(encryption.permissions.copy, true, 'Copy allowed');
+  assertEqual(encryption.permissions.assemble, false, 'Assemble denied');
+  assertEqual(await readEncryption(await createTestPDF({ title: TITLE })), null, 'Plain PDF');
+});
+
+// ============================================================================
+// ENCRYPTED INPUT
+// ============================================================================
+
+test('Re-signing an encrypted PDF appends an update with the same key', async () => {
+  const first = await signEncrypted({ userPassword: 'open', permissions: 'no-modify' });
+  const second = await signPDFMultiple(first.signedPDFBuffer, [signaturePlacement({ x: 300 })], { password: 'open' });
+
+  const revisions = listRevisions(second.signedPDFBuffer);
+  assertEqual(second.revision.incremental, true, 'Incremental update');
+  assertEqual(findRevisionByHash(revisions, first.signedHash).revision, 1, 'First signing is a prefix');
+  assertEqual(second.encryption.input.authenticatedAs, 'user', 'Opened as user');
+  assertEqual(second.encryption.output.keptFromInput, true, 'Same encryption');
+
+  const { pdfDoc } = await loadDocument(second.signedPDFBuffer, { password: 'open' });
+  assertEqual(pdfDoc.getTitle(), TITLE, 'Title still readable');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🔒 PDF Encryption Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
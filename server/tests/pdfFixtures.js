@@ -0,0 +1,137 @@
+/**
+ * PDF TEST FIXTURES
+ *
+ * Signature images, generated PDFs, placements and assertions shared by the
+ * signing engine and sign-pdf route tests
+ */
+
+const { PDFDocument, degrees } = require('pdf-lib');
+
+// 1x1 black PNG
+const PNG_1x1 =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+// A4 in points
+const A4 = [595.28, 841.89];
+
+// ============================================================================
+// DOCUMENTS
+// ============================================================================
+
+/**
+ * Generate a PDF of blank pages
+ *
+ * @param {Object} options - { pages (default 1), size (default A4), rotation
+ *   (degrees, every page), title, useObjectStreams, draw(pdfDoc, firstPage)
+ *   to add content before saving }
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+async function createTestPDF(options = {}) {
+  const { pages = 1, size = A4, rotation = 0, title, useObjectStreams, draw } = options;
+  const pdfDoc = await PDFDocument.create();
+  if (title) pdfDoc.setTitle(title);
+  for (let i = 0; i < pages; i++) {
+    const page = pdfDoc.addPage(size);
+    if (rotation) page.setRotation(degrees(rotation));
+  }
+  if (draw) await draw(pdfDoc, pdfDoc.getPage(0));
+  return Buffer.from(await pdfDoc.save({ useObjectStreams }));
+}
+
+// ============================================================================
+// PLACEMENTS
+// ============================================================================
+
+/**
+ * Signature placement as signPDFMultiple takes it: the 1x1 PNG in a 120x60
+ * box at (100, 100) on the first page, signed by Jane Doe
+ *
+ * @param {Object} overrides - Members to replace
+ */
+function signaturePlacement(overrides = {}) {
+  return {
+    image: PNG_1x1,
+    imageType: 'png',
+    fieldType: 'signature',
+    x: 100, y: 100, width: 120, height: 60,
+    pageIndex: 0,
+    metadata: { name: 'Jane Doe' },
+    ...overrides
+  };
+}
+
+/**
+ * Signature placement as POST /api/sign-pdf takes it, in editor coordinates
+ * on an A4-sized container
+ *
+ * @param {number} pageIndex - Page to sign (default 0)
+ */
+function requestPlacement(pageIndex = 0) {
+  return {
+    fieldType: 'signature',
+    signature: { image: PNG_1x1, imageType: 'png' },
+    coordinates: {
+      frontend: { x: 50, y: 50, width: 120, height: 60 },
+      container: { width: 595, height: 842 },
+      pageIndex
+    }
+  };
+}
+
+// ============================================================================
+// ASSERTIONS
+// ============================================================================
+
+function assertTrue(value, message) {
+  if (!value) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrows(fn, message) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${message}: expected an error`);
+}
+
+function assertThrowsCode(fn, code, message) {
+  const error = assertThrows(fn, message);
+  assertEqual(error.code, code, message);
+  return error;
+}
+
+async function assertRejects(promise, message) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`${message}: expected an error`);
+}
+
+async function assertRejectsCode(promise, code, message) {
+  const error = await assertRejects(promise, message);
+  assertEqual(error.code, code, message);
+  return error;
+}
+
+module.exports = {
+  PNG_1x1,
+  A4,
+  createTestPDF,
+  signaturePlacement,
+  requestPlacement,
+  assertTrue,
+  assertEqual,
+  assertThrows,
+  assertThrowsCode,
+  assertRejects,
+  assertRejectsCode
+};
@@ -0,0 +1,161 @@
+/**
+ * PDF SIGNING TESTS
+ *
+ * Burns several placements in one load/save pass and records one audit
+ * entry per placement
+ */
+
+const express = require('express');
+const { PDFDocument } = require('pdf-lib');
+const { signPDFMultiple } = require('../utils/pdfSigner');
+const { listRevisions } = require('../utils/incrementalUpdate');
+const signatureRoutes = require('../routes/signatureRoutes');
+const {
+  createTestPDF,
+  signaturePlacement,
+  requestPlacement,
+  assertTrue,
+  assertEqual
+} = require('./pdfFixtures');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function signatureData(pageIndex, y) {
+  return signaturePlacement({ y, height: 40, pageIndex });
+}
+
+/**
+ * Count document loads while fn runs
+ */
+async function countLoads(fn) {
+  const { load } = PDFDocument;
+  const counts = { load: 0 };
+  PDFDocument.load = function (...args) {
+    counts.load++;
+    return load.apply(this, args);
+  };
+  try {
+    counts.result = await fn();
+  } finally {
+    PDFDocument.load = load;
+  }
+  return counts;
+}
+
+// ============================================================================
+// ENGINE
+// ============================================================================
+
+test('Burns placements on several pages in one load/save pass', async () => {
+  const original = await createTestPDF({ pages: 2 });
+  const { load, result } = await countLoads(() => signPDFMultiple(original, [
+    signatureData(0, 100),
+    signatureData(1, 100),
+    signatureData(1, 300)
+  ]));
+
+  assertEqual(load, 1, 'Loaded once');
+  // Signed output is an incremental update, so each save appends one revision
+  assertEqual(
+    listRevisions(result.signedPDFBuffer).length,
+    listRevisions(original).length + 1,
+    'Saved once'
+  );
+  assertEqual(result.auditTrail.length, 3, 'One audit log per placement');
+  assertEqual(result.auditTrail.map(entry => entry.pageIndex).join(), '0,1,1', 'Pages in input order');
+  assertTrue(result.auditTrail.every(entry => entry.signedHash === result.signedHash), 'One signed document');
+  assertEqual((await PDFDocument.load(result.signedPDFBuffer)).getPageCount(), 2, 'Pages kept');
+});
+
+test('Needs at least one placement', async () => {
+  let rejected = false;
+  try {
+    await signPDFMultiple(await createTestPDF(), []);
+  } catch {
+    rejected = true;
+  }
+  assertTrue(rejected, 'Empty placement list rejected');
+});
+
+// ============================================================================
+// ROUTE
+// ============================================================================
+
+test('sign-pdf stores one audit entry per placement', async () => {
+  const entries = [];
+  const app = express();
+  app.locals.db = {
+    collection: () => ({
+      findOne: async () => null,
+      insertOne: async (entry) => {
+        entries.push(entry);
+        return { insertedId: entries.length };
+      }
+    })
+  };
+  app.use(express.json());
+  app.use('/api', signatureRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/api/sign-pdf`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        pdfId: 'doc-123',
+        pdfBuffer: (await createTestPDF({ pages: 2 })).toString('base64'),
+        placements: [requestPlacement(0), requestPlacement(1)],
+        metadata: { email: 'jane@example.com', name: 'Jane Doe' }
+      })
+    });
+    const result = await response.json();
+
+    assertEqual(response.status, 200, 'Signed');
+    assertEqual(result.signatureCount, 2, 'Placements burned');
+    assertEqual(entries.length, 2, 'One entry per placement');
+    assertEqual(entries.map(entry => entry.placementIndex).join(), '0,1', 'Placement indexes');
+    assertEqual(entries.map(entry => entry.pageIndex).join(), '0,1', 'Pages');
+    assertTrue(entries.every(entry => entry.signatureCount === 2), 'Signature count on every entry');
+    assertTrue(entries.every(entry => entry.signedHash === result.hashes.signed), 'Same signed hash');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n✍️  PDF Signing Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
@@ -0,0 +1,195 @@
+/**
+ * PDF/A CONFORMANCE TESTS
+ *
+ * Signs in PDF/A-2b mode and checks the output intent, XMP identification,
+ * embedded fonts and flattened images, and that unfixable inputs are refused
+ */
+
+const { PDFDocument, PDFName, PDFDict, PDFStream, StandardFonts } = require('pdf-lib');
+const UPNG = require('@pdf-lib/upng').default;
+const { signPDFMultiple } = require('../utils/pdfSigner');
+const { flattenTransparency } = require('../utils/imageCleanup');
+const { loadDocument } = require('../utils/pdfEncryption');
+const {
+  resolveConformance,
+  findConformanceIssues,
+  readConformanceClaim,
+  buildSrgbProfile,
+  NONCONFORMING_ERROR
+} = require('../utils/pdfaConformance');
+const {
+  PNG_1x1,
+  createTestPDF,
+  signaturePlacement,
+  assertTrue,
+  assertEqual,
+  assertThrows,
+  assertRejectsCode
+} = require('./pdfFixtures');
+
+const TITLE = 'Archived Contract';
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+// 4x1 blue PNG, opacity rising from transparent to opaque
+function rampPNG() {
+  const pixels = new Uint8Array(16);
+  [0, 100, 200, 255].forEach((alpha, i) => pixels.set([0, 0, 200, alpha], i * 4));
+  return Buffer.from(UPNG.encode([pixels.buffer], 4, 1, 0)).toString('base64');
+}
+
+function captionedPlacement(image = PNG_1x1) {
+  return signaturePlacement({ image, appearance: 'below' });
+}
+
+function signArchived(pdfBuffer, placements = [captionedPlacement()], options = {}) {
+  return signPDFMultiple(pdfBuffer, placements, { conformance: 'pdfa-2b', ...options });
+}
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+test('Resolves PDF/A-2b and rejects unknown levels', () => {
+  const level = resolveConformance('PDFA-2B');
+  assertEqual(level.standard, 'pdfa-2b', 'Standard');
+  assertEqual(level.part, 2, 'Part');
+  assertEqual(level.conformance, 'B', 'Level');
+  assertEqual(resolveConformance(null), null, 'No conformance');
+  assertThrows(() => resolveConformance('pdfa-1a'), 'Unknown level');
+});
+
+test('Builds a well-formed sRGB ICC profile', () => {
+  const profile = buildSrgbProfile();
+  assertEqual(profile.readUInt32BE(0), profile.length, 'Declared size');
+  assertEqual(profile.toString('latin1', 36, 40), 'acsp', 'Profile signature');
+  assertEqual(profile.toString('latin1', 16, 20), 'RGB ', 'Color space');
+  assertEqual(profile.readUInt32BE(128), 9, 'Tag count');
+});
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+test('Adds an sRGB output intent, XMP identification and a file ID', async () => {
+  const result = await signArchived(await createTestPDF({ title: TITLE }));
+  const pdfDoc = await PDFDocument.load(result.signedPDFBuffer);
+
+  const intent = pdfDoc.catalog.lookup(PDFName.of('OutputIntents')).lookup(0, PDFDict);
+  assertEqual(intent.lookup(PDFName.of('S')), PDFName.of('GTS_PDFA1'), 'PDF/A output intent');
+  const profile = intent.lookup(PDFName.of('DestOutputProfile'), PDFStream);
+  assertEqual(profile.dict.lookup(PDFName.of('N')).asNumber(), 3, 'RGB profile');
+
+  assertEqual(readConformanceClaim(pdfDoc), 'pdfa-2b', 'XMP claims PDF/A-2b');
+  assertTrue(pdfDoc.context.trailerInfo.ID, 'Trailer ID');
+  assertEqual(result.auditTrail[0].conformance.claimed, 'pdfa-2b', 'Claim recorded');
+});
+
+test('Embeds every font, including caption and field fonts', async () => {
+  const result = await signArchived(await createTestPDF({ title: TITLE }), [
+    captionedPlacement(),
+    { fieldType: 'text', value: 'Approved', style: { font: StandardFonts.HelveticaBold }, x: 100, y: 300, width: 150, height: 20, pageIndex: 0 }
+  ]);
+
+  const pdfDoc = await PDFDocument.load(result.signedPDFBuffer);
+  assertEqual(findConformanceIssues(pdfDoc).length, 0, 'No unembedded fonts');
+  const substitutes = result.conformance.fontSubstitutions.map(({ substitute }) => substitute);
+  assertTrue(substitutes.includes('LiberationSans-Bold'), 'Bold substitute recorded');
+});
+
+test('Flattens signature transparency into an opaque image with a stencil mask', async () => {
+  const flattened = flattenTransparency(Buffer.from(rampPNG(), 'base64'));
+  assertEqual(flattened.info.maskedPixels, 2, 'Mostly transparent pixels masked');
+  assertEqual(flattened.info.blendedPixels, 1, 'Half transparent pixel blended');
+  assertEqual(flattened.mask.data[0], 0xc0, 'First two pixels are holes');
+
+  const result = await signArchived(await createTestPDF({ title: TITLE }), [captionedPlacement(rampPNG())]);
+  const pdfDoc = await PDFDocument.load(result.signedPDFBuffer);
+  const images = pdfDoc.context.enumerateIndirectObjects()
+    .map(([, object]) => object)
+    .filter(object => object instanceof PDFStream && object.dict.lookup(PDFName.of('Subtype')) === PDFName.of('Image'));
+
+  assertTrue(images.every(image => !image.dict.has(PDFName.of('SMask'))), 'No soft masks');
+  assertTrue(images.some(image => image.dict.has(PDFName.of('Mask'))), 'Stencil mask');
+  assertEqual(result.auditTrail[0].imageInfo.flattened.maskedPixels, 2, 'Flattening recorded');
+});
+
+// ============================================================================
+// INPUTS
+// ============================================================================
+
+test('Refuses inputs with fonts that are not embedded', async () => {
+  const original = await createTestPDF({
+    title: TITLE,
+    draw: async (pdfDoc, page) => {
+      page.drawText('Terms', { font: await pdfDoc.embedFont(StandardFonts.TimesRoman) });
+    }
+  });
+
+  const error = await assertRejectsCode(signArchived(original), NONCONFORMING_ERROR, 'Input refused');
+  assertEqual(error.issues[0].code, 'FONT_NOT_EMBEDDED', 'Issue');
+  assertTrue(error.issues[0].message.includes('Times-Roman'), 'Font named');
+});
+
+test('Decrypts encrypted inputs and refuses output encryption', async () => {
+  // No caption: its Helvetica would not be embedded outside PDF/A mode
+  const encrypted = await signPDFMultiple(await createTestPDF({ title: TITLE }), [signaturePlacement({ appearance: null })], {
+    encrypt: { userPassword: 'open' }
+  });
+
+  const result = await signArchived(encrypted.signedPDFBuffer, [captionedPlacement()], { password: 'open' });
+  assertEqual(result.revision.incremental, false, 'Rewritten in the clear');
+  assertEqual(result.conformance.fixes[0].code, 'ENCRYPTION_REMOVED', 'Fix recorded');
+  const { encryption } = await loadDocument(result.signedPDFBuffer);
+  assertEqual(encryption, null, 'Opens without a password');
+
+  try {
+    await signArchived(await createTestPDF({ title: TITLE }), [captionedPlacement()], { encrypt: { userPassword: 'open' } });
+  } catch {
+    return;
+  }
+  throw new Error('Expected encrypted PDF/A output to be refused');
+});
+
+test('Ordinary signing records no conformance claim', async () => {
+  const result = await signPDFMultiple(await createTestPDF({ title: TITLE }), [captionedPlacement()]);
+  assertEqual(result.conformance.requested, null, 'Nothing requested');
+  assertEqual(result.conformance.claimed, null, 'Nothing claimed');
+  assertEqual(result.auditTrail[0].imageInfo.flattened, null, 'Image kept as is');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🗄️  PDF/A Conformance Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
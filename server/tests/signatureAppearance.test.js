@@ -0,0 +1,178 @@
+/**
+ * SIGNATURE APPEARANCE TESTS
+ *
+ * Checks template resolution, how each layout splits the signature box,
+ * caption lines and that stamped signatures carry their caption text
+ */
+
+const { PDFDocument, PDFRawStream, decodePDFRawStream } = require('pdf-lib');
+const { signPDFMultiple } = require('../utils/pdfSigner');
+const {
+  resolveAppearance,
+  layoutAppearance,
+  buildCaption
+} = require('../utils/signatureAppearance');
+const {
+  createTestPDF,
+  signaturePlacement,
+  assertTrue,
+  assertEqual,
+  assertThrows
+} = require('./pdfFixtures');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function stampedPlacement(appearance) {
+  return signaturePlacement({
+    width: 200, height: 80,
+    documentId: 'a1b2c3d4e5f6',
+    appearance,
+    metadata: { name: 'Jane Doe', reason: 'Approval', timestamp: '2024-03-05T09:30:00Z' }
+  });
+}
+
+async function pageContent(pdfBuffer) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const contents = pdfDoc.getPage(0).node.normalizedEntries().Contents;
+  return contents.asArray()
+    .map(ref => {
+      const stream = pdfDoc.context.lookup(ref);
+      const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+      return Buffer.from(bytes).toString('latin1');
+    })
+    .join('\n');
+}
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+test('true and layout names resolve to full templates', () => {
+  assertEqual(resolveAppearance(true).layout, 'below', 'Default layout');
+  assertEqual(resolveAppearance('right').align, 'left', 'Right layout aligns left');
+  assertEqual(resolveAppearance('box').borderWidth, 1, 'Box has a border');
+  assertEqual(resolveAppearance(null), null, 'No appearance');
+});
+
+test('Rejects unknown layouts, fields and ratios', () => {
+  assertThrows(() => resolveAppearance('above'), 'Unknown layout');
+  assertThrows(() => resolveAppearance({ fields: ['name', 'email'] }), 'Unknown field');
+  assertThrows(() => resolveAppearance({ captionRatio: 0.95 }), 'Ratio out of range');
+});
+
+// ============================================================================
+// LAYOUT
+// ============================================================================
+
+test('Caption below takes the bottom of the box', () => {
+  const { imageBox, captionBox } = layoutAppearance({ width: 200, height: 100 }, resolveAppearance('below'));
+  assertEqual(captionBox.y, 0, 'Caption at the bottom');
+  assertEqual(captionBox.height, 35, 'Caption height');
+  assertEqual(imageBox.y, 35, 'Image above the caption');
+  assertEqual(imageBox.height, 65, 'Image height');
+});
+
+test('Caption right takes the right half of the box', () => {
+  const { imageBox, captionBox } = layoutAppearance({ width: 200, height: 100 }, resolveAppearance('right'));
+  assertEqual(imageBox.width, 100, 'Image width');
+  assertEqual(captionBox.x, 100, 'Caption x');
+  assertEqual(captionBox.height, 100, 'Caption height');
+});
+
+test('Box layout insets image and caption inside the border', () => {
+  const { imageBox, captionBox, border } = layoutAppearance({ width: 200, height: 100 }, resolveAppearance('box'));
+  assertEqual(border.width, 199, 'Border width');
+  assertTrue(captionBox.x > 1 && imageBox.x === captionBox.x, 'Parts are inset');
+  assertTrue(imageBox.y + imageBox.height < 100, 'Image stays inside the border');
+});
+
+// ============================================================================
+// CAPTION
+// ============================================================================
+
+test('Builds caption lines from metadata', () => {
+  const lines = buildCaption(resolveAppearance(true), {
+    name: 'Jane Doe',
+    reason: 'Approval',
+    timestamp: '2024-03-05T09:30:00Z',
+    documentId: 'a1b2c3d4e5f6'
+  });
+  assertEqual(lines.join(' | '),
+    'Signed by Jane Doe | Date: 2024-03-05 09:30:00 UTC | Reason: Approval | Document: a1b2c3d4',
+    'Caption lines');
+});
+
+test('Skips missing values and honours field order and date format', () => {
+  const lines = buildCaption(
+    resolveAppearance({ fields: ['date', 'name', 'reason'], dateFormat: 'MMMM D, YYYY' }),
+    { name: 'Jane Doe', timestamp: '2024-03-05T09:30:00Z' }
+  );
+  assertEqual(lines.join(' | '), 'Date: March 5, 2024 | Signed by Jane Doe', 'Caption lines');
+});
+
+// ============================================================================
+// SIGNING
+// ============================================================================
+
+test('Splits the signature box between image and caption', async () => {
+  const original = await createTestPDF();
+  const { auditTrail } = await signPDFMultiple(original, [stampedPlacement('below')]);
+
+  const { imageInfo, appearance } = auditTrail[0];
+  assertEqual(appearance.lines.length, 4, 'Caption lines recorded');
+  assertEqual(imageInfo.fitHeight, 52, 'Image fitted above the caption');
+  assertEqual(imageInfo.offsetY, 28, 'Image starts above the caption');
+});
+
+test('Draws the caption on the page, turned on rotated pages', async () => {
+  const original = await createTestPDF({ rotation: 90 });
+  const { signedPDFBuffer } = await signPDFMultiple(original, [stampedPlacement('box')]);
+
+  const content = await pageContent(signedPDFBuffer);
+  assertTrue(content.includes('0 1 -1 0 300 100 cm'), 'Caption drawn in the rotated frame');
+  assertTrue(content.includes('h\nS\n'), 'Border drawn');
+  assertTrue(content.includes(' Tj'), 'Caption text drawn');
+});
+
+test('Signatures without appearance are unchanged', async () => {
+  const original = await createTestPDF();
+  const { auditTrail } = await signPDFMultiple(original, [stampedPlacement(null)]);
+  assertEqual(auditTrail[0].appearance, null, 'No appearance');
+  assertEqual(auditTrail[0].imageInfo.fitHeight, 80, 'Image uses the whole box');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🏷️  Signature Appearance Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
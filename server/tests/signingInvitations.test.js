@@ -0,0 +1,426 @@
+/**
+ * SIGNING INVITATION TESTS
+ *
+ * Issues single-use, expiring signing links, mails them through the SMTP and
+ * outbox transports, restricts the signing view to the recipient's fields,
+ * and records issue, open and use events in the audit log
+ */
+
+const net = require('net');
+const path = require('path');
+const fs = require('fs').promises;
+const { ObjectId } = require('mongodb');
+const SigningTokenStore = require('../models/signingTokenStore');
+const AuditSchema = require('../models/auditSchema');
+const {
+  formatMessage,
+  getMailTransportConfig,
+  createMailTransport,
+  SmtpTransport,
+  OutboxTransport,
+  MAIL_ERROR
+} = require('../utils/mailTransport');
+const {
+  generateSigningToken,
+  hashSigningToken,
+  isWellFormedToken,
+  checkTokenUsable,
+  getSigningTokenTtl,
+  buildInvitation,
+  describeSigningSession,
+  SIGNING_TOKEN_ERRORS,
+  SIGNING_EVENTS
+} = require('../utils/signingTokens');
+const {
+  envelopeDefinitions,
+  decodeTextPart,
+  linkToken,
+  withTempDir,
+  envelopeDb,
+  withServer,
+  post
+} = require('./envelopeFixtures');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assertTrue(value, message) {
+  if (!value) throw new Error(message || 'Assertion failed');
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  }
+}
+
+function assertThrowsCode(fn, code, message) {
+  try {
+    fn();
+  } catch (error) {
+    assertEqual(error.code, code, message);
+    return error;
+  }
+  throw new Error(`${message}: did not throw`);
+}
+
+async function assertRejectsCode(promise, code, message) {
+  try {
+    await promise;
+  } catch (error) {
+    assertEqual(error.code, code, message);
+    return error;
+  }
+  throw new Error(`${message}: did not throw`);
+}
+
+// A title the invitation's HTML must escape
+const { definition, sentEnvelope } = envelopeDefinitions({ title: 'Services <agreement>' });
+
+// ============================================================================
+// FAKE SMTP SERVER
+// ============================================================================
+
+/**
+ * SMTP server on an ephemeral port that records each session
+ *
+ * @param {Object} options - { capabilities: EHLO lines, rejectRecipient: address }
+ */
+async function startSmtpServer(options = {}) {
+  const sessions = [];
+  const server = net.createServer(socket => {
+    const session = { commands: [], data: null };
+    // Resolves when the client hangs up
+    session.closed = new Promise(resolve => socket.on('close', resolve));
+    sessions.push(session);
+    let buffer = '';
+    let dataLines = null;
+
+    socket.write('220 fake.test ESMTP ready\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let newline;
+      while ((newline = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 2);
+
+        if (dataLines) {
+          if (line === '.') {
+            session.data = dataLines.join('\r\n');
+            dataLines = null;
+            socket.write('250 2.0.0 queued as FAKE1\r\n');
+          } else {
+            dataLines.push(line);
+          }
+          continue;
+        }
+
+        session.commands.push(line);
+        const verb = line.split(/[\s:]/)[0].toUpperCase();
+        if (verb === 'EHLO') {
+          const lines = ['fake.test', ...(options.capabilities || ['8BITMIME'])];
+          socket.write(lines.map((text, index) => `250${index === lines.length - 1 ? ' ' : '-'}${text}\r\n`).join(''));
+        } else if (verb === 'RCPT' && options.rejectRecipient && line.includes(options.rejectRecipient)) {
+          socket.write('550 5.1.1 mailbox unavailable\r\n');
+        } else if (verb === 'STARTTLS') {
+          socket.write('502 5.5.1 STARTTLS not offered\r\n');
+        } else if (verb === 'DATA') {
+          dataLines = [];
+          socket.write('354 end with <CRLF>.<CRLF>\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    sessions,
+    port: server.address().port,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// ============================================================================
+// TOKENS AND MESSAGES
+// ============================================================================
+
+test('Tokens are random, stored as hashes and refused once spent', () => {
+  const first = generateSigningToken();
+  const second = generateSigningToken();
+  assertTrue(isWellFormedToken(first.token), 'Well formed');
+  assertTrue(first.token !== second.token, 'Random');
+  assertEqual(first.tokenHash, hashSigningToken(first.token), 'Hash of the token');
+  assertTrue(!isWellFormedToken('../../etc') && !isWellFormedToken({ $ne: null }), 'Malformed');
+
+  const now = new Date();
+  const record = { expiresAt: new Date(now.getTime() + 1000), usedAt: null, revokedAt: null };
+  assertEqual(checkTokenUsable(record, now), record, 'Usable');
+  assertThrowsCode(() => checkTokenUsable(null, now), SIGNING_TOKEN_ERRORS.invalid, 'Unknown');
+  assertThrowsCode(() => checkTokenUsable({ ...record, usedAt: now }, now), SIGNING_TOKEN_ERRORS.used, 'Used');
+  assertThrowsCode(() => checkTokenUsable({ ...record, revokedAt: now }, now), SIGNING_TOKEN_ERRORS.revoked, 'Revoked');
+  assertThrowsCode(() => checkTokenUsable(record, new Date(now.getTime() + 1000)), SIGNING_TOKEN_ERRORS.expired, 'Expired');
+
+  assertEqual(getSigningTokenTtl({}), 72 * 60 * 60 * 1000, 'Default lifetime');
+  assertEqual(getSigningTokenTtl({ SIGNING_TOKEN_TTL_HOURS: '2' }), 2 * 60 * 60 * 1000, 'Configured lifetime');
+});
+
+test('Invitations link the token and the signing view shows only the recipient\'s fields', () => {
+  const envelope = sentEnvelope();
+  const [alice, bob] = envelope.recipients;
+  const invitation = buildInvitation(envelope, alice, {
+    link: 'https://sign.example.com/?token=abc',
+    expiresAt: new Date('2030-01-01T00:00:00Z'),
+    fieldCount: 1
+  });
+  assertEqual(invitation.to, 'alice@example.com', 'Addressed to the recipient');
+  assertTrue(invitation.text.includes('https://sign.example.com/?token=abc'), 'Link in the text');
+  assertTrue(invitation.html.includes('Services &lt;agreement&gt;'), 'Title escaped in HTML');
+
+  const session = describeSigningSession(envelope, { recipientId: alice.id, expiresAt: new Date() });
+  assertEqual(session.fields.length, 1, 'One field');
+  assertEqual(session.fields[0].id, 'alice-sign', 'Alice\'s field');
+  assertEqual(session.recipients.length, 1, 'No other recipients');
+  assertEqual(session.currentRecipients[0], 'alice@example.com', 'Alice\'s turn');
+  assertEqual(describeSigningSession(envelope, { recipientId: bob.id }).currentRecipients.length, 0, 'Not yet Bob\'s');
+});
+
+test('Messages are RFC 5322 with encoded subjects and no header injection', () => {
+  const message = formatMessage({
+    from: 'Signing <no-reply@example.com>',
+    to: 'alice@example.com',
+    subject: 'Bitte unterschreiben: Vertrag ü',
+    text: 'Line one\n.leading dot',
+    html: '<p>Hi</p>'
+  });
+  assertEqual(message.from, 'no-reply@example.com', 'Envelope sender');
+  assertTrue(message.messageId.endsWith('@example.com>'), 'Message-ID domain');
+  assertTrue(message.raw.includes('Subject: =?UTF-8?B?'), 'Encoded subject');
+  assertTrue(message.raw.includes('multipart/alternative'), 'HTML alternative');
+  assertEqual(decodeTextPart(message.raw), 'Line one\n.leading dot', 'Text part');
+
+  const named = formatMessage({ from: 'Łukasz Nowak <no-reply@example.com>', to: 'alice@example.com' });
+  assertTrue(
+    named.raw.includes(`From: =?UTF-8?B?${Buffer.from('Łukasz Nowak').toString('base64')}?= <no-reply@example.com>`),
+    'Only the sender name encoded'
+  );
+
+  assertThrowsCode(
+    () => formatMessage({ from: 'a@example.com', to: 'b@example.com', subject: 'Hi\r\nBcc: x@example.com' }),
+    MAIL_ERROR,
+    'Header injection'
+  );
+  assertThrowsCode(() => formatMessage({ from: 'a@example.com', to: 'not an address' }), MAIL_ERROR, 'Bad address');
+
+  assertEqual(getMailTransportConfig({}).type, 'outbox', 'Outbox by default');
+  assertEqual(getMailTransportConfig({ SMTP_HOST: 'mail.example.com' }).type, 'smtp', 'SMTP when configured');
+  assertTrue(createMailTransport(getMailTransportConfig({ SMTP_HOST: 'mail.example.com' })) instanceof SmtpTransport, 'SMTP transport');
+});
+
+// ============================================================================
+// TRANSPORTS
+// ============================================================================
+
+test('SMTP transport delivers and reports refusals', async () => {
+  const smtp = await startSmtpServer({ rejectRecipient: 'nobody@example.com' });
+  try {
+    const transport = new SmtpTransport({
+      host: '127.0.0.1',
+      port: smtp.port,
+      from: 'Signing <no-reply@example.com>',
+      timeout: 5000
+    });
+    const sent = await transport.send({ to: 'alice@example.com', subject: 'Please sign', text: '.hidden line' });
+    assertEqual(sent.transport, 'smtp', 'Transport');
+    assertEqual(sent.accepted[0], 'alice@example.com', 'Accepted');
+
+    // One connection per message, closed once it is accepted
+    const [session] = smtp.sessions;
+    await session.closed;
+    assertTrue(session.commands[0].startsWith('EHLO '), 'EHLO first');
+    assertEqual(session.commands[1], 'MAIL FROM:<no-reply@example.com>', 'Sender');
+    assertEqual(session.commands[2], 'RCPT TO:<alice@example.com>', 'Recipient');
+    assertTrue(session.data.includes(`Message-ID: ${sent.messageId}`), 'Message delivered');
+
+    await assertRejectsCode(
+      transport.send({ to: 'nobody@example.com', subject: 'x', text: 'x' }),
+      MAIL_ERROR,
+      'Refused recipient'
+    );
+
+    const withAuth = new SmtpTransport({
+      host: '127.0.0.1',
+      port: smtp.port,
+      auth: { user: 'mailer', password: 'secret' },
+      timeout: 5000
+    });
+    const refused = await assertRejectsCode(
+      withAuth.send({ to: 'alice@example.com', subject: 'x', text: 'x' }),
+      MAIL_ERROR,
+      'No credentials in clear text'
+    );
+    assertTrue(refused.message.includes('unencrypted'), 'Reason');
+    assertTrue(!smtp.sessions.some(s => s.commands.some(line => line.startsWith('AUTH'))), 'AUTH never sent');
+  } finally {
+    await smtp.close();
+  }
+});
+
+test('Outbox transport writes each message as an .eml file', async () => {
+  await withTempDir(async (dir) => {
+    const transport = new OutboxTransport({ dir: path.join(dir, 'mail'), from: 'no-reply@example.com' });
+    const sent = await transport.send({ to: 'bob@example.com', subject: 'Please sign', text: 'Link: https://x/?token=t' });
+    assertEqual(sent.transport, 'outbox', 'Transport');
+
+    const files = await fs.readdir(path.join(dir, 'mail'));
+    assertEqual(files.length, 1, 'One file');
+    assertTrue(files[0].endsWith('.eml'), '.eml');
+    const raw = await fs.readFile(sent.path, 'utf8');
+    assertTrue(raw.includes('To: bob@example.com'), 'Recipient');
+    assertEqual(decodeTextPart(raw), 'Link: https://x/?token=t', 'Body');
+  });
+});
+
+// ============================================================================
+// STORE AND ROUTES
+// ============================================================================
+
+test('Tokens are single use, expire and are replaced by a new invitation', async () => {
+  const db = envelopeDb();
+  const tokenStore = new SigningTokenStore(db);
+  const envelope = sentEnvelope();
+  const [alice] = envelope.recipients;
+
+  const { token, record } = await tokenStore.issueToken(envelope, alice);
+  const stored = db.collections.signing_tokens.documents[0];
+  assertEqual(stored.tokenHash, hashSigningToken(token), 'Only the hash is stored');
+  assertTrue(!JSON.stringify(stored).includes(token), 'Token not stored');
+
+  const claimed = await tokenStore.claimToken(token);
+  assertEqual(claimed._id, record._id, 'Claimed');
+  await assertRejectsCode(tokenStore.claimToken(token), SIGNING_TOKEN_ERRORS.used, 'Single use');
+  await tokenStore.releaseToken(claimed);
+  assertEqual((await tokenStore.resolveToken(token))._id, record._id, 'Released after a failed pass');
+
+  const reissued = await tokenStore.issueToken(envelope, alice);
+  await assertRejectsCode(tokenStore.resolveToken(token), SIGNING_TOKEN_ERRORS.revoked, 'Replaced');
+  assertEqual((await tokenStore.findActiveToken(envelope._id, alice.id))._id, reissued.record._id, 'New token active');
+
+  const shortLived = await tokenStore.issueToken(envelope, alice, { ttl: 1 });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await assertRejectsCode(tokenStore.claimToken(shortLived.token), SIGNING_TOKEN_ERRORS.expired, 'Expired');
+  await assertRejectsCode(tokenStore.resolveToken('x'.repeat(43)), SIGNING_TOKEN_ERRORS.invalid, 'Unknown');
+});
+
+test('Sending invites the current signer; links open a restricted, audited view', async () => {
+  await withTempDir(async (dir) => {
+    const db = envelopeDb();
+    const transport = new OutboxTransport({ dir, from: 'no-reply@example.com' });
+
+    await withServer(db, transport, async (api) => {
+      const { envelopeId } = await (await post(`${api}/envelopes`, definition())).json();
+      const sent = await (await post(`${api}/envelopes/${envelopeId}/send`, {})).json();
+      assertEqual(sent.invitations.length, 1, 'Sequential: first signer only');
+      assertEqual(sent.invitations[0].email, 'alice@example.com', 'Alice invited');
+      assertEqual(sent.invitations[0].delivery.transport, 'outbox', 'Delivered to the outbox');
+
+      const [file] = await fs.readdir(dir);
+      const token = linkToken(decodeTextPart(await fs.readFile(path.join(dir, file), 'utf8')));
+
+      const opened = await fetch(`${api}/signing/${token}`);
+      assertEqual(opened.status, 200, 'Opens');
+      const session = await opened.json();
+      assertEqual(session.recipient.email, 'alice@example.com', 'As Alice');
+      assertEqual(session.fields.map(f => f.id).join(), 'alice-sign', 'Only Alice\'s fields');
+      assertTrue(!JSON.stringify(session).includes('bob@example.com'), 'Nothing about Bob');
+      assertEqual((await fetch(`${api}/signing/${'x'.repeat(43)}`)).status, 404, 'Unknown link');
+
+      // The token decides who signs: Alice's link cannot fill Bob's field
+      const wrongField = await post(`${api}/sign-pdf`, {
+        signingToken: token,
+        placements: [{ fieldId: 'bob-sign', signature: { image: 'iVBORw0KGgo=', imageType: 'png' } }],
+        metadata: { email: 'bob@example.com' }
+      });
+      assertEqual(wrongField.status, 403, 'Bob\'s field');
+      assertEqual((await fetch(`${api}/signing/${token}`)).status, 200, 'Refused pass did not spend the link');
+
+      // Reissuing replaces the link
+      const reinvited = await post(`${api}/envelopes/${envelopeId}/recipients/r1/invite`, {});
+      assertEqual(reinvited.status, 200, 'Reinvited');
+      const replaced = await fetch(`${api}/signing/${token}`);
+      assertEqual(replaced.status, 410, 'Old link gone');
+      assertEqual((await replaced.json()).code, SIGNING_TOKEN_ERRORS.revoked, 'Revoked');
+      assertEqual((await post(`${api}/envelopes/${envelopeId}/recipients/r2/invite`, {})).status, 409, 'Not Bob\'s turn');
+
+      const { events } = await (await fetch(`${api}/envelopes/${envelopeId}/events`)).json();
+      assertEqual(
+        events.map(event => event.type).join(),
+        [SIGNING_EVENTS.issued, SIGNING_EVENTS.opened, SIGNING_EVENTS.opened, SIGNING_EVENTS.issued].join(),
+        'Issue and open events'
+      );
+      assertTrue(events.every(event => event.sequence > 0), 'Chained');
+    });
+  });
+});
+
+test('Using a link is recorded and audit trails leave events out', async () => {
+  const db = envelopeDb();
+  const tokenStore = new SigningTokenStore(db);
+  const envelope = sentEnvelope();
+  const [alice] = envelope.recipients;
+
+  const { token } = await tokenStore.issueToken(envelope, alice);
+  const claimed = await tokenStore.claimToken(token);
+  await tokenStore.recordUsed(claimed, alice, { ipAddress: '127.0.0.1', version: 2, signedHash: 'a'.repeat(64) });
+
+  const auditSchema = new AuditSchema(db);
+  const [event] = await auditSchema.getEnvelopeEvents(envelope._id);
+  assertEqual(event.event.type, SIGNING_EVENTS.used, 'Used event');
+  assertEqual(event.event.tokenId, claimed._id, 'Token ID, not the token');
+  assertEqual(event.event.details.version, 2, 'Version signed');
+  assertEqual(event.signer.email, 'alice@example.com', 'Recipient');
+  assertEqual(event.chain.sequence, 1, 'Chained');
+
+  await db.collections.audit_logs.insertOne({ _id: new ObjectId(), documentId: 'contract-1', signer: { email: 'alice@example.com' } });
+  assertEqual((await auditSchema.getAuditTrail('contract-1')).length, 1, 'Signatures only');
+  assertEqual((await auditSchema.getSignerAuditTrail('alice@example.com')).length, 1, 'Signer trail without events');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🔗 Signing Invitation Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
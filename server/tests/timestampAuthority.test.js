@@ -0,0 +1,251 @@
+/**
+ * TIMESTAMP AUTHORITY TESTS
+ * 
+ * Runs a local stand-in RFC 3161 TSA and checks request/response handling,
+ * audit records and the unsigned attribute embedded in PKCS#7 signatures
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { signPDFMultiple } = require('../utils/pdfSigner');
+const { parsePEM, describeCertificate } = require('../utils/cryptoSigner');
+const {
+  requestTimestamp,
+  parseTimeStampToken,
+  OID_TST_INFO,
+  OID_TIMESTAMP_TOKEN_ATTRIBUTE
+} = require('../utils/timestampAuthority');
+const { createTestPDF, signaturePlacement, assertTrue } = require('./pdfFixtures');
+
+const { asn1 } = forge;
+
+const TEST_POLICY = '1.3.6.1.4.1.99999.1';
+const FIXED_GEN_TIME = new Date('2030-01-02T03:04:05Z');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function createKeyAndCertificate(commonName) {
+  const keys = forge.pki.rsa.generateKeyPair(2048);
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '02';
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  cert.setSubject([{ name: 'commonName', value: commonName }]);
+  cert.setIssuer([{ name: 'commonName', value: commonName }]);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+  return { keys, cert };
+}
+
+// ============================================================================
+// STAND-IN TSA
+// ============================================================================
+
+const tsaIdentity = createKeyAndCertificate('Local Test TSA');
+let tsaRequests = [];
+let tsaStatus = 0;
+
+/**
+ * Answer a DER TimeStampReq with a token signed by the test TSA
+ */
+function issueTimestamp(requestDer) {
+  const request = asn1.fromDer(requestDer.toString('binary'));
+  const [, messageImprint, ...rest] = request.value;
+  const nonce = rest.find(node => node.type === asn1.Type.INTEGER);
+  tsaRequests.push({ hashedMessage: forge.util.bytesToHex(messageImprint.value[1].value) });
+
+  const statusInfo = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(tsaStatus).getBytes())
+  ]);
+
+  if (tsaStatus !== 0) {
+    return asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [statusInfo])).getBytes();
+  }
+
+  const tstInfo = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(1).getBytes()),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(TEST_POLICY).getBytes()),
+    messageImprint,
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(tsaRequests.length).getBytes()),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.GENERALIZEDTIME, false, asn1.dateToGeneralizedTime(FIXED_GEN_TIME)),
+    ...(nonce ? [nonce] : [])
+  ]);
+  const tstInfoDer = asn1.toDer(tstInfo).getBytes();
+
+  const p7 = forge.pkcs7.createSignedData();
+  p7.content = forge.util.createBuffer(tstInfoDer);
+  p7.contentInfo = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID_TST_INFO).getBytes()),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, tstInfoDer)
+    ])
+  ]);
+  p7.addCertificate(tsaIdentity.cert);
+  p7.addSigner({
+    key: tsaIdentity.keys.privateKey,
+    certificate: tsaIdentity.cert,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: OID_TST_INFO },
+      { type: forge.pki.oids.messageDigest }
+    ]
+  });
+  p7.sign();
+
+  return asn1.toDer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    statusInfo,
+    p7.toAsn1()
+  ])).getBytes();
+}
+
+function startTSA() {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.from(issueTimestamp(Buffer.concat(chunks)), 'binary');
+      res.writeHead(200, { 'Content-Type': 'application/timestamp-reply' });
+      res.end(body);
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}/tsa` });
+    });
+  });
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function createSigningCredentials() {
+  const { keys, cert } = createKeyAndCertificate('Test Signer');
+  const credentials = parsePEM(forge.pki.certificateToPem(cert), forge.pki.privateKeyToPem(keys.privateKey));
+  return { ...credentials, certificateInfo: describeCertificate(credentials.certificate) };
+}
+
+let tsaConfig;
+
+// ============================================================================
+// TEST SUITE
+// ============================================================================
+
+test('Token covers requested hash and carries genTime', async () => {
+  const digest = crypto.createHash('sha256').update('hello').digest();
+  const result = await requestTimestamp(digest, tsaConfig);
+
+  assertTrue(result.hashedMessage === digest.toString('hex'), 'Hashed message matches');
+  assertTrue(result.genTime.getTime() === FIXED_GEN_TIME.getTime(), 'genTime parsed');
+  assertTrue(result.policy === TEST_POLICY, 'Policy parsed');
+  assertTrue(parseTimeStampToken(result.token).hashedMessage === result.hashedMessage, 'Token re-parses');
+});
+
+test('Rejected requests raise an error', async () => {
+  tsaStatus = 2;
+  try {
+    await requestTimestamp(crypto.randomBytes(32), tsaConfig);
+    throw new Error('Expected rejection');
+  } catch (error) {
+    assertTrue(error.message.includes('status 2'), `Unexpected error: ${error.message}`);
+  } finally {
+    tsaStatus = 0;
+  }
+});
+
+test('Non-SHA-256 digests are refused before contacting the TSA', async () => {
+  tsaRequests = [];
+  try {
+    await requestTimestamp(Buffer.alloc(20), tsaConfig);
+    throw new Error('Expected rejection');
+  } catch (error) {
+    assertTrue(error.message.includes('SHA-256'), `Unexpected error: ${error.message}`);
+  }
+  assertTrue(tsaRequests.length === 0, 'No request sent');
+});
+
+test('Image-only signing timestamps the signed hash', async () => {
+  tsaRequests = [];
+  const result = await signPDFMultiple(
+    await createTestPDF(),
+    [signaturePlacement({ x: 50, y: 50, height: 40 })],
+    { timestampAuthority: tsaConfig }
+  );
+
+  assertTrue(tsaRequests.length === 1, 'One TSA request');
+  assertTrue(result.trustedTimestamp.hashedMessage === result.signedHash, 'Token over signed hash');
+  assertTrue(result.auditTrail[0].timestamp === FIXED_GEN_TIME.toISOString(), 'Audit time from TSA');
+  assertTrue(typeof result.auditTrail[0].trustedTimestamp.token === 'string', 'Token stored as base64');
+});
+
+test('PKCS#7 signature embeds token as unsigned attribute', async () => {
+  tsaRequests = [];
+  const result = await signPDFMultiple(
+    await createTestPDF(),
+    [signaturePlacement({ x: 50, y: 50, height: 40 })],
+    { credentials: createSigningCredentials(), timestampAuthority: tsaConfig }
+  );
+
+  assertTrue(tsaRequests.length === 2, 'Signature value and signed hash both timestamped');
+
+  const buffer = result.signedPDFBuffer;
+  const [, length1, offset2] = result.cryptographicSignature.byteRange;
+  const der = Buffer.from(buffer.subarray(length1 + 1, offset2 - 1).toString('latin1'), 'hex');
+  const contentInfo = asn1.fromDer(der.toString('binary'), { parseAllBytes: false });
+  const signedData = contentInfo.value[1].value[0];
+  const signerInfo = signedData.value[signedData.value.length - 1].value[0];
+  const unsignedAttrs = signerInfo.value[signerInfo.value.length - 1];
+
+  assertTrue(unsignedAttrs.tagClass === asn1.Class.CONTEXT_SPECIFIC && unsignedAttrs.type === 1, 'unsignedAttrs present');
+  const attribute = unsignedAttrs.value[0];
+  assertTrue(asn1.derToOid(attribute.value[0].value) === OID_TIMESTAMP_TOKEN_ATTRIBUTE, 'Timestamp token attribute');
+
+  const signatureValue = Buffer.from(signerInfo.value[5].value, 'binary');
+  const tokenDer = Buffer.from(asn1.toDer(attribute.value[1].value[0]).getBytes(), 'binary');
+  const expected = crypto.createHash('sha256').update(signatureValue).digest('hex');
+  assertTrue(parseTimeStampToken(tokenDer).hashedMessage === expected, 'Token covers signature value');
+  assertTrue(result.cryptographicSignature.signatureTimestamp.hashedMessage === expected, 'Recorded in audit');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n⏱️  Timestamp Authority Tests\n');
+  console.log('═'.repeat(60));
+
+  const { server, url } = await startTSA();
+  tsaConfig = { url, timeout: 5000 };
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  server.close();
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
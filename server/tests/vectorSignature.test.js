@@ -0,0 +1,194 @@
+/**
+ * VECTOR SIGNATURE TESTS
+ *
+ * Checks stroke validation, the ink-based fit and that signed PDFs carry
+ * path operators instead of an image for drawn signatures
+ */
+
+const { PDFDocument, PDFName, PDFRawStream, decodePDFRawStream } = require('pdf-lib');
+const { signPDFMultiple } = require('../utils/pdfSigner');
+const { normalizeVector, vectorOperators, frameMatrix } = require('../utils/vectorSignature');
+const {
+  createTestPDF,
+  assertTrue,
+  assertEqual,
+  assertThrows
+} = require('./pdfFixtures');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assertClose(actual, expected, message, tolerance = 0.001) {
+  if (Math.abs(actual - expected) > tolerance) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  }
+}
+
+// A 200x50 px zigzag plus a dot
+const VECTOR = {
+  strokes: [
+    [[100, 100], [150, 140], [200, 100], [250, 140], [300, 100]],
+    [[310, 120]]
+  ],
+  strokeWidth: 2,
+  color: '#1a237e'
+};
+
+function vectorPlacement(extra = {}) {
+  return {
+    vector: VECTOR,
+    fieldType: 'signature',
+    x: 100, y: 100, width: 200, height: 100,
+    pageIndex: 0,
+    metadata: {},
+    ...extra
+  };
+}
+
+function streamText(stream) {
+  const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+  return Buffer.from(bytes).toString('latin1');
+}
+
+async function pageContent(pdfBuffer) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  const contents = pdfDoc.getPage(0).node.normalizedEntries().Contents;
+  return contents.asArray()
+    .map(ref => streamText(pdfDoc.context.lookup(ref)))
+    .join('\n');
+}
+
+// ============================================================================
+// STROKES
+// ============================================================================
+
+test('Measures the ink bounds padded by half the line width', () => {
+  const vector = normalizeVector(VECTOR);
+  assertEqual(vector.pointCount, 6, 'Point count');
+  assertEqual(vector.bounds.x, 99, 'Bounds x');
+  assertEqual(vector.bounds.y, 99, 'Bounds y');
+  assertEqual(vector.bounds.width, 212, 'Bounds width');
+  assertEqual(vector.bounds.height, 42, 'Bounds height');
+});
+
+test('Accepts {x, y} points and drops empty strokes', () => {
+  const vector = normalizeVector({ strokes: [[{ x: 1, y: 2 }, { x: 3, y: 4 }], []] });
+  assertEqual(vector.strokes.length, 1, 'Stroke count');
+  assertEqual(vector.strokes[0][1][0], 3, 'Converted point');
+  assertEqual(vector.strokeWidth, 2, 'Default stroke width');
+});
+
+test('Rejects missing, empty and invalid strokes', () => {
+  assertThrows(() => normalizeVector(null), 'Missing vector');
+  assertThrows(() => normalizeVector({ strokes: [[]] }), 'No points');
+  assertThrows(() => normalizeVector({ strokes: [[[0, 'a']]] }), 'Non-numeric point');
+  assertThrows(() => normalizeVector({ strokes: [[[0, 0]]], color: 'blue' }), 'Invalid color');
+});
+
+test('Scales the ink into the fit with y flipped', () => {
+  const vector = normalizeVector(VECTOR);
+  const fit = { width: 106, height: 21, offsetX: 10, offsetY: 20 };
+  const operators = vectorOperators(vector, fit).map(op => op.toString());
+
+  // Second cm maps canvas pixels into the fit: scale 0.5, flipped
+  const cm = operators.filter(op => op.endsWith(' cm'))[1].split(' ').map(Number);
+  assertClose(cm[0], 0.5, 'x scale');
+  assertClose(cm[3], -0.5, 'y scale');
+  assertClose(cm[0] * 99 + cm[4], 10, 'Ink left edge');
+  assertClose(cm[3] * 99 + cm[5], 41, 'Ink top edge');
+  assertTrue(operators.includes('1 J') && operators.includes('1 j'), 'Round caps and joins');
+});
+
+test('Frame matrix matches page rotation', () => {
+  const matrix = frameMatrix({ x: 300, y: 100, rotation: 90 });
+  assertEqual(matrix.join(' '), '0 1 -1 0 300 100', 'Matrix for 90 degrees');
+});
+
+// ============================================================================
+// SIGNING
+// ============================================================================
+
+test('Burns paths instead of an image', async () => {
+  const original = await createTestPDF();
+  const { signedPDFBuffer, auditTrail } = await signPDFMultiple(original, [vectorPlacement()]);
+
+  const content = await pageContent(signedPDFBuffer);
+  assertTrue(content.includes(' l\n'), 'Line operators present');
+  assertTrue(!content.includes(' Do'), 'No image drawn');
+
+  const { imageInfo } = auditTrail[0];
+  assertEqual(imageInfo.vector.strokeCount, 2, 'Stroke count recorded');
+  assertClose(imageInfo.fitWidth, 200, 'Ink fitted by width');
+});
+
+test('Draws vector signatures on rotated pages', async () => {
+  const original = await createTestPDF({ rotation: 90 });
+  const { signedPDFBuffer, auditTrail } = await signPDFMultiple(original, [vectorPlacement()]);
+
+  const content = await pageContent(signedPDFBuffer);
+  assertTrue(content.includes('0 1 -1 0 300 100 cm'), 'Rotated frame matrix');
+  assertEqual(auditTrail[0].rotation, 90, 'Rotation recorded');
+});
+
+test('Uses paths as widget appearance in cryptographic mode', async () => {
+  const forge = require('node-forge');
+  const { parsePEM, describeCertificate } = require('../utils/cryptoSigner');
+
+  const keys = forge.pki.rsa.generateKeyPair(1024);
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = '01';
+  cert.validity.notBefore = new Date();
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  cert.setSubject([{ name: 'commonName', value: 'Vector Signer' }]);
+  cert.setIssuer([{ name: 'commonName', value: 'Vector Signer' }]);
+  cert.sign(keys.privateKey, forge.md.sha256.create());
+  const parsed = parsePEM(forge.pki.certificateToPem(cert), forge.pki.privateKeyToPem(keys.privateKey));
+  const credentials = { ...parsed, certificateInfo: describeCertificate(parsed.certificate) };
+
+  const original = await createTestPDF();
+  const { signedPDFBuffer } = await signPDFMultiple(original, [vectorPlacement()], { credentials });
+
+  const pdfDoc = await PDFDocument.load(signedPDFBuffer);
+  const [field] = pdfDoc.getForm().getFields();
+  const [widget] = field.acroField.getWidgets();
+  const appearance = pdfDoc.context.lookup(widget.getNormalAppearance());
+  const content = streamText(appearance);
+  assertTrue(content.includes(' l\n'), 'Appearance draws lines');
+  assertTrue(!appearance.dict.lookup(PDFName.of('Resources')).has(PDFName.of('XObject')), 'No image resource');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n✍️  Vector Signature Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
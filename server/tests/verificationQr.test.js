@@ -0,0 +1,260 @@
+/**
+ * VERIFICATION QR CODE TESTS
+ *
+ * Draws QR codes beside signatures, picks a side that fits the page, links
+ * them to PUBLIC_BASE_URL only, and looks up signing passes by document ID
+ * and hash prefix
+ */
+
+const express = require('express');
+const signatureRoutes = require('../routes/signatureRoutes');
+const { signPDFMultiple } = require('../utils/pdfSigner');
+const AuditSchema = require('../models/auditSchema');
+const {
+  resolveVerificationQr,
+  getPublicBaseUrl,
+  buildVerificationUrl,
+  HASH_PREFIX_LENGTH
+} = require('../utils/verificationQr');
+const {
+  A4,
+  createTestPDF,
+  signaturePlacement,
+  requestPlacement,
+  assertTrue,
+  assertEqual,
+  assertThrows
+} = require('./pdfFixtures');
+
+const BASE_URL = 'https://sign.example.com';
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function signWithQr(pdfBuffer, placements, qr = {}) {
+  return signPDFMultiple(pdfBuffer, placements, {
+    verificationQr: { baseUrl: BASE_URL, documentId: 'doc-123', ...qr }
+  });
+}
+
+function insidePage(rect) {
+  return rect.x >= 0 && rect.y >= 0 && rect.x + rect.width <= A4[0] && rect.y + rect.height <= A4[1];
+}
+
+// Audit collection stand-in supporting what getPublicVerification reads
+function auditSchemaWith(entries) {
+  const collection = {
+    find: () => ({
+      sort: () => ({ toArray: async () => [...entries].sort((a, b) => b.createdAt - a.createdAt) })
+    })
+  };
+  return new AuditSchema({ collection: () => collection });
+}
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+test('Resolves QR options and rejects invalid ones', () => {
+  assertEqual(resolveVerificationQr(false), null, 'Not requested');
+  assertEqual(resolveVerificationQr(true).position, 'right', 'Default side');
+  assertEqual(resolveVerificationQr({ position: 'below', size: 72 }).size, 72, 'Size');
+  assertThrows(() => resolveVerificationQr({ position: 'inside' }), 'Unknown side');
+  assertThrows(() => resolveVerificationQr({ size: 20 }), 'Too small to scan');
+});
+
+test('Links only to the configured public origin', () => {
+  assertEqual(getPublicBaseUrl({}), null, 'Not configured');
+  assertEqual(getPublicBaseUrl({ PUBLIC_BASE_URL: `${BASE_URL}/` }), BASE_URL, 'Trailing slash dropped');
+});
+
+test('Builds the verification URL from a hash prefix', () => {
+  const hash = 'ab'.repeat(32);
+  const url = buildVerificationUrl(`${BASE_URL}/`, 'doc 1', hash);
+  assertEqual(url, `${BASE_URL}/api/verify/doc%201/${hash.slice(0, HASH_PREFIX_LENGTH)}`, 'URL');
+});
+
+// ============================================================================
+// DRAWING
+// ============================================================================
+
+test('Draws the code right of the signature, linking to the original hash', async () => {
+  const result = await signWithQr(await createTestPDF(), [signaturePlacement()]);
+  const qr = result.auditTrail[0].verificationQr;
+
+  assertEqual(qr.url, buildVerificationUrl(BASE_URL, 'doc-123', result.originalHash), 'URL');
+  assertEqual(qr.position, 'right', 'Side');
+  assertEqual(qr.size, 60, 'Box height');
+  assertTrue(qr.rect.x >= 220 && Math.abs(qr.rect.y - 100) < 0.001, 'Beside the box');
+  assertTrue(qr.moduleCount >= 21, 'QR symbol');
+});
+
+test('Moves to another side when the requested one leaves the page', async () => {
+  const result = await signWithQr(await createTestPDF(), [signaturePlacement({ x: A4[0] - 130 })], { size: 48 });
+  const qr = result.auditTrail[0].verificationQr;
+
+  assertEqual(qr.position, 'left', 'Fell back to the left');
+  assertTrue(insidePage(qr.rect), 'Inside the page');
+});
+
+test('Keeps the code inside rotated pages', async () => {
+  const result = await signWithQr(await createTestPDF({ rotation: 90 }), [signaturePlacement({ x: 400, y: 600 })]);
+  const qr = result.auditTrail[0].verificationQr;
+
+  assertTrue(insidePage(qr.rect), 'Inside the page');
+  assertTrue(qr.rect.y >= 600 + 60, 'Right of the box as displayed is up in user space');
+});
+
+test('Refuses boxes without room on any side, and options without a URL', async () => {
+  const fullPage = signaturePlacement({ x: 0, y: 0, width: A4[0], height: A4[1] });
+  let refused = false;
+  try {
+    await signWithQr(await createTestPDF(), [fullPage]);
+  } catch {
+    refused = true;
+  }
+  assertTrue(refused, 'No room');
+
+  try {
+    await signPDFMultiple(await createTestPDF(), [signaturePlacement()], { verificationQr: true });
+  } catch {
+    return;
+  }
+  throw new Error('Expected a missing baseUrl to be refused');
+});
+
+test('Only signature fields get a code', async () => {
+  const result = await signWithQr(await createTestPDF(), [
+    signaturePlacement(),
+    { fieldType: 'text', value: 'Approved', x: 100, y: 300, width: 150, height: 20, pageIndex: 0 }
+  ]);
+  assertTrue(result.auditTrail[0].verificationQr, 'Signature');
+  assertEqual(result.auditTrail[1].verificationQr, undefined, 'Text field');
+});
+
+// ============================================================================
+// ROUTE
+// ============================================================================
+
+test('sign-pdf refuses QR codes without PUBLIC_BASE_URL instead of trusting Host', async () => {
+  const entries = [];
+  const app = express();
+  app.locals.db = {
+    collection: () => ({
+      findOne: async () => null,
+      insertOne: async (entry) => {
+        entries.push(entry);
+        return { insertedId: entries.length };
+      }
+    })
+  };
+  app.use(express.json());
+  app.use('/api', signatureRoutes);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const previous = process.env.PUBLIC_BASE_URL;
+  try {
+    const signWithQrCode = async () => fetch(`http://127.0.0.1:${server.address().port}/api/sign-pdf`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        pdfId: 'doc-123',
+        pdfBuffer: (await createTestPDF()).toString('base64'),
+        placements: [requestPlacement()],
+        verificationQr: true
+      })
+    });
+
+    delete process.env.PUBLIC_BASE_URL;
+    const refused = await signWithQrCode();
+    assertEqual(refused.status, 400, 'Not configured');
+    assertTrue((await refused.json()).error.includes('PUBLIC_BASE_URL'), 'Setting named');
+    assertEqual(entries.length, 0, 'Nothing signed');
+
+    process.env.PUBLIC_BASE_URL = BASE_URL;
+    assertEqual((await signWithQrCode()).status, 200, 'Configured');
+    assertTrue(entries[0].verificationQr.url.startsWith(`${BASE_URL}/api/verify/doc-123/`), 'Configured origin');
+  } finally {
+    if (previous === undefined) delete process.env.PUBLIC_BASE_URL;
+    else process.env.PUBLIC_BASE_URL = previous;
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+test('Looks up a signing pass by hash prefix with masked signer emails', async () => {
+  const entry = (originalHash, signedHash, email, createdAt) => ({
+    documentId: 'doc-123',
+    originalHash,
+    signedHash,
+    fieldType: 'signature',
+    pageIndex: 0,
+    signatureCount: 1,
+    createdAt: new Date(createdAt),
+    signer: { name: email.split('@')[0], email, timestamp: new Date(createdAt) },
+    integrityStatus: 'valid',
+    verifications: []
+  });
+  const auditSchema = auditSchemaWith([
+    entry('a'.repeat(64), 'b'.repeat(64), 'jane@example.com', 1000),
+    entry('b'.repeat(64), 'c'.repeat(64), 'john@example.com', 2000)
+  ]);
+
+  const first = await auditSchema.getPublicVerification('doc-123', 'aaaaaaaa');
+  assertEqual(first.status, 'found', 'Found');
+  assertEqual(first.pass.signedHash, 'b'.repeat(64), 'Pass');
+  assertEqual(first.signers.length, 2, 'Every signer of the document');
+  assertEqual(first.signers[0].email, 'j***@example.com', 'Masked email');
+  assertEqual(first.signers[0].inThisPass, true, 'Signed in this pass');
+  assertEqual(first.signers[1].inThisPass, false, 'Signed later');
+  assertEqual(first.laterPasses, 1, 'One later pass');
+
+  const missing = await auditSchema.getPublicVerification('doc-123', 'dddddddd');
+  assertEqual(missing.status, 'not_found', 'Unknown prefix');
+
+  // Entries recorded before field types existed are signatures
+  const legacy = entry('a'.repeat(64), 'b'.repeat(64), 'jane@example.com', 1000);
+  delete legacy.fieldType;
+  const fromLegacy = await auditSchemaWith([legacy]).getPublicVerification('doc-123', 'aaaaaaaa');
+  assertEqual(fromLegacy.signers.length, 1, 'Legacy signer listed');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🔳 Verification QR Code Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
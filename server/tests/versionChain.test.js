@@ -0,0 +1,156 @@
+/**
+ * VERSION CHAIN TESTS
+ *
+ * Builds version chains from stored versions, checks their hash and audit
+ * links, and summarizes branches
+ */
+
+const {
+  buildVersionChain,
+  validateVersionChain,
+  summarizeBranches,
+  CHAIN_ERRORS
+} = require('../utils/versionChain');
+
+// Test cases
+const tests = [];
+
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(`${message}: expected ${expected}, got ${actual}`);
+  }
+}
+
+function hash(n) {
+  return String(n).repeat(64).substring(0, 64);
+}
+
+function version(number, parentVersion, branch = 'main') {
+  return {
+    version: number,
+    kind: parentVersion === null ? 'original' : 'signed',
+    branch,
+    parentVersion,
+    sha256: hash(number),
+    originalHash: parentVersion === null ? null : hash(parentVersion)
+  };
+}
+
+function auditEntry(from, to) {
+  return { originalHash: hash(from), signedHash: hash(to) };
+}
+
+// Upload (1), two signatures on main (2, 3), and a branch from 2 (4)
+function branchedVersions() {
+  return [version(1, null), version(2, 1), version(3, 2), version(4, 2, 'redo')];
+}
+
+function branchedAudit() {
+  return [auditEntry(1, 2), auditEntry(2, 3), auditEntry(2, 4)];
+}
+
+// ============================================================================
+// CHAINS
+// ============================================================================
+
+test('Walks from a head back to the upload', () => {
+  const main = buildVersionChain(branchedVersions(), 3);
+  assertEqual(main.chain.map(v => v.version).join(','), '1,2,3', 'Main chain');
+  assertEqual(main.missingVersion, null, 'Complete');
+
+  const redo = buildVersionChain(branchedVersions(), 4);
+  assertEqual(redo.chain.map(v => v.version).join(','), '1,2,4', 'Branch skips version 3');
+
+  assertEqual(buildVersionChain(branchedVersions(), 9), null, 'Unknown head');
+});
+
+test('Valid chains have matching hashes and audit entries', () => {
+  const result = validateVersionChain(buildVersionChain(branchedVersions(), 4), branchedAudit());
+  assertEqual(result.valid, true, 'Valid');
+  assertEqual(result.errors.length, 0, 'No errors');
+});
+
+test('Reports a version that signed another document than its predecessor', () => {
+  const versions = branchedVersions();
+  versions[2].originalHash = hash(7);
+
+  const result = validateVersionChain(buildVersionChain(versions, 3), branchedAudit());
+  assertEqual(result.valid, false, 'Invalid');
+  assertEqual(result.errors[0].version, 3, 'Version');
+  assertEqual(result.errors[0].code, CHAIN_ERRORS.hashMismatch, 'Code');
+});
+
+test('Reports missing and mismatched audit entries', () => {
+  const missing = validateVersionChain(buildVersionChain(branchedVersions(), 3), [auditEntry(1, 2)]);
+  assertEqual(missing.errors[0].code, CHAIN_ERRORS.auditMissing, 'Pass without audit entries');
+
+  const mismatched = validateVersionChain(
+    buildVersionChain(branchedVersions(), 3),
+    [auditEntry(1, 2), auditEntry(2, 3), auditEntry(1, 3)]
+  );
+  assertEqual(mismatched.errors[0].code, CHAIN_ERRORS.auditMismatch, 'Entry from another version');
+  assertEqual(mismatched.errors[0].version, 3, 'Version');
+});
+
+test('Reports parents that are not stored and roots that are not uploads', () => {
+  const withoutParent = branchedVersions().filter(v => v.version !== 2);
+  const broken = buildVersionChain(withoutParent, 3);
+  assertEqual(broken.missingVersion, 2, 'Missing parent');
+  assertEqual(validateVersionChain(broken, branchedAudit()).errors[0].code, CHAIN_ERRORS.brokenLink, 'Broken link');
+
+  const versions = branchedVersions();
+  versions[1].parentVersion = null;
+  const result = validateVersionChain(buildVersionChain(versions, 3), branchedAudit());
+  assertEqual(result.errors[0].code, CHAIN_ERRORS.invalidRoot, 'Signed version as root');
+});
+
+// ============================================================================
+// BRANCHES
+// ============================================================================
+
+test('Summarizes branches with heads and base versions', () => {
+  const versions = [...branchedVersions(), version(5, 3)];
+  const [main, redo] = summarizeBranches(versions);
+
+  assertEqual(main.name, 'main', 'Main first');
+  assertEqual(main.head, 5, 'Main head');
+  assertEqual(main.baseVersion, null, 'Main starts at the upload');
+  assertEqual(main.versionCount, 4, 'Main versions');
+  assertEqual(redo.head, 4, 'Branch head');
+  assertEqual(redo.baseVersion, 2, 'Branched from version 2');
+});
+
+// ============================================================================
+// RUN TESTS
+// ============================================================================
+
+(async () => {
+  console.log('\n🌿 Version Chain Tests\n');
+  console.log('═'.repeat(60));
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const { name, fn } of tests) {
+    try {
+      await fn();
+      console.log(`✓ ${name}`);
+      passed++;
+    } catch (error) {
+      console.log(`✗ ${name}`);
+      console.log(`  ${error.message}`);
+      failed++;
+    }
+  }
+
+  console.log('═'.repeat(60));
+  console.log(`\nResults: ${passed} passed, ${failed} failed\n`);
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+})();
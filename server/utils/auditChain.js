@@ -0,0 +1,252 @@
+/**
+ * HASH-CHAINED AUDIT LOG
+ *
+ * Makes audit_logs tamper-evident:
+ * - Every entry stores the hash of the previous entry, globally and within
+ *   its document, and the hash of its own content plus those links
+ * - Recomputing the chain finds edited, deleted or reordered entries
+ * - Signed checkpoints of the global head (PKCS#7 with the server
+ *   certificate) catch a chain rewritten or truncated after the checkpoint
+ *
+ * Verification bookkeeping (verifications, integrityStatus, updatedAt) is
+ * updated after insert, so it is not covered by the entry hash.
+ */
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { createDetachedSignature } = require('./cryptoSigner');
+const { toAuditRecord } = require('./timestampAuthority');
+
+// Fields left out of the entry hash: the chain itself and mutable bookkeeping
+const UNHASHED_FIELDS = ['chain', 'verifications', 'integrityStatus', 'updatedAt'];
+
+const CHAIN_ERRORS = {
+  entryModified: 'ENTRY_MODIFIED',
+  entryMissing: 'ENTRY_MISSING',
+  linkBroken: 'LINK_BROKEN',
+  checkpointMismatch: 'CHECKPOINT_MISMATCH'
+};
+
+const CHECKPOINT_TYPE = 'audit-chain-checkpoint';
+
+/**
+ * Copy of an entry without undefined members (undefined array items become null)
+ *
+ * MongoDB stores undefined as null or drops it depending on driver settings;
+ * entries are stripped before hashing so what is stored is what was hashed.
+ *
+ * @param {*} value - Entry or part of one
+ * @returns {*} Copy with plain objects and arrays rebuilt
+ */
+function stripUndefined(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => (item === undefined ? null : stripUndefined(item)));
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    const copy = {};
+    for (const [key, member] of Object.entries(value)) {
+      if (member !== undefined) copy[key] = stripUndefined(member);
+    }
+    return copy;
+  }
+  return value;
+}
+
+/**
+ * Deterministic JSON: sorted keys, dates as ISO strings, ObjectIds as hex,
+ * binary as base64; undefined members are left out as in JSON.stringify
+ *
+ * @param {*} value - Value read from or written to MongoDB
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (value === undefined || value === null) return 'null';
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Buffer.isBuffer(value)) return JSON.stringify(value.toString('base64'));
+  if (value._bsontype === 'ObjectId') return JSON.stringify(value.toHexString());
+  if (value._bsontype === 'Binary') return JSON.stringify(Buffer.from(value.buffer).toString('base64'));
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash of an entry's content and chain links
+ *
+ * @param {Object} entry - Audit entry (with _id, without or with chain)
+ * @param {Object} links - { sequence, documentSequence, previousHash, previousDocumentHash }
+ * @returns {string} Hex SHA-256
+ */
+function computeEntryHash(entry, links) {
+  const content = { ...entry };
+  for (const field of UNHASHED_FIELDS) delete content[field];
+
+  const { sequence, documentSequence, previousHash, previousDocumentHash } = links;
+  return crypto
+    .createHash('sha256')
+    .update(canonicalJson({ content, links: { sequence, documentSequence, previousHash, previousDocumentHash } }))
+    .digest('hex');
+}
+
+/**
+ * Chain block for a new entry
+ *
+ * @param {Object} entry - Audit entry about to be inserted (with _id)
+ * @param {Object|null} previous - chain block of the newest entry overall
+ * @param {Object|null} previousInDocument - chain block of the document's newest entry
+ * @returns {Object} { sequence, documentSequence, previousHash, previousDocumentHash, entryHash }
+ */
+function linkEntry(entry, previous, previousInDocument) {
+  const links = {
+    sequence: previous ? previous.sequence + 1 : 1,
+    documentSequence: previousInDocument ? previousInDocument.documentSequence + 1 : 1,
+    previousHash: previous ? previous.entryHash : null,
+    previousDocumentHash: previousInDocument ? previousInDocument.entryHash : null
+  };
+  return { ...links, entryHash: computeEntryHash(entry, links) };
+}
+
+/**
+ * Recompute a chain and report its first broken link
+ *
+ * @param {Iterable|AsyncIterable} entries - Chained entries ordered by
+ *   chain.sequence (global) or chain.documentSequence (document)
+ * @param {Object} options - {
+ *   scope: 'global' | 'document',
+ *   checkpoints: [{ sequence, headHash }] (global scope only)
+ * }
+ * @returns {Promise<Object>} { valid, checkedEntries, head: { sequence, entryHash, auditId } | null,
+ *   brokenLink: null | { sequence, auditId, code, message } }
+ */
+async function verifyChain(entries, options = {}) {
+  const scope = options.scope || 'global';
+  const sequenceField = scope === 'global' ? 'sequence' : 'documentSequence';
+  const previousField = scope === 'global' ? 'previousHash' : 'previousDocumentHash';
+  const checkpoints = new Map((options.checkpoints || []).map(checkpoint => [checkpoint.sequence, checkpoint]));
+
+  let checkedEntries = 0;
+  let head = null;
+
+  const broken = (entry, code, message) => ({
+    valid: false,
+    checkedEntries,
+    head,
+    brokenLink: { sequence: entry ? entry.chain[sequenceField] : null, auditId: entry ? entry._id : null, code, message }
+  });
+
+  for await (const entry of entries) {
+    const { chain } = entry;
+    const expectedSequence = head ? head.sequence + 1 : 1;
+
+    if (chain[sequenceField] !== expectedSequence) {
+      return broken(entry, CHAIN_ERRORS.entryMissing,
+        `Expected entry ${expectedSequence}, found ${chain[sequenceField]}: entries were deleted`);
+    }
+    if (chain[previousField] !== (head ? head.entryHash : null)) {
+      return broken(entry, CHAIN_ERRORS.linkBroken,
+        `Entry ${expectedSequence} does not link to entry ${expectedSequence - 1}`);
+    }
+    if (computeEntryHash(entry, chain) !== chain.entryHash) {
+      return broken(entry, CHAIN_ERRORS.entryModified,
+        `Entry ${expectedSequence} was modified after it was written`);
+    }
+
+    const checkpoint = scope === 'global' ? checkpoints.get(chain.sequence) : null;
+    if (checkpoint && checkpoint.headHash !== chain.entryHash) {
+      return broken(entry, CHAIN_ERRORS.checkpointMismatch,
+        `Entry ${expectedSequence} differs from the signed checkpoint: the chain was rewritten`);
+    }
+
+    checkedEntries++;
+    head = { sequence: chain[sequenceField], entryHash: chain.entryHash, auditId: entry._id };
+  }
+
+  // Checkpoints past the head: entries after it were deleted
+  const lastCheckpoint = [...checkpoints.values()].sort((a, b) => b.sequence - a.sequence)[0];
+  if (lastCheckpoint && (!head || lastCheckpoint.sequence > head.sequence)) {
+    return broken(null, CHAIN_ERRORS.checkpointMismatch,
+      `A signed checkpoint covers entry ${lastCheckpoint.sequence}, but the chain ends at ${head ? head.sequence : 0}`);
+  }
+
+  return { valid: true, checkedEntries, head, brokenLink: null };
+}
+
+/**
+ * Signed statement of the chain head
+ *
+ * @param {Object} head - { sequence, entryHash, auditId } of the newest entry
+ * @param {Object} credentials - Server signing credentials (see cryptoSigner)
+ * @param {Object} options - { timestampAuthority: TSA config, createdAt: Date }
+ * @returns {Promise<Object>} Checkpoint record: { sequence, headHash, auditId,
+ *   createdAt, payload (signed JSON), signature (base64 DER PKCS#7, detached),
+ *   certificate (PEM), certificateInfo, timestamp }
+ */
+async function createCheckpoint(head, credentials, options = {}) {
+  const createdAt = options.createdAt || new Date();
+  const payload = canonicalJson({
+    type: CHECKPOINT_TYPE,
+    sequence: head.sequence,
+    headHash: head.entryHash,
+    auditId: head.auditId,
+    createdAt
+  });
+
+  const { signature, timestamp } = await createDetachedSignature(Buffer.from(payload, 'utf8'), credentials, {
+    signingTime: createdAt,
+    timestampAuthority: options.timestampAuthority
+  });
+
+  return {
+    sequence: head.sequence,
+    headHash: head.entryHash,
+    auditId: head.auditId,
+    createdAt,
+    payload,
+    signature: signature.toString('base64'),
+    certificate: forge.pki.certificateToPem(credentials.certificate),
+    certificateInfo: credentials.certificateInfo || null,
+    timestamp: timestamp ? toAuditRecord(timestamp) : null
+  };
+}
+
+/**
+ * Check a checkpoint's signature against its payload and certificate
+ *
+ * @param {Object} checkpoint - createCheckpoint record
+ * @returns {boolean} Whether the PKCS#7 signature covers the payload
+ */
+function verifyCheckpointSignature(checkpoint) {
+  const signedData = forge.pkcs7.messageFromAsn1(
+    forge.asn1.fromDer(Buffer.from(checkpoint.signature, 'base64').toString('binary'))
+  );
+  const signer = signedData.rawCapture;
+  const certificate = forge.pki.certificateFromPem(checkpoint.certificate);
+
+  // Signed attributes carry the payload digest; the signature covers the attributes
+  const attributes = signer.authenticatedAttributes;
+  const digestAttribute = attributes.find(attribute =>
+    forge.asn1.derToOid(attribute.value[0].value) === forge.pki.oids.messageDigest);
+  const payloadDigest = crypto.createHash('sha256').update(checkpoint.payload, 'utf8').digest('binary');
+  if (!digestAttribute || digestAttribute.value[1].value[0].value !== payloadDigest) {
+    return false;
+  }
+
+  const attributeSet = forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SET, true, attributes);
+  const attributeDigest = forge.md.sha256.create();
+  attributeDigest.update(forge.asn1.toDer(attributeSet).getBytes());
+  return certificate.publicKey.verify(attributeDigest.digest().getBytes(), signer.signature);
+}
+
+module.exports = {
+  stripUndefined,
+  canonicalJson,
+  computeEntryHash,
+  linkEntry,
+  verifyChain,
+  createCheckpoint,
+  verifyCheckpointSignature,
+  CHAIN_ERRORS
+};
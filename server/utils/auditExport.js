@@ -0,0 +1,266 @@
+/**
+ * AUDIT TRAIL EXPORT
+ *
+ * Turns audit entries into compliance extracts:
+ * - CSV: one row per entry, fixed columns, RFC 4180 quoting
+ * - JSONL: one stored entry per line, as returned by the API
+ * - PDF: a printable report (pdf-lib), with the filters and entry count
+ *
+ * CSV and JSONL are produced entry by entry from a cursor, so an export never
+ * holds the whole range. pdf-lib builds documents in memory, so PDF reports
+ * are limited to MAX_PDF_REPORT_ENTRIES.
+ */
+
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
+const { PDFDocument, StandardFonts, rgb } = require('pdf-lib');
+const { formatTimestamp } = require('./fieldRenderers');
+const { truncateToWidth } = require('./certificateOfCompletion');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'jsonl' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const MAX_PDF_REPORT_ENTRIES = 5000;
+
+// CSV columns and how each is read from an entry
+const CSV_COLUMNS = [
+  ['auditId', entry => entry._id],
+  ['documentId', entry => entry.documentId],
+  ['createdAt', entry => entry.createdAt],
+  ['signerName', entry => entry.signer?.name],
+  ['signerEmail', entry => entry.signer?.email],
+  ['signedAt', entry => entry.signer?.timestamp],
+  ['ipAddress', entry => entry.signer?.ipAddress],
+  ['fieldType', entry => entry.fieldType],
+  ['pageIndex', entry => entry.pageIndex],
+  ['placementIndex', entry => entry.placementIndex],
+  ['signatureCount', entry => entry.signatureCount],
+  ['originalHash', entry => entry.originalHash],
+  ['signedHash', entry => entry.signedHash],
+  ['integrityStatus', entry => entry.integrityStatus],
+  ['trustedTimestamp', entry => entry.trustedTimestamp?.genTime],
+  ['certificateSubject', entry => entry.cryptographicSignature?.certificate?.subject],
+  ['chainSequence', entry => entry.chain?.sequence],
+  ['entryHash', entry => entry.chain?.entryHash],
+  ['event', entry => entry.event?.type]
+];
+
+// PDF report layout (A4 landscape)
+const PAGE_SIZE = [841.89, 595.28];
+const MARGIN = 40;
+const TITLE_SIZE = 16;
+const TEXT_SIZE = 8;
+const ROW_HEIGHT = 14;
+const HEADER_COLOR = rgb(0.93, 0.93, 0.93);
+const BORDER_COLOR = rgb(0.75, 0.75, 0.75);
+const MUTED_COLOR = rgb(0.35, 0.35, 0.35);
+
+const REPORT_COLUMNS = [
+  ['Date (UTC)', 100, entry => formatTimestamp(entry.createdAt).replace(' UTC', '')],
+  ['Document', 120, entry => entry.documentId],
+  ['Signer', 110, entry => entry.signer?.name],
+  ['Email', 140, entry => entry.signer?.email],
+  ['Field', 50, entry => entry.fieldType || entry.event?.type.replace('signing_token.', 'link ')],
+  ['Page', 30, entry => (entry.pageIndex || 0) + 1],
+  ['Signed hash', 90, entry => (entry.signedHash || '').substring(0, 16)],
+  ['Status', 50, entry => entry.integrityStatus],
+  ['Seq.', 40, entry => entry.chain?.sequence ?? '']
+];
+
+/**
+ * Quote a CSV field when it holds a delimiter, quote or line break
+ *
+ * Fields starting with = + - @ are prefixed with ' so spreadsheets do not
+ * run them as formulas.
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV lines for entries, header first
+ *
+ * @param {AsyncIterable} entries - Audit entries (e.g. a MongoDB cursor)
+ * @returns {AsyncGenerator<string>} Lines ending in CRLF
+ */
+async function* csvLines(entries) {
+  yield `${CSV_COLUMNS.map(([name]) => name).join(',')}\r\n`;
+  for await (const entry of entries) {
+    yield `${CSV_COLUMNS.map(([, read]) => csvField(read(entry))).join(',')}\r\n`;
+  }
+}
+
+/**
+ * JSON Lines for entries
+ *
+ * @param {AsyncIterable} entries - Audit entries
+ * @returns {AsyncGenerator<string>} One JSON document per line
+ */
+async function* jsonLines(entries) {
+  for await (const entry of entries) {
+    yield `${JSON.stringify(entry)}\n`;
+  }
+}
+
+/**
+ * Short description of export filters, for file names and the report
+ */
+function describeFilters(filters) {
+  const parts = [];
+  if (filters.documentId) parts.push(`document ${filters.documentId}`);
+  if (filters.signer) parts.push(`signer ${filters.signer}`);
+  if (filters.from) parts.push(`from ${formatTimestamp(filters.from)}`);
+  if (filters.to) parts.push(`until ${formatTimestamp(filters.to)}`);
+  return parts.join(', ');
+}
+
+/**
+ * Printable report of audit entries
+ *
+ * @param {AsyncIterable} entries - Audit entries, oldest first
+ * @param {Object} info - { exportId, filters, generatedAt }
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+async function buildPdfReport(entries, info) {
+  const pdfDoc = await PDFDocument.create();
+  const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const generatedAt = info.generatedAt || new Date();
+
+  pdfDoc.setTitle('Audit Trail Export');
+  pdfDoc.setCreationDate(generatedAt);
+
+  const [pageWidth, pageHeight] = PAGE_SIZE;
+  let page;
+  let cursorY;
+
+  const text = (value, x, y, font = regular, size = TEXT_SIZE, color = rgb(0, 0, 0), maxWidth = pageWidth - 2 * MARGIN) => {
+    page.drawText(truncateToWidth(font, value, size, maxWidth), { x, y, size, font, color });
+  };
+
+  const drawRow = (values, font, background) => {
+    const top = cursorY;
+    if (background) {
+      page.drawRectangle({ x: MARGIN, y: top - ROW_HEIGHT, width: pageWidth - 2 * MARGIN, height: ROW_HEIGHT, color: background });
+    }
+    let x = MARGIN;
+    for (const [index, [, width]] of REPORT_COLUMNS.entries()) {
+      text(values[index] ?? '', x + 2, top - ROW_HEIGHT + 4, font, TEXT_SIZE, rgb(0, 0, 0), width - 4);
+      x += width;
+    }
+    page.drawLine({
+      start: { x: MARGIN, y: top - ROW_HEIGHT },
+      end: { x: pageWidth - MARGIN, y: top - ROW_HEIGHT },
+      thickness: 0.5,
+      color: BORDER_COLOR
+    });
+    cursorY -= ROW_HEIGHT;
+  };
+
+  const addPage = () => {
+    page = pdfDoc.addPage(PAGE_SIZE);
+    cursorY = pageHeight - MARGIN;
+    drawRow(REPORT_COLUMNS.map(([label]) => label), bold, HEADER_COLOR);
+  };
+
+  // Title block, then the table
+  page = pdfDoc.addPage(PAGE_SIZE);
+  cursorY = pageHeight - MARGIN - TITLE_SIZE;
+  text('Audit Trail Export', MARGIN, cursorY, bold, TITLE_SIZE);
+  cursorY -= TITLE_SIZE;
+  for (const line of [
+    `Filters: ${describeFilters(info.filters) || 'none'}`,
+    `Generated: ${formatTimestamp(generatedAt)}`,
+    `Export ID: ${info.exportId}`
+  ]) {
+    text(line, MARGIN, cursorY, regular, 9, MUTED_COLOR);
+    cursorY -= 13;
+  }
+  cursorY -= 6;
+  drawRow(REPORT_COLUMNS.map(([label]) => label), bold, HEADER_COLOR);
+
+  let entryCount = 0;
+  for await (const entry of entries) {
+    if (cursorY - ROW_HEIGHT < MARGIN + ROW_HEIGHT) addPage();
+    drawRow(REPORT_COLUMNS.map(([, , read]) => read(entry)), regular);
+    entryCount++;
+  }
+
+  cursorY -= ROW_HEIGHT;
+  if (cursorY < MARGIN + ROW_HEIGHT) addPage();
+  text(
+    `${entryCount} entries. The SHA-256 of this file is in the export manifest (GET /api/audit/exports/${info.exportId}).`,
+    MARGIN, cursorY, regular, 9, MUTED_COLOR
+  );
+
+  // Page numbers once the page count is known
+  const pages = pdfDoc.getPages();
+  for (const [index, reportPage] of pages.entries()) {
+    reportPage.drawText(`Page ${index + 1} of ${pages.length}`, {
+      x: pageWidth - MARGIN - 60,
+      y: MARGIN / 2,
+      size: TEXT_SIZE,
+      font: regular,
+      color: MUTED_COLOR
+    });
+  }
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Readable stream of an export's bytes
+ *
+ * @param {AsyncIterable} entries - Audit entries, oldest first
+ * @param {string} format - 'csv' | 'jsonl' | 'pdf'
+ * @param {Object} info - { exportId, filters, generatedAt } (PDF reports)
+ * @returns {Readable} Export bytes
+ */
+function createExportStream(entries, format, info = {}) {
+  if (format === 'csv') return Readable.from(csvLines(entries));
+  if (format === 'jsonl') return Readable.from(jsonLines(entries));
+  return Readable.from((async function* report() {
+    yield await buildPdfReport(entries, info);
+  })());
+}
+
+/**
+ * Pass-through stream that hashes and measures what flows through it
+ *
+ * @param {Function} onDigest - Called with { sha256, size } before the stream ends
+ * @returns {Transform} Stream
+ */
+function createDigestStream(onDigest) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const bytes = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      hash.update(bytes);
+      size += bytes.length;
+      callback(null, bytes);
+    },
+    flush(callback) {
+      onDigest({ sha256: hash.digest('hex'), size });
+      callback();
+    }
+  });
+}
+
+module.exports = {
+  createExportStream,
+  createDigestStream,
+  buildPdfReport,
+  csvLines,
+  jsonLines,
+  csvField,
+  describeFilters,
+  EXPORT_FORMATS,
+  MAX_PDF_REPORT_ENTRIES
+};
@@ -0,0 +1,289 @@
+/**
+ * AUDIT SEARCH QUERIES
+ *
+ * Turns client query parameters into MongoDB queries on audit_logs, for
+ * search and export alike:
+ * - Only whitelisted filters, each parsed to a string, number or Date, so
+ *   operators such as signer[$ne]= never reach the database
+ * - Sorting on a whitelisted field, with _id as the tie-breaker
+ * - Cursor pagination: the cursor holds the sort value and _id of the last
+ *   entry returned, so pages stay stable while entries are appended. The
+ *   value must have the sort field's type, so a crafted cursor cannot carry
+ *   an operator either
+ */
+
+const { ObjectId, BSON } = require('mongodb');
+
+const SEARCH_ERROR = 'INVALID_SEARCH';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const INTEGRITY_STATUSES = ['valid', 'tampered', 'pending'];
+
+// Sort parameter (prefix '-' for descending) and the field it orders by
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  documentId: 'documentId',
+  signer: 'signer.email',
+  pageIndex: 'pageIndex'
+};
+
+// Type of each sort field's values, as a cursor carries them (null when missing)
+const SORT_VALUE_CHECKS = {
+  createdAt: (value) => value instanceof Date && !isNaN(value.getTime()),
+  documentId: (value) => typeof value === 'string',
+  'signer.email': (value) => typeof value === 'string',
+  pageIndex: (value) => typeof value === 'number' && Number.isFinite(value)
+};
+
+const DEFAULT_SORT = '-createdAt';
+
+// Parameters GET /api/audit accepts
+const SEARCH_PARAMS = [
+  'signer', 'signerName', 'documentId', 'from', 'to',
+  'integrityStatus', 'pageIndex', 'reason',
+  'sort', 'limit', 'cursor'
+];
+
+// Parameters of the per-document and per-signer audit trails, paged newest first
+const PAGE_PARAMS = ['limit', 'cursor'];
+
+function searchError(message) {
+  const error = new Error(message);
+  error.code = SEARCH_ERROR;
+  return error;
+}
+
+/**
+ * Escape a string for use as a literal in a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Date from a query parameter (ISO 8601 date or date-time)
+ *
+ * @returns {Date|null|undefined} Date, null when invalid, undefined when absent
+ */
+function parseDateParam(value) {
+  if (value === undefined || value === '') return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Date from a search parameter that is present
+ */
+function parseDate(name, value) {
+  const date = parseDateParam(value);
+  if (!date) {
+    throw searchError(`${name} must be an ISO 8601 date`);
+  }
+  return date;
+}
+
+/**
+ * Non-negative integer from a query parameter
+ */
+function parseInteger(name, value, max = Number.MAX_SAFE_INTEGER) {
+  if (!/^\d+$/.test(value) || Number(value) > max) {
+    throw searchError(`${name} must be an integer between 0 and ${max}`);
+  }
+  return Number(value);
+}
+
+/**
+ * Cursor for the entry after which the next page starts
+ *
+ * @param {Object} entry - Last entry of a page
+ * @param {string} sort - Sort parameter the page was read with
+ * @returns {string} Opaque base64url cursor
+ */
+function encodeCursor(entry, sort) {
+  const field = SORT_FIELDS[sort.replace(/^-/, '')];
+  const value = field.split('.').reduce((member, key) => member?.[key], entry);
+  return Buffer.from(
+    BSON.EJSON.stringify({ sort, value: value ?? null, id: entry._id })
+  ).toString('base64url');
+}
+
+/**
+ * Read a cursor back
+ *
+ * @param {string} cursor - encodeCursor output
+ * @param {string} sort - Sort parameter of the current request
+ * @returns {Object} { value, id }
+ * @throws {Error} INVALID_SEARCH for a malformed cursor, one of another sort,
+ *   or one whose value is not of the sort field's type
+ */
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = BSON.EJSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw searchError('cursor is not valid');
+  }
+  if (!decoded || !(decoded.id instanceof ObjectId) || !('value' in decoded)) {
+    throw searchError('cursor is not valid');
+  }
+  if (decoded.sort !== sort) {
+    throw searchError(`cursor was issued for sort=${decoded.sort}; repeat the search with that sort`);
+  }
+  const field = SORT_FIELDS[sort.replace(/^-/, '')];
+  if (decoded.value !== null && !SORT_VALUE_CHECKS[field](decoded.value)) {
+    throw searchError('cursor is not valid');
+  }
+  return { value: decoded.value, id: decoded.id };
+}
+
+/**
+ * Validate GET /api/audit query parameters
+ *
+ * @param {Object} params - req.query
+ * @returns {Object} { filters, sort, limit, after: { value, id } | null }
+ * @throws {Error} code INVALID_SEARCH for unknown, repeated or malformed parameters
+ */
+function parseSearchParams(params) {
+  for (const [name, value] of Object.entries(params)) {
+    if (!SEARCH_PARAMS.includes(name)) {
+      throw searchError(`Unknown parameter: ${name} (allowed: ${SEARCH_PARAMS.join(', ')})`);
+    }
+    // Arrays and objects (e.g. signer[$ne]=) are never filters
+    if (typeof value !== 'string') {
+      throw searchError(`${name} must be given once, as a plain value`);
+    }
+  }
+
+  const present = (name) => params[name] !== undefined && params[name] !== '';
+  const filters = {};
+
+  if (present('signer')) filters.signer = params.signer;
+  if (present('signerName')) filters.signerName = params.signerName;
+  if (present('documentId')) filters.documentId = params.documentId;
+  if (present('reason')) filters.reason = params.reason;
+  if (present('from')) filters.from = parseDate('from', params.from);
+  if (present('to')) filters.to = parseDate('to', params.to);
+  if (filters.from && filters.to && filters.from >= filters.to) {
+    throw searchError('from must be before to');
+  }
+  if (present('integrityStatus')) {
+    if (!INTEGRITY_STATUSES.includes(params.integrityStatus)) {
+      throw searchError(`integrityStatus must be one of: ${INTEGRITY_STATUSES.join(', ')}`);
+    }
+    filters.integrityStatus = params.integrityStatus;
+  }
+  if (present('pageIndex')) filters.pageIndex = parseInteger('pageIndex', params.pageIndex);
+
+  const sort = present('sort') ? params.sort : DEFAULT_SORT;
+  if (!SORT_FIELDS[sort.replace(/^-/, '')]) {
+    throw searchError(
+      `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')} (prefix - for descending)`
+    );
+  }
+
+  const limit = present('limit') ? parseInteger('limit', params.limit, MAX_LIMIT) : DEFAULT_LIMIT;
+  if (limit === 0) {
+    throw searchError(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const after = present('cursor') ? decodeCursor(params.cursor, sort) : null;
+
+  return { filters, sort, limit, after };
+}
+
+/**
+ * Validate the paging parameters of GET /api/audit/:documentId and
+ * GET /api/audit/signer/:email
+ *
+ * @param {Object} params - req.query
+ * @returns {Object} parseSearchParams result, sorted by -createdAt and
+ *   without filters (the route sets them from its path)
+ * @throws {Error} code INVALID_SEARCH for any other parameter, or a
+ *   malformed limit or cursor
+ */
+function parsePageParams(params) {
+  for (const name of Object.keys(params)) {
+    if (!PAGE_PARAMS.includes(name)) {
+      throw searchError(`Unknown parameter: ${name} (allowed: ${PAGE_PARAMS.join(', ')})`);
+    }
+  }
+  return parseSearchParams(params);
+}
+
+/**
+ * MongoDB query for search and export filters
+ *
+ * @param {Object} filters - parseSearchParams filters, or export filters
+ *   { documentId, signer, from, to } (absent members may be null); routes
+ *   may add excludeEvents to leave out envelope events
+ * @returns {Object} Query on audit_logs
+ */
+function buildSearchQuery(filters) {
+  const query = {};
+  if (filters.signer) query['signer.email'] = filters.signer;
+  if (filters.signerName) {
+    // Anchored and case-sensitive, so the signer.name index serves it;
+    // the name is matched literally
+    query['signer.name'] = { $regex: `^${escapeRegExp(filters.signerName)}` };
+  }
+  if (filters.documentId) query.documentId = filters.documentId;
+  if (filters.reason) query['metadata.reason'] = filters.reason;
+  if (filters.integrityStatus) query.integrityStatus = filters.integrityStatus;
+  if (filters.pageIndex !== undefined) query.pageIndex = filters.pageIndex;
+  if (filters.excludeEvents) query.event = null;
+  if (filters.from || filters.to) {
+    query.createdAt = {};
+    if (filters.from) query.createdAt.$gte = filters.from;
+    if (filters.to) query.createdAt.$lt = filters.to;
+  }
+  return query;
+}
+
+/**
+ * Sort specification and the condition for entries after a cursor
+ *
+ * Missing values sort before any other value (MongoDB order), so entries
+ * without the field come first ascending and last descending.
+ *
+ * @param {string} sort - Sort parameter
+ * @param {Object|null} after - Decoded cursor
+ * @returns {Object} { sort: MongoDB sort, condition: query | null }
+ */
+function pageOrder(sort, after) {
+  const descending = sort.startsWith('-');
+  const field = SORT_FIELDS[sort.replace(/^-/, '')];
+  const direction = descending ? -1 : 1;
+  const order = { [field]: direction, _id: direction };
+
+  if (!after) return { sort: order, condition: null };
+
+  const beyond = descending ? '$lt' : '$gt';
+  const sameValueAfter = { [field]: after.value, _id: { [beyond]: after.id } };
+
+  let condition;
+  if (after.value === null) {
+    condition = descending
+      ? sameValueAfter
+      : { $or: [sameValueAfter, { [field]: { $ne: null } }] };
+  } else {
+    condition = { $or: [{ [field]: { [beyond]: after.value } }, sameValueAfter] };
+    if (descending) condition.$or.push({ [field]: null });
+  }
+
+  return { sort: order, condition };
+}
+
+module.exports = {
+  parseDateParam,
+  parseSearchParams,
+  parsePageParams,
+  buildSearchQuery,
+  pageOrder,
+  encodeCursor,
+  decodeCursor,
+  SEARCH_ERROR,
+  SORT_FIELDS,
+  MAX_LIMIT
+};
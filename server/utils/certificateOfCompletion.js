@@ -0,0 +1,258 @@
+/**
+ * CERTIFICATE OF COMPLETION
+ *
+ * Appends a human-readable evidence page to a signed document:
+ * - Document ID, original and signed-content SHA-256 hashes
+ * - One row per signature: signer name, email, time, IP and page
+ * - A thumbnail of each signature
+ * - Same page size as the document (as displayed), continued on extra pages
+ */
+
+const { StandardFonts, rgb, degrees } = require('pdf-lib');
+const { readPageGeometry } = require('./coordinateTransform');
+const { embedFieldFont, formatTimestamp, toWinAnsi } = require('./fieldRenderers');
+const { vectorOperators } = require('./vectorSignature');
+
+const MARGIN = 50;
+const TITLE_SIZE = 18;
+const LABEL_SIZE = 9;
+const TEXT_SIZE = 9;
+const HASH_SIZE = 8;
+const LINE_GAP = 4;
+const ROW_HEIGHT = 66;
+const THUMBNAIL_WIDTH = 130;
+const THUMBNAIL_HEIGHT = 52;
+const THUMBNAIL_PADDING = 4;
+
+const BORDER_COLOR = rgb(0.75, 0.75, 0.75);
+const MUTED_COLOR = rgb(0.35, 0.35, 0.35);
+
+/**
+ * Shorten text with an ellipsis until it fits the given width
+ */
+function truncateToWidth(font, text, size, maxWidth) {
+  let value = toWinAnsi(text);
+  if (font.widthOfTextAtSize(value, size) <= maxWidth) return value;
+
+  while (value.length > 1 && font.widthOfTextAtSize(`${value}...`, size) > maxWidth) {
+    value = value.slice(0, -1);
+  }
+  return `${value}...`;
+}
+
+/**
+ * Embed the region of the signed page an entry covers, for entries whose
+ * signature image is not at hand (e.g. earlier signing passes)
+ *
+ * @returns {Promise<Object|null>} { embedded, rotation } or null when the region is unknown
+ */
+async function embedPageRegion(pdfDoc, entry) {
+  const box = entry.coordinates?.pdf;
+  const pageIndex = entry.pageIndex || 0;
+  if (!box || !box.width || !box.height || pageIndex >= pdfDoc.getPageCount()) {
+    return null;
+  }
+
+  const page = pdfDoc.getPage(pageIndex);
+  if (!page.node.Contents()) {
+    return null;
+  }
+
+  const embedded = await pdfDoc.embedPage(page, {
+    left: box.x,
+    bottom: box.y,
+    right: box.x + box.width,
+    top: box.y + box.height
+  });
+  return { embedded, rotation: readPageGeometry(page).rotation };
+}
+
+/**
+ * Draw a thumbnail centered in its cell, upright as it appears on its page
+ */
+function drawThumbnail(page, thumbnail, cell) {
+  const { image, vector, embedded, rotation = 0 } = thumbnail;
+  const source = image || vector?.bounds || embedded;
+
+  // Embedded page regions are in user space; turn them like the page displays
+  const quarterTurn = rotation === 90 || rotation === 270;
+  const displayWidth = quarterTurn ? source.height : source.width;
+  const displayHeight = quarterTurn ? source.width : source.height;
+
+  // Aspect-preserving fit, centered in the cell
+  const availableWidth = cell.width - 2 * THUMBNAIL_PADDING;
+  const availableHeight = cell.height - 2 * THUMBNAIL_PADDING;
+  const scale = Math.min(availableWidth / displayWidth, availableHeight / displayHeight);
+  const fit = { width: displayWidth * scale, height: displayHeight * scale };
+  const left = cell.x + THUMBNAIL_PADDING + (availableWidth - fit.width) / 2;
+  const bottom = cell.y + THUMBNAIL_PADDING + (availableHeight - fit.height) / 2;
+
+  if (image) {
+    page.drawImage(image, { x: left, y: bottom, width: fit.width, height: fit.height });
+    return;
+  }
+
+  if (vector) {
+    page.pushOperators(...vectorOperators(vector, { ...fit, offsetX: left, offsetY: bottom }));
+    return;
+  }
+
+  // Region's bottom-left corner, as seen on the displayed page
+  const anchors = {
+    0: { x: left, y: bottom },
+    90: { x: left, y: bottom + fit.height },
+    180: { x: left + fit.width, y: bottom + fit.height },
+    270: { x: left + fit.width, y: bottom }
+  };
+  page.drawPage(embedded, {
+    ...anchors[rotation],
+    xScale: scale,
+    yScale: scale,
+    rotate: degrees(-rotation)
+  });
+}
+
+/**
+ * Append the certificate of completion
+ *
+ * @param {PDFDocument} pdfDoc - Signed document (not yet saved)
+ * @param {Object} data - {
+ *   documentId: string,
+ *   originalHash: string (SHA-256 of the document as first received),
+ *   contentHash: string (SHA-256 of the signed document without this page),
+ *   generatedAt: Date,
+ *   entries: [{
+ *     signer: { name, email, timestamp, ipAddress },
+ *     pageIndex: number,
+ *     coordinates: { pdf: { x, y, width, height } },
+ *     thumbnail: PDFImage (optional),
+ *     vector: normalized strokes (optional; the page region is used when
+ *       neither is given)
+ *   }]
+ * }
+ * @returns {Promise<Object>} { pageIndices: number[], signatureCount: number }
+ */
+async function appendCertificatePage(pdfDoc, data) {
+  // Shared with the field renderers, so fonts already used are not embedded twice
+  const { font: regular } = await embedFieldFont(pdfDoc, { font: StandardFonts.Helvetica });
+  const { font: bold } = await embedFieldFont(pdfDoc, { font: StandardFonts.HelveticaBold });
+  const { font: mono } = await embedFieldFont(pdfDoc, { font: StandardFonts.Courier });
+
+  // Same size as the first page, as displayed
+  const { displaySize } = readPageGeometry(pdfDoc.getPage(0));
+  const { width: pageWidth, height: pageHeight } = displaySize;
+  const contentWidth = pageWidth - 2 * MARGIN;
+
+  const pageIndices = [];
+  let page;
+  let cursorY;
+
+  const text = (value, x, y, font = regular, size = TEXT_SIZE, color = rgb(0, 0, 0), maxWidth = contentWidth) => {
+    page.drawText(truncateToWidth(font, value, size, maxWidth), { x, y, size, font, color });
+  };
+
+  const addPage = (continued) => {
+    page = pdfDoc.addPage([pageWidth, pageHeight]);
+    pageIndices.push(pdfDoc.getPageCount() - 1);
+    cursorY = pageHeight - MARGIN - TITLE_SIZE;
+
+    text(continued ? 'Certificate of Completion (continued)' : 'Certificate of Completion', MARGIN, cursorY, bold, TITLE_SIZE);
+    cursorY -= TITLE_SIZE;
+  };
+
+  addPage(false);
+
+  // Document summary
+  const summary = [
+    ['Document ID', data.documentId || 'unknown', regular, TEXT_SIZE],
+    ['Generated', formatTimestamp(data.generatedAt || new Date()), regular, TEXT_SIZE],
+    ['Original SHA-256', data.originalHash, mono, HASH_SIZE],
+    ['Signed SHA-256', data.contentHash, mono, HASH_SIZE]
+  ];
+  for (const [label, value, font, size] of summary) {
+    text(label, MARGIN, cursorY, bold, LABEL_SIZE, MUTED_COLOR);
+    cursorY -= LABEL_SIZE + LINE_GAP;
+    text(value, MARGIN, cursorY, font, size);
+    cursorY -= size + 2 * LINE_GAP;
+  }
+
+  text(
+    'The signed hash covers the document without this certificate, saved as its own revision.',
+    MARGIN, cursorY, regular, LABEL_SIZE, MUTED_COLOR
+  );
+  cursorY -= LABEL_SIZE + 3 * LINE_GAP;
+
+  text(`Signatures (${data.entries.length})`, MARGIN, cursorY, bold, 12);
+  cursorY -= 12;
+
+  if (data.entries.length === 0) {
+    cursorY -= TEXT_SIZE + LINE_GAP;
+    text('No signatures recorded.', MARGIN, cursorY);
+  }
+
+  const detailsX = MARGIN + THUMBNAIL_WIDTH + 12;
+  const detailsWidth = contentWidth - THUMBNAIL_WIDTH - 12;
+
+  for (const entry of data.entries) {
+    if (cursorY - ROW_HEIGHT < MARGIN) {
+      addPage(true);
+    }
+
+    const rowTop = cursorY - LINE_GAP;
+    const rowBottom = rowTop - ROW_HEIGHT;
+    page.drawLine({
+      start: { x: MARGIN, y: rowTop },
+      end: { x: pageWidth - MARGIN, y: rowTop },
+      thickness: 0.5,
+      color: BORDER_COLOR
+    });
+
+    // Thumbnail cell
+    const cell = {
+      x: MARGIN,
+      y: rowTop - LINE_GAP - THUMBNAIL_HEIGHT,
+      width: THUMBNAIL_WIDTH,
+      height: THUMBNAIL_HEIGHT
+    };
+    page.drawRectangle({ ...cell, borderColor: BORDER_COLOR, borderWidth: 0.5 });
+
+    let thumbnail;
+    if (entry.thumbnail) {
+      thumbnail = { image: entry.thumbnail };
+    } else if (entry.vector) {
+      thumbnail = { vector: entry.vector };
+    } else {
+      thumbnail = await embedPageRegion(pdfDoc, entry);
+    }
+    if (thumbnail) {
+      drawThumbnail(page, thumbnail, cell);
+    }
+
+    // Signer details
+    const signer = entry.signer || {};
+    const lines = [
+      [signer.name || 'unknown', bold],
+      [signer.email || 'unknown', regular],
+      [`Signed: ${formatTimestamp(signer.timestamp)}`, regular],
+      [`IP address: ${signer.ipAddress || 'unknown'}`, regular],
+      [`Page: ${(entry.pageIndex || 0) + 1}`, regular]
+    ];
+    let lineY = rowTop - LINE_GAP - TEXT_SIZE;
+    for (const [value, font] of lines) {
+      text(value, detailsX, lineY, font, TEXT_SIZE, rgb(0, 0, 0), detailsWidth);
+      lineY -= TEXT_SIZE + 2;
+    }
+
+    cursorY = rowBottom;
+  }
+
+  return {
+    pageIndices,
+    signatureCount: data.entries.length
+  };
+}
+
+module.exports = {
+  appendCertificatePage,
+  truncateToWidth
+};
@@ -3,6 +3,9 @@
  * 
  * Converts frontend CSS pixels (origin: top-left) to PDF points (origin: bottom-left)
  * NO hard-coded values. NO assumptions. Deterministic math only.
+ * 
+ * Frontend coordinates describe the page as displayed: the CropBox, turned by
+ * the page's /Rotate. Page geometry maps them back to unrotated user space.
  */
 
 const A4_WIDTH_POINTS = 595.275591; // 210mm in points (72 DPI)
@@ -10,6 +13,183 @@ const A4_HEIGHT_POINTS = 841.889764; // 297mm in points (72 DPI)
 const POINTS_PER_INCH = 72;
 const MM_PER_INCH = 25.4;
 
+/**
+ * Reduce a /Rotate value to 0, 90, 180 or 270
+ * 
+ * Values that are not multiples of 90 are invalid and, like in viewers, ignored.
+ * 
+ * @param {number} angle - Rotation in degrees (may be negative)
+ * @returns {number} Clockwise display rotation
+ */
+function normalizeRotation(angle = 0) {
+  if (!Number.isFinite(angle) || angle % 90 !== 0) {
+    return 0;
+  }
+  return ((angle % 360) + 360) % 360;
+}
+
+/**
+ * Read the rotation and visible box of a page
+ * 
+ * @param {PDFPage} page - pdf-lib page
+ * @returns {Object} {
+ *   rotation: 0 | 90 | 180 | 270,
+ *   mediaBox: { x, y, width, height },
+ *   box: { x, y, width, height } (CropBox clipped to the MediaBox, user space),
+ *   displaySize: { width, height } (box as displayed, after rotation)
+ * }
+ */
+function readPageGeometry(page) {
+  const mediaBox = page.getMediaBox();
+  const cropBox = page.getCropBox();
+
+  // The visible area is the intersection of both boxes
+  const left = Math.max(mediaBox.x, cropBox.x);
+  const bottom = Math.max(mediaBox.y, cropBox.y);
+  const right = Math.min(mediaBox.x + mediaBox.width, cropBox.x + cropBox.width);
+  const top = Math.min(mediaBox.y + mediaBox.height, cropBox.y + cropBox.height);
+  const box = right > left && top > bottom
+    ? { x: left, y: bottom, width: right - left, height: top - bottom }
+    : mediaBox;
+
+  return createPageGeometry(box, page.getRotation().angle, mediaBox);
+}
+
+/**
+ * Build page geometry from a visible box and rotation
+ * 
+ * @param {Object} box - { x, y, width, height } visible box in user space
+ * @param {number} rotation - /Rotate value
+ * @param {Object} mediaBox - MediaBox (defaults to box)
+ * @returns {Object} Page geometry (see readPageGeometry)
+ */
+function createPageGeometry(box, rotation = 0, mediaBox = box) {
+  const normalizedRotation = normalizeRotation(rotation);
+  const quarterTurn = normalizedRotation === 90 || normalizedRotation === 270;
+
+  return {
+    rotation: normalizedRotation,
+    mediaBox,
+    box,
+    displaySize: quarterTurn
+      ? { width: box.height, height: box.width }
+      : { width: box.width, height: box.height }
+  };
+}
+
+/**
+ * Geometry of an unrotated page whose MediaBox starts at (0,0)
+ */
+function defaultPageGeometry(pdfPageSize) {
+  return createPageGeometry({ x: 0, y: 0, width: pdfPageSize.width, height: pdfPageSize.height });
+}
+
+/**
+ * Map a normalized display point (0-1, top-left origin) to user space
+ * 
+ * /Rotate turns the page clockwise for display, so e.g. with 90 the display's
+ * top-left corner is the box's bottom-left corner.
+ */
+function displayPointToUserSpace(u, v, geometry) {
+  const { x, y, width, height } = geometry.box;
+
+  switch (geometry.rotation) {
+    case 90:
+      return { x: x + v * width, y: y + u * height };
+    case 180:
+      return { x: x + (1 - u) * width, y: y + v * height };
+    case 270:
+      return { x: x + (1 - v) * width, y: y + (1 - u) * height };
+    default:
+      return { x: x + u * width, y: y + (1 - v) * height };
+  }
+}
+
+/**
+ * Map a user space point to a normalized display point (inverse of the above)
+ */
+function userSpacePointToDisplay(px, py, geometry) {
+  const { x, y, width, height } = geometry.box;
+  const fx = (px - x) / width;
+  const fy = (py - y) / height;
+
+  switch (geometry.rotation) {
+    case 90:
+      return { u: fy, v: fx };
+    case 180:
+      return { u: 1 - fx, v: fy };
+    case 270:
+      return { u: 1 - fy, v: 1 - fx };
+    default:
+      return { u: fx, v: 1 - fy };
+  }
+}
+
+/**
+ * Convert a user space rectangle to normalized display coordinates
+ * 
+ * @param {Object} pdfCoords - { x, y, width, height } in points (user space)
+ * @param {Object} geometry - Page geometry (see readPageGeometry)
+ * @returns {Object} { x, y, width, height } in 0-1 scale, top-left display origin
+ */
+function pdfPointsToNormalized(pdfCoords, geometry) {
+  const a = userSpacePointToDisplay(pdfCoords.x, pdfCoords.y, geometry);
+  const b = userSpacePointToDisplay(pdfCoords.x + pdfCoords.width, pdfCoords.y + pdfCoords.height, geometry);
+
+  return {
+    x: Math.min(a.u, b.u),
+    y: Math.min(a.v, b.v),
+    width: Math.abs(b.u - a.u),
+    height: Math.abs(b.v - a.v)
+  };
+}
+
+/**
+ * Describe a user space rectangle as an upright drawing frame
+ * 
+ * Content drawn at local (lx, ly) inside the frame, rotated by frame.rotation
+ * (counter-clockwise), appears upright once the page's /Rotate is applied.
+ * 
+ * @param {Object} rect - { x, y, width, height } in user space
+ * @param {number} rotation - Page rotation (0, 90, 180, 270)
+ * @returns {Object} { x, y (local origin in user space), width, height (as displayed), rotation }
+ */
+function toDisplayFrame(rect, rotation = 0) {
+  const { x, y, width, height } = rect;
+
+  switch (normalizeRotation(rotation)) {
+    case 90:
+      return { x: x + width, y, width: height, height: width, rotation: 90 };
+    case 180:
+      return { x: x + width, y: y + height, width, height, rotation: 180 };
+    case 270:
+      return { x, y: y + height, width: height, height: width, rotation: 270 };
+    default:
+      return { x, y, width, height, rotation: 0 };
+  }
+}
+
+/**
+ * User space position of a point given in frame-local coordinates
+ * 
+ * @param {Object} frame - Result of toDisplayFrame
+ * @param {number} lx - Local x (along the displayed width)
+ * @param {number} ly - Local y (along the displayed height, upwards)
+ * @returns {Object} { x, y } in user space
+ */
+function framePoint(frame, lx, ly) {
+  switch (frame.rotation) {
+    case 90:
+      return { x: frame.x - ly, y: frame.y + lx };
+    case 180:
+      return { x: frame.x - lx, y: frame.y - ly };
+    case 270:
+      return { x: frame.x + ly, y: frame.y - lx };
+    default:
+      return { x: frame.x + lx, y: frame.y + ly };
+  }
+}
+
 /**
  * Normalize frontend coordinates to PDF-relative coordinates
  * 
@@ -54,40 +234,40 @@ function normalizeFrontendCoordinates(frontendCoords, containerSize, pdfPageSize
   const normalizedWidth = frontendW / scaleFactor / pdfWidth;
   const normalizedHeight = frontendH / scaleFactor / pdfHeight;
 
-  // Clamp to valid range [0, 1]
+  // Clamp to valid range [0, 1]; boxes running off the page are clipped
+  const x = Math.max(0, Math.min(1, normalizedX));
+  const y = Math.max(0, Math.min(1, normalizedY));
   return {
-    x: Math.max(0, Math.min(1, normalizedX)),
-    y: Math.max(0, Math.min(1, normalizedY)),
-    width: Math.max(0, Math.min(1, normalizedWidth)),
-    height: Math.max(0, Math.min(1, normalizedHeight))
+    x,
+    y,
+    width: Math.max(0, Math.min(1 - x, normalizedWidth)),
+    height: Math.max(0, Math.min(1 - y, normalizedHeight))
   };
 }
 
 /**
  * Convert normalized coordinates to PDF points (origin: bottom-left)
  * 
- * @param {Object} normalized - { x, y, width, height } in 0-1 scale
+ * @param {Object} normalized - { x, y, width, height } in 0-1 scale (display, top-left origin)
  * @param {Object} pdfPageSize - { width, height } in points
- * @returns {Object} PDF coordinates in points with correct origin
+ * @param {Object} geometry - Page geometry (optional, see readPageGeometry);
+ *   without it the page is taken as unrotated with its MediaBox at (0,0)
+ * @returns {Object} PDF coordinates in points with correct origin (user space)
  */
-function normalizedToPDFPoints(normalized, pdfPageSize) {
+function normalizedToPDFPoints(normalized, pdfPageSize, geometry = null) {
   const { x, y, width, height } = normalized;
-  const { width: pdfWidth, height: pdfHeight } = pdfPageSize;
-
-  // Convert from 0-1 scale to points
-  const pointX = x * pdfWidth;
-  const pointWidth = width * pdfWidth;
-  const pointHeight = height * pdfHeight;
+  const pageGeometry = geometry || defaultPageGeometry(pdfPageSize);
 
-  // Convert Y from top-left origin to bottom-left origin
-  // In normalized coords, Y=0 is top. In PDF, we need distance from bottom
-  const pointY = pdfHeight - ((y + height) * pdfHeight);
+  // Map opposite corners; rotation may swap which one ends up bottom-left.
+  // In normalized coords, Y=0 is top. In PDF, Y grows from the bottom
+  const a = displayPointToUserSpace(x, y, pageGeometry);
+  const b = displayPointToUserSpace(x + width, y + height, pageGeometry);
 
   return {
-    x: pointX,
-    y: pointY,
-    width: pointWidth,
-    height: pointHeight
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y)
   };
 }
 
@@ -97,21 +277,26 @@ function normalizedToPDFPoints(normalized, pdfPageSize) {
  * @param {Object} frontendCoords - { x, y, width, height } in CSS pixels
  * @param {Object} containerSize - { width, height } of viewport in pixels
  * @param {Object} pdfPageSize - { width, height } of PDF page in points
+ * @param {Object} geometry - Page geometry (optional); its displayed size
+ *   replaces pdfPageSize
  * @returns {Object} Final PDF coordinates in points
  */
-function transformFrontendToPDF(frontendCoords, containerSize, pdfPageSize) {
-  // Step 1: Normalize to 0-1 scale relative to PDF
+function transformFrontendToPDF(frontendCoords, containerSize, pdfPageSize, geometry = null) {
+  const pageSize = geometry ? geometry.displaySize : pdfPageSize;
+
+  // Step 1: Normalize to 0-1 scale relative to the displayed page
   const normalized = normalizeFrontendCoordinates(
     frontendCoords,
     containerSize,
-    pdfPageSize
+    pageSize
   );
 
-  // Step 2: Convert to PDF points with correct origin
-  const pdfPoints = normalizedToPDFPoints(normalized, pdfPageSize);
+  // Step 2: Convert to PDF points with correct origin, rotation and box offset
+  const pdfPoints = normalizedToPDFPoints(normalized, pageSize, geometry);
 
   return {
     ...pdfPoints,
+    rotation: geometry ? geometry.rotation : 0,
     normalized // Include normalized coords for reference/debugging
   };
 }
@@ -123,12 +308,14 @@ function transformFrontendToPDF(frontendCoords, containerSize, pdfPageSize) {
  * @param {Object} pdfCoords - { x, y, width, height } in points
  * @param {Object} containerSize - { width, height } of viewport in pixels
  * @param {Object} pdfPageSize - { width, height } in points
+ * @param {Object} geometry - Page geometry (optional); its displayed size
+ *   replaces pdfPageSize
  * @returns {Object} Frontend coordinates in CSS pixels
  */
-function transformPDFToFrontend(pdfCoords, containerSize, pdfPageSize) {
-  const { x: pdfX, y: pdfY, width: pdfW, height: pdfH } = pdfCoords;
+function transformPDFToFrontend(pdfCoords, containerSize, pdfPageSize, geometry = null) {
   const { width: containerWidth, height: containerHeight } = containerSize;
-  const { width: pdfWidth, height: pdfHeight } = pdfPageSize;
+  const pageSize = geometry ? geometry.displaySize : pdfPageSize;
+  const { width: pdfWidth, height: pdfHeight } = pageSize;
 
   // Calculate PDF aspect ratio
   const pdfAspectRatio = pdfWidth / pdfHeight;
@@ -147,17 +334,15 @@ function transformPDFToFrontend(pdfCoords, containerSize, pdfPageSize) {
     offsetX = (containerWidth - pdfWidth * scaleFactor) / 2;
   }
 
-  // Convert from PDF points to normalized coordinates
-  const normalizedX = pdfX / pdfWidth;
-  const normalizedY = pdfHeight - (pdfY + pdfH); // Reverse Y-axis
-  const normalizedY_top = normalizedY / pdfHeight;
+  // Convert from PDF points to normalized display coordinates (reverses Y-axis)
+  const normalized = pdfPointsToNormalized(pdfCoords, geometry || defaultPageGeometry(pageSize));
 
   // Convert to pixels
   return {
-    x: normalizedX * pdfWidth * scaleFactor + offsetX,
-    y: normalizedY_top * pdfHeight * scaleFactor + offsetY,
-    width: pdfW * scaleFactor,
-    height: pdfH * scaleFactor
+    x: normalized.x * pdfWidth * scaleFactor + offsetX,
+    y: normalized.y * pdfHeight * scaleFactor + offsetY,
+    width: normalized.width * pdfWidth * scaleFactor,
+    height: normalized.height * pdfHeight * scaleFactor
   };
 }
 
@@ -194,8 +379,14 @@ function getPDFPageSize(format = 'A4') {
 module.exports = {
   normalizeFrontendCoordinates,
   normalizedToPDFPoints,
+  pdfPointsToNormalized,
   transformFrontendToPDF,
   transformPDFToFrontend,
+  normalizeRotation,
+  readPageGeometry,
+  createPageGeometry,
+  toDisplayFrame,
+  framePoint,
   isValidNormalizedCoordinate,
   getPDFPageSize,
   A4_WIDTH_POINTS,
@@ -0,0 +1,435 @@
+/**
+ * CRYPTOGRAPHIC PDF SIGNATURE ENGINE
+ *
+ * Adds a real /Sig dictionary to a PDF and fills it with a detached
+ * CMS/PKCS#7 signature over the ByteRange:
+ * - X.509 certificate and key from a PKCS#12 file or a PEM pair
+ * - Signature widgets whose appearance stream is the burned image
+ * - Fixed-size placeholder so the ByteRange can be patched in place
+ * - Optional RFC 3161 token as unsigned attribute
+ */
+
+const forge = require('node-forge');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const {
+  PDFName,
+  PDFNumber,
+  PDFHexString,
+  PDFString
+} = require('pdf-lib');
+const {
+  requestTimestamp,
+  OID_TIMESTAMP_TOKEN_ATTRIBUTE
+} = require('./timestampAuthority');
+const { findEmptySignatureField } = require('./formFields');
+
+// Bytes reserved for the DER-encoded PKCS#7 blob in /Contents
+const SIGNATURE_PLACEHOLDER_BYTES = 16384;
+
+// Placeholder name written into /ByteRange before the offsets are known
+const BYTE_RANGE_PLACEHOLDER = '**********';
+const BYTE_RANGE_PLACEHOLDER_TEXT =
+  `[ 0 /${BYTE_RANGE_PLACEHOLDER} /${BYTE_RANGE_PLACEHOLDER} /${BYTE_RANGE_PLACEHOLDER} ]`;
+
+const SUB_FILTER = 'adbe.pkcs7.detached';
+
+let cachedCredentials = null;
+
+/**
+ * Format an X.509 distinguished name as "CN=..., O=..., C=..."
+ * @param {Object} name - forge certificate subject or issuer
+ * @returns {string} Distinguished name
+ */
+function formatDistinguishedName(name) {
+  return name.attributes
+    .map(attr => `${attr.shortName || attr.name || attr.type}=${attr.value}`)
+    .join(', ');
+}
+
+/**
+ * Summarize a certificate for audit records
+ * @param {Object} certificate - forge certificate
+ * @returns {Object} { subject, issuer, serialNumber, validFrom, validTo, fingerprint }
+ */
+function describeCertificate(certificate) {
+  const der = forge.asn1.toDer(forge.pki.certificateToAsn1(certificate)).getBytes();
+
+  return {
+    subject: formatDistinguishedName(certificate.subject),
+    commonName: certificate.subject.getField('CN')?.value || null,
+    issuer: formatDistinguishedName(certificate.issuer),
+    serialNumber: certificate.serialNumber,
+    validFrom: certificate.validity.notBefore,
+    validTo: certificate.validity.notAfter,
+    fingerprint: forge.md.sha256.create().update(der).digest().toHex()
+  };
+}
+
+/**
+ * Check whether a certificate carries the public half of a private key
+ */
+function certificateMatchesKey(certificate, privateKey) {
+  return certificate.publicKey.n && certificate.publicKey.n.equals(privateKey.n);
+}
+
+/**
+ * Split a list of certificates into the signing certificate and its chain
+ */
+function pickSigningCertificate(certificates, privateKey) {
+  const certificate = certificates.find(cert => certificateMatchesKey(cert, privateKey));
+  if (!certificate) {
+    throw new Error('No certificate matches the configured signing key');
+  }
+
+  return {
+    certificate,
+    chain: certificates.filter(cert => cert !== certificate)
+  };
+}
+
+/**
+ * Load credentials from a PKCS#12 (.p12 / .pfx) file
+ *
+ * @param {Buffer} p12Buffer - PKCS#12 file contents
+ * @param {string} passphrase - PKCS#12 password
+ * @returns {Object} { privateKey, certificate, chain }
+ */
+function parsePKCS12(p12Buffer, passphrase = '') {
+  const p12Asn1 = forge.asn1.fromDer(p12Buffer.toString('binary'));
+  const p12 = forge.pkcs12.pkcs12FromAsn1(p12Asn1, passphrase);
+
+  const keyBags = [
+    ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+    ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])
+  ];
+  const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+
+  if (keyBags.length === 0 || !keyBags[0].key) {
+    throw new Error('PKCS#12 file does not contain a private key');
+  }
+
+  const privateKey = keyBags[0].key;
+  return {
+    privateKey,
+    ...pickSigningCertificate(certBags.map(bag => bag.cert), privateKey)
+  };
+}
+
+/**
+ * Load credentials from PEM-encoded certificate(s) and private key
+ *
+ * @param {string} certificatePem - Signing certificate, optionally followed by its chain
+ * @param {string} keyPem - Private key (PKCS#1, PKCS#8 or encrypted PKCS#8)
+ * @param {string} passphrase - Key password, if the key is encrypted
+ * @returns {Object} { privateKey, certificate, chain }
+ */
+function parsePEM(certificatePem, keyPem, passphrase) {
+  const privateKey = keyPem.includes('ENCRYPTED')
+    ? forge.pki.decryptRsaPrivateKey(keyPem, passphrase)
+    : forge.pki.privateKeyFromPem(keyPem);
+
+  if (!privateKey) {
+    throw new Error('Unable to decrypt signing key (wrong passphrase?)');
+  }
+
+  const certificates = forge.pem.decode(certificatePem)
+    .filter(block => block.type === 'CERTIFICATE')
+    .map(block => forge.pki.certificateFromAsn1(forge.asn1.fromDer(block.body)));
+
+  return {
+    privateKey,
+    ...pickSigningCertificate(certificates, privateKey)
+  };
+}
+
+/**
+ * Load signing credentials configured on the server
+ *
+ * Environment:
+ *   SIGNING_P12_PATH, SIGNING_P12_PASSPHRASE
+ *   or SIGNING_CERT_PATH, SIGNING_KEY_PATH, SIGNING_KEY_PASSPHRASE
+ *
+ * @param {Object} env - Configuration source (defaults to process.env)
+ * @returns {Promise<Object|null>} Credentials, or null when not configured
+ */
+async function loadSigningCredentials(env = process.env) {
+  let credentials;
+
+  if (env.SIGNING_P12_PATH) {
+    const p12Buffer = await fs.readFile(env.SIGNING_P12_PATH);
+    credentials = parsePKCS12(p12Buffer, env.SIGNING_P12_PASSPHRASE || '');
+  } else if (env.SIGNING_CERT_PATH && env.SIGNING_KEY_PATH) {
+    const [certificatePem, keyPem] = await Promise.all([
+      fs.readFile(env.SIGNING_CERT_PATH, 'utf8'),
+      fs.readFile(env.SIGNING_KEY_PATH, 'utf8')
+    ]);
+    credentials = parsePEM(certificatePem, keyPem, env.SIGNING_KEY_PASSPHRASE);
+  } else {
+    return null;
+  }
+
+  return {
+    ...credentials,
+    certificateInfo: describeCertificate(credentials.certificate)
+  };
+}
+
+/**
+ * Load server credentials once and reuse them for later requests
+ * @returns {Promise<Object|null>} Credentials, or null when not configured
+ */
+async function getSigningCredentials() {
+  if (!cachedCredentials) {
+    cachedCredentials = loadSigningCredentials().catch(error => {
+      cachedCredentials = null;
+      throw error;
+    });
+  }
+  return cachedCredentials;
+}
+
+/**
+ * Add a signature field with an unfilled /Sig value to the document
+ *
+ * Each widget becomes a kid of one signature field; its appearance stream
+ * is the form XObject built from the burned image. Without widgets an
+ * invisible widget is attached to the first page. A single widget that
+ * targets an empty signature field of the document fills that field instead.
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {Array} widgets - [{ pageIndex, rect: { x, y, width, height }, appearance: PDFRef, formField }]
+ * @param {Object} info - { name, reason, location, contactInfo, signingTime }
+ * @returns {PDFRef} Reference to the /Sig dictionary
+ */
+function addSignaturePlaceholder(pdfDoc, widgets, info = {}) {
+  const context = pdfDoc.context;
+  const form = pdfDoc.getForm();
+
+  const signatureDict = context.obj({
+    Type: 'Sig',
+    Filter: 'Adobe.PPKLite',
+    SubFilter: SUB_FILTER,
+    ByteRange: [
+      0,
+      PDFName.of(BYTE_RANGE_PLACEHOLDER),
+      PDFName.of(BYTE_RANGE_PLACEHOLDER),
+      PDFName.of(BYTE_RANGE_PLACEHOLDER)
+    ],
+    Contents: PDFHexString.of('0'.repeat(SIGNATURE_PLACEHOLDER_BYTES * 2)),
+    M: PDFString.fromDate(info.signingTime || new Date())
+  });
+
+  if (info.name) signatureDict.set(PDFName.of('Name'), PDFString.of(info.name));
+  if (info.reason) signatureDict.set(PDFName.of('Reason'), PDFString.of(info.reason));
+  if (info.location) signatureDict.set(PDFName.of('Location'), PDFString.of(info.location));
+  if (info.contactInfo) signatureDict.set(PDFName.of('ContactInfo'), PDFString.of(info.contactInfo));
+
+  const signatureRef = context.register(signatureDict);
+
+  // SignaturesExist | AppendOnly
+  form.acroForm.dict.set(PDFName.of('SigFlags'), PDFNumber.of(3));
+
+  const existingField = widgets.length === 1
+    ? findEmptySignatureField(pdfDoc, widgets[0].formField)
+    : null;
+
+  if (existingField) {
+    const [{ rect, appearance }] = widgets;
+    const [widget] = existingField.acroField.getWidgets();
+
+    existingField.acroField.dict.set(PDFName.of('V'), signatureRef);
+    widget.setRectangle(rect);
+    widget.setNormalAppearance(appearance);
+    widget.dict.set(PDFName.of('F'), PDFNumber.of(4)); // Print
+
+    return signatureRef;
+  }
+
+  const fieldName = `Signature${form.acroForm.getAllFields().length + 1}`;
+  const fieldDict = context.obj({
+    FT: 'Sig',
+    T: PDFString.of(fieldName),
+    V: signatureRef,
+    Kids: []
+  });
+  const fieldRef = context.register(fieldDict);
+
+  const placements = widgets.length > 0
+    ? widgets
+    : [{ pageIndex: 0, rect: { x: 0, y: 0, width: 0, height: 0 }, appearance: null }];
+
+  for (const widget of placements) {
+    const page = pdfDoc.getPage(widget.pageIndex);
+    const { x, y, width, height } = widget.rect;
+
+    const widgetDict = context.obj({
+      Type: 'Annot',
+      Subtype: 'Widget',
+      Parent: fieldRef,
+      Rect: [x, y, x + width, y + height],
+      P: page.ref,
+      F: 4 // Print
+    });
+    if (widget.appearance) {
+      widgetDict.set(PDFName.of('AP'), context.obj({ N: widget.appearance }));
+    }
+
+    const widgetRef = context.register(widgetDict);
+    fieldDict.lookup(PDFName.of('Kids')).push(widgetRef);
+    page.node.addAnnot(widgetRef);
+  }
+
+  form.acroForm.addField(fieldRef);
+
+  return signatureRef;
+}
+
+/**
+ * Locate the /ByteRange and /Contents placeholders in serialized bytes
+ *
+ * @param {Buffer} pdfBuffer - PDF saved without object streams
+ * @returns {Object} { byteRangeStart, contentsStart, contentsEnd }
+ */
+function findPlaceholders(pdfBuffer) {
+  const byteRangeStart = pdfBuffer.lastIndexOf(BYTE_RANGE_PLACEHOLDER_TEXT);
+  if (byteRangeStart === -1) {
+    throw new Error('ByteRange placeholder not found in PDF');
+  }
+
+  const contentsPlaceholder = `<${'0'.repeat(SIGNATURE_PLACEHOLDER_BYTES * 2)}>`;
+  const contentsStart = pdfBuffer.lastIndexOf(contentsPlaceholder);
+  if (contentsStart === -1) {
+    throw new Error('Contents placeholder not found in PDF');
+  }
+
+  return {
+    byteRangeStart,
+    contentsStart,
+    contentsEnd: contentsStart + contentsPlaceholder.length
+  };
+}
+
+/**
+ * Append an RFC 3161 token to the first SignerInfo as unsigned attribute
+ *
+ * forge only serializes the attribute types it knows, so the attribute is
+ * added to the ASN.1 tree after signing.
+ *
+ * @param {Object} contentInfoAsn1 - forge ASN.1 of the signed ContentInfo
+ * @param {Buffer} tokenDer - DER TimeStampToken
+ */
+function addTimestampTokenAttribute(contentInfoAsn1, tokenDer) {
+  const { asn1 } = forge;
+  const signedData = contentInfoAsn1.value[1].value[0];
+  const signerInfos = signedData.value[signedData.value.length - 1];
+  const signerInfo = signerInfos.value[0];
+
+  const attribute = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false,
+      asn1.oidToDer(OID_TIMESTAMP_TOKEN_ATTRIBUTE).getBytes()),
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, [
+      asn1.fromDer(tokenDer.toString('binary'))
+    ])
+  ]);
+
+  // unsignedAttrs [1] IMPLICIT SET OF Attribute
+  signerInfo.value.push(asn1.create(asn1.Class.CONTEXT_SPECIFIC, 1, true, [attribute]));
+}
+
+/**
+ * Build a detached PKCS#7 SignedData over the given bytes
+ *
+ * With a timestamp authority the SignerInfo signature value is timestamped
+ * and the token is embedded as unsigned attribute (RFC 3161 appendix A).
+ *
+ * @param {Buffer} data - Bytes covered by the ByteRange
+ * @param {Object} credentials - { privateKey, certificate, chain }
+ * @param {Object} options - { signingTime: Date, timestampAuthority: TSA config }
+ * @returns {Promise<Object>} { signature: Buffer (DER ContentInfo), timestamp: Object|null }
+ */
+async function createDetachedSignature(data, credentials, options = {}) {
+  const p7 = forge.pkcs7.createSignedData();
+  p7.content = forge.util.createBuffer(data.toString('binary'));
+
+  p7.addCertificate(credentials.certificate);
+  for (const cert of credentials.chain || []) {
+    p7.addCertificate(cert);
+  }
+
+  p7.addSigner({
+    key: credentials.privateKey,
+    certificate: credentials.certificate,
+    digestAlgorithm: forge.pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: forge.pki.oids.contentType, value: forge.pki.oids.data },
+      { type: forge.pki.oids.messageDigest },
+      { type: forge.pki.oids.signingTime, value: options.signingTime || new Date() }
+    ]
+  });
+
+  p7.sign({ detached: true });
+
+  const contentInfo = p7.toAsn1();
+  let timestamp = null;
+
+  if (options.timestampAuthority) {
+    const signatureValue = Buffer.from(p7.signers[0].signature, 'binary');
+    const digest = crypto.createHash('sha256').update(signatureValue).digest();
+    timestamp = await requestTimestamp(digest, options.timestampAuthority);
+    addTimestampTokenAttribute(contentInfo, timestamp.token);
+  }
+
+  return {
+    signature: Buffer.from(forge.asn1.toDer(contentInfo).getBytes(), 'binary'),
+    timestamp
+  };
+}
+
+/**
+ * Fill the ByteRange and /Contents placeholders with a real signature
+ *
+ * @param {Buffer|Uint8Array} pdfBytes - PDF containing one placeholder
+ * @param {Object} credentials - { privateKey, certificate, chain }
+ * @param {Object} options - { signingTime, timestampAuthority }
+ * @returns {Promise<Object>} { signedPDFBuffer, byteRange, timestamp }
+ */
+async function signPlaceholder(pdfBytes, credentials, options = {}) {
+  const pdfBuffer = Buffer.from(pdfBytes);
+  const { byteRangeStart, contentsStart, contentsEnd } = findPlaceholders(pdfBuffer);
+
+  const byteRange = [0, contentsStart, contentsEnd, pdfBuffer.length - contentsEnd];
+  const byteRangeText = `[${byteRange.join(' ')}]`.padEnd(BYTE_RANGE_PLACEHOLDER_TEXT.length, ' ');
+  pdfBuffer.write(byteRangeText, byteRangeStart, 'latin1');
+
+  const signedData = Buffer.concat([
+    pdfBuffer.subarray(byteRange[0], byteRange[1]),
+    pdfBuffer.subarray(byteRange[2], byteRange[2] + byteRange[3])
+  ]);
+
+  const { signature, timestamp } = await createDetachedSignature(signedData, credentials, options);
+  const signatureHex = signature.toString('hex');
+
+  if (signatureHex.length > SIGNATURE_PLACEHOLDER_BYTES * 2) {
+    throw new Error(
+      `Signature (${signature.length} bytes) exceeds placeholder (${SIGNATURE_PLACEHOLDER_BYTES} bytes)`
+    );
+  }
+
+  pdfBuffer.write(signatureHex, contentsStart + 1, 'latin1');
+
+  return { signedPDFBuffer: pdfBuffer, byteRange, timestamp };
+}
+
+module.exports = {
+  loadSigningCredentials,
+  getSigningCredentials,
+  parsePKCS12,
+  parsePEM,
+  describeCertificate,
+  addSignaturePlaceholder,
+  signPlaceholder,
+  createDetachedSignature,
+  SIGNATURE_PLACEHOLDER_BYTES,
+  SUB_FILTER
+};
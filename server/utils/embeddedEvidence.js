@@ -0,0 +1,310 @@
+/**
+ * EMBEDDED SIGNING EVIDENCE
+ *
+ * Carries the audit log inside the signed PDF, so a copy that leaves the
+ * system still documents its history:
+ * - A JSON file attachment with the audit entries of every signing pass
+ * - Custom XMP properties for the document ID, signers and original hash
+ * - Extraction from any PDF, with a cross-check of attachment and XMP
+ */
+
+const crypto = require('crypto');
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFRef,
+  PDFStream,
+  PDFRawStream,
+  AFRelationship,
+  decodePDFRawStream
+} = require('pdf-lib');
+const { loadDocument } = require('./pdfEncryption');
+const { readXmpMetadata, readXmpProperty, readXmpArray } = require('./xmpMetadata');
+
+const EVIDENCE_FILE_NAME = 'signing-evidence.json';
+const EVIDENCE_FORMAT = 'signature-injection-engine/evidence';
+const EVIDENCE_VERSION = 1;
+
+const EVIDENCE_NAMESPACE = 'http://ns.signature-injection-engine.dev/evidence/1.0/';
+const EVIDENCE_PREFIX = 'sigev';
+
+const INVALID_EVIDENCE_ERROR = 'EVIDENCE_INVALID';
+
+// ============================================================================
+// ATTACHMENTS
+// ============================================================================
+
+/**
+ * Entries of the EmbeddedFiles name tree
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @returns {Array} [{ name, ref, fileSpec, names (the PDFArray holding the entry), index }]
+ */
+function listEmbeddedFiles(pdfDoc) {
+  const entries = [];
+  const names = pdfDoc.catalog.lookup(PDFName.of('Names'));
+  const root = names instanceof PDFDict ? names.lookup(PDFName.of('EmbeddedFiles')) : null;
+
+  const visit = (node, depth) => {
+    if (!(node instanceof PDFDict) || depth > 32) return;
+
+    const leaf = node.lookup(PDFName.of('Names'));
+    if (leaf instanceof PDFArray) {
+      for (let index = 0; index + 1 < leaf.size(); index += 2) {
+        const key = leaf.lookup(index);
+        const fileSpec = leaf.lookup(index + 1);
+        if (key && fileSpec instanceof PDFDict) {
+          entries.push({ name: key.decodeText(), ref: leaf.get(index + 1), fileSpec, names: leaf, index });
+        }
+      }
+    }
+
+    const kids = node.lookup(PDFName.of('Kids'));
+    if (kids instanceof PDFArray) {
+      kids.asArray().forEach(kid => visit(pdfDoc.context.lookup(kid), depth + 1));
+    }
+  };
+
+  visit(root, 0);
+  return entries;
+}
+
+/**
+ * Bytes of an embedded file
+ */
+function readEmbeddedFile(fileSpec) {
+  const ef = fileSpec.lookup(PDFName.of('EF'));
+  const stream = ef instanceof PDFDict
+    ? ef.lookup(PDFName.of('UF')) || ef.lookup(PDFName.of('F'))
+    : null;
+  if (!(stream instanceof PDFStream)) return null;
+
+  const bytes = stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+  return Buffer.from(bytes);
+}
+
+/**
+ * Remove earlier evidence attachments, so a document carries one
+ */
+function removeEvidenceAttachments(pdfDoc) {
+  const { context, catalog } = pdfDoc;
+  const entries = listEmbeddedFiles(pdfDoc).filter(entry => entry.name === EVIDENCE_FILE_NAME);
+
+  // Back to front, so indices in a shared array stay valid
+  for (const entry of entries.reverse()) {
+    entry.names.remove(entry.index + 1);
+    entry.names.remove(entry.index);
+
+    const af = catalog.lookup(PDFName.of('AF'));
+    if (af instanceof PDFArray) {
+      const position = af.indexOf(entry.ref);
+      if (position !== undefined) af.remove(position);
+    }
+
+    // The file spec and its file streams are no longer referenced
+    const ef = entry.fileSpec.lookup(PDFName.of('EF'));
+    const refs = ef instanceof PDFDict ? ef.values().filter(value => value instanceof PDFRef) : [];
+    if (entry.ref instanceof PDFRef) refs.push(entry.ref);
+    refs.forEach(ref => context.delete(ref));
+  }
+}
+
+// ============================================================================
+// BUILDING
+// ============================================================================
+
+/**
+ * Signer label used in the evidence and XMP ("Name <email>")
+ */
+function describeSigner(metadata = {}) {
+  if (metadata.name && metadata.email) return `${metadata.name} <${metadata.email}>`;
+  return metadata.name || metadata.email || null;
+}
+
+/**
+ * Add one signing pass to the evidence a document already carries
+ *
+ * @param {Object|null} previous - Evidence read from the input (readEmbeddedEvidence)
+ * @param {Object} pass - {
+ *   documentId, generatedAt (ISO), originalHash,
+ *   auditTrail: audit entries of this pass (without the signed hash, which
+ *     would have to cover the evidence itself)
+ * }
+ * @returns {Object} Evidence: { format, version, documentId, originalHash, signers, passes }
+ */
+function appendEvidencePass(previous, pass) {
+  const passes = previous && Array.isArray(previous.passes) ? previous.passes : [];
+  const signers = pass.auditTrail
+    .filter(entry => (entry.fieldType || 'signature') === 'signature')
+    .map(entry => describeSigner(entry.metadata))
+    .filter(Boolean);
+
+  const allSigners = [...(previous?.signers || [])];
+  for (const signer of signers) {
+    if (!allSigners.includes(signer)) allSigners.push(signer);
+  }
+
+  return {
+    format: EVIDENCE_FORMAT,
+    version: EVIDENCE_VERSION,
+    documentId: pass.documentId ?? previous?.documentId ?? null,
+    // Hash of the document before it was first signed
+    originalHash: previous?.originalHash || pass.originalHash,
+    signers: allSigners,
+    passes: [...passes, { ...pass, signers }]
+  };
+}
+
+/**
+ * Custom XMP schema mirroring the evidence summary (see xmpMetadata.writeXmpMetadata)
+ */
+function evidenceXmpSchema(evidence) {
+  return {
+    prefix: EVIDENCE_PREFIX,
+    namespace: EVIDENCE_NAMESPACE,
+    properties: {
+      documentId: evidence.documentId,
+      originalHash: evidence.originalHash,
+      signers: { seq: evidence.signers },
+      passCount: String(evidence.passes.length),
+      evidenceFile: EVIDENCE_FILE_NAME
+    }
+  };
+}
+
+/**
+ * Attach the evidence as a JSON file, replacing any earlier one
+ *
+ * The XMP properties are written separately, with the rest of the packet.
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {Object} evidence - Result of appendEvidencePass
+ * @returns {Promise<Object>} { fileName, size, sha256, passCount, signers }
+ */
+async function embedEvidence(pdfDoc, evidence) {
+  removeEvidenceAttachments(pdfDoc);
+
+  const bytes = Buffer.from(JSON.stringify(evidence, null, 2), 'utf8');
+  const now = new Date();
+  await pdfDoc.attach(bytes, EVIDENCE_FILE_NAME, {
+    mimeType: 'application/json',
+    description: 'Signing evidence (audit log)',
+    creationDate: now,
+    modificationDate: now,
+    afRelationship: AFRelationship.Data
+  });
+
+  return {
+    fileName: EVIDENCE_FILE_NAME,
+    size: bytes.length,
+    sha256: crypto.createHash('sha256').update(bytes).digest('hex'),
+    passCount: evidence.passes.length,
+    signers: evidence.signers
+  };
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+/**
+ * Error for an evidence attachment that cannot be parsed
+ */
+function invalidEvidenceError(message) {
+  const error = new Error(message);
+  error.code = INVALID_EVIDENCE_ERROR;
+  return error;
+}
+
+/**
+ * Evidence carried by a loaded document
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @returns {Object} {
+ *   evidence: parsed attachment or null,
+ *   attachment: null | { fileName, size, sha256 },
+ *   xmp: null | { documentId, originalHash, signers, passCount }
+ * }
+ * @throws {Error} with code EVIDENCE_INVALID when the attachment is not evidence JSON
+ */
+function readEmbeddedEvidence(pdfDoc) {
+  const entry = listEmbeddedFiles(pdfDoc).find(file => file.name === EVIDENCE_FILE_NAME);
+  const bytes = entry ? readEmbeddedFile(entry.fileSpec) : null;
+
+  let evidence = null;
+  if (bytes) {
+    try {
+      evidence = JSON.parse(bytes.toString('utf8'));
+    } catch (error) {
+      throw invalidEvidenceError(`Evidence attachment is not valid JSON: ${error.message}`);
+    }
+    if (!evidence || evidence.format !== EVIDENCE_FORMAT) {
+      throw invalidEvidenceError('Attachment is not signing evidence');
+    }
+  }
+
+  const packet = readXmpMetadata(pdfDoc);
+  const documentId = packet ? readXmpProperty(packet, EVIDENCE_NAMESPACE, 'documentId') : null;
+  const originalHash = packet ? readXmpProperty(packet, EVIDENCE_NAMESPACE, 'originalHash') : null;
+  const hasXmp = documentId !== null || originalHash !== null;
+
+  return {
+    evidence,
+    attachment: bytes
+      ? {
+        fileName: EVIDENCE_FILE_NAME,
+        size: bytes.length,
+        sha256: crypto.createHash('sha256').update(bytes).digest('hex')
+      }
+      : null,
+    xmp: hasXmp
+      ? {
+        documentId,
+        originalHash,
+        signers: readXmpArray(packet, EVIDENCE_NAMESPACE, 'signers') || [],
+        passCount: Number(readXmpProperty(packet, EVIDENCE_NAMESPACE, 'passCount')) || null
+      }
+      : null
+  };
+}
+
+/**
+ * Extract and cross-check the evidence embedded in a PDF
+ *
+ * @param {Buffer} pdfBuffer - PDF bytes
+ * @param {string} password - User or owner password of an encrypted PDF (optional)
+ * @returns {Promise<Object>} readEmbeddedEvidence result plus {
+ *   found: boolean (attachment or XMP present),
+ *   consistent: boolean|null (XMP summary matches the attachment; null unless both exist)
+ * }
+ */
+async function extractEvidence(pdfBuffer, password) {
+  const { pdfDoc } = await loadDocument(pdfBuffer, { password, updateMetadata: false });
+  const result = readEmbeddedEvidence(pdfDoc);
+  const { evidence, xmp } = result;
+
+  return {
+    found: !!(evidence || xmp),
+    consistent: evidence && xmp
+      ? xmp.documentId === (evidence.documentId ?? null) &&
+        xmp.originalHash === evidence.originalHash &&
+        xmp.passCount === evidence.passes.length &&
+        JSON.stringify(xmp.signers) === JSON.stringify(evidence.signers)
+      : null,
+    ...result
+  };
+}
+
+module.exports = {
+  appendEvidencePass,
+  embedEvidence,
+  evidenceXmpSchema,
+  readEmbeddedEvidence,
+  extractEvidence,
+  listEmbeddedFiles,
+  describeSigner,
+  EVIDENCE_FILE_NAME,
+  EVIDENCE_NAMESPACE,
+  INVALID_EVIDENCE_ERROR
+};
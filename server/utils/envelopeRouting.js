@@ -0,0 +1,595 @@
+/**
+ * ENVELOPE ROUTING
+ *
+ * Rules for documents that several people sign:
+ * - An envelope is a stored document, an ordered list of recipients with
+ *   roles, and fields assigned to each signer
+ * - Sequential routing lets signers act one after another in list order;
+ *   parallel routing lets every remaining signer act at once
+ * - Status moves draft → sent → in-progress → completed; a signer signs all
+ *   of their required fields in one pass
+ * - A pending signer may decline (the envelope ends as declined) or delegate
+ *   to another email (a new recipient takes over their place and fields);
+ *   the sender may void an envelope that is not yet completed. Declined and
+ *   voided envelopes accept no further signatures
+ * - When the last signer finishes, the envelope is sealed: a record of the
+ *   final version and every signing pass, signed with the server
+ *   certificate when one is configured
+ */
+
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { canonicalJson } = require('./auditChain');
+const { createDetachedSignature } = require('./cryptoSigner');
+const { toAuditRecord } = require('./timestampAuthority');
+
+const ENVELOPE_STATUS = {
+  draft: 'draft',
+  sent: 'sent',
+  inProgress: 'in-progress',
+  completed: 'completed',
+  declined: 'declined',
+  voided: 'voided'
+};
+
+// States in which signers may still act
+const ACTIVE_STATUSES = [ENVELOPE_STATUS.sent, ENVELOPE_STATUS.inProgress];
+
+// Audit event types for recipient and sender actions (audit_logs entries with an event block)
+const ENVELOPE_EVENTS = {
+  declined: 'envelope.declined',
+  delegated: 'envelope.delegated',
+  voided: 'envelope.voided'
+};
+
+const ROUTING = ['sequential', 'parallel'];
+
+// signer: has fields and must sign; cc: receives the envelope, never acts
+const ROLES = ['signer', 'cc'];
+
+// Field types sign-pdf can burn
+const FIELD_TYPES = ['signature', 'image', 'text', 'date', 'radio', 'checkbox'];
+
+const ENVELOPE_ERRORS = {
+  notFound: 'ENVELOPE_NOT_FOUND',
+  invalid: 'ENVELOPE_INVALID',
+  notActive: 'ENVELOPE_NOT_ACTIVE',
+  voided: 'ENVELOPE_VOIDED',
+  notRecipient: 'ENVELOPE_NOT_RECIPIENT',
+  notYourTurn: 'ENVELOPE_NOT_YOUR_TURN',
+  recipientDone: 'ENVELOPE_RECIPIENT_DONE',
+  fieldNotAssigned: 'ENVELOPE_FIELD_NOT_ASSIGNED',
+  unknownField: 'ENVELOPE_FIELD_UNKNOWN',
+  fieldsMissing: 'ENVELOPE_FIELDS_MISSING',
+  documentLocked: 'ENVELOPE_DOCUMENT_LOCKED',
+  conflict: 'ENVELOPE_CONFLICT'
+};
+
+// HTTP status for each error code
+const ENVELOPE_ERROR_STATUS = {
+  [ENVELOPE_ERRORS.notFound]: 404,
+  [ENVELOPE_ERRORS.invalid]: 400,
+  [ENVELOPE_ERRORS.notActive]: 409,
+  [ENVELOPE_ERRORS.voided]: 409,
+  [ENVELOPE_ERRORS.notRecipient]: 403,
+  [ENVELOPE_ERRORS.notYourTurn]: 409,
+  [ENVELOPE_ERRORS.recipientDone]: 409,
+  [ENVELOPE_ERRORS.fieldNotAssigned]: 403,
+  [ENVELOPE_ERRORS.unknownField]: 400,
+  [ENVELOPE_ERRORS.fieldsMissing]: 400,
+  [ENVELOPE_ERRORS.documentLocked]: 409,
+  [ENVELOPE_ERRORS.conflict]: 409
+};
+
+const MAX_RECIPIENTS = 50;
+const MAX_FIELDS = 500;
+const FIELD_ID_PATTERN = /^[\w.-]{1,64}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+const MAX_REASON_LENGTH = 1000;
+
+const SEAL_TYPE = 'envelope-seal';
+
+/**
+ * Error with a code the routes map to a status
+ */
+function envelopeError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+}
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function isCoordinate(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Check a field's placement the way sign-pdf will use it
+ *
+ * @returns {string|null} Reason the coordinates are unusable
+ */
+function invalidFieldGeometry(field) {
+  const { coordinates, pageSize } = field;
+  const frontend = coordinates?.frontend;
+  const container = coordinates?.container;
+
+  if (!frontend || !container) return 'missing coordinates (frontend, container)';
+  if (!isCoordinate(frontend.x) || !isCoordinate(frontend.y) ||
+    !isPositiveNumber(frontend.width) || !isPositiveNumber(frontend.height)) {
+    return 'coordinates.frontend must be { x, y, width, height } with a positive size';
+  }
+  if (!isPositiveNumber(container.width) || !isPositiveNumber(container.height)) {
+    return 'coordinates.container must have a positive width and height';
+  }
+  if (coordinates.pageIndex !== undefined && !(Number.isInteger(coordinates.pageIndex) && coordinates.pageIndex >= 0)) {
+    return 'coordinates.pageIndex must be a non-negative integer';
+  }
+  if (pageSize && !(isPositiveNumber(pageSize.width) && isPositiveNumber(pageSize.height))) {
+    return 'pageSize must have a positive width and height';
+  }
+  return null;
+}
+
+/**
+ * Validate an envelope definition and assign recipient and field IDs
+ *
+ * @param {Object} input - {
+ *   documentId, branch, title,
+ *   routing: 'sequential' | 'parallel' (default 'sequential'),
+ *   recipients: [{ email, name, role: 'signer' | 'cc' }] (routing order),
+ *   fields: [{ id, recipient (email), fieldType, required, label,
+ *     coordinates: { frontend, container, pageIndex }, pageSize, formField, formOption }]
+ * }
+ * @returns {Object} { documentId, branch, title, routing, recipients, fields }
+ * @throws {Error} ENVELOPE_INVALID
+ */
+function normalizeEnvelope(input) {
+  const invalid = (message) => envelopeError(ENVELOPE_ERRORS.invalid, message);
+  const { documentId, branch, title } = input || {};
+  const routing = input?.routing || 'sequential';
+
+  if (typeof documentId !== 'string' || !documentId) {
+    throw invalid('documentId is required (a document stored with POST /api/documents)');
+  }
+  if (branch !== undefined && typeof branch !== 'string') {
+    throw invalid('branch must be a string');
+  }
+  if (title !== undefined && (typeof title !== 'string' || title.length > 200)) {
+    throw invalid('title must be a string of at most 200 characters');
+  }
+  if (!ROUTING.includes(routing)) {
+    throw invalid(`routing must be one of: ${ROUTING.join(', ')}`);
+  }
+
+  if (!Array.isArray(input.recipients) || input.recipients.length === 0) {
+    throw invalid('recipients must be a non-empty array');
+  }
+  if (input.recipients.length > MAX_RECIPIENTS) {
+    throw invalid(`An envelope has at most ${MAX_RECIPIENTS} recipients`);
+  }
+
+  const recipients = input.recipients.map((recipient, index) => {
+    const email = normalizeEmail(recipient?.email);
+    const role = recipient?.role || 'signer';
+    if (!EMAIL_PATTERN.test(email)) {
+      throw invalid(`Recipient ${index} needs a valid email`);
+    }
+    if (!ROLES.includes(role)) {
+      throw invalid(`Recipient ${index}: role must be one of: ${ROLES.join(', ')}`);
+    }
+    return {
+      id: `r${index + 1}`,
+      email,
+      name: typeof recipient.name === 'string' && recipient.name.trim() ? recipient.name.trim() : email,
+      role,
+      routingOrder: index + 1,
+      status: role === 'signer' ? 'pending' : null,
+      completedAt: null,
+      signingPass: null
+    };
+  });
+
+  const byEmail = new Map();
+  for (const recipient of recipients) {
+    if (byEmail.has(recipient.email)) {
+      throw invalid(`Recipient ${recipient.email} is listed twice`);
+    }
+    byEmail.set(recipient.email, recipient);
+  }
+  if (!recipients.some(recipient => recipient.role === 'signer')) {
+    throw invalid('An envelope needs at least one signer');
+  }
+
+  if (!Array.isArray(input.fields) || input.fields.length === 0) {
+    throw invalid('fields must be a non-empty array');
+  }
+  if (input.fields.length > MAX_FIELDS) {
+    throw invalid(`An envelope has at most ${MAX_FIELDS} fields`);
+  }
+
+  const fieldIds = new Set();
+  const fields = input.fields.map((field, index) => {
+    const id = field?.id === undefined ? `f${index + 1}` : field.id;
+    const fieldType = field?.fieldType || 'signature';
+    const recipient = byEmail.get(normalizeEmail(field?.recipient));
+
+    if (typeof id !== 'string' || !FIELD_ID_PATTERN.test(id)) {
+      throw invalid(`Field ${index}: id may only contain letters, digits, _ . - (max 64)`);
+    }
+    if (fieldIds.has(id)) {
+      throw invalid(`Field id ${id} is used twice`);
+    }
+    fieldIds.add(id);
+
+    if (!recipient) {
+      throw invalid(`Field ${id}: recipient must be the email of a listed recipient`);
+    }
+    if (recipient.role !== 'signer') {
+      throw invalid(`Field ${id}: ${recipient.email} is ${recipient.role}, not a signer`);
+    }
+    if (!FIELD_TYPES.includes(fieldType)) {
+      throw invalid(`Field ${id}: unsupported fieldType '${fieldType}'`);
+    }
+    if (fieldType === 'checkbox' && !field.formField) {
+      throw invalid(`Field ${id}: checkbox fields must target a formField`);
+    }
+    const geometry = invalidFieldGeometry(field);
+    if (geometry) {
+      throw invalid(`Field ${id}: ${geometry}`);
+    }
+
+    return {
+      id,
+      recipientId: recipient.id,
+      fieldType,
+      required: field.required !== false,
+      label: typeof field.label === 'string' ? field.label : null,
+      coordinates: {
+        frontend: field.coordinates.frontend,
+        container: field.coordinates.container,
+        pageIndex: field.coordinates.pageIndex || 0
+      },
+      pageSize: field.pageSize || null,
+      formField: field.formField || null,
+      formOption: field.formOption || null
+    };
+  });
+
+  for (const recipient of recipients) {
+    if (recipient.role === 'signer' && !fields.some(field => field.recipientId === recipient.id && field.required)) {
+      throw invalid(`Signer ${recipient.email} has no required fields`);
+    }
+  }
+
+  return { documentId, branch, title: title || null, routing, recipients, fields };
+}
+
+/**
+ * Signers who may sign now
+ *
+ * @param {Object} envelope - Stored envelope
+ * @returns {Array} Recipients (empty unless the envelope is sent or in progress)
+ */
+function currentRecipients(envelope) {
+  if (!ACTIVE_STATUSES.includes(envelope.status)) {
+    return [];
+  }
+  const pending = envelope.recipients.filter(recipient => recipient.role === 'signer' && recipient.status === 'pending');
+  return envelope.routing === 'sequential' ? pending.slice(0, 1) : pending;
+}
+
+/**
+ * Refuse any recipient action on an envelope that is not sent or in progress
+ *
+ * @param {Object} envelope - Stored envelope
+ * @throws {Error} ENVELOPE_VOIDED, ENVELOPE_NOT_ACTIVE
+ */
+function assertActive(envelope) {
+  if (ACTIVE_STATUSES.includes(envelope.status)) return;
+  if (envelope.status === ENVELOPE_STATUS.voided) {
+    throw envelopeError(
+      ENVELOPE_ERRORS.voided,
+      `Envelope ${envelope._id} was voided${envelope.voidReason ? `: ${envelope.voidReason}` : ''}`
+    );
+  }
+  const reasons = {
+    [ENVELOPE_STATUS.draft]: 'has not been sent',
+    [ENVELOPE_STATUS.completed]: 'is completed and sealed',
+    [ENVELOPE_STATUS.declined]: 'was declined by a signer'
+  };
+  throw envelopeError(
+    ENVELOPE_ERRORS.notActive,
+    `Envelope ${envelope._id} ${reasons[envelope.status] || `is ${envelope.status}`}`
+  );
+}
+
+/**
+ * Signer of an active envelope who has not acted yet (signed, declined or
+ * delegated), whether or not it is their turn
+ *
+ * @param {Object} envelope - Stored envelope
+ * @param {string} email - Recipient email
+ * @returns {Object} Recipient
+ * @throws {Error} ENVELOPE_VOIDED, ENVELOPE_NOT_ACTIVE, ENVELOPE_NOT_RECIPIENT,
+ *   ENVELOPE_RECIPIENT_DONE
+ */
+function findPendingSigner(envelope, email) {
+  assertActive(envelope);
+
+  const recipient = envelope.recipients.find(r => r.email === normalizeEmail(email));
+  if (!recipient || recipient.role !== 'signer') {
+    throw envelopeError(ENVELOPE_ERRORS.notRecipient, `${email || 'Unknown signer'} is not a signer of envelope ${envelope._id}`);
+  }
+  if (recipient.status !== 'pending') {
+    const done = {
+      completed: 'has already signed',
+      delegated: 'has delegated signing of'
+    };
+    throw envelopeError(
+      ENVELOPE_ERRORS.recipientDone,
+      `${recipient.email} ${done[recipient.status] || `has ${recipient.status}`} envelope ${envelope._id}`
+    );
+  }
+  return recipient;
+}
+
+/**
+ * Reason given for declining or voiding
+ *
+ * @param {*} reason - Request value
+ * @param {Object} options - { required }
+ * @returns {string|null} Trimmed reason
+ * @throws {Error} ENVELOPE_INVALID
+ */
+function normalizeReason(reason, options = {}) {
+  if (reason === undefined || reason === null || reason === '') {
+    if (options.required) {
+      throw envelopeError(ENVELOPE_ERRORS.invalid, 'reason is required');
+    }
+    return null;
+  }
+  if (typeof reason !== 'string' || !reason.trim() || reason.length > MAX_REASON_LENGTH) {
+    throw envelopeError(ENVELOPE_ERRORS.invalid, `reason must be a non-empty string of at most ${MAX_REASON_LENGTH} characters`);
+  }
+  return reason.trim();
+}
+
+/**
+ * Hand a pending signer's place to someone else
+ *
+ * The signer stays on the envelope as 'delegated'; the delegate is a new
+ * recipient inserted right after them, with the same routing order, who
+ * takes over their fields.
+ *
+ * @param {Object} envelope - Stored envelope
+ * @param {Object} recipient - Pending signer (see findPendingSigner)
+ * @param {Object} delegate - { email, name }
+ * @param {Object} options - { reason, now }
+ * @returns {Object} { recipients, fields, delegate } (new arrays for the envelope)
+ * @throws {Error} ENVELOPE_INVALID
+ */
+function delegateRecipient(envelope, recipient, delegate, options = {}) {
+  const email = normalizeEmail(delegate?.email);
+  if (!EMAIL_PATTERN.test(email)) {
+    throw envelopeError(ENVELOPE_ERRORS.invalid, 'delegate.email must be a valid email');
+  }
+  if (envelope.recipients.some(r => r.email === email)) {
+    throw envelopeError(ENVELOPE_ERRORS.invalid, `${email} is already a recipient of envelope ${envelope._id}`);
+  }
+  if (envelope.recipients.length >= MAX_RECIPIENTS) {
+    throw envelopeError(ENVELOPE_ERRORS.invalid, `An envelope has at most ${MAX_RECIPIENTS} recipients`);
+  }
+
+  const now = options.now || new Date();
+  const name = typeof delegate.name === 'string' && delegate.name.trim() ? delegate.name.trim() : email;
+  const added = {
+    id: `r${envelope.recipients.length + 1}`,
+    email,
+    name,
+    role: 'signer',
+    routingOrder: recipient.routingOrder,
+    status: 'pending',
+    completedAt: null,
+    signingPass: null,
+    delegatedFrom: recipient.id
+  };
+
+  const recipients = [];
+  for (const entry of envelope.recipients) {
+    if (entry.id !== recipient.id) {
+      recipients.push(entry);
+      continue;
+    }
+    recipients.push({
+      ...entry,
+      status: 'delegated',
+      delegatedTo: added.id,
+      delegatedAt: now,
+      delegationReason: options.reason || null
+    }, added);
+  }
+
+  const fields = envelope.fields.map(field => (
+    field.recipientId === recipient.id ? { ...field, recipientId: added.id } : field
+  ));
+
+  return { recipients, fields, delegate: added };
+}
+
+/**
+ * Check that a signing request comes from a current recipient and covers
+ * exactly their fields, and build the placements sign-pdf burns
+ *
+ * The envelope decides where each field goes and what type it is; the request
+ * only supplies the content (signature, value, style, appearance).
+ *
+ * @param {Object} envelope - Stored envelope
+ * @param {string} email - Signer email from the request
+ * @param {Array} placements - Request placements, each with fieldId
+ * @returns {Object} { recipient, placements (with fieldId) }
+ * @throws {Error} ENVELOPE_* codes
+ */
+function authorizeSigning(envelope, email, placements) {
+  const recipient = findPendingSigner(envelope, email);
+  if (!currentRecipients(envelope).some(r => r.id === recipient.id)) {
+    const waitingFor = currentRecipients(envelope).map(r => r.email);
+    throw envelopeError(
+      ENVELOPE_ERRORS.notYourTurn,
+      `Envelope ${envelope._id} is waiting for ${waitingFor.join(', ')}`,
+      { waitingFor }
+    );
+  }
+
+  const fieldsById = new Map(envelope.fields.map(field => [field.id, field]));
+  const signed = new Set();
+
+  const merged = placements.map((placement, index) => {
+    const field = fieldsById.get(placement?.fieldId);
+    if (!field) {
+      throw envelopeError(ENVELOPE_ERRORS.unknownField, `Placement ${index}: fieldId must name a field of the envelope`);
+    }
+    if (field.recipientId !== recipient.id) {
+      throw envelopeError(ENVELOPE_ERRORS.fieldNotAssigned, `Field ${field.id} is assigned to another recipient`);
+    }
+    if (signed.has(field.id)) {
+      throw envelopeError(ENVELOPE_ERRORS.unknownField, `Field ${field.id} is filled twice`);
+    }
+    signed.add(field.id);
+
+    return {
+      signature: placement.signature,
+      value: placement.value,
+      style: placement.style,
+      appearance: placement.appearance,
+      fieldId: field.id,
+      fieldType: field.fieldType,
+      formField: field.formField || undefined,
+      formOption: field.formOption || undefined,
+      coordinates: field.coordinates,
+      pageSize: field.pageSize || undefined
+    };
+  });
+
+  const missing = envelope.fields
+    .filter(field => field.recipientId === recipient.id && field.required && !signed.has(field.id))
+    .map(field => field.id);
+  if (missing.length > 0) {
+    throw envelopeError(
+      ENVELOPE_ERRORS.fieldsMissing,
+      `Required fields not filled: ${missing.join(', ')}`,
+      { missingFields: missing }
+    );
+  }
+
+  return { recipient, placements: merged };
+}
+
+/**
+ * Whether every signer has signed (a delegated signer's delegate signs for them)
+ */
+function allSigned(recipients) {
+  return recipients.every(recipient => recipient.role !== 'signer' ||
+    ['completed', 'delegated'].includes(recipient.status));
+}
+
+/**
+ * Public summary of an envelope
+ *
+ * @param {Object} envelope - Stored envelope
+ * @returns {Object} Envelope with currentRecipients (emails)
+ */
+function describeEnvelope(envelope) {
+  const { _id, lock, ...rest } = envelope;
+  return {
+    envelopeId: _id,
+    ...rest,
+    currentRecipients: currentRecipients(envelope).map(recipient => recipient.email)
+  };
+}
+
+/**
+ * Seal of a completed envelope: the final version and every signing pass,
+ * as canonical JSON, with a detached PKCS#7 signature when credentials exist
+ *
+ * @param {Object} envelope - Completed envelope
+ * @param {Object|null} credentials - Server signing credentials
+ * @param {Object} options - { timestampAuthority, sealedAt }
+ * @returns {Promise<Object>} { sealedAt, version, sha256, payload, payloadHash,
+ *   signature (base64 DER) | null, certificate (PEM) | null, certificateInfo, timestamp }
+ */
+async function createSeal(envelope, credentials, options = {}) {
+  const sealedAt = options.sealedAt || new Date();
+  const finalPass = envelope.recipients
+    .filter(recipient => recipient.signingPass)
+    .map(recipient => recipient.signingPass)
+    .sort((a, b) => b.version - a.version)[0];
+
+  const payload = canonicalJson({
+    type: SEAL_TYPE,
+    envelopeId: envelope._id,
+    documentId: envelope.documentId,
+    branch: envelope.branch,
+    version: finalPass.version,
+    sha256: finalPass.signedHash,
+    recipients: envelope.recipients.map(recipient => ({
+      email: recipient.email,
+      name: recipient.name,
+      role: recipient.role,
+      completedAt: recipient.completedAt,
+      version: recipient.signingPass?.version ?? null,
+      signedHash: recipient.signingPass?.signedHash ?? null
+    })),
+    sealedAt
+  });
+
+  let signature = null;
+  let timestamp = null;
+  if (credentials) {
+    ({ signature, timestamp } = await createDetachedSignature(Buffer.from(payload, 'utf8'), credentials, {
+      signingTime: sealedAt,
+      timestampAuthority: options.timestampAuthority
+    }));
+  }
+
+  return {
+    sealedAt,
+    version: finalPass.version,
+    sha256: finalPass.signedHash,
+    payload,
+    payloadHash: crypto.createHash('sha256').update(payload, 'utf8').digest('hex'),
+    signature: signature ? signature.toString('base64') : null,
+    certificate: credentials ? forge.pki.certificateToPem(credentials.certificate) : null,
+    certificateInfo: credentials?.certificateInfo || null,
+    timestamp: timestamp ? toAuditRecord(timestamp) : null
+  };
+}
+
+module.exports = {
+  normalizeEnvelope,
+  currentRecipients,
+  authorizeSigning,
+  assertActive,
+  findPendingSigner,
+  normalizeReason,
+  delegateRecipient,
+  allSigned,
+  describeEnvelope,
+  createSeal,
+  normalizeEmail,
+  envelopeError,
+  ENVELOPE_STATUS,
+  ACTIVE_STATUSES,
+  ENVELOPE_EVENTS,
+  ENVELOPE_ERRORS,
+  ENVELOPE_ERROR_STATUS,
+  ROUTING,
+  ROLES
+};
@@ -0,0 +1,403 @@
+/**
+ * FIELD RENDERING ENGINE
+ *
+ * Draws non-image field values onto PDF pages:
+ * - Text and date fields with standard or embedded TrueType fonts
+ * - Standard fonts swapped for embedded look-alikes where every font must be
+ *   embedded (PDF/A)
+ * - Auto-shrink so text always fits its bounding box
+ * - Configurable date formats
+ * - Radio marks centered in the box
+ * - Text turned to read upright on rotated pages
+ * - Text a standard font cannot encode refused up front, asking for a font
+ */
+
+const { StandardFonts, rgb, degrees } = require('pdf-lib');
+const fontkit = require('@pdf-lib/fontkit');
+const fs = require('fs');
+const path = require('path');
+const { readPageGeometry, toDisplayFrame, framePoint } = require('./coordinateTransform');
+
+const DEFAULT_FONT = StandardFonts.Helvetica;
+const DEFAULT_DATE_FORMAT = 'YYYY-MM-DD';
+const DEFAULT_COLOR = '#000000';
+const MIN_FONT_SIZE = 4;
+const TEXT_PADDING = 2; // points between text and box edge
+
+const UNENCODABLE_TEXT_ERROR = 'TEXT_NOT_ENCODABLE';
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Embedded fonts per document, so repeated fields reuse one font object
+const fontCache = new WeakMap();
+
+// Documents whose standard fonts must be embedded, with the substitutions made
+const embeddedFontSubstitutions = new WeakMap();
+
+// Liberation Sans faces shipped with pdfjs-dist stand in for the standard
+// Latin fonts (metric-compatible with Helvetica; Times and Courier keep their
+// weight and slant only). Symbol and ZapfDingbats have no substitute
+const STANDARD_FONT_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts');
+const FONT_SUBSTITUTES = {
+  regular: 'LiberationSans-Regular.ttf',
+  bold: 'LiberationSans-Bold.ttf',
+  italic: 'LiberationSans-Italic.ttf',
+  boldItalic: 'LiberationSans-BoldItalic.ttf'
+};
+
+/**
+ * Parse a hex color ('#1a2b3c' or '#abc') into a pdf-lib color
+ * @param {string} hex - CSS hex color
+ * @returns {Object} pdf-lib RGB color
+ */
+function parseColor(hex = DEFAULT_COLOR) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex);
+  if (!match) {
+    throw new Error(`Invalid color: ${hex}`);
+  }
+
+  const digits = match[1].length === 3
+    ? match[1].split('').map(d => d + d).join('')
+    : match[1];
+
+  return rgb(
+    parseInt(digits.slice(0, 2), 16) / 255,
+    parseInt(digits.slice(2, 4), 16) / 255,
+    parseInt(digits.slice(4, 6), 16) / 255
+  );
+}
+
+/**
+ * Format a date with YYYY, YY, MMMM, MMM, MM, M, DD, D tokens (UTC)
+ *
+ * @param {Date|string} date - Date or ISO date string
+ * @param {string} format - e.g. 'YYYY-MM-DD', 'DD/MM/YYYY', 'MMMM D, YYYY'
+ * @returns {string} Formatted date
+ */
+function formatDate(date, format = DEFAULT_DATE_FORMAT) {
+  const value = date instanceof Date ? date : new Date(date);
+  if (isNaN(value.getTime())) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+
+  const year = value.getUTCFullYear();
+  const month = value.getUTCMonth();
+  const day = value.getUTCDate();
+
+  const tokens = {
+    YYYY: String(year),
+    YY: String(year).slice(-2),
+    MMMM: MONTH_NAMES[month],
+    MMM: MONTH_NAMES[month].slice(0, 3),
+    MM: String(month + 1).padStart(2, '0'),
+    M: String(month + 1),
+    DD: String(day).padStart(2, '0'),
+    D: String(day)
+  };
+
+  return format.replace(/YYYY|YY|MMMM|MMM|MM|M|DD|D/g, token => tokens[token]);
+}
+
+/**
+ * Replace characters the standard fonts cannot encode (WinAnsi)
+ */
+function toWinAnsi(text) {
+  return String(text ?? '').replace(/[^\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+/**
+ * Throw unless the font has every character of the text
+ *
+ * Standard fonts only cover WinAnsi, so text such as "Łódź" or "李雷" needs
+ * a TTF sent as fontData.
+ *
+ * @param {PDFFont} font - Embedded font
+ * @param {string} name - Font name, for the message
+ * @param {string} text - Text to draw
+ * @throws {Error} TEXT_NOT_ENCODABLE naming the missing characters
+ */
+function assertEncodable(font, name, text) {
+  const supported = new Set(font.getCharacterSet());
+  const missing = [...new Set(text)].filter(char => !supported.has(char.codePointAt(0)));
+  if (missing.length > 0) {
+    const error = new Error(
+      `Font ${name} cannot encode ${missing.map(char => `"${char}"`).join(', ')}; ` +
+      'send fontData with a TTF font that covers them'
+    );
+    error.code = UNENCODABLE_TEXT_ERROR;
+    error.characters = missing;
+    throw error;
+  }
+}
+
+/**
+ * Format a date as 'YYYY-MM-DD HH:MM:SS UTC'
+ */
+function formatTimestamp(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return 'unknown';
+  return `${date.toISOString().slice(0, 19).replace('T', ' ')} UTC`;
+}
+
+/**
+ * Embed the requested font (standard font name or base64 TTF data)
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {Object} style - { font, fontData }
+ * @returns {Promise<Object>} { font: PDFFont, name: string }
+ */
+async function embedFieldFont(pdfDoc, style = {}) {
+  if (!fontCache.has(pdfDoc)) {
+    fontCache.set(pdfDoc, new Map());
+  }
+  const cache = fontCache.get(pdfDoc);
+
+  if (style.fontData) {
+    const name = style.font || 'EmbeddedFont';
+    const key = `ttf:${name}:${style.fontData.length}`;
+    if (!cache.has(key)) {
+      pdfDoc.registerFontkit(fontkit);
+      const fontBytes = Buffer.from(style.fontData.replace(/^data:[^,]*,/, ''), 'base64');
+      cache.set(key, await pdfDoc.embedFont(fontBytes, { subset: true }));
+    }
+    return { font: cache.get(key), name };
+  }
+
+  const name = style.font || DEFAULT_FONT;
+  if (!Object.values(StandardFonts).includes(name)) {
+    throw new Error(`Unknown standard font: ${name}`);
+  }
+  if (!cache.has(name)) {
+    const substitutions = embeddedFontSubstitutions.get(pdfDoc);
+    cache.set(name, substitutions
+      ? await embedSubstituteFont(pdfDoc, name, substitutions)
+      : await pdfDoc.embedFont(name));
+  }
+  return { font: cache.get(name), name };
+}
+
+/**
+ * Embed the look-alike of a standard font
+ */
+async function embedSubstituteFont(pdfDoc, name, substitutions) {
+  if (name === StandardFonts.Symbol || name === StandardFonts.ZapfDingbats) {
+    throw new Error(`${name} cannot be embedded; send fontData instead`);
+  }
+
+  const isBold = name.includes('Bold');
+  const isItalic = /Italic|Oblique/.test(name);
+  const file = FONT_SUBSTITUTES[isBold ? (isItalic ? 'boldItalic' : 'bold') : (isItalic ? 'italic' : 'regular')];
+
+  pdfDoc.registerFontkit(fontkit);
+  const font = await pdfDoc.embedFont(
+    await fs.promises.readFile(path.join(STANDARD_FONT_DIR, file)),
+    { subset: true }
+  );
+  substitutions.push({ font: name, substitute: path.basename(file, '.ttf') });
+  return font;
+}
+
+/**
+ * Embed every standard font used from now on in this document
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ */
+function requireEmbeddedFonts(pdfDoc) {
+  if (!embeddedFontSubstitutions.has(pdfDoc)) {
+    embeddedFontSubstitutions.set(pdfDoc, []);
+  }
+}
+
+/**
+ * Standard fonts replaced by embedded look-alikes, for the audit log
+ *
+ * @returns {Array} [{ font, substitute }]
+ */
+function getFontSubstitutions(pdfDoc) {
+  return embeddedFontSubstitutions.get(pdfDoc) || [];
+}
+
+/**
+ * Largest font size at which text fits the box on one line
+ *
+ * Text width and height scale linearly with size, so the fit is computed
+ * directly instead of stepping down.
+ *
+ * @param {PDFFont} font - Embedded font
+ * @param {string} text - Text to draw
+ * @param {Object} box - { width, height } in points
+ * @param {number} maxSize - Requested size (upper bound)
+ * @returns {Object} { fontSize, overflow }
+ */
+function fitFontSize(font, text, box, maxSize) {
+  const availableWidth = Math.max(0, box.width - 2 * TEXT_PADDING);
+  const availableHeight = Math.max(0, box.height - 2 * TEXT_PADDING);
+
+  const widthAt1 = font.widthOfTextAtSize(text, 1);
+  const heightAt1 = font.heightAtSize(1);
+
+  const candidates = [availableHeight / heightAt1];
+  if (maxSize) candidates.push(maxSize);
+  if (widthAt1 > 0) candidates.push(availableWidth / widthAt1);
+
+  const fitted = Math.min(...candidates);
+  return {
+    fontSize: Math.max(MIN_FONT_SIZE, fitted),
+    overflow: fitted < MIN_FONT_SIZE
+  };
+}
+
+/**
+ * Draw a single line of text vertically centered in the box
+ * 
+ * Layout happens in the box's display orientation; on rotated pages the
+ * result is mapped back to user space and the text turned to match.
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {PDFPage} page - Target page
+ * @param {string} text - Text to draw
+ * @param {Object} fieldData - { x, y, width, height, style: { font, fontData, fontSize, color, align } }
+ * @returns {Promise<Object>} Text details for the audit log
+ */
+async function drawFittedText(pdfDoc, page, text, fieldData) {
+  const style = fieldData.style || {};
+  const { font, name } = await embedFieldFont(pdfDoc, style);
+  if (!style.fontData) {
+    assertEncodable(font, name, text);
+  }
+  const color = parseColor(style.color);
+  const frame = toDisplayFrame(fieldData, readPageGeometry(page).rotation);
+
+  const fit = fitFontSize(font, text, frame, style.fontSize);
+  const { fontSize } = fit;
+  const textWidth = font.widthOfTextAtSize(text, fontSize);
+  const textHeight = font.heightAtSize(fontSize);
+  const descent = textHeight - font.heightAtSize(fontSize, { descender: false });
+
+  // Position within the frame
+  let textX = TEXT_PADDING;
+  if (style.align === 'center') {
+    textX = (frame.width - textWidth) / 2;
+  } else if (style.align === 'right') {
+    textX = frame.width - TEXT_PADDING - textWidth;
+  }
+  const textY = (frame.height - textHeight) / 2 + descent;
+  const origin = framePoint(frame, textX, textY);
+
+  page.drawText(text, {
+    x: origin.x,
+    y: origin.y,
+    size: fontSize,
+    font,
+    color,
+    rotate: degrees(frame.rotation)
+  });
+
+  return {
+    text,
+    font: name,
+    fontSize,
+    requestedFontSize: style.fontSize || null,
+    color: style.color || DEFAULT_COLOR,
+    rotation: frame.rotation,
+    overflow: fit.overflow
+  };
+}
+
+/**
+ * Render a text field value
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {PDFPage} page - Target page
+ * @param {Object} fieldData - { value, x, y, width, height, style }
+ * @returns {Promise<Object>} { textInfo }
+ */
+async function renderTextField(pdfDoc, page, fieldData) {
+  const text = String(fieldData.value ?? '').replace(/\s+/g, ' ').trim();
+  if (!text) {
+    throw new Error('Text field value is empty');
+  }
+
+  return { textInfo: await drawFittedText(pdfDoc, page, text, fieldData) };
+}
+
+/**
+ * Render a date field value (defaults to the signing date)
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {PDFPage} page - Target page
+ * @param {Object} fieldData - { value, x, y, width, height, style: { dateFormat, ... } }
+ * @returns {Promise<Object>} { textInfo }
+ */
+async function renderDateField(pdfDoc, page, fieldData) {
+  const dateFormat = fieldData.style?.dateFormat || DEFAULT_DATE_FORMAT;
+  const text = formatDate(fieldData.value || new Date(), dateFormat);
+
+  const textInfo = await drawFittedText(pdfDoc, page, text, fieldData);
+  return { textInfo: { ...textInfo, dateFormat } };
+}
+
+/**
+ * Render a radio mark: ring plus filled dot when selected
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {PDFPage} page - Target page
+ * @param {Object} fieldData - { value: boolean, x, y, width, height, style: { color } }
+ * @returns {Promise<Object>} { markInfo }
+ */
+async function renderRadioField(pdfDoc, page, fieldData) {
+  const selected = fieldData.value !== false;
+  const color = parseColor(fieldData.style?.color);
+
+  // Largest circle that fits, centered in the box
+  const radius = Math.min(fieldData.width, fieldData.height) / 2 - TEXT_PADDING / 2;
+  const centerX = fieldData.x + fieldData.width / 2;
+  const centerY = fieldData.y + fieldData.height / 2;
+  const borderWidth = Math.max(0.5, radius * 0.1);
+
+  page.drawCircle({
+    x: centerX,
+    y: centerY,
+    size: radius,
+    borderColor: color,
+    borderWidth
+  });
+
+  if (selected) {
+    page.drawCircle({
+      x: centerX,
+      y: centerY,
+      size: radius * 0.5,
+      color
+    });
+  }
+
+  return {
+    markInfo: {
+      selected,
+      radius,
+      color: fieldData.style?.color || DEFAULT_COLOR
+    }
+  };
+}
+
+module.exports = {
+  renderTextField,
+  renderDateField,
+  renderRadioField,
+  embedFieldFont,
+  requireEmbeddedFonts,
+  getFontSubstitutions,
+  fitFontSize,
+  formatDate,
+  formatTimestamp,
+  toWinAnsi,
+  assertEncodable,
+  parseColor,
+  DEFAULT_DATE_FORMAT,
+  MIN_FONT_SIZE,
+  UNENCODABLE_TEXT_ERROR
+};
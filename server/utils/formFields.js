@@ -0,0 +1,246 @@
+/**
+ * ACROFORM FIELD ENGINE
+ *
+ * Detects and fills the interactive form fields already present in a PDF:
+ * - Enumerates fields with name, type, page and widget rectangles
+ * - Sets real form values through pdf-lib instead of painting over them
+ * - Reports empty signature widgets so they can be offered for signing
+ */
+
+const {
+  PDFDocument,
+  PDFName,
+  PDFTextField,
+  PDFCheckBox,
+  PDFRadioGroup,
+  PDFDropdown,
+  PDFOptionList,
+  PDFSignature,
+  PDFButton
+} = require('pdf-lib');
+const { formatDate } = require('./fieldRenderers');
+const { readPageGeometry, pdfPointsToNormalized } = require('./coordinateTransform');
+
+/**
+ * Map a pdf-lib field to a type name
+ * @param {PDFField} field - pdf-lib form field
+ * @returns {string} 'text' | 'checkbox' | 'radio' | 'dropdown' | 'optionList' | 'signature' | 'button' | 'unknown'
+ */
+function getFieldType(field) {
+  if (field instanceof PDFTextField) return 'text';
+  if (field instanceof PDFCheckBox) return 'checkbox';
+  if (field instanceof PDFRadioGroup) return 'radio';
+  if (field instanceof PDFDropdown) return 'dropdown';
+  if (field instanceof PDFOptionList) return 'optionList';
+  if (field instanceof PDFSignature) return 'signature';
+  if (field instanceof PDFButton) return 'button';
+  return 'unknown';
+}
+
+/**
+ * Current value of a field, in a JSON-friendly form
+ */
+function getFieldValue(field, type) {
+  switch (type) {
+    case 'text':
+      return field.getText() ?? null;
+    case 'checkbox':
+      return field.isChecked();
+    case 'radio':
+      return field.getSelected() ?? null;
+    case 'dropdown':
+    case 'optionList':
+      return field.getSelected();
+    case 'signature':
+      return field.acroField.dict.has(PDFName.of('V')) ? 'signed' : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Find the index of the page a widget sits on
+ *
+ * Uses the widget's /P entry and falls back to scanning page /Annots,
+ * since /P is optional.
+ */
+function findWidgetPageIndex(pdfDoc, widget, pages) {
+  const pageRef = widget.P();
+  if (pageRef) {
+    const index = pages.findIndex(page => page.ref === pageRef);
+    if (index !== -1) return index;
+  }
+
+  const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+  return pages.findIndex(page => {
+    const annots = page.node.Annots();
+    return annots && widgetRef && annots.asArray().some(ref => ref === widgetRef);
+  });
+}
+
+/**
+ * Enumerate the form fields of a loaded document
+ *
+ * Radio groups and fields with several widgets produce one entry per widget,
+ * so each entry has exactly one page and rectangle.
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @returns {Array} [{
+ *   name, type, pageIndex,
+ *   rect: { x, y, width, height } (PDF points, bottom-left origin),
+ *   pageRect: { x, y, width, height } (PDF points, top-left origin of the
+ *     page as displayed, i.e. after CropBox and /Rotate),
+ *   value, option, options, readOnly, required, widgetIndex
+ * }]
+ */
+function getFormFields(pdfDoc) {
+  const form = pdfDoc.getForm();
+  const pages = pdfDoc.getPages();
+  const entries = [];
+
+  for (const field of form.getFields()) {
+    const type = getFieldType(field);
+    const widgets = field.acroField.getWidgets();
+    const options = type === 'radio' || type === 'dropdown' || type === 'optionList'
+      ? field.getOptions()
+      : null;
+
+    widgets.forEach((widget, widgetIndex) => {
+      const pageIndex = findWidgetPageIndex(pdfDoc, widget, pages);
+      const rect = widget.getRectangle();
+      const page = pages[pageIndex];
+      const geometry = page ? readPageGeometry(page) : null;
+      const normalized = geometry
+        ? pdfPointsToNormalized(rect, geometry)
+        : { x: 0, y: 0, width: 0, height: 0 };
+      const displaySize = geometry ? geometry.displaySize : { width: 0, height: 0 };
+
+      entries.push({
+        name: field.getName(),
+        type,
+        pageIndex,
+        widgetIndex,
+        rect,
+        pageRect: {
+          x: normalized.x * displaySize.width,
+          y: normalized.y * displaySize.height,
+          width: normalized.width * displaySize.width,
+          height: normalized.height * displaySize.height
+        },
+        value: getFieldValue(field, type),
+        // Radio widgets each stand for one option of the group
+        option: type === 'radio' ? options[widgetIndex] ?? null : null,
+        options,
+        readOnly: field.isReadOnly(),
+        required: field.isRequired()
+      });
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Load a PDF and enumerate its form fields
+ *
+ * @param {Buffer} pdfBuffer - PDF bytes
+ * @returns {Promise<Array>} See getFormFields
+ */
+async function listFormFields(pdfBuffer) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer);
+  return getFormFields(pdfDoc);
+}
+
+/**
+ * Set the real value of an existing form field
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {Object} fieldData - {
+ *   formField: string (fully qualified field name),
+ *   formOption: string (radio option this placement stands for),
+ *   fieldType: placement field type,
+ *   value: text / ISO date / boolean / option,
+ *   style: { dateFormat }
+ * }
+ * @returns {Object} { formField: { name, type, value } } for the audit log
+ */
+function fillFormField(pdfDoc, fieldData) {
+  const form = pdfDoc.getForm();
+  const field = form.getFieldMaybe(fieldData.formField);
+  if (!field) {
+    throw new Error(`Form field not found: ${fieldData.formField}`);
+  }
+
+  const type = getFieldType(field);
+  if (field.isReadOnly()) {
+    throw new Error(`Form field is read-only: ${fieldData.formField}`);
+  }
+
+  let value = fieldData.value;
+
+  switch (type) {
+    case 'text':
+      value = fieldData.fieldType === 'date'
+        ? formatDate(value || new Date(), fieldData.style?.dateFormat)
+        : String(value ?? '');
+      field.setText(value);
+      break;
+    case 'checkbox':
+      value = value !== false;
+      if (value) {
+        field.check();
+      } else {
+        field.uncheck();
+      }
+      break;
+    case 'radio':
+      // Boolean placements select the option their widget stands for
+      value = typeof value === 'string' ? value : fieldData.formOption;
+      if (fieldData.value === false) {
+        field.clear();
+        value = null;
+      } else {
+        field.select(value);
+      }
+      break;
+    case 'dropdown':
+    case 'optionList':
+      field.select(value);
+      break;
+    default:
+      throw new Error(`Form field ${fieldData.formField} of type ${type} cannot be filled`);
+  }
+
+  return {
+    formField: {
+      name: field.getName(),
+      type,
+      value
+    }
+  };
+}
+
+/**
+ * Find an unsigned signature field by name
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {string} name - Fully qualified field name
+ * @returns {PDFSignature|null} Field, when it exists and has no /V yet
+ */
+function findEmptySignatureField(pdfDoc, name) {
+  if (!name) return null;
+
+  const field = pdfDoc.getForm().getFieldMaybe(name);
+  if (!(field instanceof PDFSignature) || field.acroField.dict.has(PDFName.of('V'))) {
+    return null;
+  }
+  return field;
+}
+
+module.exports = {
+  listFormFields,
+  getFormFields,
+  fillFormField,
+  findEmptySignatureField,
+  getFieldType
+};
@@ -0,0 +1,254 @@
+/**
+ * SIGNATURE IMAGE CLEAN-UP
+ *
+ * Prepares PNG signature images before they are embedded:
+ * - Near-white pixels become transparent, so the page shows through
+ * - The image is cropped to the ink's bounding box plus a small padding
+ * - Ink can be recolored (blue, black or any hex color)
+ * - Transparency can be flattened to opaque pixels plus a 1-bit mask
+ *
+ * Works on decoded RGBA pixels and re-encodes a lossless PNG.
+ */
+
+const UPNG = require('@pdf-lib/upng').default;
+const { parseColor } = require('./fieldRenderers');
+
+const DEFAULT_THRESHOLD = 235; // luminance at or above which a pixel counts as background
+const DEFAULT_PADDING = 4; // pixels kept around the ink
+const MIN_INK_ALPHA = 16; // fainter pixels are not ink
+const MASK_ALPHA = 128; // flattened pixels below this opacity are masked out
+
+const INK_COLORS = {
+  black: '#000000',
+  blue: '#1a3d8f'
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Whether the bytes start with the PNG signature
+ */
+function isPng(buffer) {
+  return buffer.length >= PNG_SIGNATURE.length &&
+    buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+}
+
+/**
+ * Resolve clean-up options from the request's signature.cleanup
+ *
+ * @param {boolean|Object} cleanup - true for defaults, or {
+ *   removeBackground: boolean (default true),
+ *   trim: boolean (default true),
+ *   padding: number (pixels, default 4),
+ *   threshold: number (0-255 luminance, default 235),
+ *   inkColor: 'blue' | 'black' | hex string (optional)
+ * }
+ * @returns {Object|null} Complete options, or null when no clean-up is requested
+ */
+function resolveCleanupOptions(cleanup) {
+  if (!cleanup) return null;
+
+  const options = cleanup === true ? {} : cleanup;
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  const padding = options.padding ?? DEFAULT_PADDING;
+
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 255) {
+    throw new Error(`Invalid cleanup threshold: ${options.threshold}`);
+  }
+  if (!Number.isFinite(padding) || padding < 0) {
+    throw new Error(`Invalid cleanup padding: ${options.padding}`);
+  }
+
+  const inkColor = options.inkColor ? INK_COLORS[options.inkColor] || options.inkColor : null;
+  if (inkColor) parseColor(inkColor);
+
+  return {
+    removeBackground: options.removeBackground !== false,
+    trim: options.trim !== false,
+    padding: Math.round(padding),
+    threshold,
+    inkColor
+  };
+}
+
+/**
+ * Perceived brightness of an RGB pixel (0-255)
+ */
+function luminance(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+/**
+ * Bounding box of the pixels that count as ink
+ *
+ * @returns {Object|null} { x, y, width, height } or null for a blank image
+ */
+function findInkBounds(pixels, width, height, threshold) {
+  let minX = width;
+  let minY = height;
+  let maxX = -1;
+  let maxY = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const isInk = pixels[i + 3] >= MIN_INK_ALPHA &&
+        luminance(pixels[i], pixels[i + 1], pixels[i + 2]) < threshold;
+      if (isInk) {
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+  }
+
+  if (maxX === -1) return null;
+  return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * Clean up a PNG signature image
+ *
+ * @param {Buffer} pngBuffer - PNG bytes
+ * @param {boolean|Object} cleanup - See resolveCleanupOptions
+ * @returns {Object} {
+ *   buffer: Buffer (PNG),
+ *   info: { originalWidth, originalHeight, crop: { x, y, width, height },
+ *     removeBackground, trim, threshold, inkColor }
+ * }
+ */
+function cleanSignatureImage(pngBuffer, cleanup) {
+  const options = resolveCleanupOptions(cleanup);
+  if (!options) {
+    throw new Error('No clean-up options given');
+  }
+  if (!isPng(pngBuffer)) {
+    throw new Error('Signature clean-up requires a PNG image');
+  }
+
+  const decoded = UPNG.decode(pngBuffer);
+  const { width, height } = decoded;
+  const pixels = new Uint8Array(UPNG.toRGBA8(decoded)[0]);
+
+  // Measure before the background is dropped, so light ink on white still counts
+  const ink = findInkBounds(pixels, width, height, options.threshold);
+  if (!ink) {
+    throw new Error('Signature image has no ink');
+  }
+
+  const color = options.inkColor ? parseColor(options.inkColor) : null;
+  const inkRGB = color
+    ? [color.red, color.green, color.blue].map(channel => Math.round(channel * 255))
+    : null;
+
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (options.removeBackground &&
+        luminance(pixels[i], pixels[i + 1], pixels[i + 2]) >= options.threshold) {
+      pixels[i + 3] = 0;
+    }
+    if (inkRGB && pixels[i + 3] > 0) {
+      [pixels[i], pixels[i + 1], pixels[i + 2]] = inkRGB;
+    }
+  }
+
+  const crop = options.trim
+    ? {
+      x: Math.max(0, ink.x - options.padding),
+      y: Math.max(0, ink.y - options.padding),
+      width: 0,
+      height: 0
+    }
+    : { x: 0, y: 0, width, height };
+  if (options.trim) {
+    crop.width = Math.min(width, ink.x + ink.width + options.padding) - crop.x;
+    crop.height = Math.min(height, ink.y + ink.height + options.padding) - crop.y;
+  }
+
+  const cropped = new Uint8Array(crop.width * crop.height * 4);
+  for (let row = 0; row < crop.height; row++) {
+    const start = ((crop.y + row) * width + crop.x) * 4;
+    cropped.set(pixels.subarray(start, start + crop.width * 4), row * crop.width * 4);
+  }
+
+  // Lossless (cnum 0) so ink edges are kept as drawn
+  const encoded = UPNG.encode([cropped.buffer], crop.width, crop.height, 0);
+
+  return {
+    buffer: Buffer.from(encoded),
+    info: {
+      originalWidth: width,
+      originalHeight: height,
+      crop,
+      removeBackground: options.removeBackground,
+      trim: options.trim,
+      threshold: options.threshold,
+      inkColor: options.inkColor
+    }
+  };
+}
+
+/**
+ * Flatten a PNG's transparency
+ *
+ * Partly transparent pixels are blended onto white; pixels below half
+ * opacity become holes in a 1-bit stencil mask instead, so the page still
+ * shows around the ink without soft transparency.
+ *
+ * @param {Buffer} pngBuffer - PNG bytes
+ * @returns {Object} {
+ *   buffer: Buffer (opaque PNG),
+ *   mask: null | { width, height, data: Buffer (1 bit per pixel, rows padded
+ *     to a byte, 1 = hole) } - null when every pixel is kept,
+ *   info: { maskedPixels, blendedPixels }
+ * }
+ */
+function flattenTransparency(pngBuffer) {
+  if (!isPng(pngBuffer)) {
+    throw new Error('Transparency flattening requires a PNG image');
+  }
+
+  const decoded = UPNG.decode(pngBuffer);
+  const { width, height } = decoded;
+  const pixels = new Uint8Array(UPNG.toRGBA8(decoded)[0]);
+
+  const rowBytes = Math.ceil(width / 8);
+  const maskData = Buffer.alloc(rowBytes * height);
+  let maskedPixels = 0;
+  let blendedPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const alpha = pixels[i + 3];
+
+      if (alpha < MASK_ALPHA) {
+        maskData[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+        maskedPixels++;
+      } else if (alpha < 255) {
+        blendedPixels++;
+      }
+
+      // Masked pixels are blended too, so their samples stay well defined
+      for (let channel = 0; channel < 3; channel++) {
+        pixels[i + channel] = Math.round((pixels[i + channel] * alpha + 255 * (255 - alpha)) / 255);
+      }
+      pixels[i + 3] = 255;
+    }
+  }
+
+  return {
+    buffer: Buffer.from(UPNG.encode([pixels.buffer], width, height, 0)),
+    mask: maskedPixels > 0 ? { width, height, data: maskData } : null,
+    info: { maskedPixels, blendedPixels }
+  };
+}
+
+module.exports = {
+  cleanSignatureImage,
+  flattenTransparency,
+  resolveCleanupOptions,
+  findInkBounds,
+  isPng,
+  INK_COLORS
+};
@@ -0,0 +1,296 @@
+/**
+ * INCREMENTAL UPDATE WRITER
+ *
+ * Saves pdf-lib changes as a PDF incremental update (ISO 32000-1, 7.5.6):
+ * - The original bytes stay an exact prefix of the output
+ * - Only new and modified objects are appended
+ * - A new cross-reference section chains to the previous one through /Prev
+ * - Revision boundaries (%%EOF markers) can be listed for verification
+ */
+
+const crypto = require('crypto');
+const { PDFName, PDFNumber, PDFRef } = require('pdf-lib');
+const PDFCrossRefStream = require('pdf-lib/cjs/core/structures/PDFCrossRefStream').default;
+
+const EOF_MARKER = '%%EOF';
+const STARTXREF = 'startxref';
+
+/**
+ * Serialize a pdf-lib object to bytes
+ */
+function objectBytes(object) {
+  const bytes = new Uint8Array(object.sizeInBytes());
+  object.copyBytesInto(bytes, 0);
+  return bytes;
+}
+
+/**
+ * SHA-256 of an object's serialization, used to detect modified objects
+ */
+function digestObject(object) {
+  return crypto.createHash('sha256').update(objectBytes(object)).digest('hex');
+}
+
+/**
+ * Locate the last cross-reference section of a PDF
+ *
+ * @param {Buffer} pdfBuffer - PDF bytes
+ * @returns {Object} { offset, isStream, size }
+ */
+function findLastCrossReference(pdfBuffer) {
+  const startxrefIndex = pdfBuffer.lastIndexOf(STARTXREF);
+  if (startxrefIndex === -1) {
+    throw new Error('PDF has no startxref; cannot append an incremental update');
+  }
+
+  const match = /^\s*(\d+)/.exec(
+    pdfBuffer.toString('latin1', startxrefIndex + STARTXREF.length, startxrefIndex + STARTXREF.length + 32)
+  );
+  if (!match) {
+    throw new Error('PDF startxref offset is unreadable');
+  }
+
+  const offset = Number(match[1]);
+  const section = pdfBuffer.toString('latin1', offset, startxrefIndex);
+
+  // Table sections start with the xref keyword; anything else is an xref stream
+  const isStream = !section.startsWith('xref');
+  const sizeMatch = /\/Size\s+(\d+)/.exec(section);
+
+  return {
+    offset,
+    isStream,
+    size: sizeMatch ? Number(sizeMatch[1]) : 0
+  };
+}
+
+/**
+ * Start tracking a loaded document for an incremental save
+ *
+ * Call right after PDFDocument.load. Records a digest of every object and
+ * reserves the object numbers of the original file, since pdf-lib does not
+ * keep object and xref streams and would otherwise reuse their numbers.
+ *
+ * @param {PDFDocument} pdfDoc - Document loaded from originalBuffer
+ * @param {Buffer} originalBuffer - Bytes the document was loaded from
+ * @returns {Object} Revision state for saveIncrementalUpdate
+ */
+function beginIncrementalUpdate(pdfDoc, originalBuffer) {
+  const previous = findLastCrossReference(originalBuffer);
+  const { context } = pdfDoc;
+
+  const digests = new Map();
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    digests.set(ref.tag, digestObject(object));
+  }
+
+  context.largestObjectNumber = Math.max(context.largestObjectNumber, previous.size - 1);
+
+  return {
+    originalBuffer,
+    previous,
+    digests
+  };
+}
+
+/**
+ * Build a classic cross-reference table for the appended objects
+ *
+ * @param {Array} entries - [{ ref, offset, free }] sorted by object number
+ * @returns {string} xref section text
+ */
+function buildCrossReferenceTable(entries) {
+  const subsections = [];
+  for (const entry of entries) {
+    const last = subsections[subsections.length - 1];
+    if (last && last.start + last.entries.length === entry.ref.objectNumber) {
+      last.entries.push(entry);
+    } else {
+      subsections.push({ start: entry.ref.objectNumber, entries: [entry] });
+    }
+  }
+
+  let text = 'xref\n';
+  for (const { start, entries: subsectionEntries } of subsections) {
+    text += `${start} ${subsectionEntries.length}\n`;
+    for (const entry of subsectionEntries) {
+      const offset = String(entry.free ? 0 : entry.offset).padStart(10, '0');
+      const generation = String(entry.ref.generationNumber).padStart(5, '0');
+      text += `${offset} ${generation} ${entry.free ? 'f' : 'n'} \n`;
+    }
+  }
+  return text;
+}
+
+/**
+ * Trailer entries carried over from the document (Root, Encrypt, Info, ID)
+ */
+function trailerEntries(context) {
+  const { Root, Encrypt, Info, ID } = context.trailerInfo;
+  return { Root, Encrypt, Info, ID };
+}
+
+/**
+ * Serialize the document as an incremental update of its original bytes
+ *
+ * Mirrors PDFDocument.save: refreshes form field appearances and embeds
+ * pending fonts and images before comparing objects. Objects are compared
+ * as they are in memory; options.transform can change what gets written
+ * (e.g. encrypt it).
+ *
+ * @param {PDFDocument} pdfDoc - Modified document
+ * @param {Object} revision - Result of beginIncrementalUpdate
+ * @param {Object} options - { transform: (ref, object) => object to write (optional) }
+ * @returns {Promise<Buffer>} Original bytes followed by the update
+ */
+async function saveIncrementalUpdate(pdfDoc, revision, options = {}) {
+  const { originalBuffer, previous, digests } = revision;
+  const { context } = pdfDoc;
+
+  // Same as save(): the form cache is only populated when getForm() was used
+  const form = pdfDoc.formCache.getValue();
+  if (form) form.updateFieldAppearances();
+  await pdfDoc.flush();
+
+  const current = context.enumerateIndirectObjects();
+  const changed = current.filter(([ref, object]) => digests.get(ref.tag) !== digestObject(object));
+
+  const currentTags = new Set(current.map(([ref]) => ref.tag));
+  const deleted = [...digests.keys()]
+    .filter(tag => !currentTags.has(tag))
+    .map(tag => {
+      const [objectNumber, generationNumber] = tag.split(' ').map(Number);
+      return PDFRef.of(objectNumber, generationNumber + 1);
+    });
+
+  if (changed.length === 0 && deleted.length === 0) {
+    return Buffer.from(originalBuffer);
+  }
+
+  const chunks = [originalBuffer];
+  let offset = originalBuffer.length;
+  const push = (chunk) => {
+    const bytes = typeof chunk === 'string' ? Buffer.from(chunk, 'latin1') : Buffer.from(chunk);
+    chunks.push(bytes);
+    offset += bytes.length;
+  };
+
+  // The update must start on a new line
+  const lastByte = originalBuffer[originalBuffer.length - 1];
+  if (lastByte !== 0x0a && lastByte !== 0x0d) {
+    push('\n');
+  }
+
+  const entries = deleted.map(ref => ({ ref, free: true }));
+  changed
+    .sort(([a], [b]) => a.objectNumber - b.objectNumber)
+    .forEach(([ref, object]) => {
+      entries.push({ ref, offset });
+      push(`${ref.objectNumber} ${ref.generationNumber} obj\n`);
+      push(objectBytes(options.transform ? options.transform(ref, object) : object));
+      push('\nendobj\n');
+    });
+  entries.sort((a, b) => a.ref.objectNumber - b.ref.objectNumber);
+
+  const size = Math.max(context.largestObjectNumber + 1, previous.size);
+  const xrefOffset = offset;
+
+  if (previous.isStream) {
+    // Keep the original's cross-reference style
+    const streamRef = PDFRef.of(size);
+    const dict = context.obj({
+      ...trailerEntries(context),
+      Size: size + 1,
+      Prev: previous.offset
+    });
+    const stream = PDFCrossRefStream.of(dict, [], false);
+    for (const entry of [...entries, { ref: streamRef, offset: xrefOffset }]) {
+      if (entry.free) {
+        stream.addDeletedEntry(entry.ref, 0);
+      } else {
+        stream.addUncompressedEntry(entry.ref, entry.offset);
+      }
+    }
+
+    push(`${streamRef.objectNumber} 0 obj\n`);
+    push(objectBytes(stream));
+    push('\nendobj\n');
+  } else {
+    const trailer = context.obj({
+      ...trailerEntries(context),
+      Size: size,
+      Prev: PDFNumber.of(previous.offset)
+    });
+    push(buildCrossReferenceTable(entries));
+    push(`trailer\n${trailer.toString()}\n`);
+  }
+
+  push(`${STARTXREF}\n${xrefOffset}\n${EOF_MARKER}\n`);
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * List the revisions of a PDF, one per %%EOF marker
+ *
+ * Each revision is a byte prefix of the file. The prefix is hashed both with
+ * and without the end-of-line after the marker, since producers differ.
+ *
+ * @param {Buffer} pdfBuffer - PDF bytes
+ * @returns {Array} [{ revision, byteLength, hashes: [{ byteLength, hash }] }]
+ */
+function listRevisions(pdfBuffer) {
+  const revisions = [];
+  let index = pdfBuffer.indexOf(EOF_MARKER);
+
+  while (index !== -1) {
+    const markerEnd = index + EOF_MARKER.length;
+    let lineEnd = markerEnd;
+    if (pdfBuffer[lineEnd] === 0x0d) lineEnd++;
+    if (pdfBuffer[lineEnd] === 0x0a) lineEnd++;
+
+    const lengths = lineEnd === markerEnd ? [markerEnd] : [lineEnd, markerEnd];
+    revisions.push({
+      revision: revisions.length + 1,
+      byteLength: lineEnd,
+      hashes: lengths.map(byteLength => ({
+        byteLength,
+        hash: crypto.createHash('sha256').update(pdfBuffer.subarray(0, byteLength)).digest('hex')
+      }))
+    });
+
+    index = pdfBuffer.indexOf(EOF_MARKER, markerEnd);
+  }
+
+  // Trailing bytes after the last marker do not form a complete revision
+  return revisions;
+}
+
+/**
+ * Find the revision whose byte prefix has the given SHA-256 hash
+ *
+ * @param {Array} revisions - Result of listRevisions
+ * @param {string} hash - SHA-256 hex digest
+ * @returns {Object|null} { revision, byteLength, isFinal }
+ */
+function findRevisionByHash(revisions, hash) {
+  for (const revision of revisions) {
+    const match = revision.hashes.find(candidate => candidate.hash === hash);
+    if (match) {
+      return {
+        revision: revision.revision,
+        byteLength: match.byteLength,
+        isFinal: revision.revision === revisions.length
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  beginIncrementalUpdate,
+  saveIncrementalUpdate,
+  listRevisions,
+  findRevisionByHash,
+  findLastCrossReference
+};
@@ -0,0 +1,306 @@
+/**
+ * MAIL TRANSPORTS
+ *
+ * Outgoing mail (signing invitations) goes through a transport: any object
+ * with send({ to, subject, text, html }) resolving to { messageId, transport }.
+ * - SmtpTransport: delivers to an SMTP server through nodemailer (STARTTLS
+ *   when offered, implicit TLS with secure, credentials only over an
+ *   encrypted connection)
+ * - OutboxTransport: writes each message as an .eml file to a directory, so
+ *   development and tests work without a mail server
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const nodemailer = require('nodemailer');
+
+const MAIL_ERROR = 'MAIL_DELIVERY_FAILED';
+
+const DEFAULT_FROM = 'Signature Engine <no-reply@localhost>';
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', 'outbox');
+
+// A bare address; parseAddress takes it out of "Name <address>" first
+const ADDRESS_PATTERN = /^[^\s@<>]+@[^\s@<>]+$/;
+
+function mailError(message) {
+  const error = new Error(message);
+  error.code = MAIL_ERROR;
+  return error;
+}
+
+/**
+ * Read mail configuration from the environment
+ *
+ * Environment: MAIL_TRANSPORT ('smtp' | 'outbox'; smtp when SMTP_HOST is set),
+ * MAIL_FROM, MAIL_OUTBOX_DIR, SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_REQUIRE_TLS,
+ * SMTP_USER, SMTP_PASSWORD, SMTP_TIMEOUT_MS, SMTP_TLS_REJECT_UNAUTHORIZED
+ *
+ * @param {Object} env - Configuration source (defaults to process.env)
+ * @returns {Object} { type, from, outboxDir, smtp: { host, port, secure, requireTls, auth, timeout, rejectUnauthorized } }
+ */
+function getMailTransportConfig(env = process.env) {
+  const secure = env.SMTP_SECURE === 'true';
+  return {
+    type: env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'outbox'),
+    from: env.MAIL_FROM || DEFAULT_FROM,
+    outboxDir: env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR,
+    smtp: {
+      host: env.SMTP_HOST || 'localhost',
+      port: Number(env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      requireTls: env.SMTP_REQUIRE_TLS === 'true',
+      auth: env.SMTP_USER
+        ? { user: env.SMTP_USER, password: env.SMTP_PASSWORD || '' }
+        : null,
+      timeout: Number(env.SMTP_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+      rejectUnauthorized: env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false'
+    }
+  };
+}
+
+/**
+ * Transport for a configuration
+ *
+ * @param {Object} config - getMailTransportConfig result
+ * @returns {SmtpTransport|OutboxTransport} Transport
+ */
+function createMailTransport(config = getMailTransportConfig()) {
+  if (config.type === 'smtp') {
+    return new SmtpTransport({ ...config.smtp, from: config.from });
+  }
+  if (config.type === 'outbox') {
+    return new OutboxTransport({ dir: config.outboxDir, from: config.from });
+  }
+  throw new Error(`Unknown mail transport: ${config.type} (use smtp or outbox)`);
+}
+
+// ============================================================================
+// MESSAGE FORMAT
+// ============================================================================
+
+/**
+ * Address part of "Name <address>" or a bare address
+ */
+function parseAddress(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/<([^<>]+)>$/);
+  const address = (match ? match[1] : text).trim();
+  if (!ADDRESS_PATTERN.test(address)) {
+    throw mailError(`Invalid email address: ${text}`);
+  }
+  return address;
+}
+
+/**
+ * Header value; non-ASCII text as an RFC 2047 encoded word
+ */
+function encodeHeader(value) {
+  const text = String(value);
+  if (/[\r\n]/.test(text)) {
+    throw mailError('Header values cannot contain line breaks');
+  }
+  return /^[\x20-\x7e]*$/.test(text)
+    ? text
+    : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * "Name <address>" header value; only a non-ASCII name is encoded, since
+ * the address itself must stay readable
+ */
+function encodeAddress(value) {
+  const text = String(value || '').trim();
+  const address = parseAddress(text);
+  const match = text.match(/^(.*?)\s*<[^<>]+>$/);
+  const name = match ? match[1].trim() : '';
+  return name ? `${encodeHeader(name)} <${address}>` : address;
+}
+
+/**
+ * Base64 body folded to 76-character lines
+ */
+function encodeBody(text) {
+  return Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+/**
+ * RFC 5322 message with a text part and, when given, an HTML alternative
+ *
+ * @param {Object} message - { from, to (string or array), subject, text, html }
+ * @returns {Object} { messageId, from (address), to (addresses), raw (CRLF lines) }
+ */
+function formatMessage(message) {
+  const from = parseAddress(message.from);
+  const to = [].concat(message.to || []).map(parseAddress);
+  if (to.length === 0) {
+    throw mailError('A message needs at least one recipient');
+  }
+
+  const messageId = `<${crypto.randomUUID()}@${from.split('@')[1]}>`;
+  const headers = [
+    `From: ${encodeAddress(message.from)}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(message.subject || '')}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0'
+  ];
+
+  const part = (type, content) => [
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: base64',
+    '',
+    encodeBody(content)
+  ];
+
+  let body;
+  if (message.html) {
+    const boundary = `alt-${crypto.randomBytes(12).toString('hex')}`;
+    headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+    body = [
+      `--${boundary}`,
+      ...part('text/plain', message.text || ''),
+      `--${boundary}`,
+      ...part('text/html', message.html),
+      `--${boundary}--`
+    ];
+  } else {
+    const [type, encoding, , content] = part('text/plain', message.text || '');
+    headers.push(type, encoding);
+    body = [content];
+  }
+
+  return { messageId, from, to, raw: [...headers, '', ...body].join('\r\n') };
+}
+
+// ============================================================================
+// SMTP
+// ============================================================================
+
+/**
+ * Delivers messages over SMTP, one connection per message
+ *
+ * The message is formatted here, as for the outbox, and handed to nodemailer
+ * as is with its envelope.
+ */
+class SmtpTransport {
+  /**
+   * @param {Object} options - { host, port, secure (implicit TLS), requireTls
+   *   (fail unless STARTTLS is offered), auth: { user, password } | null,
+   *   allowInsecureAuth, timeout (ms), rejectUnauthorized, from, name (EHLO name) }
+   */
+  constructor(options = {}) {
+    this.options = {
+      host: 'localhost',
+      port: options.secure ? 465 : 587,
+      timeout: DEFAULT_TIMEOUT_MS,
+      rejectUnauthorized: true,
+      from: DEFAULT_FROM,
+      name: os.hostname() || 'localhost',
+      ...options
+    };
+    this.type = 'smtp';
+
+    const { host, port, secure, requireTls, auth, allowInsecureAuth, timeout, rejectUnauthorized, name } = this.options;
+    // Credentials need STARTTLS unless the connection is TLS from the start
+    this.needsTls = !secure && (requireTls || (!!auth && !allowInsecureAuth));
+    this.mailer = nodemailer.createTransport({
+      host,
+      port,
+      secure: !!secure,
+      requireTLS: this.needsTls,
+      auth: auth ? { user: auth.user, pass: auth.password } : undefined,
+      name,
+      connectionTimeout: timeout,
+      greetingTimeout: timeout,
+      socketTimeout: timeout,
+      tls: { rejectUnauthorized }
+    });
+  }
+
+  /**
+   * Send a message
+   *
+   * @param {Object} message - { to, subject, text, html, from (optional) }
+   * @returns {Promise<Object>} { messageId, transport: 'smtp', accepted, response }
+   * @throws {Error} MAIL_DELIVERY_FAILED when the server refuses or cannot be reached
+   */
+  async send(message) {
+    const formatted = formatMessage({ from: this.options.from, ...message });
+
+    let info;
+    try {
+      info = await this.mailer.sendMail({
+        envelope: { from: formatted.from, to: formatted.to },
+        raw: `${formatted.raw}\r\n`
+      });
+    } catch (error) {
+      if (error.code === 'ETLS' && this.needsTls) {
+        throw mailError(this.options.auth && !this.options.requireTls
+          ? 'Refusing to send SMTP credentials over an unencrypted connection; the server offers no STARTTLS'
+          : 'SMTP server does not offer STARTTLS');
+      }
+      throw mailError(`SMTP delivery failed: ${error.message}`);
+    }
+
+    return {
+      messageId: formatted.messageId,
+      transport: this.type,
+      accepted: info.accepted,
+      response: info.response
+    };
+  }
+}
+
+// ============================================================================
+// OUTBOX
+// ============================================================================
+
+/**
+ * Writes messages to a directory instead of delivering them
+ */
+class OutboxTransport {
+  /**
+   * @param {Object} options - { dir, from }
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_OUTBOX_DIR;
+    this.from = options.from || DEFAULT_FROM;
+    this.type = 'outbox';
+  }
+
+  /**
+   * Write a message as <time>-<uuid>.eml
+   *
+   * @param {Object} message - { to, subject, text, html, from (optional) }
+   * @returns {Promise<Object>} { messageId, transport: 'outbox', accepted, path }
+   */
+  async send(message) {
+    const formatted = formatMessage({ from: this.from, ...message });
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${formatted.messageId.slice(1, -1).split('@')[0]}.eml`;
+    const filePath = path.join(this.dir, fileName);
+    await fs.writeFile(filePath, `${formatted.raw}\r\n`, { flag: 'wx' });
+
+    return {
+      messageId: formatted.messageId,
+      transport: this.type,
+      accepted: formatted.to,
+      path: filePath
+    };
+  }
+}
+
+module.exports = {
+  getMailTransportConfig,
+  createMailTransport,
+  formatMessage,
+  parseAddress,
+  SmtpTransport,
+  OutboxTransport,
+  MAIL_ERROR
+};
@@ -0,0 +1,147 @@
+/**
+ * MULTIPART UPLOADS
+ *
+ * Lets routes take multipart/form-data as well as JSON bodies, so PDFs travel
+ * as binary file parts instead of base64 strings:
+ * - The `pdf` file part becomes req.body.pdfBuffer (a Buffer), its name the
+ *   default req.body.fileName
+ * - Image parts are referenced by placements as signature: { file: '<part name>' };
+ *   a part named `signature` serves the single-placement form
+ * - Text parts holding objects, arrays or booleans are sent as JSON
+ * - JSON requests pass through untouched
+ */
+
+const multer = require('multer');
+
+const MAX_UPLOAD_SIZE = (Number(process.env.MAX_UPLOAD_MB) || 100) * 1024 * 1024;
+const MAX_FILE_PARTS = 50;
+
+// Text parts parsed as JSON
+const JSON_FIELDS = [
+  'placements',
+  'signature',
+  'coordinates',
+  'pageSize',
+  'metadata',
+  'appearance',
+  'encrypt',
+  'verificationQr',
+  'cryptographic',
+  'incremental',
+  'certificateOfCompletion',
+  'embedEvidence'
+];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const JPEG_SIGNATURE = Buffer.from([0xff, 0xd8, 0xff]);
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: MAX_FILE_PARTS }
+});
+
+/**
+ * Error for a multipart body that cannot be turned into a request
+ */
+function invalidUploadError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_UPLOAD';
+  return error;
+}
+
+/**
+ * Signature fields for an image file part
+ *
+ * The type comes from the file's bytes; browsers label parts unreliably.
+ */
+function imageFromPart(file) {
+  let imageType = null;
+  if (file.buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) imageType = 'png';
+  if (file.buffer.subarray(0, JPEG_SIGNATURE.length).equals(JPEG_SIGNATURE)) imageType = 'jpeg';
+  if (!imageType) {
+    throw invalidUploadError(`File part ${file.fieldname} is not a PNG or JPEG image`);
+  }
+  return { image: file.buffer.toString('base64'), imageType };
+}
+
+/**
+ * Turn multer's fields and files into the body the JSON routes expect
+ *
+ * @param {Object} fields - Text parts (req.body after multer)
+ * @param {Array} files - File parts (req.files after multer.any())
+ * @returns {Object} Request body
+ * @throws {Error} with code INVALID_UPLOAD for malformed JSON or missing parts
+ */
+function parseMultipartBody(fields, files = []) {
+  const body = { ...fields };
+
+  for (const name of JSON_FIELDS) {
+    if (typeof body[name] !== 'string') continue;
+    try {
+      body[name] = JSON.parse(body[name]);
+    } catch {
+      throw invalidUploadError(`Field ${name} must be JSON`);
+    }
+  }
+
+  const parts = new Map(files.map(file => [file.fieldname, file]));
+
+  const pdf = parts.get('pdf');
+  if (pdf) {
+    body.pdfBuffer = pdf.buffer;
+    body.fileName = body.fileName || pdf.originalname;
+  }
+
+  const signature = parts.get('signature');
+  if (signature) body.signature = { ...body.signature, ...imageFromPart(signature) };
+
+  if (Array.isArray(body.placements)) {
+    body.placements = body.placements.map(placement => {
+      const name = placement?.signature?.file;
+      if (!name) return placement;
+
+      const file = parts.get(name);
+      if (!file) {
+        throw invalidUploadError(`Missing file part: ${name}`);
+      }
+      const { file: _, ...rest } = placement.signature;
+      return { ...placement, signature: { ...rest, ...imageFromPart(file) } };
+    });
+  }
+
+  return body;
+}
+
+/**
+ * Middleware accepting multipart/form-data as an alternative to JSON
+ *
+ * Oversized files are refused with 413, malformed bodies with 400.
+ */
+function acceptMultipart(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+
+  upload.any()(req, res, (error) => {
+    if (error) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        error: `Invalid upload: ${error.message}`,
+        code: error.code
+      });
+    }
+
+    try {
+      req.body = parseMultipartBody(req.body, req.files);
+    } catch (parseError) {
+      return res.status(400).json({
+        error: parseError.message,
+        code: parseError.code
+      });
+    }
+    return next();
+  });
+}
+
+module.exports = {
+  acceptMultipart,
+  parseMultipartBody,
+  MAX_UPLOAD_SIZE
+};
@@ -0,0 +1,918 @@
+/**
+ * PDF ENCRYPTION (STANDARD SECURITY HANDLER)
+ *
+ * Opens password-protected PDFs and writes encrypted ones (ISO 32000-2, 7.6):
+ * - Reads RC4 (revisions 2-4), AES-128 (revision 4) and AES-256 (revisions 5-6)
+ * - Accepts either the user or the owner password
+ * - Strings and streams are decrypted right after loading, so pdf-lib edits plain objects
+ * - Objects are encrypted again only while they are serialized
+ * - Output uses AES-256 (revision 6, default) or AES-128 (revision 4)
+ * - Permission flags from presets ('all', 'no-modify', 'print-only', 'none') or one by one
+ * - Signature /Contents is never encrypted, so placeholders can be patched after saving
+ */
+
+const crypto = require('crypto');
+const {
+  PDFDocument,
+  PDFName,
+  PDFNumber,
+  PDFBool,
+  PDFDict,
+  PDFArray,
+  PDFString,
+  PDFHexString,
+  PDFStream,
+  PDFRawStream,
+  PDFInvalidObject,
+  PDFObjectParser,
+  PDFObjectStreamParser
+} = require('pdf-lib');
+
+// Padding string of Algorithm 2, step (a)
+const PASSWORD_PADDING = Buffer.from(
+  '28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a',
+  'hex'
+);
+
+// Revision 5-6 passwords are UTF-8, truncated to 127 bytes
+const MAX_PASSWORD_BYTES = 127;
+
+// Bit positions (1-based) of the user access permissions in /P
+const PERMISSION_BITS = {
+  print: 3,
+  modify: 4,
+  copy: 5,
+  annotate: 6,
+  fillForms: 9,
+  extractForAccessibility: 10,
+  assemble: 11,
+  printHighQuality: 12
+};
+const PERMISSIONS = Object.keys(PERMISSION_BITS);
+
+const PERMISSION_PRESETS = {
+  all: PERMISSIONS,
+  'no-modify': ['print', 'printHighQuality', 'copy', 'extractForAccessibility'],
+  'print-only': ['print', 'printHighQuality'],
+  none: []
+};
+
+// Reserved bits that must be set: 7-8 and 13-32
+const RESERVED_PERMISSION_BITS = 0xfffff0c0;
+
+const ALGORITHMS = {
+  'aes-256': { version: 5, revision: 6, keyLength: 32, method: 'AESV3' },
+  'aes-128': { version: 4, revision: 4, keyLength: 16, method: 'AESV2' }
+};
+const DEFAULT_ALGORITHM = 'aes-256';
+
+const CRYPT_FILTER_NAME = 'StdCF';
+
+// Error codes for passwords that do not open the document
+const PASSWORD_ERRORS = {
+  required: 'PDF_PASSWORD_REQUIRED',
+  incorrect: 'PDF_PASSWORD_INCORRECT'
+};
+
+function passwordError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Whether an error means the PDF could not be opened with the given password
+ */
+function isPasswordError(error) {
+  return Object.values(PASSWORD_ERRORS).includes(error?.code);
+}
+
+// ============================================================================
+// PRIMITIVES
+// ============================================================================
+
+function md5(...parts) {
+  const hash = crypto.createHash('md5');
+  parts.forEach(part => hash.update(part));
+  return hash.digest();
+}
+
+/**
+ * RC4 stream cipher (not offered by OpenSSL 3's default provider)
+ */
+function rc4(key, data) {
+  const state = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) state[i] = i;
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + state[i] + key[i % key.length]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+  }
+
+  const output = Buffer.alloc(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & 0xff;
+    j = (j + state[i]) & 0xff;
+    [state[i], state[j]] = [state[j], state[i]];
+    output[n] = data[n] ^ state[(state[i] + state[j]) & 0xff];
+  }
+  return output;
+}
+
+/**
+ * RC4 applied 20 times with the key XORed by the round number (revision 3+)
+ */
+function rc4Rounds(key, data, descending = false) {
+  let output = Buffer.from(data);
+  for (let round = 0; round < 20; round++) {
+    const i = descending ? 19 - round : round;
+    output = rc4(key.map(byte => byte ^ i), output);
+  }
+  return output;
+}
+
+function aesCipherName(key) {
+  return key.length === 32 ? 'aes-256-cbc' : 'aes-128-cbc';
+}
+
+/**
+ * AES-CBC with a random IV written in front of the ciphertext
+ */
+function aesEncrypt(key, data) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv(aesCipherName(key), key, iv);
+  return Buffer.concat([iv, cipher.update(data), cipher.final()]);
+}
+
+function aesDecrypt(key, data) {
+  if (data.length < 32) return Buffer.alloc(0);
+  const decipher = crypto.createDecipheriv(aesCipherName(key), key, data.subarray(0, 16));
+  try {
+    return Buffer.concat([decipher.update(data.subarray(16)), decipher.final()]);
+  } catch {
+    // Some producers omit the padding
+    const blocks = data.subarray(16, data.length - ((data.length - 16) % 16));
+    const unpadded = crypto.createDecipheriv(aesCipherName(key), key, data.subarray(0, 16));
+    unpadded.setAutoPadding(false);
+    return Buffer.concat([unpadded.update(blocks), unpadded.final()]);
+  }
+}
+
+/**
+ * Single-block AES-256 without IV or padding, for /UE, /OE and /Perms
+ */
+function aesBlock(mode, key, data, encrypt) {
+  const create = encrypt ? crypto.createCipheriv : crypto.createDecipheriv;
+  const cipher = create(mode, key, mode.endsWith('ecb') ? null : Buffer.alloc(16));
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+// ============================================================================
+// PASSWORDS AND KEYS
+// ============================================================================
+
+/**
+ * Pad or truncate a revision 2-4 password to 32 bytes
+ */
+function padPassword(password) {
+  const bytes = Buffer.from(password || '', 'latin1').subarray(0, 32);
+  return Buffer.concat([bytes, PASSWORD_PADDING.subarray(0, 32 - bytes.length)]);
+}
+
+function int32LE(value) {
+  const bytes = Buffer.alloc(4);
+  bytes.writeInt32LE(value);
+  return bytes;
+}
+
+/**
+ * Algorithm 2: file key from a (padded) user password, revisions 2-4
+ */
+function computeFileKey(params, paddedPassword) {
+  const { revision, keyLength, O, P, documentId, encryptMetadata } = params;
+  let hash = md5(
+    paddedPassword,
+    O.subarray(0, 32),
+    int32LE(P),
+    documentId,
+    revision >= 4 && !encryptMetadata ? Buffer.from([0xff, 0xff, 0xff, 0xff]) : Buffer.alloc(0)
+  );
+  if (revision >= 3) {
+    for (let i = 0; i < 50; i++) hash = md5(hash.subarray(0, keyLength));
+  }
+  return hash.subarray(0, keyLength);
+}
+
+/**
+ * Algorithms 4 and 5: /U value for a file key, revisions 2-4
+ */
+function computeUserValue(params, fileKey) {
+  if (params.revision === 2) {
+    return rc4(fileKey, PASSWORD_PADDING);
+  }
+  const hash = rc4Rounds(fileKey, md5(PASSWORD_PADDING, params.documentId));
+  return Buffer.concat([hash, Buffer.alloc(16)]);
+}
+
+/**
+ * Algorithm 3, steps (a)-(d): RC4 key from the owner password, revisions 2-4
+ */
+function ownerKey(params, ownerPassword) {
+  let hash = md5(padPassword(ownerPassword));
+  if (params.revision >= 3) {
+    for (let i = 0; i < 50; i++) hash = md5(hash);
+  }
+  return hash.subarray(0, params.keyLength);
+}
+
+/**
+ * Algorithm 3: /O value, revisions 2-4
+ */
+function computeOwnerValue(params, ownerPassword, userPassword) {
+  const key = ownerKey(params, ownerPassword);
+  const padded = padPassword(userPassword);
+  return params.revision === 2 ? rc4(key, padded) : rc4Rounds(key, padded);
+}
+
+/**
+ * Algorithm 2.B: hash of a revision 6 password (revision 5 uses plain SHA-256)
+ */
+function hashPassword(revision, password, salt, userBytes = Buffer.alloc(0)) {
+  let k = crypto.createHash('sha256').update(Buffer.concat([password, salt, userBytes])).digest();
+  if (revision === 5) return k;
+
+  let e = Buffer.from([0]);
+  for (let round = 0; round < 64 || e[e.length - 1] > round - 32; round++) {
+    const block = Buffer.concat([password, k, userBytes]);
+    const cipher = crypto.createCipheriv('aes-128-cbc', k.subarray(0, 16), k.subarray(16, 32));
+    cipher.setAutoPadding(false);
+    e = Buffer.concat([cipher.update(Buffer.concat(Array(64).fill(block))), cipher.final()]);
+
+    const remainder = e.subarray(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+    k = crypto.createHash(['sha256', 'sha384', 'sha512'][remainder]).update(e).digest();
+  }
+  return k.subarray(0, 32);
+}
+
+function utf8Password(password) {
+  return Buffer.from((password || '').normalize('NFKC'), 'utf8').subarray(0, MAX_PASSWORD_BYTES);
+}
+
+/**
+ * Check a password against the security handler
+ *
+ * The owner password is tried first, since it grants every permission.
+ *
+ * @returns {Object|null} { fileKey, authenticatedAs: 'owner' | 'user' }, or null
+ */
+function authenticate(params, password) {
+  const { revision, O, U } = params;
+
+  if (revision >= 5) {
+    const bytes = utf8Password(password);
+    const userBytes = U.subarray(0, 48);
+    if (hashPassword(revision, bytes, O.subarray(32, 40), userBytes).equals(O.subarray(0, 32))) {
+      const key = hashPassword(revision, bytes, O.subarray(40, 48), userBytes);
+      return { fileKey: aesBlock('aes-256-cbc', key, params.OE, false), authenticatedAs: 'owner' };
+    }
+    if (hashPassword(revision, bytes, U.subarray(32, 40)).equals(U.subarray(0, 32))) {
+      const key = hashPassword(revision, bytes, U.subarray(40, 48));
+      return { fileKey: aesBlock('aes-256-cbc', key, params.UE, false), authenticatedAs: 'user' };
+    }
+    return null;
+  }
+
+  const checkUser = (paddedPassword) => {
+    const fileKey = computeFileKey(params, paddedPassword);
+    const expected = computeUserValue(params, fileKey);
+    const length = revision === 2 ? 32 : 16;
+    return expected.subarray(0, length).equals(U.subarray(0, length)) ? fileKey : null;
+  };
+
+  // The owner password decrypts /O to the padded user password
+  const key = ownerKey(params, password);
+  const userPassword = revision === 2 ? rc4(key, O.subarray(0, 32)) : rc4Rounds(key, O.subarray(0, 32), true);
+  const ownerFileKey = checkUser(userPassword);
+  if (ownerFileKey) return { fileKey: ownerFileKey, authenticatedAs: 'owner' };
+
+  const userFileKey = checkUser(padPassword(password));
+  return userFileKey ? { fileKey: userFileKey, authenticatedAs: 'user' } : null;
+}
+
+// ============================================================================
+// PERMISSIONS
+// ============================================================================
+
+/**
+ * Decode /P into permission flags
+ */
+function describePermissions(P) {
+  return Object.fromEntries(
+    PERMISSIONS.map(name => [name, (P & (1 << (PERMISSION_BITS[name] - 1))) !== 0])
+  );
+}
+
+/**
+ * Encode permission flags as a signed /P value
+ */
+function permissionsValue(permissions) {
+  let P = RESERVED_PERMISSION_BITS;
+  for (const name of PERMISSIONS) {
+    if (permissions[name]) P |= 1 << (PERMISSION_BITS[name] - 1);
+  }
+  return P | 0;
+}
+
+/**
+ * Resolve the request's permissions into flags
+ *
+ * @param {string|Object} permissions - Preset name, or { preset, print, modify, ... }
+ *   where flags override the preset (default 'all')
+ * @returns {Object} { print, modify, copy, annotate, fillForms,
+ *   extractForAccessibility, assemble, printHighQuality }
+ */
+function resolvePermissions(permissions = 'all') {
+  const options = typeof permissions === 'string' ? { preset: permissions } : permissions;
+  const preset = options.preset || 'all';
+  if (!PERMISSION_PRESETS[preset]) {
+    throw new Error(`Unknown permissions preset: ${preset}`);
+  }
+
+  const unknown = Object.keys(options).find(key => key !== 'preset' && !PERMISSIONS.includes(key));
+  if (unknown) {
+    throw new Error(`Unknown permission: ${unknown}`);
+  }
+
+  return Object.fromEntries(PERMISSIONS.map(name => [
+    name,
+    typeof options[name] === 'boolean' ? options[name] : PERMISSION_PRESETS[preset].includes(name)
+  ]));
+}
+
+/**
+ * Resolve output encryption settings from the request
+ *
+ * @param {Object} encrypt - {
+ *   userPassword: string (opens the document; '' opens without prompting),
+ *   ownerPassword: string (lifts the permissions; random when omitted),
+ *   permissions: 'all' | 'no-modify' | 'print-only' | 'none' | { preset, print, ... },
+ *   algorithm: 'aes-256' (default) | 'aes-128'
+ * }
+ * @returns {Object|null} Complete settings, or null when no encryption is requested
+ */
+function resolveEncryptionOptions(encrypt) {
+  if (!encrypt) return null;
+  if (typeof encrypt !== 'object') {
+    throw new Error('encrypt must be an object');
+  }
+
+  const algorithm = encrypt.algorithm || DEFAULT_ALGORITHM;
+  if (!ALGORITHMS[algorithm]) {
+    throw new Error(`Unknown encryption algorithm: ${algorithm}`);
+  }
+
+  const { userPassword = '', ownerPassword } = encrypt;
+  if (typeof userPassword !== 'string' || (ownerPassword !== undefined && typeof ownerPassword !== 'string')) {
+    throw new Error('Passwords must be strings');
+  }
+  if (!userPassword && !ownerPassword) {
+    throw new Error('encrypt needs a userPassword or an ownerPassword');
+  }
+
+  return {
+    algorithm,
+    userPassword,
+    ownerPassword: ownerPassword || crypto.randomBytes(16).toString('hex'),
+    permissions: resolvePermissions(encrypt.permissions)
+  };
+}
+
+// ============================================================================
+// OBJECT CIPHERS
+// ============================================================================
+
+/**
+ * Cipher for one crypt filter method
+ *
+ * @param {Object} handler - Security handler state
+ * @param {string} method - 'V2' (RC4), 'AESV2', 'AESV3' or 'None'
+ * @returns {Object|null} { encrypt(ref, bytes), decrypt(ref, bytes) }, null for identity
+ */
+function createObjectCipher(handler, method) {
+  if (method === 'None') return null;
+
+  if (method === 'AESV3') {
+    return {
+      encrypt: (ref, bytes) => aesEncrypt(handler.fileKey, bytes),
+      decrypt: (ref, bytes) => aesDecrypt(handler.fileKey, bytes)
+    };
+  }
+
+  // Algorithm 1: key from the file key and the object number
+  const isAES = method === 'AESV2';
+  const objectKey = (ref) => {
+    const suffix = Buffer.alloc(5);
+    suffix.writeUIntLE(ref.objectNumber, 0, 3);
+    suffix.writeUIntLE(ref.generationNumber, 3, 2);
+    const hash = md5(handler.fileKey, suffix, isAES ? Buffer.from('sAlT') : Buffer.alloc(0));
+    return hash.subarray(0, Math.min(handler.fileKey.length + 5, 16));
+  };
+
+  return isAES
+    ? {
+      encrypt: (ref, bytes) => aesEncrypt(objectKey(ref), bytes),
+      decrypt: (ref, bytes) => aesDecrypt(objectKey(ref), bytes)
+    }
+    : {
+      encrypt: (ref, bytes) => rc4(objectKey(ref), bytes),
+      decrypt: (ref, bytes) => rc4(objectKey(ref), bytes)
+    };
+}
+
+/**
+ * Signature dictionaries keep /Contents in the clear (ISO 32000-2, 7.6.2)
+ */
+function isSignatureDict(dict) {
+  return dict.has(PDFName.of('ByteRange')) && dict.has(PDFName.of('Contents'));
+}
+
+/**
+ * Copy an object with its strings and stream data passed through a cipher
+ *
+ * @param {PDFObject} object - Direct or indirect object
+ * @param {PDFRef} ref - Indirect object the strings belong to
+ * @param {Object} handler - Security handler state
+ * @param {string} direction - 'encrypt' or 'decrypt'
+ * @returns {PDFObject} The object itself when nothing changed, otherwise a copy
+ */
+function transformObject(object, ref, handler, direction) {
+  const { context } = handler;
+
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    if (!handler.strings) return object;
+    const bytes = Buffer.from(object.asBytes());
+    return PDFHexString.of(handler.strings[direction](ref, bytes).toString('hex'));
+  }
+
+  if (object instanceof PDFDict) {
+    const skipContents = isSignatureDict(object);
+    let changed = false;
+    const entries = new Map();
+    for (const [key, value] of object.entries()) {
+      const transformed = skipContents && key === PDFName.of('Contents')
+        ? value
+        : transformObject(value, ref, handler, direction);
+      changed = changed || transformed !== value;
+      entries.set(key, transformed);
+    }
+    return changed ? PDFDict.fromMapWithContext(entries, context) : object;
+  }
+
+  if (object instanceof PDFArray) {
+    const items = object.asArray().map(item => transformObject(item, ref, handler, direction));
+    if (items.every((item, index) => item === object.get(index))) return object;
+    const array = PDFArray.withContext(context);
+    items.forEach(item => array.push(item));
+    return array;
+  }
+
+  if (object instanceof PDFStream) {
+    const dict = transformObject(object.dict, ref, handler, direction);
+    const isMetadata = object.dict.lookup(PDFName.of('Type')) === PDFName.of('Metadata');
+    if (!handler.streams || (isMetadata && !handler.encryptMetadata)) {
+      return dict === object.dict ? object : PDFRawStream.of(dict, object.getContents());
+    }
+    // A copy of the dictionary, since /Length is rewritten for the new contents
+    const contents = handler.streams[direction](ref, Buffer.from(object.getContents()));
+    return PDFRawStream.of(PDFDict.fromMapWithContext(new Map(dict.entries()), context), contents);
+  }
+
+  return object;
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+function stringBytes(dict, key) {
+  const value = dict.lookup(PDFName.of(key));
+  return value instanceof PDFString || value instanceof PDFHexString
+    ? Buffer.from(value.asBytes())
+    : Buffer.alloc(0);
+}
+
+function numberValue(dict, key, fallback) {
+  const value = dict.lookup(PDFName.of(key));
+  return value instanceof PDFNumber ? value.asNumber() : fallback;
+}
+
+/**
+ * Crypt filter method named by /StmF or /StrF (version 4+)
+ */
+function cryptFilterMethod(encryptDict, key) {
+  const name = encryptDict.lookup(PDFName.of(key));
+  if (!name || name === PDFName.of('Identity')) return 'None';
+  const filter = encryptDict.lookup(PDFName.of('CF'))?.lookup(name);
+  const method = filter?.lookup(PDFName.of('CFM'));
+  return method ? method.decodeText() : 'None';
+}
+
+/**
+ * Read the /Encrypt dictionary of a loaded document
+ *
+ * @param {PDFDocument} pdfDoc - Document loaded with ignoreEncryption
+ * @returns {Object|null} Handler parameters, or null when the document is not encrypted
+ */
+function readEncryptionParams(pdfDoc) {
+  const { context } = pdfDoc;
+  const encryptDict = context.lookup(context.trailerInfo.Encrypt);
+  if (!(encryptDict instanceof PDFDict)) return null;
+
+  const filter = encryptDict.lookup(PDFName.of('Filter'));
+  if (filter !== PDFName.of('Standard')) {
+    throw new Error(`Unsupported security handler: ${filter ? filter.decodeText() : 'none'}`);
+  }
+
+  const version = numberValue(encryptDict, 'V', 0);
+  const revision = numberValue(encryptDict, 'R', 2);
+  if (![1, 2, 4, 5].includes(version) || revision < 2 || revision > 6) {
+    throw new Error(`Unsupported encryption: V ${version}, R ${revision}`);
+  }
+
+  const stringMethod = version >= 4 ? cryptFilterMethod(encryptDict, 'StrF') : 'V2';
+  const streamMethod = version >= 4 ? cryptFilterMethod(encryptDict, 'StmF') : 'V2';
+  const keyLength = version === 5 ? 32 : version === 1 ? 5 : numberValue(encryptDict, 'Length', 40) / 8;
+
+  const id = context.lookup(context.trailerInfo.ID);
+  const firstId = id instanceof PDFArray ? id.lookup(0) : null;
+  const encryptMetadataFlag = encryptDict.lookup(PDFName.of('EncryptMetadata'));
+
+  return {
+    ref: context.trailerInfo.Encrypt,
+    version,
+    revision,
+    keyLength,
+    stringMethod,
+    streamMethod,
+    O: stringBytes(encryptDict, 'O'),
+    U: stringBytes(encryptDict, 'U'),
+    OE: stringBytes(encryptDict, 'OE'),
+    UE: stringBytes(encryptDict, 'UE'),
+    P: numberValue(encryptDict, 'P', 0) | 0,
+    documentId: firstId ? Buffer.from(firstId.asBytes()) : Buffer.alloc(0),
+    encryptMetadata: encryptMetadataFlag !== PDFBool.False
+  };
+}
+
+/**
+ * Name used in audit records for a handler's algorithm
+ */
+function algorithmName(params) {
+  const method = params.streamMethod === 'None' ? params.stringMethod : params.streamMethod;
+  if (method === 'AESV3') return 'aes-256';
+  if (method === 'AESV2') return 'aes-128';
+  return `rc4-${params.keyLength * 8}`;
+}
+
+/**
+ * Authenticate a password, trying the empty user password when none is given
+ */
+function openHandler(pdfDoc, params, password) {
+  const opened = authenticate(params, password ?? '');
+  if (!opened) {
+    throw password
+      ? passwordError(PASSWORD_ERRORS.incorrect, 'Incorrect PDF password')
+      : passwordError(PASSWORD_ERRORS.required, 'PDF is password protected');
+  }
+
+  const handler = {
+    ...params,
+    context: pdfDoc.context,
+    algorithm: algorithmName(params),
+    permissions: describePermissions(params.P),
+    fileKey: opened.fileKey,
+    authenticatedAs: opened.authenticatedAs
+  };
+  handler.strings = createObjectCipher(handler, params.stringMethod);
+  handler.streams = createObjectCipher(handler, params.streamMethod);
+  return handler;
+}
+
+/**
+ * Decrypt every object in place
+ *
+ * Encrypted object streams fail to parse while loading and are kept as
+ * invalid objects; they are decrypted here and their objects, which are not
+ * encrypted individually, added to the document.
+ */
+async function decryptDocument(pdfDoc, handler) {
+  const { context } = pdfDoc;
+  const objectStreams = [];
+
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    if (ref === handler.ref) continue;
+    if (object instanceof PDFInvalidObject) {
+      objectStreams.push([ref, object]);
+      continue;
+    }
+    const decrypted = transformObject(object, ref, handler, 'decrypt');
+    if (decrypted === object) continue;
+
+    // Dictionaries are updated in place: they keep their class (catalog,
+    // page nodes), and the document holds on to its catalog object
+    if (object instanceof PDFDict && !(object instanceof PDFStream)) {
+      for (const [key, value] of decrypted.entries()) object.set(key, value);
+    } else {
+      context.assign(ref, decrypted);
+    }
+  }
+
+  for (const [ref, invalid] of objectStreams) {
+    const stream = PDFObjectParser.forBytes(invalid.data, context).parseObject();
+    if (!(stream instanceof PDFRawStream) || stream.dict.lookup(PDFName.of('Type')) !== PDFName.of('ObjStm')) {
+      continue;
+    }
+    const decrypted = transformObject(stream, ref, handler, 'decrypt');
+    await PDFObjectStreamParser.forStream(decrypted).parseIntoContext();
+    context.delete(ref);
+  }
+}
+
+/**
+ * Load a PDF, decrypting it when it is password protected
+ *
+ * @param {Buffer} pdfBuffer - PDF bytes
+ * @param {Object} options - { password, ...PDFDocument.load options }
+ * @returns {Promise<Object>} {
+ *   pdfDoc: PDFDocument with plain objects,
+ *   encryption: null | security handler (keeps the document's encryption
+ *     for saveEncrypted / encryptObject; see describeEncryption)
+ * }
+ * @throws {Error} with code PDF_PASSWORD_REQUIRED or PDF_PASSWORD_INCORRECT
+ */
+async function loadDocument(pdfBuffer, options = {}) {
+  const { password, ...loadOptions } = options;
+  const updateMetadata = loadOptions.updateMetadata !== false;
+
+  // Metadata is written after decryption, or it would be decrypted as well
+  const pdfDoc = await PDFDocument.load(pdfBuffer, {
+    ...loadOptions,
+    ignoreEncryption: true,
+    updateMetadata: false
+  });
+
+  const params = readEncryptionParams(pdfDoc);
+  let encryption = null;
+  if (params) {
+    encryption = openHandler(pdfDoc, params, password);
+    await decryptDocument(pdfDoc, encryption);
+  }
+
+  if (updateMetadata) pdfDoc.updateInfoDict();
+  return { pdfDoc, encryption };
+}
+
+/**
+ * Read a PDF's encryption without decrypting it
+ *
+ * @param {Buffer} pdfBuffer - PDF bytes
+ * @param {string} password - Optional user or owner password
+ * @returns {Promise<Object|null>} describeEncryption result plus authenticatedAs
+ *   ('owner', 'user', or null when no password was given and the document needs one)
+ * @throws {Error} with code PDF_PASSWORD_INCORRECT for a wrong password
+ */
+async function readEncryption(pdfBuffer, password) {
+  // Cheap check before parsing: unencrypted files never mention /Encrypt
+  if (!pdfBuffer.includes('/Encrypt')) return null;
+
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { ignoreEncryption: true, updateMetadata: false });
+  const params = readEncryptionParams(pdfDoc);
+  if (!params) return null;
+
+  try {
+    const handler = openHandler(pdfDoc, params, password);
+    return { ...describeEncryption(handler), authenticatedAs: handler.authenticatedAs };
+  } catch (error) {
+    if (error.code !== PASSWORD_ERRORS.required) throw error;
+    // Algorithm and permissions are readable without a password
+    return {
+      ...describeEncryption({
+        ...params,
+        algorithm: algorithmName(params),
+        permissions: describePermissions(params.P)
+      }),
+      authenticatedAs: null
+    };
+  }
+}
+
+// ============================================================================
+// WRITING
+// ============================================================================
+
+/**
+ * Make sure the trailer has a file identifier (revision 2-4 keys depend on it)
+ */
+function ensureDocumentId(context) {
+  const id = context.lookup(context.trailerInfo.ID);
+  if (id instanceof PDFArray && id.size() > 0) {
+    return Buffer.from(id.lookup(0).asBytes());
+  }
+  const documentId = crypto.randomBytes(16);
+  const hex = documentId.toString('hex');
+  context.trailerInfo.ID = context.obj([PDFHexString.of(hex), PDFHexString.of(hex)]);
+  return documentId;
+}
+
+/**
+ * Revision 6 values: /U, /UE, /O, /OE and /Perms for a random file key
+ */
+function buildRevision6(fileKey, settings, P) {
+  const user = utf8Password(settings.userPassword);
+  const owner = utf8Password(settings.ownerPassword);
+
+  const userSalts = crypto.randomBytes(16);
+  const U = Buffer.concat([hashPassword(6, user, userSalts.subarray(0, 8)), userSalts]);
+  const UE = aesBlock('aes-256-cbc', hashPassword(6, user, userSalts.subarray(8, 16)), fileKey, true);
+
+  const ownerSalts = crypto.randomBytes(16);
+  const O = Buffer.concat([hashPassword(6, owner, ownerSalts.subarray(0, 8), U), ownerSalts]);
+  const OE = aesBlock('aes-256-cbc', hashPassword(6, owner, ownerSalts.subarray(8, 16), U), fileKey, true);
+
+  const perms = Buffer.concat([
+    int32LE(P),
+    Buffer.from([0xff, 0xff, 0xff, 0xff]),
+    Buffer.from('Tadb', 'latin1'),
+    crypto.randomBytes(4)
+  ]);
+
+  return { O, U, OE, UE, Perms: aesBlock('aes-256-ecb', fileKey, perms, true) };
+}
+
+/**
+ * Set up a new security handler for the document's output
+ *
+ * Replaces any /Encrypt dictionary the document was loaded with.
+ *
+ * @param {PDFDocument} pdfDoc - Document to encrypt
+ * @param {Object} encrypt - See resolveEncryptionOptions
+ * @returns {Object} Security handler for saveEncrypted / encryptObject
+ */
+function createEncryption(pdfDoc, encrypt) {
+  const settings = resolveEncryptionOptions(encrypt);
+  const { context } = pdfDoc;
+  const algorithm = ALGORITHMS[settings.algorithm];
+  const P = permissionsValue(settings.permissions);
+  const documentId = ensureDocumentId(context);
+
+  const params = {
+    version: algorithm.version,
+    revision: algorithm.revision,
+    keyLength: algorithm.keyLength,
+    stringMethod: algorithm.method,
+    streamMethod: algorithm.method,
+    P,
+    documentId,
+    encryptMetadata: true
+  };
+
+  let values;
+  let fileKey;
+  if (algorithm.revision === 6) {
+    fileKey = crypto.randomBytes(32);
+    values = buildRevision6(fileKey, settings, P);
+  } else {
+    const O = computeOwnerValue(params, settings.ownerPassword, settings.userPassword);
+    fileKey = computeFileKey({ ...params, O }, padPassword(settings.userPassword));
+    values = { O, U: computeUserValue(params, fileKey) };
+  }
+
+  const encryptDict = context.obj({
+    Filter: 'Standard',
+    V: algorithm.version,
+    R: algorithm.revision,
+    Length: algorithm.keyLength * 8,
+    CF: {
+      [CRYPT_FILTER_NAME]: { AuthEvent: 'DocOpen', CFM: algorithm.method, Length: algorithm.keyLength }
+    },
+    StmF: CRYPT_FILTER_NAME,
+    StrF: CRYPT_FILTER_NAME,
+    P,
+    EncryptMetadata: true
+  });
+  for (const [key, value] of Object.entries(values)) {
+    encryptDict.set(PDFName.of(key), PDFHexString.of(value.toString('hex')));
+  }
+
+  const previous = context.trailerInfo.Encrypt;
+  if (previous) context.delete(previous);
+  const ref = context.register(encryptDict);
+  context.trailerInfo.Encrypt = ref;
+
+  const handler = {
+    ...params,
+    ...values,
+    ref,
+    context,
+    algorithm: settings.algorithm,
+    permissions: settings.permissions,
+    fileKey
+  };
+  handler.strings = createObjectCipher(handler, algorithm.method);
+  handler.streams = createObjectCipher(handler, algorithm.method);
+  return handler;
+}
+
+/**
+ * Drop a decrypted document's encryption, so it is saved in the clear
+ *
+ * @param {PDFDocument} pdfDoc - Document opened by loadDocument
+ * @param {Object} handler - Its security handler
+ */
+function removeEncryption(pdfDoc, handler) {
+  const { context } = pdfDoc;
+  if (handler.ref) context.delete(handler.ref);
+  context.trailerInfo.Encrypt = undefined;
+}
+
+/**
+ * Encrypted copy of an indirect object, as written to the file
+ *
+ * @param {Object} handler - Security handler (loadDocument or createEncryption)
+ * @param {PDFRef} ref - Object reference
+ * @param {PDFObject} object - Plain object
+ * @returns {PDFObject} Encrypted copy (the object itself for /Encrypt)
+ */
+function encryptObject(handler, ref, object) {
+  if (ref === handler.ref) return object;
+  return transformObject(object, ref, handler, 'encrypt');
+}
+
+/**
+ * Save the whole document encrypted
+ *
+ * Objects are swapped for encrypted copies while pdf-lib writes them and put
+ * back afterwards, so the document can still be edited and saved again.
+ * Object streams are disabled: their contents would not be encrypted.
+ *
+ * @param {PDFDocument} pdfDoc - Document to save
+ * @param {Object} handler - Security handler
+ * @param {Object} saveOptions - PDFDocument.save options
+ * @returns {Promise<Uint8Array>} Encrypted PDF bytes
+ */
+async function saveEncrypted(pdfDoc, handler, saveOptions = {}) {
+  const { context } = pdfDoc;
+
+  // Same as save(): everything pending must exist before it is encrypted
+  const form = pdfDoc.formCache.getValue();
+  if (form) form.updateFieldAppearances();
+  await pdfDoc.flush();
+
+  const originals = [];
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    const encrypted = encryptObject(handler, ref, object);
+    if (encrypted !== object) {
+      originals.push([ref, object]);
+      context.assign(ref, encrypted);
+    }
+  }
+
+  try {
+    return await pdfDoc.save({ ...saveOptions, useObjectStreams: false, updateFieldAppearances: false });
+  } finally {
+    for (const [ref, object] of originals) context.assign(ref, object);
+  }
+}
+
+/**
+ * Encryption details for the audit log (never passwords or keys)
+ *
+ * @param {Object} handler - Security handler
+ * @returns {Object|null} { algorithm, revision, keyLength (bits), permissions }
+ */
+function describeEncryption(handler) {
+  if (!handler) return null;
+  return {
+    algorithm: handler.algorithm,
+    revision: handler.revision,
+    keyLength: handler.keyLength * 8,
+    permissions: handler.permissions
+  };
+}
+
+module.exports = {
+  loadDocument,
+  readEncryption,
+  createEncryption,
+  removeEncryption,
+  ensureDocumentId,
+  encryptObject,
+  saveEncrypted,
+  describeEncryption,
+  describePermissions,
+  resolveEncryptionOptions,
+  resolvePermissions,
+  isPasswordError,
+  PASSWORD_ERRORS,
+  PERMISSION_PRESETS
+};
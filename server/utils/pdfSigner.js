@@ -1,16 +1,91 @@
 /**
  * PDF SIGNATURE BURN-IN ENGINE
  * 
- * Handles overlay of signature images onto PDF with:
+ * Handles overlay of signature images and field values onto PDF with:
+ * - Vector signatures drawn as paths from captured strokes
+ * - Optional image clean-up (transparent background, trim, ink color)
+ * - Appearance stamps: caption with signer name, date, reason and document ID
  * - Aspect ratio preservation (NO stretching)
  * - Centered positioning within bounding box
  * - Multi-page support
+ * - Rotated pages: content is drawn turned to match /Rotate
  * - Deterministic coordinate handling
+ * - Incremental-update saving that keeps earlier revisions byte-for-byte
+ * - Password-protected input and encrypted output
+ * - PDF/A-2b output for archiving
+ * - Signing evidence embedded as a JSON attachment and XMP properties
+ * - Verification QR codes beside signatures for printed copies
  */
 
-const { PDFDocument, PDFPage, rgb } = require('pdf-lib');
+const {
+  PDFPage,
+  PDFName,
+  rgb,
+  degrees,
+  drawImage,
+  pushGraphicsState,
+  popGraphicsState,
+  concatTransformationMatrix
+} = require('pdf-lib');
 const crypto = require('crypto');
 const fs = require('fs').promises;
+const {
+  addSignaturePlaceholder,
+  signPlaceholder,
+  SUB_FILTER
+} = require('./cryptoSigner');
+const { requestTimestamp, toAuditRecord } = require('./timestampAuthority');
+const {
+  renderTextField,
+  renderDateField,
+  renderRadioField
+} = require('./fieldRenderers');
+const { fillFormField } = require('./formFields');
+const { readPageGeometry, toDisplayFrame, framePoint } = require('./coordinateTransform');
+const { appendCertificatePage } = require('./certificateOfCompletion');
+const { normalizeVector, vectorOperators, frameMatrix } = require('./vectorSignature');
+const { cleanSignatureImage, flattenTransparency, isPng } = require('./imageCleanup');
+const {
+  resolveAppearance,
+  prepareAppearance,
+  appearanceOperators,
+  describeAppearance
+} = require('./signatureAppearance');
+const { beginIncrementalUpdate, saveIncrementalUpdate } = require('./incrementalUpdate');
+const {
+  loadDocument,
+  createEncryption,
+  encryptObject,
+  saveEncrypted,
+  describeEncryption
+} = require('./pdfEncryption');
+const {
+  resolveConformance,
+  prepareConformance,
+  isConformanceRequired,
+  finalizeConformance,
+  describeConformance
+} = require('./pdfaConformance');
+const { writeXmpMetadata } = require('./xmpMetadata');
+const {
+  appendEvidencePass,
+  embedEvidence,
+  evidenceXmpSchema,
+  readEmbeddedEvidence,
+  INVALID_EVIDENCE_ERROR
+} = require('./embeddedEvidence');
+const {
+  resolveVerificationQr,
+  buildVerificationUrl,
+  drawVerificationQr
+} = require('./verificationQr');
+
+// Renderers for fields that are not images
+const FIELD_RENDERERS = {
+  text: renderTextField,
+  date: renderDateField,
+  radio: renderRadioField
+};
 
 /**
  * Calculate dimensions to fit image into bounding box while preserving aspect ratio
@@ -65,89 +140,265 @@ function computeSHA256(buffer) {
   return crypto.createHash('sha256').update(buffer).digest('hex');
 }
 
+// Embedded images per document, so a repeated signature is stored once
+const imageCache = new WeakMap();
+
 /**
- * Main PDF signing function
+ * Embed signature image into document
  * 
- * @param {Buffer} originalPDFBuffer - Original PDF file
- * @param {Object} signatureData - {
- *   image: Base64 encoded signature image,
- *   x: x coordinate in points,
- *   y: y coordinate in points,
- *   width: width in points,
- *   height: height in points,
- *   pageIndex: page number (0-indexed),
- *   metadata: { timestamp, email, reason, etc. }
- * }
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {Object} signatureData - { image, imageType, cleanup }
  * @returns {Promise<Object>} {
- *   signedPDFBuffer: Buffer,
- *   originalHash: string,
- *   signedHash: string,
- *   auditLog: Object
+ *   image: PDFImage,
+ *   cleanup: clean-up details or null,
+ *   flattened: transparency flattening details (PDF/A) or null
  * }
  */
-async function signPDF(originalPDFBuffer, signatureData) {
-  // Compute original PDF hash
-  const originalHash = computeSHA256(originalPDFBuffer);
+async function embedSignatureImage(pdfDoc, signatureData) {
+  if (!imageCache.has(pdfDoc)) {
+    imageCache.set(pdfDoc, new Map());
+  }
+  const cache = imageCache.get(pdfDoc);
+  const key = signatureData.cleanup
+    ? `${signatureData.image}:${JSON.stringify(signatureData.cleanup)}`
+    : signatureData.image;
 
-  // Load PDF
-  const pdfDoc = await PDFDocument.load(originalPDFBuffer);
-  const totalPages = pdfDoc.getPageCount();
+  if (!cache.has(key)) {
+    cache.set(key, await embedImageBytes(pdfDoc, signatureData));
+  }
+  return cache.get(key);
+}
 
-  // Validate page index
-  const pageIndex = signatureData.pageIndex || 0;
-  if (pageIndex < 0 || pageIndex >= totalPages) {
-    throw new Error(`Invalid page index: ${pageIndex}. Document has ${totalPages} pages.`);
+/**
+ * Decode, optionally clean up, and embed an image as PNG or JPEG
+ *
+ * In PDF/A mode PNG transparency is flattened: soft masks become a stencil
+ * /Mask on an opaque image.
+ */
+async function embedImageBytes(pdfDoc, signatureData) {
+  // Extract and decode image
+  let imageBuffer = base64ToBuffer(signatureData.image);
+  let cleanup = null;
+
+  // Clean-up works on PNG pixels and always yields a PNG
+  if (signatureData.cleanup) {
+    const cleaned = cleanSignatureImage(imageBuffer, signatureData.cleanup);
+    imageBuffer = cleaned.buffer;
+    cleanup = cleaned.info;
   }
 
-  // Get the target page
-  const page = pdfDoc.getPage(pageIndex);
-  const { width: pageWidth, height: pageHeight } = page.getSize();
+  if (isConformanceRequired(pdfDoc) && isPng(imageBuffer)) {
+    const { buffer, mask, info } = flattenTransparency(imageBuffer);
+    const image = await pdfDoc.embedPng(buffer);
+    if (mask) {
+      await image.embed();
+      const stencil = pdfDoc.context.flateStream(mask.data, {
+        Type: 'XObject',
+        Subtype: 'Image',
+        Width: mask.width,
+        Height: mask.height,
+        ImageMask: true,
+        BitsPerComponent: 1
+      });
+      pdfDoc.context.lookup(image.ref).dict.set(PDFName.of('Mask'), pdfDoc.context.register(stencil));
+    }
+    return { image, cleanup, flattened: info };
+  }
 
-  // Extract and decode image
-  const imageBuffer = base64ToBuffer(signatureData.image);
-  let image;
+  const image = cleanup
+    ? await pdfDoc.embedPng(imageBuffer)
+    : await embedUnprocessedImage(pdfDoc, signatureData, imageBuffer);
+  return { image, cleanup, flattened: null };
+}
 
+/**
+ * Embed image bytes as they are, by declared or detected type
+ */
+async function embedUnprocessedImage(pdfDoc, signatureData, imageBuffer) {
   try {
     // Determine image type and embed accordingly
     if (signatureData.imageType === 'png' || signatureData.image.includes('png')) {
-      image = await pdfDoc.embedPng(imageBuffer);
+      return await pdfDoc.embedPng(imageBuffer);
     } else if (signatureData.imageType === 'jpeg' || signatureData.image.includes('jpeg')) {
-      image = await pdfDoc.embedJpeg(imageBuffer);
-    } else {
-      // Try PNG first, fallback to JPEG
-      try {
-        image = await pdfDoc.embedPng(imageBuffer);
-      } catch {
-        image = await pdfDoc.embedJpeg(imageBuffer);
-      }
+      return await pdfDoc.embedJpeg(imageBuffer);
+    }
+
+    // Try PNG first, fallback to JPEG
+    try {
+      return await pdfDoc.embedPng(imageBuffer);
+    } catch {
+      return await pdfDoc.embedJpeg(imageBuffer);
     }
   } catch (error) {
     throw new Error(`Failed to embed signature image: ${error.message}`);
   }
+}
+
+/**
+ * Validate page index and return the target page
+ * 
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {number} pageIndex - 0-indexed page
+ * @returns {PDFPage} Target page
+ */
+function resolvePage(pdfDoc, pageIndex) {
+  const totalPages = pdfDoc.getPageCount();
+  if (pageIndex < 0 || pageIndex >= totalPages) {
+    throw new Error(`Invalid page index: ${pageIndex}. Document has ${totalPages} pages.`);
+  }
+  return pdfDoc.getPage(pageIndex);
+}
+
+/**
+ * Audit description shared by every field type
+ * 
+ * @param {PDFPage} page - Target page
+ * @param {Object} fieldData - Field data with box, pageIndex and metadata
+ * @returns {Object} Placement details for the audit log
+ */
+function describePlacement(page, fieldData) {
+  const { width: pageWidth, height: pageHeight } = page.getSize();
+
+  return {
+    pageIndex: fieldData.pageIndex || 0,
+    pageSize: { width: pageWidth, height: pageHeight },
+    rotation: readPageGeometry(page).rotation,
+    fieldType: fieldData.fieldType || 'signature',
+    signatureBox: {
+      x: fieldData.x,
+      y: fieldData.y,
+      width: fieldData.width,
+      height: fieldData.height
+    },
+    metadata: fieldData.metadata || {}
+  };
+}
+
+/**
+ * Read the geometry (rotation, visible box) of every page
+ * 
+ * @param {Buffer} pdfBuffer - PDF bytes
+ * @param {string} password - User or owner password of an encrypted PDF (optional)
+ * @returns {Promise<Array>} Page geometries, see coordinateTransform.readPageGeometry
+ */
+async function getPageGeometries(pdfBuffer, password) {
+  const { pdfDoc } = await loadDocument(pdfBuffer, { password, updateMetadata: false });
+  return pdfDoc.getPages().map(readPageGeometry);
+}
+
+/**
+ * Resolve target page, embed image (or read strokes) and compute the
+ * aspect-preserving fit
+ * 
+ * The fit is computed in the page's display orientation, so on rotated pages
+ * frame.width runs along the displayed width of the box. Vector signatures
+ * are fitted by the bounding box of their ink. With an appearance template
+ * the image only gets the part of the box the caption leaves free.
+ * 
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {Object} signatureData - Same shape as signPDF's signatureData
+ * @returns {Promise<Object>} { page, pageIndex, image, vector, stamp, frame, fit, placement }
+ */
+async function prepareSignature(pdfDoc, signatureData) {
+  // Get the target page
+  const pageIndex = signatureData.pageIndex || 0;
+  const page = resolvePage(pdfDoc, pageIndex);
 
-  // Get image dimensions
-  const imageDims = image.scale(1);
+  const vector = signatureData.vector ? normalizeVector(signatureData.vector) : null;
+  const { image, cleanup, flattened } = vector
+    ? { image: null, cleanup: null, flattened: null }
+    : await embedSignatureImage(pdfDoc, signatureData);
+
+  // Get image (or ink) dimensions
+  const imageDims = vector ? vector.bounds : image.scale(1);
   const imageWidth = imageDims.width;
   const imageHeight = imageDims.height;
 
+  // Upright frame for the box as displayed on a possibly rotated page
+  const frame = toDisplayFrame(signatureData, readPageGeometry(page).rotation);
+
+  // Caption stamp, laid out in the same upright frame
+  const template = resolveAppearance(signatureData.appearance);
+  const metadata = signatureData.metadata || {};
+  const stamp = template
+    ? await prepareAppearance(pdfDoc, template, frame, {
+      name: metadata.name,
+      reason: metadata.reason,
+      timestamp: metadata.timestamp,
+      documentId: signatureData.documentId
+    })
+    : null;
+  const imageBox = stamp ? stamp.imageBox : { x: 0, y: 0, width: frame.width, height: frame.height };
+
   // Calculate fit dimensions (preserve aspect ratio)
-  const { width: fitWidth, height: fitHeight, offsetX, offsetY } = calculateFitDimensions(
+  const boxFit = calculateFitDimensions(
     imageWidth,
     imageHeight,
-    signatureData.width,
-    signatureData.height
+    imageBox.width,
+    imageBox.height
   );
+  const fit = {
+    ...boxFit,
+    offsetX: imageBox.x + boxFit.offsetX,
+    offsetY: imageBox.y + boxFit.offsetY
+  };
 
-  // Draw signature on page
-  const signX = signatureData.x + offsetX;
-  const signY = signatureData.y + offsetY;
+  const placement = {
+    ...describePlacement(page, signatureData),
+    imageInfo: {
+      originalWidth: imageWidth,
+      originalHeight: imageHeight,
+      fitWidth: fit.width,
+      fitHeight: fit.height,
+      offsetX: fit.offsetX,
+      offsetY: fit.offsetY,
+      vector: vector
+        ? { strokeCount: vector.strokes.length, pointCount: vector.pointCount }
+        : null,
+      cleanup,
+      flattened
+    },
+    appearance: stamp ? describeAppearance(stamp) : null
+  };
 
-  page.drawImage(image, {
-    x: signX,
-    y: signY,
-    width: fitWidth,
-    height: fitHeight
-  });
+  return { page, pageIndex, image, vector, stamp, frame, fit, placement };
+}
+
+/**
+ * Burn one signature onto an already loaded document
+ * 
+ * Does not save the document, so several placements can share one load/save pass.
+ * 
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {Object} signatureData - Same shape as signPDF's signatureData
+ * @returns {Promise<Object>} Placement details for the audit log
+ */
+async function burnSignature(pdfDoc, signatureData) {
+  const { page, image, vector, stamp, frame, fit, placement } = await prepareSignature(pdfDoc, signatureData);
+
+  // Draw signature on page, turned so it reads upright on rotated pages
+  if (vector) {
+    page.pushOperators(...vectorOperators(vector, fit, frameMatrix(frame)));
+  } else {
+    const origin = framePoint(frame, fit.offsetX, fit.offsetY);
+    page.drawImage(image, {
+      x: origin.x,
+      y: origin.y,
+      width: fit.width,
+      height: fit.height,
+      rotate: degrees(frame.rotation)
+    });
+  }
+
+  if (stamp) {
+    const fontKey = page.node.newFontDictionary(stamp.font.name, stamp.font.ref);
+    page.pushOperators(
+      pushGraphicsState(),
+      concatTransformationMatrix(...frameMatrix(frame)),
+      ...appearanceOperators(stamp, fontKey),
+      popGraphicsState()
+    );
+  }
 
   // Optional: Draw bounding box for verification (remove in production if not needed)
   if (process.env.DEBUG_SIGNATURE_BOX === 'true') {
@@ -161,69 +412,473 @@ async function signPDF(originalPDFBuffer, signatureData) {
     });
   }
 
-  // Serialize signed PDF
-  const signedPDFBuffer = await pdfDoc.save();
+  return placement;
+}
 
-  // Compute signed PDF hash
-  const signedHash = computeSHA256(signedPDFBuffer);
+/**
+ * Build a signature widget whose appearance stream draws the signature
+ * 
+ * Used in cryptographic mode: the image (or vector paths) live in the
+ * widget's /AP instead of the page content, so the visible signature is part
+ * of the signed field.
+ * 
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {Object} signatureData - Same shape as signPDF's signatureData
+ * @returns {Promise<Object>} { placement, widget: { pageIndex, rect, appearance } }
+ */
+async function buildSignatureWidget(pdfDoc, signatureData) {
+  const { pageIndex, image, vector, stamp, frame, fit, placement } = await prepareSignature(pdfDoc, signatureData);
 
-  // Audit log
-  const auditLog = {
-    timestamp: new Date().toISOString(),
-    originalHash,
-    signedHash,
-    pageIndex,
-    pageSize: { width: pageWidth, height: pageHeight },
-    signatureBox: {
-      x: signatureData.x,
-      y: signatureData.y,
-      width: signatureData.width,
-      height: signatureData.height
-    },
-    imageInfo: {
-      originalWidth: imageWidth,
-      originalHeight: imageHeight,
-      fitWidth,
-      fitHeight,
-      offsetX,
-      offsetY
-    },
-    metadata: signatureData.metadata || {}
+  const imageName = 'SigImg';
+  const fontName = 'SigFont';
+  const signatureOperators = vector
+    ? vectorOperators(vector, fit)
+    : [
+      pushGraphicsState(),
+      ...drawImage(imageName, {
+        x: fit.offsetX,
+        y: fit.offsetY,
+        width: fit.width,
+        height: fit.height,
+        rotate: degrees(0),
+        xSkew: degrees(0),
+        ySkew: degrees(0)
+      }),
+      popGraphicsState()
+    ];
+  const operators = stamp
+    ? [...signatureOperators, ...appearanceOperators(stamp, fontName)]
+    : signatureOperators;
+
+  // The appearance is drawn upright; /Matrix turns it to match the page's
+  // /Rotate before viewers fit it into the widget rectangle
+  const radians = (frame.rotation * Math.PI) / 180;
+  const cos = Math.round(Math.cos(radians));
+  const sin = Math.round(Math.sin(radians));
+
+  const appearance = pdfDoc.context.register(
+    pdfDoc.context.formXObject(operators, {
+      BBox: [0, 0, frame.width, frame.height],
+      Matrix: [cos, sin, -sin, cos, 0, 0],
+      Resources: {
+        ...(image ? { XObject: { [imageName]: image.ref } } : {}),
+        ...(stamp ? { Font: { [fontName]: stamp.font.ref } } : {})
+      }
+    })
+  );
+
+  return {
+    placement,
+    widget: {
+      pageIndex,
+      rect: placement.signatureBox,
+      appearance,
+      formField: signatureData.formField || null
+    }
   };
+}
+
+/**
+ * Burn any field type onto an already loaded document
+ * 
+ * Signature and image fields embed a picture; text, date and radio fields
+ * are drawn by the field renderers, or set as real form values when the
+ * placement targets an existing AcroForm field (formField).
+ * 
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {Object} fieldData - Same shape as signPDF's signatureData
+ * @returns {Promise<Object>} Placement details for the audit log
+ */
+async function burnField(pdfDoc, fieldData) {
+  const fieldType = fieldData.fieldType || 'signature';
+
+  if (fieldType === 'signature' || fieldType === 'image') {
+    return burnSignature(pdfDoc, fieldData);
+  }
+
+  if (fieldData.formField) {
+    const page = resolvePage(pdfDoc, fieldData.pageIndex || 0);
+    return {
+      ...describePlacement(page, fieldData),
+      ...fillFormField(pdfDoc, fieldData)
+    };
+  }
+
+  const renderer = FIELD_RENDERERS[fieldType];
+  if (!renderer) {
+    throw new Error(`Unsupported field type: ${fieldType}`);
+  }
+
+  const page = resolvePage(pdfDoc, fieldData.pageIndex || 0);
+  const details = await renderer(pdfDoc, page, fieldData);
+
+  return {
+    ...describePlacement(page, fieldData),
+    ...details
+  };
+}
+
+/**
+ * Append the certificate of completion for this signing pass
+ * 
+ * Lists earlier signatures (from their audit entries) followed by the
+ * signature placements of this pass, whose images or strokes serve as
+ * thumbnails.
+ * 
+ * @param {PDFDocument} pdfDoc - Document with all placements burned
+ * @param {Array} signatures - Signature data of this pass
+ * @param {Array} placements - Placement details, in the same order
+ * @param {Object} options - { documentId, ipAddress, previousEntries, originalHash, contentHash }
+ * @returns {Promise<Object>} { pageIndices, signatureCount }
+ */
+async function addCertificateOfCompletion(pdfDoc, signatures, placements, options) {
+  const generatedAt = new Date();
+  const isSignature = (entry) => (entry.fieldType || 'signature') === 'signature';
+
+  const entries = (options.previousEntries || []).filter(isSignature);
+  for (const [index, sig] of signatures.entries()) {
+    if (!isSignature(sig)) continue;
+
+    entries.push({
+      signer: {
+        name: sig.metadata?.name,
+        email: sig.metadata?.email,
+        timestamp: generatedAt,
+        ipAddress: options.ipAddress
+      },
+      pageIndex: placements[index].pageIndex,
+      coordinates: { pdf: placements[index].signatureBox },
+      thumbnail: sig.vector ? null : (await embedSignatureImage(pdfDoc, sig)).image,
+      vector: sig.vector ? normalizeVector(sig.vector) : null
+    });
+  }
+
+  return appendCertificatePage(pdfDoc, {
+    documentId: options.documentId,
+    originalHash: options.originalHash,
+    contentHash: options.contentHash,
+    generatedAt,
+    entries
+  });
+}
+
+/**
+ * Evidence embedded by earlier signing passes
+ *
+ * An attachment that is not valid evidence is replaced rather than extended.
+ */
+function readPreviousEvidence(pdfDoc) {
+  try {
+    return readEmbeddedEvidence(pdfDoc).evidence;
+  } catch (error) {
+    if (error.code === INVALID_EVIDENCE_ERROR) return null;
+    throw error;
+  }
+}
+
+/**
+ * Main PDF signing function
+ * 
+ * @param {Buffer} originalPDFBuffer - Original PDF file
+ * @param {Object} signatureData - {
+ *   image: Base64 encoded signature image,
+ *   x: x coordinate in points,
+ *   y: y coordinate in points,
+ *   width: width in points,
+ *   height: height in points,
+ *   pageIndex: page number (0-indexed),
+ *   fieldType: 'signature' | 'text' | 'image' | 'date' | 'radio' | 'checkbox',
+ *   value: text / date (ISO) / radio selection for non-image fields,
+ *   formField: name of an existing AcroForm field to fill (optional),
+ *   formOption: radio option represented by this placement (optional),
+ *   style: { font, fontData, fontSize, color, align, dateFormat },
+ *   appearance: caption template for signature and image fields (see
+ *     signatureAppearance.resolveAppearance),
+ *   documentId: document identifier shown in the caption,
+ *   metadata: { timestamp, email, reason, etc. }
+ * }
+ * @param {Object} options - See signPDFMultiple
+ * @returns {Promise<Object>} {
+ *   signedPDFBuffer: Buffer,
+ *   originalHash: string,
+ *   signedHash: string,
+ *   auditLog: Object
+ * }
+ */
+async function signPDF(originalPDFBuffer, signatureData, options = {}) {
+  const { signedPDFBuffer, originalHash, signedHash, auditTrail } =
+    await signPDFMultiple(originalPDFBuffer, [signatureData], options);
 
   return {
     signedPDFBuffer,
     originalHash,
     signedHash,
-    auditLog
+    auditLog: auditTrail[0]
   };
 }
 
 /**
  * Add multiple signatures to same PDF
  * 
+ * Loads and saves the document once; every placement is burned in the same pass.
+ * 
+ * With options.credentials the document also gets a /Sig dictionary holding a
+ * detached PKCS#7 signature; 'signature' placements become its widgets.
+ * 
  * @param {Buffer} originalPDFBuffer - Original PDF
- * @param {Array} signatures - Array of signature data objects
- * @returns {Promise<Object>} Signed PDF and audit trail
+ * @param {Array} signatures - Array of signature data objects (see signPDF)
+ * @param {Object} options - {
+ *   credentials: signing credentials from cryptoSigner (optional),
+ *   signer: { name, reason, location, contactInfo } for the /Sig dictionary,
+ *   timestampAuthority: TSA config (optional) - timestamps the signed hash and,
+ *     with credentials, embeds a token over the PKCS#7 signature value,
+ *   incremental: boolean (default true) - append changes as an incremental
+ *     update so the original bytes, and any earlier signatures, stay intact,
+ *   certificateOfCompletion: { documentId, ipAddress, previousEntries } (optional) -
+ *     append an evidence page; previousEntries are earlier audit entries,
+ *   password: user or owner password of an encrypted original; the update is
+ *     encrypted with the original's key,
+ *   encrypt: output encryption (see pdfEncryption.resolveEncryptionOptions) -
+ *     always a full rewrite, since every revision must share one key,
+ *   conformance: 'pdfa-2b' (optional) - archival output; inputs that cannot be
+ *     fixed are refused with code PDFA_NONCONFORMING, an encrypted original
+ *     is decrypted, and cannot be combined with encrypt,
+ *   embedEvidence: { documentId } (optional) - embed this pass's audit entries
+ *     (added to those of earlier passes) as a JSON attachment and summarize
+ *     them in XMP; not with conformance, as PDF/A-2 forbids such attachments,
+ *   verificationQr: { baseUrl, documentId, position, size } (optional) - draw a
+ *     QR code beside every signature linking to the public verification URL,
+ *     which carries a prefix of originalHash (the signed hash would have to
+ *     cover the code itself); see verificationQr.resolveVerificationQr
+ * }
+ * @returns {Promise<Object>} {
+ *   signedPDFBuffer: Buffer,
+ *   originalHash: string,
+ *   signedHash: string,
+ *   revision: { incremental, originalLength, signedLength },
+ *   certificateOfCompletion: null | { pageIndices, signatureCount, contentHash },
+ *   encryption: null | { input, output } (see pdfEncryption.describeEncryption),
+ *   conformance: { requested, claimed, fixes, fontSubstitutions }
+ *     (see pdfaConformance.describeConformance),
+ *   evidence: null | { fileName, size, sha256, passCount, signers }
+ *     (see embeddedEvidence.embedEvidence),
+ *   auditTrail: Array (one audit log per placement, in input order)
+ * }
  */
-async function signPDFMultiple(originalPDFBuffer, signatures) {
-  let currentBuffer = originalPDFBuffer;
-  const auditTrail = [];
+async function signPDFMultiple(originalPDFBuffer, signatures, options = {}) {
+  if (!Array.isArray(signatures) || signatures.length === 0) {
+    throw new Error('At least one signature is required');
+  }
+
+  const { credentials, timestampAuthority } = options;
+  const conformance = resolveConformance(options.conformance);
+  if (conformance && options.encrypt) {
+    throw new Error('PDF/A output cannot be encrypted');
+  }
+  if (conformance && options.embedEvidence) {
+    throw new Error('PDF/A-2 output cannot carry an evidence attachment');
+  }
+  const verificationQr = resolveVerificationQr(options.verificationQr);
+  if (verificationQr && !(options.verificationQr.baseUrl && options.verificationQr.documentId)) {
+    throw new Error('Verification QR codes need a baseUrl and documentId');
+  }
 
+  // Compute original PDF hash
   const originalHash = computeSHA256(originalPDFBuffer);
 
+  // Load PDF (metadata is updated explicitly so the change lands in the update)
+  const { pdfDoc, encryption: inputEncryption } = await loadDocument(originalPDFBuffer, {
+    password: options.password,
+    updateMetadata: false
+  });
+
+  // PDF/A forbids encryption, so an encrypted original is rewritten in the clear
+  const incremental = options.incremental !== false && !options.encrypt &&
+    !(conformance && inputEncryption);
+  if (!incremental) {
+    pdfDoc.updateInfoDict();
+  }
+
+  // An encrypted original stays encrypted with its own key unless new
+  // settings are given
+  let encryption = null;
+  if (options.encrypt) {
+    encryption = createEncryption(pdfDoc, options.encrypt);
+  } else if (!conformance) {
+    encryption = inputEncryption;
+  }
+
+  let incrementalRevision = incremental
+    ? beginIncrementalUpdate(pdfDoc, originalPDFBuffer)
+    : null;
+  if (incremental) {
+    pdfDoc.setModificationDate(new Date());
+  }
+
+  // Refuses inputs that cannot conform before anything is drawn
+  const conformanceFixes = conformance
+    ? prepareConformance(pdfDoc, conformance, { encryption: inputEncryption })
+    : [];
+
+  const save = (saveOptions) => {
+    if (incrementalRevision) {
+      return saveIncrementalUpdate(pdfDoc, incrementalRevision, {
+        transform: encryption ? (ref, object) => encryptObject(encryption, ref, object) : null
+      });
+    }
+    return encryption ? saveEncrypted(pdfDoc, encryption, saveOptions) : pdfDoc.save(saveOptions);
+  };
+
+  const verificationUrl = verificationQr
+    ? buildVerificationUrl(options.verificationQr.baseUrl, options.verificationQr.documentId, originalHash)
+    : null;
+
+  const placements = [];
+  const widgets = [];
   for (const sig of signatures) {
-    const result = await signPDF(currentBuffer, sig);
-    currentBuffer = result.signedPDFBuffer;
-    auditTrail.push(result.auditLog);
+    const isSignature = (sig.fieldType || 'signature') === 'signature';
+    let placement;
+    if (credentials && isSignature) {
+      const built = await buildSignatureWidget(pdfDoc, sig);
+      placement = built.placement;
+      widgets.push(built.widget);
+    } else {
+      placement = await burnField(pdfDoc, sig);
+    }
+
+    // Drawn on the page, outside the widget, in both modes
+    if (verificationQr && isSignature) {
+      placement.verificationQr = drawVerificationQr(resolvePage(pdfDoc, sig.pageIndex || 0), sig, {
+        ...verificationQr,
+        url: verificationUrl
+      });
+    }
+    placements.push(placement);
   }
 
-  const finalHash = computeSHA256(currentBuffer);
+  if (conformance) {
+    await finalizeConformance(pdfDoc, conformance);
+  }
+
+  // The certificate cannot contain its own hash: it lists the hash of the
+  // signed content, which is saved first and then extended by an incremental
+  // update holding the certificate (and, in cryptographic mode, the /Sig)
+  let certificateOfCompletion = null;
+  if (options.certificateOfCompletion) {
+    const contentBytes = Buffer.from(await save());
+    incrementalRevision = beginIncrementalUpdate(pdfDoc, contentBytes);
+
+    const contentHash = computeSHA256(contentBytes);
+    const details = await addCertificateOfCompletion(pdfDoc, signatures, placements, {
+      ...options.certificateOfCompletion,
+      originalHash,
+      contentHash
+    });
+    certificateOfCompletion = { ...details, contentHash };
+  }
+
+  const encryptionRecord = encryption
+    ? {
+      input: inputEncryption
+        ? { ...describeEncryption(inputEncryption), authenticatedAs: inputEncryption.authenticatedAs }
+        : null,
+      output: { ...describeEncryption(encryption), keptFromInput: encryption === inputEncryption }
+    }
+    : null;
+
+  // Embedded entries lack the signed hash, which would have to cover the
+  // evidence itself; the original and certificate content hashes pin them down
+  let evidence = null;
+  let evidenceRecord = null;
+  if (options.embedEvidence) {
+    evidence = appendEvidencePass(readPreviousEvidence(pdfDoc), {
+      documentId: options.embedEvidence.documentId ?? null,
+      generatedAt: new Date().toISOString(),
+      originalHash,
+      auditTrail: placements.map(placement => ({
+        originalHash,
+        ...placement,
+        certificateOfCompletion,
+        encryption: encryptionRecord
+      }))
+    });
+    evidenceRecord = await embedEvidence(pdfDoc, evidence);
+  }
+
+  // XMP is written last, once the Info dictionary is final
+  if (conformance || evidence) {
+    writeXmpMetadata(pdfDoc, {
+      pdfa: conformance,
+      schemas: evidence ? [evidenceXmpSchema(evidence)] : []
+    });
+  }
+
+  let signedPDFBuffer;
+  let cryptographicSignature = null;
+
+  if (credentials) {
+    const signingTime = new Date();
+    addSignaturePlaceholder(pdfDoc, widgets, { ...options.signer, signingTime });
+
+    // Object streams would compress the placeholders out of reach
+    const unsignedBytes = await save({ useObjectStreams: false });
+    const { signedPDFBuffer: signedBytes, byteRange, timestamp } =
+      await signPlaceholder(unsignedBytes, credentials, { signingTime, timestampAuthority });
+
+    signedPDFBuffer = signedBytes;
+    cryptographicSignature = {
+      subFilter: SUB_FILTER,
+      byteRange,
+      signingTime: signingTime.toISOString(),
+      certificate: credentials.certificateInfo,
+      signatureTimestamp: timestamp ? toAuditRecord(timestamp) : null
+    };
+  } else {
+    // Serialize signed PDF
+    signedPDFBuffer = Buffer.from(await save());
+  }
+
+  // Compute signed PDF hash
+  const signedHash = computeSHA256(signedPDFBuffer);
+  const revision = {
+    incremental,
+    originalLength: originalPDFBuffer.length,
+    signedLength: signedPDFBuffer.length
+  };
+  const conformanceRecord = describeConformance(pdfDoc, conformance, conformanceFixes);
+
+  // Trusted timestamp over the signed hash replaces the server clock
+  const trustedTimestamp = timestampAuthority
+    ? toAuditRecord(await requestTimestamp(signedHash, timestampAuthority))
+    : null;
+
+  // Audit log
+  const timestamp = (trustedTimestamp ? trustedTimestamp.genTime : new Date()).toISOString();
+  const auditTrail = placements.map(placement => ({
+    timestamp,
+    originalHash,
+    signedHash,
+    ...placement,
+    revision,
+    certificateOfCompletion,
+    cryptographicSignature,
+    trustedTimestamp,
+    encryption: encryptionRecord,
+    conformance: conformanceRecord,
+    evidence: evidenceRecord
+  }));
 
   return {
-    signedPDFBuffer: currentBuffer,
+    signedPDFBuffer,
     originalHash,
-    signedHash: finalHash,
+    signedHash,
+    revision,
+    certificateOfCompletion,
+    cryptographicSignature,
+    trustedTimestamp,
+    encryption: encryptionRecord,
+    conformance: conformanceRecord,
+    evidence: evidenceRecord,
     auditTrail
   };
 }
@@ -231,6 +886,10 @@ async function signPDFMultiple(originalPDFBuffer, signatures) {
 module.exports = {
   signPDF,
   signPDFMultiple,
+  getPageGeometries,
+  burnSignature,
+  burnField,
+  buildSignatureWidget,
   computeSHA256,
   calculateFitDimensions,
   base64ToBuffer
@@ -0,0 +1,473 @@
+/**
+ * PDF/A CONFORMANCE
+ *
+ * Prepares signed output for archiving as PDF/A-2b:
+ * - Refuses inputs that cannot be fixed (fonts without embedded programs,
+ *   embedded files, LZW compression)
+ * - Fixes what can be fixed (encryption, JavaScript, XFA, NeedAppearances,
+ *   form field appearances drawn with fonts that are not embedded)
+ * - Embeds every font the signing pass uses and flattens image transparency
+ * - Adds an sRGB output intent and a file identifier; the signer writes the
+ *   PDF/A identifier into the XMP metadata (see xmpMetadata)
+ */
+
+const {
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFStream,
+  PDFString,
+  PDFSignature,
+  StandardFonts
+} = require('pdf-lib');
+const { requireEmbeddedFonts, getFontSubstitutions, embedFieldFont } = require('./fieldRenderers');
+const { removeEncryption, ensureDocumentId } = require('./pdfEncryption');
+const { readXmpMetadata, readXmpProperty, NAMESPACES } = require('./xmpMetadata');
+
+const CONFORMANCE_LEVELS = {
+  'pdfa-2b': { label: 'PDF/A-2b', part: 2, conformance: 'B' }
+};
+
+const NONCONFORMING_ERROR = 'PDFA_NONCONFORMING';
+
+const OUTPUT_INTENT_SUBTYPE = 'GTS_PDFA1';
+const SRGB_IDENTIFIER = 'sRGB IEC61966-2.1';
+
+// Documents being prepared for conformance, with the level requested
+const conformingDocuments = new WeakMap();
+
+/**
+ * Resolve the requested conformance level
+ *
+ * @param {string} conformance - 'pdfa-2b' (optional)
+ * @returns {Object|null} { standard, label, part, conformance }, or null when none is requested
+ */
+function resolveConformance(conformance) {
+  if (!conformance) return null;
+
+  const level = CONFORMANCE_LEVELS[String(conformance).toLowerCase()];
+  if (!level) {
+    throw new Error(`Unknown conformance level: ${conformance}`);
+  }
+  return { standard: String(conformance).toLowerCase(), ...level };
+}
+
+/**
+ * Error refusing an input that cannot be made conforming
+ */
+function nonconformingError(conformance, issues) {
+  const error = new Error(
+    `PDF cannot be made ${conformance.label} compliant: ${issues.map(issue => issue.message).join('; ')}`
+  );
+  error.code = NONCONFORMING_ERROR;
+  error.issues = issues;
+  return error;
+}
+
+// ============================================================================
+// ICC PROFILE
+// ============================================================================
+
+/**
+ * s15Fixed16Number
+ */
+function s15Fixed16(value) {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(Math.round(value * 65536));
+  return buffer;
+}
+
+function xyzTag(x, y, z) {
+  return Buffer.concat([Buffer.from('XYZ \0\0\0\0', 'latin1'), s15Fixed16(x), s15Fixed16(y), s15Fixed16(z)]);
+}
+
+function textTag(text) {
+  return Buffer.concat([Buffer.from('text\0\0\0\0', 'latin1'), Buffer.from(`${text}\0`, 'latin1')]);
+}
+
+function descriptionTag(text) {
+  const ascii = Buffer.from(`${text}\0`, 'latin1');
+  const count = Buffer.alloc(4);
+  count.writeUInt32BE(ascii.length);
+  // Empty Unicode and ScriptCode descriptions follow the ASCII one
+  return Buffer.concat([Buffer.from('desc\0\0\0\0', 'latin1'), count, ascii, Buffer.alloc(4 + 4 + 2 + 1 + 67)]);
+}
+
+/**
+ * sRGB transfer curve sampled at 1024 points
+ */
+function srgbCurveTag() {
+  const points = 1024;
+  const tag = Buffer.alloc(12 + points * 2);
+  tag.write('curv', 0, 'latin1');
+  tag.writeUInt32BE(points, 8);
+  for (let i = 0; i < points; i++) {
+    const v = i / (points - 1);
+    const linear = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    tag.writeUInt16BE(Math.round(linear * 65535), 12 + i * 2);
+  }
+  return tag;
+}
+
+/**
+ * Minimal ICC v2 display profile for sRGB (D50-adapted primaries)
+ *
+ * @returns {Buffer} ICC profile bytes
+ */
+function buildSrgbProfile() {
+  const curve = srgbCurveTag();
+  const tags = [
+    ['desc', descriptionTag(SRGB_IDENTIFIER)],
+    ['cprt', textTag('No copyright, use freely')],
+    ['wtpt', xyzTag(0.9642, 1.0, 0.8249)],
+    ['rXYZ', xyzTag(0.4360747, 0.2225045, 0.0139322)],
+    ['gXYZ', xyzTag(0.3850649, 0.7168786, 0.0971045)],
+    ['bXYZ', xyzTag(0.1430804, 0.0606169, 0.7141733)],
+    ['rTRC', curve],
+    ['gTRC', curve],
+    ['bTRC', curve]
+  ];
+
+  // Tag data is 4-byte aligned; the three curves share one copy
+  const table = Buffer.alloc(4 + tags.length * 12);
+  table.writeUInt32BE(tags.length);
+  const chunks = [];
+  const offsets = new Map();
+  let offset = 128 + table.length;
+
+  tags.forEach(([signature, data], index) => {
+    if (!offsets.has(data)) {
+      const padded = Buffer.concat([data, Buffer.alloc((4 - (data.length % 4)) % 4)]);
+      offsets.set(data, offset);
+      chunks.push(padded);
+      offset += padded.length;
+    }
+    const entry = 4 + index * 12;
+    table.write(signature, entry, 'latin1');
+    table.writeUInt32BE(offsets.get(data), entry + 4);
+    table.writeUInt32BE(data.length, entry + 8);
+  });
+
+  const header = Buffer.alloc(128);
+  header.writeUInt32BE(offset, 0);
+  header.writeUInt32BE(0x02100000, 8); // version 2.1
+  header.write('mntrRGB XYZ ', 12, 'latin1');
+  [2024, 1, 1, 0, 0, 0].forEach((value, index) => header.writeUInt16BE(value, 24 + index * 2));
+  header.write('acsp', 36, 'latin1');
+  xyzTag(0.9642, 1.0, 0.8249).copy(header, 68, 8); // D50 illuminant
+
+  return Buffer.concat([header, table, ...chunks]);
+}
+
+// ============================================================================
+// INPUT CHECKS
+// ============================================================================
+
+/**
+ * Whether a font dictionary carries its font program
+ */
+function isFontEmbedded(font) {
+  const subtype = font.lookup(PDFName.of('Subtype'));
+  if (subtype === PDFName.of('Type3')) return true;
+
+  const target = subtype === PDFName.of('Type0')
+    ? font.lookup(PDFName.of('DescendantFonts'), PDFArray).lookup(0, PDFDict)
+    : font;
+  const descriptor = target.lookup(PDFName.of('FontDescriptor'));
+  return descriptor instanceof PDFDict &&
+    ['FontFile', 'FontFile2', 'FontFile3'].some(key => descriptor.has(PDFName.of(key)));
+}
+
+/**
+ * Font dictionaries reachable from a resources dictionary, including those
+ * of nested form XObjects
+ */
+function collectFonts(resources, fonts, visited) {
+  if (!(resources instanceof PDFDict) || visited.has(resources)) return;
+  visited.add(resources);
+
+  const fontDict = resources.lookup(PDFName.of('Font'));
+  if (fontDict instanceof PDFDict) {
+    for (const [, value] of fontDict.entries()) {
+      const font = resources.context.lookup(value);
+      if (font instanceof PDFDict) fonts.add(font);
+    }
+  }
+
+  const xObjects = resources.lookup(PDFName.of('XObject'));
+  if (xObjects instanceof PDFDict) {
+    for (const [, value] of xObjects.entries()) {
+      const xObject = resources.context.lookup(value);
+      if (xObject instanceof PDFStream) {
+        collectFonts(xObject.dict.lookup(PDFName.of('Resources')), fonts, visited);
+      }
+    }
+  }
+}
+
+/**
+ * Appearance streams of an annotation (a single stream or one per state)
+ */
+function appearanceStreams(annotation) {
+  const normal = annotation.lookup(PDFName.of('AP'))?.lookup?.(PDFName.of('N'));
+  if (normal instanceof PDFStream) return [normal];
+  if (normal instanceof PDFDict) {
+    return normal.values().map(value => annotation.context.lookup(value)).filter(value => value instanceof PDFStream);
+  }
+  return [];
+}
+
+/**
+ * Whether a widget belongs to a form field whose appearance is rebuilt with
+ * embedded fonts (every field but signatures, whose appearance is signed)
+ */
+function isRebuiltWidget(annotation) {
+  if (annotation.lookup(PDFName.of('Subtype')) !== PDFName.of('Widget')) return false;
+
+  let node = annotation;
+  while (node instanceof PDFDict) {
+    const fieldType = node.lookup(PDFName.of('FT'));
+    if (fieldType) return fieldType !== PDFName.of('Sig');
+    node = node.lookup(PDFName.of('Parent'));
+  }
+  return false;
+}
+
+/**
+ * Problems in the input that conformance mode cannot fix
+ *
+ * Run on the loaded input, before any content is added. Form field widgets
+ * are skipped, since their appearances are rebuilt.
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @returns {Array} [{ code, message, pageIndex? }]
+ */
+function findConformanceIssues(pdfDoc) {
+  const issues = [];
+  const { context } = pdfDoc;
+  const reported = new Set();
+  const visited = new Set();
+
+  pdfDoc.getPages().forEach((page, pageIndex) => {
+    const fonts = new Set();
+    collectFonts(page.node.Resources(), fonts, visited);
+
+    const annotations = page.node.Annots();
+    for (const annotation of annotations ? annotations.asArray().map(ref => context.lookup(ref)) : []) {
+      if (!(annotation instanceof PDFDict)) continue;
+      if (annotation.lookup(PDFName.of('Subtype')) === PDFName.of('FileAttachment')) {
+        issues.push({ code: 'EMBEDDED_FILE', message: `File attachment annotation on page ${pageIndex + 1}`, pageIndex });
+      }
+      if (isRebuiltWidget(annotation)) continue;
+      for (const stream of appearanceStreams(annotation)) {
+        collectFonts(stream.dict.lookup(PDFName.of('Resources')), fonts, visited);
+      }
+    }
+
+    for (const font of fonts) {
+      if (reported.has(font) || isFontEmbedded(font)) continue;
+      reported.add(font);
+      const baseFont = font.lookup(PDFName.of('BaseFont'));
+      issues.push({
+        code: 'FONT_NOT_EMBEDDED',
+        message: `Font ${baseFont ? baseFont.decodeText() : '(unnamed)'} on page ${pageIndex + 1} is not embedded`,
+        pageIndex
+      });
+    }
+  });
+
+  const names = pdfDoc.catalog.lookup(PDFName.of('Names'));
+  if (names instanceof PDFDict && names.has(PDFName.of('EmbeddedFiles'))) {
+    issues.push({ code: 'EMBEDDED_FILE', message: 'Document has embedded files' });
+  }
+
+  const usesLzw = context.enumerateIndirectObjects().some(([, object]) => {
+    if (!(object instanceof PDFStream)) return false;
+    const filter = object.dict.lookup(PDFName.of('Filter'));
+    const filters = filter instanceof PDFArray ? filter.asArray() : [filter];
+    return filters.includes(PDFName.of('LZWDecode'));
+  });
+  if (usesLzw) {
+    issues.push({ code: 'LZW_COMPRESSION', message: 'Document uses LZW compression' });
+  }
+
+  return issues;
+}
+
+// ============================================================================
+// PREPARATION
+// ============================================================================
+
+/**
+ * Check the input and remove what PDF/A forbids
+ *
+ * Every standard font the signing pass embeds from now on is swapped for an
+ * embedded look-alike, and signature images are flattened (see
+ * isConformanceRequired).
+ *
+ * @param {PDFDocument} pdfDoc - Loaded input, before any content is added
+ * @param {Object} conformance - Result of resolveConformance
+ * @param {Object} options - { encryption: security handler of an encrypted input }
+ * @returns {Array} Fixes applied: [{ code, message }]
+ * @throws {Error} with code PDFA_NONCONFORMING and issues when the input cannot be fixed
+ */
+function prepareConformance(pdfDoc, conformance, options = {}) {
+  const issues = findConformanceIssues(pdfDoc);
+  if (issues.length > 0) {
+    throw nonconformingError(conformance, issues);
+  }
+
+  const fixes = [];
+  const { catalog } = pdfDoc;
+
+  if (options.encryption) {
+    removeEncryption(pdfDoc, options.encryption);
+    fixes.push({ code: 'ENCRYPTION_REMOVED', message: 'Encryption removed' });
+  }
+
+  const names = catalog.lookup(PDFName.of('Names'));
+  if (names instanceof PDFDict && names.has(PDFName.of('JavaScript'))) {
+    names.delete(PDFName.of('JavaScript'));
+    fixes.push({ code: 'JAVASCRIPT_REMOVED', message: 'Document JavaScript removed' });
+  }
+  const openAction = catalog.lookup(PDFName.of('OpenAction'));
+  if (openAction instanceof PDFDict && openAction.lookup(PDFName.of('S')) === PDFName.of('JavaScript')) {
+    catalog.delete(PDFName.of('OpenAction'));
+    fixes.push({ code: 'JAVASCRIPT_REMOVED', message: 'JavaScript open action removed' });
+  }
+  if (catalog.has(PDFName.of('AA'))) {
+    catalog.delete(PDFName.of('AA'));
+    fixes.push({ code: 'ACTIONS_REMOVED', message: 'Document additional actions removed' });
+  }
+
+  const acroForm = catalog.lookup(PDFName.of('AcroForm'));
+  if (acroForm instanceof PDFDict) {
+    if (acroForm.has(PDFName.of('XFA'))) {
+      acroForm.delete(PDFName.of('XFA'));
+      fixes.push({ code: 'XFA_REMOVED', message: 'XFA form data removed' });
+    }
+    if (acroForm.has(PDFName.of('NeedAppearances'))) {
+      acroForm.delete(PDFName.of('NeedAppearances'));
+      fixes.push({ code: 'NEED_APPEARANCES_REMOVED', message: 'NeedAppearances flag removed' });
+    }
+
+    // Appearances are rebuilt in finalizeConformance with an embedded font
+    const form = pdfDoc.getForm();
+    const fields = form.getFields().filter(field => !(field instanceof PDFSignature));
+    fields.forEach(field => form.markFieldAsDirty(field.ref));
+    if (fields.length > 0) {
+      fixes.push({ code: 'FIELD_APPEARANCES_REBUILT', message: `Form field appearances rebuilt: ${fields.length}` });
+    }
+  }
+
+  requireEmbeddedFonts(pdfDoc);
+  conformingDocuments.set(pdfDoc, conformance);
+  return fixes;
+}
+
+/**
+ * Whether a document is being prepared for conformance (images must be
+ * flattened, fonts embedded)
+ */
+function isConformanceRequired(pdfDoc) {
+  return conformingDocuments.has(pdfDoc);
+}
+
+/**
+ * Add the output intent and file identifier
+ *
+ * Call after every placement and before the first save. Form field
+ * appearances are generated here with an embedded font, since pdf-lib would
+ * otherwise fall back to plain Helvetica. The XMP packet is written last, once
+ * the Info dictionary is final.
+ *
+ * @param {PDFDocument} pdfDoc - Document prepared by prepareConformance
+ * @param {Object} conformance - Result of resolveConformance
+ */
+async function finalizeConformance(pdfDoc, conformance) {
+  const { context, catalog } = pdfDoc;
+
+  const form = pdfDoc.formCache.getValue();
+  if (form) {
+    const { font } = await embedFieldFont(pdfDoc, { font: StandardFonts.Helvetica });
+    form.updateFieldAppearances(font);
+  }
+
+  const intents = catalog.lookup(PDFName.of('OutputIntents'));
+  const hasIntent = intents instanceof PDFArray && intents.asArray().some(ref => {
+    const intent = context.lookup(ref);
+    return intent instanceof PDFDict && intent.lookup(PDFName.of('S')) === PDFName.of(OUTPUT_INTENT_SUBTYPE);
+  });
+  if (!hasIntent) {
+    const profile = context.register(context.flateStream(buildSrgbProfile(), { N: 3 }));
+    const intent = context.register(context.obj({
+      Type: 'OutputIntent',
+      S: OUTPUT_INTENT_SUBTYPE,
+      OutputConditionIdentifier: PDFString.of(SRGB_IDENTIFIER),
+      RegistryName: PDFString.of('http://www.color.org'),
+      Info: PDFString.of(SRGB_IDENTIFIER),
+      DestOutputProfile: profile
+    }));
+    if (intents instanceof PDFArray) {
+      intents.push(intent);
+    } else {
+      catalog.set(PDFName.of('OutputIntents'), context.obj([intent]));
+    }
+  }
+
+  // Rewrite Info dates in pdf-lib's UTC form so XMP dates match them exactly
+  const created = pdfDoc.getCreationDate();
+  if (created) pdfDoc.setCreationDate(created);
+  pdfDoc.setModificationDate(pdfDoc.getModificationDate() || new Date());
+
+  ensureDocumentId(context);
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+/**
+ * Conformance level a document claims in its XMP metadata
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @returns {string|null} e.g. 'pdfa-2b', or null when no PDF/A identification is present
+ */
+function readConformanceClaim(pdfDoc) {
+  const packet = readXmpMetadata(pdfDoc);
+  if (!packet) return null;
+
+  const part = readXmpProperty(packet, NAMESPACES.pdfaid, 'part');
+  const level = readXmpProperty(packet, NAMESPACES.pdfaid, 'conformance');
+  return part ? `pdfa-${part}${(level || '').toLowerCase()}` : null;
+}
+
+/**
+ * Conformance record for the audit log
+ *
+ * @param {PDFDocument} pdfDoc - Document as saved
+ * @param {Object|null} conformance - Result of resolveConformance
+ * @param {Array} fixes - Result of prepareConformance
+ * @returns {Object} { requested, claimed, fixes, fontSubstitutions }
+ */
+function describeConformance(pdfDoc, conformance, fixes = []) {
+  return {
+    requested: conformance ? conformance.standard : null,
+    claimed: readConformanceClaim(pdfDoc),
+    fixes,
+    fontSubstitutions: getFontSubstitutions(pdfDoc)
+  };
+}
+
+module.exports = {
+  resolveConformance,
+  findConformanceIssues,
+  prepareConformance,
+  isConformanceRequired,
+  finalizeConformance,
+  readConformanceClaim,
+  describeConformance,
+  buildSrgbProfile,
+  NONCONFORMING_ERROR,
+  CONFORMANCE_LEVELS
+};
@@ -0,0 +1,293 @@
+/**
+ * SIGNATURE APPEARANCE TEMPLATES
+ *
+ * Frames a signature with a caption naming the signer:
+ * - Layouts: caption below the image, caption to the right, or a bordered box
+ * - Caption lines from metadata: signer name, signing time, reason, short document ID
+ * - The signature box is split between image and caption
+ * - Operators are built in the box's upright frame, for pages and widget appearances alike
+ */
+
+const {
+  StandardFonts,
+  degrees,
+  drawText,
+  drawRectangle
+} = require('pdf-lib');
+const {
+  embedFieldFont,
+  formatDate,
+  formatTimestamp,
+  assertEncodable,
+  parseColor,
+  MIN_FONT_SIZE
+} = require('./fieldRenderers');
+
+const LAYOUTS = ['below', 'right', 'box'];
+const CAPTION_FIELDS = ['name', 'date', 'reason', 'documentId'];
+
+const DEFAULT_LAYOUT = 'below';
+const DEFAULT_FONT_SIZE = 8;
+const DEFAULT_COLOR = '#000000';
+const DEFAULT_BORDER_WIDTH = 1;
+const LINE_SPACING = 1.15;
+const SHORT_ID_LENGTH = 8;
+
+// Share of the box given to the caption
+const DEFAULT_CAPTION_RATIO = {
+  below: 0.35,
+  right: 0.5,
+  box: 0.35
+};
+
+/**
+ * Resolve an appearance template from the request
+ *
+ * @param {boolean|string|Object} appearance - true for defaults, a layout name, or {
+ *   layout: 'below' | 'right' | 'box',
+ *   fields: ['name', 'date', 'reason', 'documentId'] (caption lines, in order),
+ *   captionRatio: number (0.1-0.9, share of the box for the caption),
+ *   dateFormat: string (fieldRenderers.formatDate tokens; default 'YYYY-MM-DD HH:MM:SS UTC'),
+ *   font: string, fontData: string (as for text fields),
+ *   fontSize: number (maximum; the caption shrinks to fit),
+ *   color: string (hex), borderColor: string (hex), borderWidth: number,
+ *   align: 'left' | 'center' | 'right'
+ * }
+ * @returns {Object|null} Complete template, or null when no appearance is requested
+ */
+function resolveAppearance(appearance) {
+  if (!appearance) return null;
+
+  const options = typeof appearance === 'object'
+    ? appearance
+    : { layout: appearance === true ? DEFAULT_LAYOUT : appearance };
+  const layout = options.layout || DEFAULT_LAYOUT;
+
+  if (!LAYOUTS.includes(layout)) {
+    throw new Error(`Unknown appearance layout: ${layout}`);
+  }
+
+  const fields = options.fields || CAPTION_FIELDS;
+  const unknown = fields.find(field => !CAPTION_FIELDS.includes(field));
+  if (unknown) {
+    throw new Error(`Unknown appearance field: ${unknown}`);
+  }
+
+  const captionRatio = options.captionRatio ?? DEFAULT_CAPTION_RATIO[layout];
+  if (!(captionRatio >= 0.1 && captionRatio <= 0.9)) {
+    throw new Error(`Invalid appearance captionRatio: ${options.captionRatio}`);
+  }
+
+  const color = options.color || DEFAULT_COLOR;
+  const borderColor = options.borderColor || color;
+  parseColor(color);
+  parseColor(borderColor);
+
+  return {
+    layout,
+    fields,
+    captionRatio,
+    dateFormat: options.dateFormat || null,
+    font: options.font || StandardFonts.Helvetica,
+    fontData: options.fontData || null,
+    fontSize: options.fontSize || DEFAULT_FONT_SIZE,
+    color,
+    borderColor,
+    borderWidth: layout === 'box' ? options.borderWidth ?? DEFAULT_BORDER_WIDTH : 0,
+    align: options.align || (layout === 'right' ? 'left' : 'center')
+  };
+}
+
+/**
+ * Split the box between image and caption
+ *
+ * @param {Object} size - { width, height } of the box as displayed
+ * @param {Object} template - Result of resolveAppearance
+ * @returns {Object} { imageBox, captionBox, border } in the box's frame (origin bottom-left)
+ */
+function layoutAppearance(size, template) {
+  const { width, height } = size;
+  const padding = Math.min(4, Math.max(1, Math.min(width, height) * 0.04));
+
+  if (template.layout === 'right') {
+    const captionWidth = width * template.captionRatio;
+    return {
+      imageBox: { x: 0, y: 0, width: width - captionWidth, height },
+      captionBox: { x: width - captionWidth, y: 0, width: captionWidth, height },
+      border: null
+    };
+  }
+
+  // 'below' uses the whole box; 'box' insets both parts inside a border
+  const inset = template.layout === 'box' ? template.borderWidth + padding : 0;
+  const inner = {
+    x: inset,
+    y: inset,
+    width: Math.max(0, width - 2 * inset),
+    height: Math.max(0, height - 2 * inset)
+  };
+  const captionHeight = inner.height * template.captionRatio;
+
+  return {
+    imageBox: {
+      x: inner.x,
+      y: inner.y + captionHeight,
+      width: inner.width,
+      height: inner.height - captionHeight
+    },
+    captionBox: { x: inner.x, y: inner.y, width: inner.width, height: captionHeight },
+    border: template.layout === 'box'
+      ? {
+        x: template.borderWidth / 2,
+        y: template.borderWidth / 2,
+        width: width - template.borderWidth,
+        height: height - template.borderWidth
+      }
+      : null
+  };
+}
+
+/**
+ * Caption lines for a signature
+ *
+ * @param {Object} template - Result of resolveAppearance
+ * @param {Object} data - { name, reason, documentId, timestamp }
+ * @returns {Array} Lines, skipping fields without a value
+ */
+function buildCaption(template, data) {
+  const timestamp = data.timestamp ? new Date(data.timestamp) : new Date();
+  const values = {
+    name: data.name ? `Signed by ${data.name}` : null,
+    date: template.dateFormat
+      ? `Date: ${formatDate(timestamp, template.dateFormat)}`
+      : `Date: ${formatTimestamp(timestamp)}`,
+    reason: data.reason ? `Reason: ${data.reason}` : null,
+    documentId: data.documentId
+      ? `Document: ${String(data.documentId).slice(0, SHORT_ID_LENGTH)}`
+      : null
+  };
+
+  return template.fields.map(field => values[field]).filter(Boolean);
+}
+
+/**
+ * Largest font size at which every line fits the caption box
+ */
+function fitCaption(font, lines, box, maxSize) {
+  const padding = 2;
+  const availableWidth = Math.max(0, box.width - 2 * padding);
+  const availableHeight = Math.max(0, box.height - 2 * padding);
+  const lineHeightAt1 = font.heightAtSize(1) * LINE_SPACING;
+
+  const candidates = [maxSize, availableHeight / (lines.length * lineHeightAt1)];
+  for (const line of lines) {
+    const widthAt1 = font.widthOfTextAtSize(line, 1);
+    if (widthAt1 > 0) candidates.push(availableWidth / widthAt1);
+  }
+
+  const fitted = Math.min(...candidates);
+  return {
+    fontSize: Math.max(MIN_FONT_SIZE, fitted),
+    overflow: fitted < MIN_FONT_SIZE,
+    padding
+  };
+}
+
+/**
+ * Embed the caption font and lay out the stamp for one signature
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {Object} template - Result of resolveAppearance
+ * @param {Object} size - { width, height } of the box as displayed
+ * @param {Object} data - Caption data, see buildCaption
+ * @returns {Promise<Object>} { template, font, imageBox, captionBox, border, lines, fontSize, overflow }
+ */
+async function prepareAppearance(pdfDoc, template, size, data) {
+  const { font, name } = await embedFieldFont(pdfDoc, { font: template.font, fontData: template.fontData });
+  const layout = layoutAppearance(size, template);
+
+  // Standard fonts only encode WinAnsi, as for text fields; embedded TTFs take the text as is
+  const lines = buildCaption(template, data);
+  if (!template.fontData) {
+    lines.forEach(line => assertEncodable(font, name, line));
+  }
+  const fit = fitCaption(font, lines, layout.captionBox, template.fontSize);
+
+  return { template, font, ...layout, lines, ...fit };
+}
+
+/**
+ * Operators drawing the caption and border in the box's frame
+ *
+ * @param {Object} stamp - Result of prepareAppearance
+ * @param {string|PDFName} fontKey - Name of the caption font in the target's resources
+ * @returns {Array} PDF operators
+ */
+function appearanceOperators(stamp, fontKey) {
+  const { template, font, captionBox, border, lines, fontSize, padding } = stamp;
+  const color = parseColor(template.color);
+  const noRotation = { rotate: degrees(0), xSkew: degrees(0), ySkew: degrees(0) };
+  const operators = [];
+
+  if (border) {
+    operators.push(...drawRectangle({
+      ...border,
+      ...noRotation,
+      borderWidth: template.borderWidth,
+      borderColor: parseColor(template.borderColor),
+      color: undefined
+    }));
+  }
+
+  // Lines are centered vertically as a block
+  const lineHeight = font.heightAtSize(fontSize) * LINE_SPACING;
+  const descent = font.heightAtSize(fontSize) - font.heightAtSize(fontSize, { descender: false });
+  const blockTop = captionBox.y + (captionBox.height + lines.length * lineHeight) / 2;
+
+  lines.forEach((line, index) => {
+    const textWidth = font.widthOfTextAtSize(line, fontSize);
+    let x = captionBox.x + padding;
+    if (template.align === 'center') {
+      x = captionBox.x + (captionBox.width - textWidth) / 2;
+    } else if (template.align === 'right') {
+      x = captionBox.x + captionBox.width - padding - textWidth;
+    }
+    const y = blockTop - (index + 1) * lineHeight + descent;
+
+    operators.push(...drawText(font.encodeText(line), {
+      ...noRotation,
+      x,
+      y,
+      size: fontSize,
+      font: fontKey,
+      color
+    }));
+  });
+
+  return operators;
+}
+
+/**
+ * Appearance details for the audit log
+ */
+function describeAppearance(stamp) {
+  return {
+    layout: stamp.template.layout,
+    lines: stamp.lines,
+    fontSize: stamp.fontSize,
+    overflow: stamp.overflow,
+    imageBox: stamp.imageBox,
+    captionBox: stamp.captionBox
+  };
+}
+
+module.exports = {
+  resolveAppearance,
+  layoutAppearance,
+  buildCaption,
+  prepareAppearance,
+  appearanceOperators,
+  describeAppearance,
+  LAYOUTS,
+  CAPTION_FIELDS
+};
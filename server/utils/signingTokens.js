@@ -0,0 +1,221 @@
+/**
+ * SIGNING INVITATION TOKENS
+ *
+ * Each envelope signer is invited with a link holding a random token:
+ * - Only the SHA-256 of the token is stored; the link is the credential
+ * - A token expires (SIGNING_TOKEN_TTL_HOURS, default 72), is spent by the
+ *   signing pass (or decline, or delegation) it authorizes, and is revoked
+ *   when a new one is issued for the same recipient or they delegate
+ * - The token identifies the recipient, so the signing view shows only
+ *   their fields and sign-pdf signs as them
+ */
+
+const crypto = require('crypto');
+const { currentRecipients } = require('./envelopeRouting');
+
+const SIGNING_TOKEN_ERRORS = {
+  invalid: 'SIGNING_TOKEN_INVALID',
+  expired: 'SIGNING_TOKEN_EXPIRED',
+  used: 'SIGNING_TOKEN_USED',
+  revoked: 'SIGNING_TOKEN_REVOKED',
+  required: 'SIGNING_TOKEN_REQUIRED'
+};
+
+// HTTP status for each error code
+const SIGNING_TOKEN_ERROR_STATUS = {
+  [SIGNING_TOKEN_ERRORS.invalid]: 404,
+  [SIGNING_TOKEN_ERRORS.expired]: 410,
+  [SIGNING_TOKEN_ERRORS.used]: 410,
+  [SIGNING_TOKEN_ERRORS.revoked]: 410,
+  [SIGNING_TOKEN_ERRORS.required]: 401
+};
+
+// Audit event types (audit_logs entries with an event block)
+const SIGNING_EVENTS = {
+  issued: 'signing_token.issued',
+  opened: 'signing_token.opened',
+  used: 'signing_token.used'
+};
+
+const DEFAULT_TTL_HOURS = 72;
+
+// 32 random bytes as base64url
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+function signingTokenError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Token lifetime from the environment
+ *
+ * Environment: SIGNING_TOKEN_TTL_HOURS
+ *
+ * @param {Object} env - Configuration source (defaults to process.env)
+ * @returns {number} Lifetime in milliseconds
+ */
+function getSigningTokenTtl(env = process.env) {
+  const hours = Number(env.SIGNING_TOKEN_TTL_HOURS);
+  return (hours > 0 ? hours : DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+}
+
+/**
+ * Where signing links point: the editor, which opens ?token= as a signing view
+ *
+ * Environment: SIGNING_URL_BASE, else FRONTEND_URL
+ *
+ * @param {Object} env - Configuration source (defaults to process.env)
+ * @returns {string} Base URL without a trailing slash
+ */
+function getSigningUrlBase(env = process.env) {
+  return (env.SIGNING_URL_BASE || env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+}
+
+/**
+ * SHA-256 of a token, as stored
+ *
+ * @param {string} token - Token from a signing link
+ * @returns {string} Hex digest
+ */
+function hashSigningToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * New random token
+ *
+ * @returns {Object} { token (for the link only), tokenHash }
+ */
+function generateSigningToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashSigningToken(token) };
+}
+
+/**
+ * Whether a value has the shape of a token (checked before any lookup)
+ */
+function isWellFormedToken(token) {
+  return typeof token === 'string' && TOKEN_PATTERN.test(token);
+}
+
+/**
+ * Refuse a token that can no longer be used
+ *
+ * @param {Object|null} record - Stored token
+ * @param {Date} now - Current time
+ * @returns {Object} The record
+ * @throws {Error} SIGNING_TOKEN_* codes
+ */
+function checkTokenUsable(record, now = new Date()) {
+  if (!record) {
+    throw signingTokenError(SIGNING_TOKEN_ERRORS.invalid, 'Signing link is not valid');
+  }
+  if (record.usedAt) {
+    throw signingTokenError(SIGNING_TOKEN_ERRORS.used, 'Signing link was already used');
+  }
+  if (record.revokedAt) {
+    throw signingTokenError(SIGNING_TOKEN_ERRORS.revoked, 'Signing link was withdrawn or replaced by a newer invitation');
+  }
+  if (record.expiresAt <= now) {
+    throw signingTokenError(SIGNING_TOKEN_ERRORS.expired, 'Signing link has expired');
+  }
+  return record;
+}
+
+/**
+ * Link a recipient opens to sign
+ *
+ * @param {string} baseUrl - getSigningUrlBase result
+ * @param {string} token - Token
+ * @returns {string} URL
+ */
+function signingLink(baseUrl, token) {
+  return `${baseUrl}/?token=${encodeURIComponent(token)}`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
+/**
+ * Invitation mail for a recipient
+ *
+ * @param {Object} envelope - Stored envelope
+ * @param {Object} recipient - Envelope recipient
+ * @param {Object} invitation - { link, expiresAt, fieldCount }
+ * @returns {Object} { to, subject, text, html } for a mail transport
+ */
+function buildInvitation(envelope, recipient, { link, expiresAt, fieldCount }) {
+  const title = envelope.title || envelope.documentId;
+  const greeting = recipient.name ? `Hello ${recipient.name},` : 'Hello,';
+  const expires = expiresAt.toUTCString();
+  const fields = `${fieldCount} field${fieldCount === 1 ? '' : 's'}`;
+
+  return {
+    to: recipient.email,
+    subject: `Please sign: ${title}`,
+    text: [
+      greeting,
+      '',
+      `You have been asked to sign "${title}" (${fields}).`,
+      '',
+      `Open this link to review and sign: ${link}`,
+      '',
+      `The link works once and expires ${expires}. Do not forward it; anyone holding it can sign as you.`
+    ].join('\n'),
+    html: [
+      `<p>${escapeHtml(greeting)}</p>`,
+      `<p>You have been asked to sign <strong>${escapeHtml(title)}</strong> (${fields}).</p>`,
+      `<p><a href="${escapeHtml(link)}">Review and sign</a></p>`,
+      `<p>The link works once and expires ${escapeHtml(expires)}. Do not forward it; anyone holding it can sign as you.</p>`
+    ].join('\n')
+  };
+}
+
+/**
+ * What a token holder may see of an envelope: their own recipient entry and
+ * fields, never the other recipients or their fields
+ *
+ * @param {Object} envelope - Stored envelope
+ * @param {Object} record - Stored token
+ * @returns {Object} { envelopeId, title, status, routing, documentId, branch,
+ *   recipient, recipients: [recipient], fields, expiresAt,
+ *   currentRecipients: [email] while it is the recipient's turn }
+ */
+function describeSigningSession(envelope, record) {
+  const recipient = envelope.recipients.find(r => r.id === record.recipientId);
+  const { id, email, name, role, status } = recipient;
+  return {
+    envelopeId: envelope._id,
+    title: envelope.title,
+    status: envelope.status,
+    routing: envelope.routing,
+    documentId: envelope.documentId,
+    branch: envelope.branch,
+    recipient: { id, email, name, role, status },
+    recipients: [{ id, email, name, role, status }],
+    fields: envelope.fields.filter(f => f.recipientId === id),
+    expiresAt: record.expiresAt,
+    currentRecipients: currentRecipients(envelope).some(r => r.id === id) ? [email] : []
+  };
+}
+
+module.exports = {
+  getSigningTokenTtl,
+  getSigningUrlBase,
+  hashSigningToken,
+  generateSigningToken,
+  isWellFormedToken,
+  checkTokenUsable,
+  signingLink,
+  buildInvitation,
+  describeSigningSession,
+  signingTokenError,
+  SIGNING_TOKEN_ERRORS,
+  SIGNING_TOKEN_ERROR_STATUS,
+  SIGNING_EVENTS
+};
@@ -0,0 +1,261 @@
+/**
+ * RFC 3161 TIMESTAMP AUTHORITY CLIENT
+ *
+ * Requests trusted timestamp tokens over a SHA-256 hash:
+ * - DER TimeStampReq with nonce and certReq
+ * - TimeStampResp status, messageImprint and nonce checks
+ * - Token kept as DER so it can be stored or embedded in CMS
+ */
+
+const forge = require('node-forge');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const { asn1 } = forge;
+
+const OID_SHA256 = '2.16.840.1.101.3.4.2.1';
+const OID_TST_INFO = '1.2.840.113549.1.9.16.1.4';
+const OID_TIMESTAMP_TOKEN_ATTRIBUTE = '1.2.840.113549.1.9.16.2.14';
+
+// PKIStatus values meaning a token was issued
+const STATUS_GRANTED = 0;
+const STATUS_GRANTED_WITH_MODS = 1;
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Read TSA configuration from the environment
+ *
+ * Environment: TSA_URL, TSA_TIMEOUT_MS, TSA_USERNAME, TSA_PASSWORD, TSA_POLICY
+ *
+ * @param {Object} env - Configuration source (defaults to process.env)
+ * @returns {Object|null} { url, timeout, auth, policy }, or null when not configured
+ */
+function getTimestampAuthorityConfig(env = process.env) {
+  if (!env.TSA_URL) {
+    return null;
+  }
+
+  return {
+    url: env.TSA_URL,
+    timeout: Number(env.TSA_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    auth: env.TSA_USERNAME
+      ? { username: env.TSA_USERNAME, password: env.TSA_PASSWORD || '' }
+      : null,
+    policy: env.TSA_POLICY || null
+  };
+}
+
+/**
+ * Generate a positive 64-bit nonce as minimal DER integer bytes
+ * @returns {Buffer} Nonce bytes
+ */
+function generateNonce() {
+  const nonce = crypto.randomBytes(8);
+  // Keep the high bit clear (positive) and the leading byte non-zero (minimal)
+  nonce[0] = (nonce[0] & 0x7f) | 0x01;
+  return nonce;
+}
+
+/**
+ * Build a DER-encoded TimeStampReq
+ *
+ * @param {Buffer} digest - SHA-256 digest to timestamp
+ * @param {Object} options - { nonce: Buffer, policy: string, certReq: boolean }
+ * @returns {Buffer} DER request body
+ */
+function buildTimeStampRequest(digest, options = {}) {
+  const values = [
+    // version
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, String.fromCharCode(1)),
+    // messageImprint
+    asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, [
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(OID_SHA256).getBytes()),
+        asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '')
+      ]),
+      asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, digest.toString('binary'))
+    ])
+  ];
+
+  if (options.policy) {
+    values.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(options.policy).getBytes()));
+  }
+
+  if (options.nonce) {
+    values.push(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, options.nonce.toString('binary')));
+  }
+
+  values.push(asn1.create(
+    asn1.Class.UNIVERSAL,
+    asn1.Type.BOOLEAN,
+    false,
+    String.fromCharCode(options.certReq === false ? 0x00 : 0xff)
+  ));
+
+  const request = asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, values);
+  return Buffer.from(asn1.toDer(request).getBytes(), 'binary');
+}
+
+/**
+ * Read the bytes of a (possibly constructed) OCTET STRING
+ */
+function octetStringBytes(node) {
+  if (node.constructed) {
+    return node.value.map(octetStringBytes).join('');
+  }
+  return node.value;
+}
+
+/**
+ * Extract and parse TSTInfo from a TimeStampToken
+ *
+ * @param {Buffer} tokenDer - DER ContentInfo (SignedData) token
+ * @returns {Object} { policy, hashAlgorithm, hashedMessage, serialNumber, genTime, nonce }
+ */
+function parseTimeStampToken(tokenDer) {
+  const contentInfo = asn1.fromDer(tokenDer.toString('binary'));
+  const signedData = contentInfo.value[1].value[0];
+  const encapContentInfo = signedData.value[2];
+
+  const contentType = asn1.derToOid(encapContentInfo.value[0].value);
+  if (contentType !== OID_TST_INFO) {
+    throw new Error(`Timestamp token has unexpected content type ${contentType}`);
+  }
+
+  const tstInfo = asn1.fromDer(octetStringBytes(encapContentInfo.value[1].value[0]));
+  const [, policy, messageImprint, serialNumber, genTime, ...optional] = tstInfo.value;
+
+  // accuracy (SEQUENCE) and ordering (BOOLEAN) may precede the nonce
+  const nonce = optional.find(node =>
+    node.tagClass === asn1.Class.UNIVERSAL && node.type === asn1.Type.INTEGER
+  );
+
+  return {
+    policy: asn1.derToOid(policy.value),
+    hashAlgorithm: asn1.derToOid(messageImprint.value[0].value[0].value),
+    hashedMessage: forge.util.bytesToHex(messageImprint.value[1].value),
+    serialNumber: forge.util.bytesToHex(serialNumber.value),
+    genTime: asn1.generalizedTimeToDate(genTime.value),
+    nonce: nonce ? forge.util.bytesToHex(nonce.value) : null
+  };
+}
+
+/**
+ * Parse a DER TimeStampResp and check it answers our request
+ *
+ * @param {Buffer} responseDer - DER response body
+ * @param {Object} expected - { digest: Buffer, nonce: Buffer }
+ * @returns {Object} { token: Buffer, info: Object }
+ */
+function parseTimeStampResponse(responseDer, expected = {}) {
+  const response = asn1.fromDer(responseDer.toString('binary'));
+  const [statusInfo, tokenNode] = response.value;
+
+  const status = asn1.derToInteger(statusInfo.value[0].value);
+  if (status !== STATUS_GRANTED && status !== STATUS_GRANTED_WITH_MODS) {
+    const statusText = statusInfo.value[1]?.value?.map(node => node.value).join('; ');
+    throw new Error(`Timestamp request rejected (status ${status})${statusText ? `: ${statusText}` : ''}`);
+  }
+
+  if (!tokenNode) {
+    throw new Error('Timestamp response does not contain a token');
+  }
+
+  const token = Buffer.from(asn1.toDer(tokenNode).getBytes(), 'binary');
+  const info = parseTimeStampToken(token);
+
+  if (info.hashAlgorithm !== OID_SHA256) {
+    throw new Error(`Timestamp token uses unexpected hash algorithm ${info.hashAlgorithm}`);
+  }
+
+  if (expected.digest && info.hashedMessage !== expected.digest.toString('hex')) {
+    throw new Error('Timestamp token does not cover the requested hash');
+  }
+
+  if (expected.nonce && info.nonce !== expected.nonce.toString('hex')) {
+    throw new Error('Timestamp token nonce does not match request');
+  }
+
+  return { token, info };
+}
+
+/**
+ * Request an RFC 3161 timestamp token over a SHA-256 digest
+ *
+ * @param {Buffer|string} digest - SHA-256 digest (Buffer or hex string)
+ * @param {Object} config - { url, timeout, auth, policy } (see getTimestampAuthorityConfig)
+ * @returns {Promise<Object>} {
+ *   token: Buffer (DER TimeStampToken),
+ *   tsaUrl, policy, hashAlgorithm, hashedMessage, serialNumber, genTime, nonce
+ * }
+ */
+async function requestTimestamp(digest, config) {
+  if (!config || !config.url) {
+    throw new Error('Timestamp authority URL is not configured');
+  }
+
+  const digestBuffer = Buffer.isBuffer(digest) ? digest : Buffer.from(digest, 'hex');
+  if (digestBuffer.length !== 32) {
+    throw new Error('Timestamp digest must be a SHA-256 hash');
+  }
+
+  const nonce = generateNonce();
+  const body = buildTimeStampRequest(digestBuffer, { nonce, policy: config.policy });
+
+  let response;
+  try {
+    response = await axios.post(config.url, body, {
+      headers: {
+        'Content-Type': 'application/timestamp-query',
+        Accept: 'application/timestamp-reply'
+      },
+      responseType: 'arraybuffer',
+      timeout: config.timeout || DEFAULT_TIMEOUT_MS,
+      ...(config.auth && { auth: config.auth })
+    });
+  } catch (error) {
+    throw new Error(`Timestamp authority request failed: ${error.message}`);
+  }
+
+  const { token, info } = parseTimeStampResponse(Buffer.from(response.data), {
+    digest: digestBuffer,
+    nonce
+  });
+
+  return {
+    token,
+    tsaUrl: config.url,
+    ...info
+  };
+}
+
+/**
+ * Shape a timestamp result for audit storage (token as base64)
+ *
+ * @param {Object} timestamp - Result of requestTimestamp
+ * @returns {Object} Serializable timestamp record
+ */
+function toAuditRecord(timestamp) {
+  return {
+    tsaUrl: timestamp.tsaUrl,
+    genTime: timestamp.genTime,
+    serialNumber: timestamp.serialNumber,
+    policy: timestamp.policy,
+    hashAlgorithm: 'sha256',
+    hashedMessage: timestamp.hashedMessage,
+    token: timestamp.token.toString('base64')
+  };
+}
+
+module.exports = {
+  getTimestampAuthorityConfig,
+  requestTimestamp,
+  buildTimeStampRequest,
+  parseTimeStampResponse,
+  parseTimeStampToken,
+  toAuditRecord,
+  OID_SHA256,
+  OID_TST_INFO,
+  OID_TIMESTAMP_TOKEN_ATTRIBUTE
+};
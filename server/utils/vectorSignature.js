@@ -0,0 +1,155 @@
+/**
+ * VECTOR SIGNATURE ENGINE
+ *
+ * Turns strokes captured on the signature canvas into PDF path operators:
+ * - Strokes are point arrays in canvas pixels (origin top-left, y down)
+ * - The ink's bounding box, not the whole canvas, is fitted into the field
+ * - Round caps and joins, line width scaled with the drawing
+ * - No background, so the text under the signature stays visible
+ */
+
+const {
+  concatTransformationMatrix,
+  setLineWidth,
+  setLineCap,
+  setLineJoin,
+  setStrokingColor,
+  moveTo,
+  lineTo,
+  stroke,
+  pushGraphicsState,
+  popGraphicsState,
+  LineCapStyle,
+  LineJoinStyle
+} = require('pdf-lib');
+const { parseColor } = require('./fieldRenderers');
+
+const DEFAULT_STROKE_WIDTH = 2; // canvas pixels
+const DEFAULT_STROKE_COLOR = '#000000';
+const MAX_POINTS = 20000;
+
+/**
+ * Validate captured strokes and measure the ink
+ *
+ * @param {Object} vector - {
+ *   strokes: [[[x, y], ...], ...] (canvas pixels; {x, y} points are accepted too),
+ *   strokeWidth: number (canvas pixels, default 2),
+ *   color: string (hex, default '#000000')
+ * }
+ * @returns {Object} { strokes, strokeWidth, color, bounds: { x, y, width, height }, pointCount }
+ */
+function normalizeVector(vector) {
+  if (!vector || !Array.isArray(vector.strokes)) {
+    throw new Error('Vector signature must have a strokes array');
+  }
+
+  const strokes = vector.strokes
+    .map(points => (Array.isArray(points) ? points : []).map(point => (
+      Array.isArray(point) ? [Number(point[0]), Number(point[1])] : [Number(point?.x), Number(point?.y)]
+    )))
+    .filter(points => points.length > 0);
+
+  const pointCount = strokes.reduce((total, points) => total + points.length, 0);
+  if (pointCount === 0) {
+    throw new Error('Vector signature has no points');
+  }
+  if (pointCount > MAX_POINTS) {
+    throw new Error(`Vector signature has ${pointCount} points; the limit is ${MAX_POINTS}`);
+  }
+  if (strokes.some(points => points.some(([x, y]) => !Number.isFinite(x) || !Number.isFinite(y)))) {
+    throw new Error('Vector signature points must be finite numbers');
+  }
+
+  const strokeWidth = Number(vector.strokeWidth) > 0 ? Number(vector.strokeWidth) : DEFAULT_STROKE_WIDTH;
+  const color = vector.color || DEFAULT_STROKE_COLOR;
+  parseColor(color);
+
+  // Ink extent, padded by half the line width so the fitted box holds the whole line
+  const xs = strokes.flat().map(([x]) => x);
+  const ys = strokes.flat().map(([, y]) => y);
+  const padding = strokeWidth / 2;
+  const minX = Math.min(...xs) - padding;
+  const minY = Math.min(...ys) - padding;
+
+  return {
+    strokes,
+    strokeWidth,
+    color,
+    bounds: {
+      x: minX,
+      y: minY,
+      width: Math.max(...xs) + padding - minX,
+      height: Math.max(...ys) + padding - minY
+    },
+    pointCount
+  };
+}
+
+/**
+ * Operators that draw the strokes into a fitted rectangle
+ *
+ * The rectangle is given in a local, upright frame (x right, y up). The
+ * optional matrix maps that frame to the target space, e.g. a rotated page.
+ *
+ * @param {Object} vector - Result of normalizeVector
+ * @param {Object} fit - { width, height, offsetX, offsetY } (see calculateFitDimensions)
+ * @param {Array} matrix - [a, b, c, d, e, f] from the frame to the target space
+ * @returns {Array} PDF operators
+ */
+function vectorOperators(vector, fit, matrix = [1, 0, 0, 1, 0, 0]) {
+  const { strokes, strokeWidth, color, bounds } = vector;
+  const scale = fit.width / bounds.width;
+
+  // Canvas y runs down: flip it and move the ink's top-left corner to the
+  // top-left corner of the fit
+  const tx = fit.offsetX - bounds.x * scale;
+  const ty = fit.offsetY + fit.height + bounds.y * scale;
+
+  const [a, b, c, d, e, f] = matrix;
+  const operators = [
+    pushGraphicsState(),
+    concatTransformationMatrix(a, b, c, d, e, f),
+    concatTransformationMatrix(scale, 0, 0, -scale, tx, ty),
+    setLineWidth(strokeWidth),
+    setLineCap(LineCapStyle.Round),
+    setLineJoin(LineJoinStyle.Round),
+    setStrokingColor(parseColor(color))
+  ];
+
+  for (const points of strokes) {
+    const [[startX, startY], ...rest] = points;
+    operators.push(moveTo(startX, startY));
+
+    // A lone point becomes a dot through the round cap
+    if (rest.length === 0) {
+      operators.push(lineTo(startX, startY));
+    }
+    for (const [x, y] of rest) {
+      operators.push(lineTo(x, y));
+    }
+  }
+
+  operators.push(stroke(), popGraphicsState());
+  return operators;
+}
+
+/**
+ * Matrix from a display frame (see coordinateTransform.toDisplayFrame) to user space
+ *
+ * @param {Object} frame - { x, y, rotation }
+ * @returns {Array} [a, b, c, d, e, f]
+ */
+function frameMatrix(frame) {
+  const radians = (frame.rotation * Math.PI) / 180;
+  const cos = Math.round(Math.cos(radians));
+  const sin = Math.round(Math.sin(radians));
+  return [cos, sin, -sin, cos, frame.x, frame.y];
+}
+
+module.exports = {
+  normalizeVector,
+  vectorOperators,
+  frameMatrix,
+  DEFAULT_STROKE_WIDTH,
+  MAX_POINTS
+};
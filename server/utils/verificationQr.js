@@ -0,0 +1,215 @@
+/**
+ * VERIFICATION QR CODES
+ *
+ * Stamps a QR code beside a signature, so a printed copy can be checked:
+ * - Encodes a verification URL with the document ID and a short hash prefix
+ * - Drawn as vector modules on a white quiet zone, upright on rotated pages
+ * - Placed on the requested side of the box, or the next side that fits the page
+ */
+
+const QRCode = require('qrcode');
+const {
+  pushGraphicsState,
+  popGraphicsState,
+  concatTransformationMatrix,
+  setFillingGrayscaleColor,
+  rectangle,
+  fill
+} = require('pdf-lib');
+const { readPageGeometry, toDisplayFrame, framePoint } = require('./coordinateTransform');
+const { frameMatrix } = require('./vectorSignature');
+
+const POSITIONS = ['right', 'left', 'above', 'below'];
+
+const DEFAULT_POSITION = 'right';
+const MIN_SIZE = 48;
+const MAX_SIZE = 144;
+const GAP = 4;
+
+// Blank modules around the symbol that scanners need to find it
+const QUIET_ZONE = 4;
+const ERROR_CORRECTION = 'M';
+
+// Hex characters of the original hash carried in the URL
+const HASH_PREFIX_LENGTH = 12;
+const MIN_HASH_PREFIX_LENGTH = 8;
+
+/**
+ * Resolve the QR code options from the request
+ *
+ * @param {boolean|Object} option - true for defaults, or {
+ *   position: 'right' | 'left' | 'above' | 'below' (preferred side of the box),
+ *   size: number (points, 48-144; defaults to the box height within that range)
+ * }
+ * @returns {Object|null} { position, size }, or null when no QR code is requested
+ */
+function resolveVerificationQr(option) {
+  if (!option) return null;
+
+  const options = typeof option === 'object' ? option : {};
+  const position = options.position || DEFAULT_POSITION;
+  if (!POSITIONS.includes(position)) {
+    throw new Error(`Unknown QR code position: ${position}`);
+  }
+
+  const size = options.size ?? null;
+  if (size !== null && !(size >= MIN_SIZE && size <= MAX_SIZE)) {
+    throw new Error(`QR code size must be between ${MIN_SIZE} and ${MAX_SIZE} points`);
+  }
+
+  return { position, size };
+}
+
+/**
+ * Origin that verification QR codes link to
+ *
+ * Environment: PUBLIC_BASE_URL. There is no fallback to the request's Host
+ * header: clients choose that header, and a printed code cannot be reissued.
+ *
+ * @param {Object} env - Configuration source (defaults to process.env)
+ * @returns {string|null} Base URL without a trailing slash, or null when unset
+ */
+function getPublicBaseUrl(env = process.env) {
+  return env.PUBLIC_BASE_URL ? env.PUBLIC_BASE_URL.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Public verification URL for a signing pass
+ *
+ * @param {string} baseUrl - Server origin, e.g. https://sign.example.com
+ * @param {string} documentId - Document ID
+ * @param {string} hash - Hex SHA-256 of the document as received for signing
+ * @returns {string} {baseUrl}/api/verify/{documentId}/{hash prefix}
+ */
+function buildVerificationUrl(baseUrl, documentId, hash) {
+  const origin = baseUrl.replace(/\/+$/, '');
+  return `${origin}/api/verify/${encodeURIComponent(documentId)}/${hash.slice(0, HASH_PREFIX_LENGTH)}`;
+}
+
+/**
+ * Operators drawing a QR symbol into a square of the given side
+ *
+ * Dark modules are merged into horizontal runs, one rectangle each.
+ * The square's origin is its bottom-left corner.
+ */
+function qrOperators(text, side) {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: ERROR_CORRECTION });
+  const unit = side / (modules.size + 2 * QUIET_ZONE);
+  const runs = [];
+
+  for (let row = 0; row < modules.size; row++) {
+    const y = side - (QUIET_ZONE + row + 1) * unit;
+    let start = null;
+    for (let col = 0; col <= modules.size; col++) {
+      const dark = col < modules.size && modules.get(row, col);
+      if (dark && start === null) start = col;
+      if (!dark && start !== null) {
+        runs.push(rectangle((QUIET_ZONE + start) * unit, y, (col - start) * unit, unit));
+        start = null;
+      }
+    }
+  }
+
+  return {
+    operators: [
+      setFillingGrayscaleColor(1),
+      rectangle(0, 0, side, side),
+      fill(),
+      setFillingGrayscaleColor(0),
+      ...runs,
+      fill()
+    ],
+    moduleCount: modules.size
+  };
+}
+
+/**
+ * Lower-left corner of the QR square beside the box, in the box's frame
+ */
+function localOrigin(frame, position, side) {
+  switch (position) {
+    case 'left':
+      return { x: -GAP - side, y: (frame.height - side) / 2 };
+    case 'above':
+      return { x: (frame.width - side) / 2, y: frame.height + GAP };
+    case 'below':
+      return { x: (frame.width - side) / 2, y: -GAP - side };
+    default:
+      return { x: frame.width + GAP, y: (frame.height - side) / 2 };
+  }
+}
+
+/**
+ * User space rectangle covered by a square given in frame coordinates
+ */
+function userSpaceRect(frame, origin, side) {
+  const a = framePoint(frame, origin.x, origin.y);
+  const b = framePoint(frame, origin.x + side, origin.y + side);
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: side,
+    height: side
+  };
+}
+
+/**
+ * Whether a rectangle lies inside the page's visible box
+ */
+function fitsPage(rect, box) {
+  return rect.x >= box.x && rect.y >= box.y &&
+    rect.x + rect.width <= box.x + box.width &&
+    rect.y + rect.height <= box.y + box.height;
+}
+
+/**
+ * Draw a verification QR code beside a signature box
+ *
+ * Sides are tried in order, starting with the requested one; a box with no
+ * room on any side is refused.
+ *
+ * @param {PDFPage} page - Page holding the signature
+ * @param {Object} signatureData - Signature box ({ x, y, width, height } in PDF points)
+ * @param {Object} options - resolveVerificationQr result plus { url }
+ * @returns {Object} { url, position, size, moduleCount, rect (PDF points) }
+ */
+function drawVerificationQr(page, signatureData, options) {
+  const geometry = readPageGeometry(page);
+  const frame = toDisplayFrame(signatureData, geometry.rotation);
+  const side = options.size ?? Math.min(MAX_SIZE, Math.max(MIN_SIZE, frame.height));
+
+  const sides = [options.position, ...POSITIONS.filter(position => position !== options.position)];
+  const position = sides.find(candidate =>
+    fitsPage(userSpaceRect(frame, localOrigin(frame, candidate, side), side), geometry.box)
+  );
+  if (!position) {
+    throw new Error(`No room for a ${side}pt verification QR code beside the signature box`);
+  }
+
+  const origin = localOrigin(frame, position, side);
+  const { operators, moduleCount } = qrOperators(options.url, side);
+  page.pushOperators(
+    pushGraphicsState(),
+    concatTransformationMatrix(...frameMatrix(frame)),
+    concatTransformationMatrix(1, 0, 0, 1, origin.x, origin.y),
+    ...operators,
+    popGraphicsState()
+  );
+
+  return {
+    url: options.url,
+    position,
+    size: side,
+    moduleCount,
+    rect: userSpaceRect(frame, origin, side)
+  };
+}
+
+module.exports = {
+  resolveVerificationQr,
+  getPublicBaseUrl,
+  buildVerificationUrl,
+  drawVerificationQr,
+  HASH_PREFIX_LENGTH,
+  MIN_HASH_PREFIX_LENGTH
+};
@@ -0,0 +1,143 @@
+/**
+ * DOCUMENT VERSION CHAINS
+ *
+ * Walks stored versions from a head back to the upload and checks the links:
+ * - Each version's originalHash (the hash its signing pass started from)
+ *   must equal its predecessor's hash
+ * - The audit_logs entries of each signing pass must record the same step:
+ *   signedHash = the version's hash, originalHash = the predecessor's hash
+ *
+ * Works on describeVersion() entries, so it needs no database.
+ */
+
+const CHAIN_ERRORS = {
+  brokenLink: 'CHAIN_BROKEN_LINK',
+  invalidRoot: 'CHAIN_INVALID_ROOT',
+  hashMismatch: 'CHAIN_HASH_MISMATCH',
+  auditMissing: 'CHAIN_AUDIT_MISSING',
+  auditMismatch: 'CHAIN_AUDIT_MISMATCH'
+};
+
+function shortHash(hash) {
+  return hash ? hash.substring(0, 12) : 'none';
+}
+
+/**
+ * Versions from the upload to a head, following parentVersion
+ *
+ * @param {Array} versions - describeVersion entries of one document
+ * @param {number} headVersion - Version number to walk back from
+ * @returns {Object} { chain (oldest first), missingVersion (parent that is
+ *   not stored, or null) }, or null if headVersion is not stored
+ */
+function buildVersionChain(versions, headVersion) {
+  const byNumber = new Map(versions.map(version => [version.version, version]));
+  if (!byNumber.has(headVersion)) return null;
+
+  const chain = [];
+  let current = byNumber.get(headVersion);
+  while (current) {
+    chain.unshift(current);
+    const parent = current.parentVersion;
+    if (parent === null || parent === undefined) {
+      return { chain, missingVersion: null };
+    }
+    // Parents are always older; anything else is a corrupt entry, not a loop to follow
+    if (parent >= current.version || !byNumber.has(parent)) {
+      return { chain, missingVersion: parent };
+    }
+    current = byNumber.get(parent);
+  }
+  return { chain, missingVersion: null };
+}
+
+/**
+ * Check every link of a version chain against its hashes and audit entries
+ *
+ * @param {Object} built - buildVersionChain result
+ * @param {Array} auditEntries - audit_logs entries of the document
+ * @returns {Object} { valid, errors: [{ version, code, message }] }
+ */
+function validateVersionChain(built, auditEntries = []) {
+  const { chain, missingVersion } = built;
+  const errors = [];
+
+  const root = chain[0];
+  if (missingVersion !== null) {
+    errors.push({
+      version: root.version,
+      code: CHAIN_ERRORS.brokenLink,
+      message: `Version ${root.version} was signed from version ${missingVersion}, which is not stored`
+    });
+  } else if (root.kind !== 'original') {
+    errors.push({
+      version: root.version,
+      code: CHAIN_ERRORS.invalidRoot,
+      message: `Version ${root.version} has no predecessor but is not an upload`
+    });
+  }
+
+  for (let i = 1; i < chain.length; i++) {
+    const previous = chain[i - 1];
+    const version = chain[i];
+
+    if (version.originalHash !== previous.sha256) {
+      errors.push({
+        version: version.version,
+        code: CHAIN_ERRORS.hashMismatch,
+        message: `Version ${version.version} signed ${shortHash(version.originalHash)}, ` +
+          `but version ${previous.version} is ${shortHash(previous.sha256)}`
+      });
+    }
+
+    const entries = auditEntries.filter(entry => entry.signedHash === version.sha256);
+    if (entries.length === 0) {
+      errors.push({
+        version: version.version,
+        code: CHAIN_ERRORS.auditMissing,
+        message: `No audit entries record version ${version.version}`
+      });
+    } else if (entries.some(entry => entry.originalHash !== previous.sha256)) {
+      errors.push({
+        version: version.version,
+        code: CHAIN_ERRORS.auditMismatch,
+        message: `Audit entries for version ${version.version} start from another document than version ${previous.version}`
+      });
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Branches of a document with their heads
+ *
+ * @param {Array} versions - describeVersion entries, oldest first
+ * @returns {Array} [{ name, head, baseVersion (version the branch was started
+ *   from, null for main), versionCount }]
+ */
+function summarizeBranches(versions) {
+  const branches = new Map();
+  for (const version of versions) {
+    const branch = branches.get(version.branch);
+    if (branch) {
+      branch.head = version.version;
+      branch.versionCount++;
+    } else {
+      branches.set(version.branch, {
+        name: version.branch,
+        head: version.version,
+        baseVersion: version.parentVersion,
+        versionCount: 1
+      });
+    }
+  }
+  return [...branches.values()];
+}
+
+module.exports = {
+  buildVersionChain,
+  validateVersionChain,
+  summarizeBranches,
+  CHAIN_ERRORS
+};
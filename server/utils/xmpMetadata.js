@@ -0,0 +1,233 @@
+/**
+ * XMP METADATA
+ *
+ * Writes and reads the document-level XMP packet (catalog /Metadata):
+ * - Dublin Core, PDF and XMP basic properties mirrored from the Info dictionary
+ * - Optional PDF/A identification (pdfaid:part and pdfaid:conformance)
+ * - Optional custom schemas (e.g. embedded signing evidence)
+ * - Uncompressed, so archive tools can read the packet without decoding
+ */
+
+const { PDFName, PDFRef, PDFRawStream, decodePDFRawStream } = require('pdf-lib');
+
+const NAMESPACES = {
+  x: 'adobe:ns:meta/',
+  rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+  dc: 'http://purl.org/dc/elements/1.1/',
+  pdf: 'http://ns.adobe.com/pdf/1.3/',
+  xmp: 'http://ns.adobe.com/xap/1.0/',
+  pdfaid: 'http://www.aiim.org/pdfa/ns/id/'
+};
+
+const PACKET_ID = 'W5M0MpCehiHzreSzNTczkc9d';
+
+/**
+ * Escape text for XML content and attributes
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Undo escapeXml (and numeric character references)
+ */
+function unescapeXml(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * XMP date for a Date, second precision in UTC (as pdf-lib writes Info dates)
+ */
+function xmpDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * One rdf:Description with simple properties, skipping empty values
+ *
+ * Values are strings, or { alt: string } / { seq: [string] } for
+ * language alternatives and ordered lists.
+ */
+function description(prefix, properties, namespace = NAMESPACES[prefix]) {
+  const lines = Object.entries(properties)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([name, value]) => {
+      const tag = `${prefix}:${name}`;
+      if (value.alt !== undefined) {
+        return `   <${tag}><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value.alt)}</rdf:li></rdf:Alt></${tag}>`;
+      }
+      if (value.seq !== undefined) {
+        const items = value.seq.map(item => `<rdf:li>${escapeXml(item)}</rdf:li>`).join('');
+        return `   <${tag}><rdf:Seq>${items}</rdf:Seq></${tag}>`;
+      }
+      return `   <${tag}>${escapeXml(value)}</${tag}>`;
+    });
+
+  if (lines.length === 0) return '';
+  return [
+    `  <rdf:Description rdf:about="" xmlns:${prefix}="${namespace}">`,
+    ...lines,
+    '  </rdf:Description>'
+  ].join('\n');
+}
+
+/**
+ * Build the XMP packet for a document
+ *
+ * Every property with an Info dictionary counterpart takes its value from
+ * the Info dictionary, so the two stay equivalent.
+ *
+ * @param {PDFDocument} pdfDoc - Document whose Info dictionary is current
+ * @param {Object} options - {
+ *   pdfa: { part, conformance } (optional),
+ *   schemas: [{ prefix, namespace, properties }] (optional; property values as
+ *     for the built-in schemas: string, { alt } or { seq }),
+ *   metadataDate: Date
+ * }
+ * @returns {string} XMP packet
+ */
+function buildXmpPacket(pdfDoc, options = {}) {
+  const author = pdfDoc.getAuthor();
+  const created = pdfDoc.getCreationDate();
+  const modified = pdfDoc.getModificationDate();
+
+  const descriptions = [
+    options.pdfa
+      ? description('pdfaid', { part: options.pdfa.part, conformance: options.pdfa.conformance })
+      : '',
+    description('dc', {
+      format: 'application/pdf',
+      title: pdfDoc.getTitle() !== undefined ? { alt: pdfDoc.getTitle() } : null,
+      creator: author !== undefined ? { seq: [author] } : null,
+      description: pdfDoc.getSubject() !== undefined ? { alt: pdfDoc.getSubject() } : null
+    }),
+    description('pdf', {
+      Producer: pdfDoc.getProducer(),
+      Keywords: pdfDoc.getKeywords()
+    }),
+    description('xmp', {
+      CreatorTool: pdfDoc.getCreator(),
+      CreateDate: created ? xmpDate(created) : null,
+      ModifyDate: modified ? xmpDate(modified) : null,
+      MetadataDate: xmpDate(options.metadataDate || modified || new Date())
+    }),
+    ...(options.schemas || []).map(schema => description(schema.prefix, schema.properties, schema.namespace))
+  ].filter(Boolean);
+
+  return [
+    `<?xpacket begin="\uFEFF" id="${PACKET_ID}"?>`,
+    `<x:xmpmeta xmlns:x="${NAMESPACES.x}">`,
+    ` <rdf:RDF xmlns:rdf="${NAMESPACES.rdf}">`,
+    ...descriptions,
+    ' </rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>'
+  ].join('\n');
+}
+
+/**
+ * Write a fresh XMP packet as the catalog's /Metadata stream
+ *
+ * An existing metadata stream is replaced under its own object number.
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @param {Object} options - See buildXmpPacket
+ * @returns {string} The packet written
+ */
+function writeXmpMetadata(pdfDoc, options = {}) {
+  const packet = buildXmpPacket(pdfDoc, options);
+  const stream = pdfDoc.context.stream(Buffer.from(packet, 'utf8'), {
+    Type: 'Metadata',
+    Subtype: 'XML'
+  });
+  const existing = pdfDoc.catalog.get(PDFName.of('Metadata'));
+  if (existing instanceof PDFRef) {
+    pdfDoc.context.assign(existing, stream);
+  } else {
+    pdfDoc.catalog.set(PDFName.of('Metadata'), pdfDoc.context.register(stream));
+  }
+  return packet;
+}
+
+/**
+ * Read the catalog's XMP packet
+ *
+ * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+ * @returns {string|null} Packet text, or null when the document has none
+ */
+function readXmpMetadata(pdfDoc) {
+  const stream = pdfDoc.catalog.lookup(PDFName.of('Metadata'));
+  if (!stream) return null;
+
+  const bytes = stream instanceof PDFRawStream
+    ? decodePDFRawStream(stream).decode()
+    : stream.getContents();
+  return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Prefixes a packet binds to a namespace
+ */
+function namespacePrefixes(packet, namespace) {
+  return [...packet.matchAll(/xmlns:([\w.-]+)\s*=\s*["']([^"']*)["']/g)]
+    .filter(([, , uri]) => uri === namespace)
+    .map(([, prefix]) => prefix);
+}
+
+/**
+ * Value of a simple XMP property, whatever prefix the packet binds its namespace to
+ *
+ * Reads both element (<ns:name>value</ns:name>) and attribute (ns:name="value") forms.
+ *
+ * @param {string} packet - XMP packet
+ * @param {string} namespace - Namespace URI
+ * @param {string} name - Property name
+ * @returns {string|null} Value, or null when absent
+ */
+function readXmpProperty(packet, namespace, name) {
+  for (const prefix of namespacePrefixes(packet, namespace)) {
+    const element = packet.match(new RegExp(`<${prefix}:${name}>([^<]*)</${prefix}:${name}>`));
+    if (element) return unescapeXml(element[1].trim());
+    const attribute = packet.match(new RegExp(`${prefix}:${name}\\s*=\\s*["']([^"']*)["']`));
+    if (attribute) return unescapeXml(attribute[1].trim());
+  }
+  return null;
+}
+
+/**
+ * Items of an XMP array property (rdf:Seq, rdf:Bag or rdf:Alt)
+ *
+ * @param {string} packet - XMP packet
+ * @param {string} namespace - Namespace URI
+ * @param {string} name - Property name
+ * @returns {Array|null} Item values, or null when absent
+ */
+function readXmpArray(packet, namespace, name) {
+  for (const prefix of namespacePrefixes(packet, namespace)) {
+    const element = packet.match(new RegExp(`<${prefix}:${name}>([\\s\\S]*?)</${prefix}:${name}>`));
+    if (element) {
+      return [...element[1].matchAll(/<rdf:li[^>]*>([^<]*)<\/rdf:li>/g)].map(([, value]) => unescapeXml(value.trim()));
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  buildXmpPacket,
+  writeXmpMetadata,
+  readXmpMetadata,
+  readXmpProperty,
+  readXmpArray,
+  NAMESPACES
+};